@@ -0,0 +1,128 @@
+const { handleRegisterMocksCommand, handleAdpCommand } = require('../../handlers/adp.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+const nflDataCache = require('../../services/nflDataCache.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../services/nflDataCache.js');
+
+describe('ADP commands', () => {
+    let say;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+    });
+
+    describe('register mocks', () => {
+        beforeEach(() => {
+            datastore.saveMockDraft.mockResolvedValue();
+            sleeper.getDraft.mockImplementation(async (draftId) => (draftId === '404' ? null : { draft_id: draftId }));
+        });
+
+        it('registers every valid draft and lists the ones it could not find', async () => {
+            await handleRegisterMocksCommand({ command: { text: '111 222, 111 404 abc', channel_id: 'C1' }, say });
+
+            expect(datastore.saveMockDraft).toHaveBeenCalledTimes(2);
+            expect(datastore.saveMockDraft).toHaveBeenCalledWith('111', 'C1');
+            expect(datastore.saveMockDraft).toHaveBeenCalledWith('222', 'C1');
+            expect(say).toHaveBeenCalledWith(
+                ":white_check_mark: Registered 2 mock drafts to this channel. I'll add each one to the ADP table once it's complete.\n" +
+                ":x: Couldn't find `404`, `abc` on Sleeper. Please check the IDs and try again."
+            );
+        });
+
+        it('explains usage without any IDs', async () => {
+            await handleRegisterMocksCommand({ command: { text: '', channel_id: 'C1' }, say });
+
+            expect(say).toHaveBeenCalledWith(expect.stringContaining('Usage: `@YourBotName register mocks'));
+            expect(datastore.saveMockDraft).not.toHaveBeenCalled();
+        });
+
+        it('reports datastore errors', async () => {
+            datastore.saveMockDraft.mockRejectedValue(new Error('DynamoDB down'));
+
+            await handleRegisterMocksCommand({ command: { text: '111', channel_id: 'C1' }, say });
+
+            expect(say).toHaveBeenCalledWith(expect.stringContaining('error updating my configuration'));
+        });
+    });
+
+    describe('adp', () => {
+        const adp = {
+            season: '2026',
+            draftIds: ['m1', 'm2'],
+            players: {
+                9509: { name: 'Bijan Robinson', position: 'RB', team: 'ATL', count: 2, total: 3, min: 1, max: 2 },
+                7564: { name: "Ja'Marr Chase", position: 'WR', team: 'CIN', count: 2, total: 2, min: 1, max: 1 },
+                4866: { name: 'Saquon Barkley', position: 'RB', team: 'PHI', count: 1, total: 4, min: 4, max: 4 }
+            }
+        };
+
+        beforeEach(() => {
+            sleeper.getNflState.mockResolvedValue({ season: '2026' });
+            datastore.getAdp.mockResolvedValue(adp);
+        });
+
+        it('shows the overall table', async () => {
+            await handleAdpCommand({ command: { text: '' }, say });
+
+            expect(datastore.getAdp).toHaveBeenCalledWith('2026');
+            expect(say).toHaveBeenCalledWith(
+                ':bar_chart: *2026 ADP* (from 2 drafts)\n' +
+                "` 1.` Ja'Marr Chase (WR - CIN): ADP *1.0* (1, 2 drafts)\n" +
+                '` 2.` Bijan Robinson (RB - ATL): ADP *1.5* (1-2, 2 drafts)\n' +
+                '` 3.` Saquon Barkley (RB - PHI): ADP *4.0* (4, 1 draft)'
+            );
+        });
+
+        it('filters the table by position', async () => {
+            await handleAdpCommand({ command: { text: 'rb' }, say });
+
+            const message = say.mock.calls[0][0];
+            expect(message).toContain('*2026 ADP: RB*');
+            expect(message).not.toContain('Chase');
+
+            await handleAdpCommand({ command: { text: 'TE' }, say });
+            expect(say).toHaveBeenLastCalledWith(expect.stringContaining('No TE has been drafted yet.'));
+        });
+
+        it('looks up a single player', async () => {
+            nflDataCache.findPlayersByName.mockResolvedValue([{ player_id: '4866', full_name: 'Saquon Barkley' }]);
+
+            await handleAdpCommand({ command: { text: 'saquon' }, say });
+
+            expect(say).toHaveBeenCalledWith(
+                ':bar_chart: Saquon Barkley (RB - PHI): ADP *4.0* (4, 1 draft)\n' +
+                'Ranked *#3* overall and *RB2* across 2 drafts in the 2026 ADP.'
+            );
+        });
+
+        it('says when a player has not been drafted', async () => {
+            nflDataCache.findPlayersByName.mockResolvedValue([{ player_id: '1', full_name: 'Backup Kicker' }]);
+
+            await handleAdpCommand({ command: { text: 'backup kicker' }, say });
+
+            expect(say).toHaveBeenCalledWith(":mag: Backup Kicker hasn't been drafted in any of the 2 drafts in the 2026 ADP.");
+        });
+
+        it('explains how to fill an empty table', async () => {
+            datastore.getAdp.mockResolvedValue(null);
+
+            await handleAdpCommand({ command: { text: '' }, say });
+
+            expect(say).toHaveBeenCalledWith(expect.stringContaining('No drafts have been recorded for the 2026 ADP yet'));
+        });
+
+        it('reports errors', async () => {
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            datastore.getAdp.mockRejectedValue(new Error('DynamoDB down'));
+
+            await handleAdpCommand({ command: { text: '' }, say });
+
+            expect(say).toHaveBeenCalledWith(":x: Sorry, I couldn't load the ADP table. Please try again later.");
+            errorSpy.mockRestore();
+        });
+    });
+});
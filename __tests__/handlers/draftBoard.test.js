@@ -0,0 +1,76 @@
+const { handleDraftBoardCommand } = require('../../handlers/draftBoard.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+const { buildDraftBoardPayload } = require('../../services/draftBoard.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../services/draftBoard.js');
+
+describe('handleDraftBoardCommand', () => {
+    const command = { channel_id: 'C123' };
+    const mockDraft = { draft_id: 'draft123', settings: { teams: 2, rounds: 2 } };
+    const mockPicks = [{ pick_no: 1 }];
+    let say;
+    let client;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        client = {
+            chat: { postMessage: jest.fn().mockResolvedValue({ ok: true, ts: '555.666' }) },
+            pins: { add: jest.fn().mockResolvedValue({ ok: true }), remove: jest.fn().mockResolvedValue({ ok: true }) }
+        };
+        datastore.getData.mockResolvedValue({ drafts: { draft123: { slack_channel_id: 'C123' } } });
+        datastore.updateDraft.mockResolvedValue();
+        sleeper.getDraft.mockResolvedValue(mockDraft);
+        sleeper.getDraftPicks.mockResolvedValue(mockPicks);
+        buildDraftBoardPayload.mockResolvedValue({ text: 'board', blocks: [] });
+    });
+
+    it('posts the board, pins it and remembers its ts', async () => {
+        await handleDraftBoardCommand({ command, say, client });
+
+        expect(client.chat.postMessage).toHaveBeenCalledWith({ channel: 'C123', text: 'board', blocks: [] });
+        expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', { boardTs: '555.666' });
+        expect(client.pins.add).toHaveBeenCalledWith({ channel: 'C123', timestamp: '555.666' });
+        expect(client.pins.remove).not.toHaveBeenCalled();
+        expect(say).not.toHaveBeenCalled();
+    });
+
+    it('unpins the previous board so only one stays pinned', async () => {
+        datastore.getData.mockResolvedValue({ drafts: { draft123: { slack_channel_id: 'C123', board_ts: '111.222' } } });
+
+        await handleDraftBoardCommand({ command, say, client });
+
+        expect(client.pins.remove).toHaveBeenCalledWith({ channel: 'C123', timestamp: '111.222' });
+        expect(client.pins.add).toHaveBeenCalledWith({ channel: 'C123', timestamp: '555.666' });
+    });
+
+    it('still keeps the board when it cannot be pinned', async () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        client.pins.add.mockRejectedValue(Object.assign(new Error('missing_scope'), { data: { error: 'missing_scope' } }));
+
+        await handleDraftBoardCommand({ command, say, client });
+
+        expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', { boardTs: '555.666' });
+        expect(say).not.toHaveBeenCalled();
+        warnSpy.mockRestore();
+    });
+
+    it('needs a draft registered to the channel', async () => {
+        await handleDraftBoardCommand({ command: { channel_id: 'C999' }, say, client });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('There is no draft registered for this channel'));
+        expect(client.chat.postMessage).not.toHaveBeenCalled();
+    });
+
+    it('reports Sleeper errors', async () => {
+        sleeper.getDraft.mockRejectedValue(new Error('Sleeper down'));
+
+        await handleDraftBoardCommand({ command, say, client });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining("couldn't fetch the draft details"));
+        expect(datastore.updateDraft).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,161 @@
+const { parseLotteryOptions, handleDraftLotteryCommand } = require('../../handlers/draftLottery.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+const lottery = require('../../services/draftLottery.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../services/draftLottery.js', () => ({
+    ...jest.requireActual('../../services/draftLottery.js'),
+    loadLeagueEntrants: jest.fn(),
+    loadDraftEntrants: jest.fn(),
+    postLotteryReveal: jest.fn()
+}));
+
+describe('draft lottery command', () => {
+    const command = { channel_id: 'C1', user_id: 'U42' };
+    const entrants = [
+        { rosterId: 1, userId: 'u1', name: 'Alpha', weight: 1 },
+        { rosterId: 2, userId: 'u2', name: 'Bravo', weight: 1 }
+    ];
+    let say;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        datastore.getData.mockResolvedValue({ drafts: {} });
+        datastore.getLeaguesByChannel.mockResolvedValue([{ leagueId: 'L1', leagueName: 'Dynasty' }]);
+        datastore.saveLottery.mockResolvedValue('LEAGUE#L1#2026-08-01T00:00:00.000Z');
+        datastore.getLotteries.mockResolvedValue([]);
+        lottery.loadLeagueEntrants.mockResolvedValue({ league: { league_id: 'L1', name: 'Dynasty', season: '2026', previous_league_id: 'L0' }, entrants });
+        lottery.postLotteryReveal.mockResolvedValue();
+    });
+
+    describe('parseLotteryOptions', () => {
+        it('reads the weighted and redraw flags', () => {
+            expect(parseLotteryOptions('')).toEqual({ weighted: false, redraw: false });
+            expect(parseLotteryOptions('weighted')).toEqual({ weighted: true, redraw: false });
+            expect(parseLotteryOptions('Weighted redraw')).toEqual({ weighted: true, redraw: true });
+            expect(parseLotteryOptions('redraw')).toEqual({ weighted: false, redraw: true });
+            expect(parseLotteryOptions('seed abc')).toBeNull();
+            expect(parseLotteryOptions('please')).toBeNull();
+        });
+    });
+
+    it("draws the league's order with a fresh seed, records it and reveals it", async () => {
+        await handleDraftLotteryCommand({ command: { ...command, text: '' }, say });
+
+        expect(datastore.getLotteries).toHaveBeenCalledWith({ leagueId: 'L1', draftId: null });
+        const { seed } = datastore.saveLottery.mock.calls[0][0];
+        expect(seed).toMatch(/^[0-9a-f]{16}$/);
+        const expectedOrder = lottery.drawOrder(entrants, seed);
+        expect(datastore.saveLottery).toHaveBeenCalledWith({
+            leagueId: 'L1',
+            draftId: null,
+            season: '2026',
+            drawNumber: 1,
+            seed,
+            weighted: false,
+            entrants,
+            order: expectedOrder.map((team, index) => ({ pick: index + 1, rosterId: team.rosterId, userId: team.userId, name: team.name })),
+            channelId: 'C1',
+            runBy: 'U42'
+        });
+        expect(lottery.postLotteryReveal).toHaveBeenCalledWith(say, {
+            title: 'Dynasty Draft Lottery', entrants, order: expectedOrder, seed, weighted: false
+        });
+    });
+
+    it("won't draw a season's lottery again without redraw", async () => {
+        datastore.getLotteries.mockResolvedValue([
+            { season: '2025', seed: 'old', runBy: 'U1' },
+            { season: '2026', seed: 'abc', runBy: 'U7' }
+        ]);
+
+        await handleDraftLotteryCommand({ command: { ...command, text: '' }, say });
+
+        expect(say).toHaveBeenCalledWith(':warning: The 2026 lottery has already been drawn by <@U7> (seed `abc`). Run `draft lottery redraw` if it really needs drawing again; the channel will be told it\'s a redraw.');
+        expect(datastore.saveLottery).not.toHaveBeenCalled();
+        expect(lottery.postLotteryReveal).not.toHaveBeenCalled();
+    });
+
+    it('announces and records a redraw', async () => {
+        datastore.getLotteries.mockResolvedValue([{ season: '2026', seed: 'abc', runBy: 'U7' }]);
+
+        await handleDraftLotteryCommand({ command: { ...command, text: 'redraw' }, say });
+
+        expect(datastore.saveLottery).toHaveBeenCalledWith(expect.objectContaining({ season: '2026', drawNumber: 2 }));
+        expect(lottery.postLotteryReveal).toHaveBeenCalledWith(say, expect.objectContaining({ title: 'Dynasty Draft Lottery (Redraw 1)' }));
+    });
+
+    it("uses the registered draft's league", async () => {
+        datastore.getData.mockResolvedValue({ drafts: { D1: { slack_channel_id: 'C1' } } });
+        datastore.getLeaguesByChannel.mockResolvedValue([]);
+        sleeper.getDraft.mockResolvedValue({ draft_id: 'D1', league_id: 'L7' });
+
+        await handleDraftLotteryCommand({ command: { ...command, text: '' }, say });
+
+        expect(lottery.loadLeagueEntrants).toHaveBeenCalledWith('L7');
+        expect(datastore.saveLottery).toHaveBeenCalledWith(expect.objectContaining({ leagueId: 'L7', draftId: 'D1' }));
+    });
+
+    it("falls back to the draft's teams when it has no league", async () => {
+        datastore.getData.mockResolvedValue({ drafts: { D1: { slack_channel_id: 'C1' } } });
+        datastore.getLeaguesByChannel.mockResolvedValue([]);
+        sleeper.getDraft.mockResolvedValue({ draft_id: 'D1', metadata: { name: 'Mock Draft' } });
+        lottery.loadDraftEntrants.mockResolvedValue(entrants);
+
+        await handleDraftLotteryCommand({ command: { ...command, text: '' }, say });
+
+        expect(lottery.postLotteryReveal).toHaveBeenCalledWith(say, expect.objectContaining({ title: 'Mock Draft Lottery' }));
+    });
+
+    it("weights the draw by last season's standings", async () => {
+        sleeper.getLeagueRosters.mockResolvedValue([
+            { roster_id: 1, settings: { wins: 10, losses: 4 } },
+            { roster_id: 2, settings: { wins: 4, losses: 10 } }
+        ]);
+
+        await handleDraftLotteryCommand({ command: { ...command, text: 'weighted' }, say });
+
+        expect(sleeper.getLeagueRosters).toHaveBeenCalledWith('L0');
+        expect(lottery.postLotteryReveal).toHaveBeenCalledWith(say, expect.objectContaining({
+            weighted: true,
+            entrants: [expect.objectContaining({ name: 'Alpha', weight: 1 }), expect.objectContaining({ name: 'Bravo', weight: 2 })]
+        }));
+    });
+
+    it('refuses a weighted draw without a previous season', async () => {
+        lottery.loadLeagueEntrants.mockResolvedValue({ league: { league_id: 'L1', name: 'Dynasty' }, entrants });
+
+        await handleDraftLotteryCommand({ command: { ...command, text: 'weighted' }, say });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('has no previous season'));
+        expect(datastore.saveLottery).not.toHaveBeenCalled();
+    });
+
+    it('asks for a registration when the channel has neither a draft nor a league', async () => {
+        datastore.getLeaguesByChannel.mockResolvedValue([]);
+
+        await handleDraftLotteryCommand({ command: { ...command, text: '' }, say });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('There is no draft or league registered for this channel'));
+    });
+
+    it('shows usage for unknown options', async () => {
+        await handleDraftLotteryCommand({ command: { ...command, text: 'now please' }, say });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('Usage: `@YourBotName draft lottery'));
+    });
+
+    it('reports errors', async () => {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        datastore.saveLottery.mockRejectedValue(new Error('DynamoDB error'));
+
+        await handleDraftLotteryCommand({ command: { ...command, text: '' }, say });
+
+        expect(say).toHaveBeenCalledWith(':x: Sorry, I couldn\'t run the lottery. Please try again later.');
+        expect(lottery.postLotteryReveal).not.toHaveBeenCalled();
+        error.mockRestore();
+    });
+});
@@ -0,0 +1,56 @@
+const { handleDraftSettingsCommand } = require('../../handlers/draftSettings.js');
+const datastore = require('../../services/datastore.js');
+
+jest.mock('../../services/datastore.js');
+
+describe('handleDraftSettingsCommand', () => {
+    let say;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        datastore.getData.mockResolvedValue({
+            drafts: {
+                draft123: { slack_channel_id: 'C123', settings: { other: 'kept' } }
+            }
+        });
+        datastore.updateDraft.mockResolvedValue();
+    });
+
+    it('lists the current settings with their defaults', async () => {
+        await handleDraftSettingsCommand({ command: { text: '', channel_id: 'C123' }, say });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('`threaded`: *off*'));
+        expect(datastore.updateDraft).not.toHaveBeenCalled();
+    });
+
+    it('turns a setting on without losing the others', async () => {
+        await handleDraftSettingsCommand({ command: { text: 'Threaded ON', channel_id: 'C123' }, say });
+
+        expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', { settings: { other: 'kept', threaded: true } });
+        expect(say).toHaveBeenCalledWith(':white_check_mark: `threaded` is now *on* for draft `draft123`.');
+    });
+
+    it('rejects unknown settings and bad values', async () => {
+        await handleDraftSettingsCommand({ command: { text: 'colour blue', channel_id: 'C123' }, say });
+        await handleDraftSettingsCommand({ command: { text: 'threaded maybe', channel_id: 'C123' }, say });
+
+        expect(say).toHaveBeenNthCalledWith(1, expect.stringContaining('Unknown setting `colour`'));
+        expect(say).toHaveBeenNthCalledWith(2, ':x: `threaded` must be `on` or `off`.');
+        expect(datastore.updateDraft).not.toHaveBeenCalled();
+    });
+
+    it('needs a draft registered to the channel', async () => {
+        await handleDraftSettingsCommand({ command: { text: 'threaded on', channel_id: 'C999' }, say });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('There is no draft registered for this channel'));
+    });
+
+    it('reports datastore errors', async () => {
+        datastore.updateDraft.mockRejectedValue(new Error('DynamoDB down'));
+
+        await handleDraftSettingsCommand({ command: { text: 'threaded off', channel_id: 'C123' }, say });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('error updating my configuration'));
+    });
+});
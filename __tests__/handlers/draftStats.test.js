@@ -0,0 +1,96 @@
+const { handleDraftStatsCommand } = require('../../handlers/draftStats.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+
+describe('handleDraftStatsCommand', () => {
+    const command = { channel_id: 'C123' };
+    const mockData = {
+        player_map: { user1: 'slack_user1', user2: 'slack_user2' },
+        drafts: {
+            draft123: { slack_channel_id: 'C123', autopick_counts: { user1: 1, user2: 3, slot_3: 2, user3: 0 } }
+        }
+    };
+    const mockDraft = {
+        status: 'drafting',
+        metadata: { name: 'Test Draft' },
+        settings: { rounds: 2, teams: 3 },
+        draft_order: { user1: 1, user2: 2 }
+    };
+    const mockPicks = [
+        { pick_no: 1, draft_slot: 1, picked_by: 'user1', is_keeper: true },
+        { pick_no: 2, draft_slot: 2, picked_by: 'user1' },
+        { pick_no: 3, draft_slot: 3, picked_by: '' }
+    ];
+    let say;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        datastore.getPlayer.mockResolvedValue(null);
+    });
+
+    it('shows progress, keeper and commissioner picks, and the autopick tally', async () => {
+        datastore.getData.mockResolvedValue(mockData);
+        sleeper.getDraft.mockResolvedValue(mockDraft);
+        sleeper.getDraftPicks.mockResolvedValue(mockPicks);
+
+        await handleDraftStatsCommand({ command, say });
+
+        const message = say.mock.calls[0][0];
+        expect(message.text).toBe('Test Draft: 3/6 picks made, 6 autopicks, 1 keepers, 1 commissioner picks.');
+        const blocks = JSON.stringify(message.blocks);
+        expect(blocks).toContain('*Picks Made:* `3 / 6`');
+        // Sorted by count, with CPU slots labelled and zero counts left out
+        expect(message.blocks[3].text.text).toBe('*:robot_face: Autopicks (6):*\n• slack_user2: *3*\n• Slot 3: *2*\n• slack_user1: *1*');
+    });
+
+    it('says when there have been no autopicks', async () => {
+        datastore.getData.mockResolvedValue({ drafts: { draft123: { slack_channel_id: 'C123' } } });
+        sleeper.getDraft.mockResolvedValue(mockDraft);
+        sleeper.getDraftPicks.mockResolvedValue([]);
+
+        await handleDraftStatsCommand({ command, say });
+
+        expect(say.mock.calls[0][0].blocks[3].text.text).toContain('None so far');
+    });
+
+    it('asks for a draft to be registered first', async () => {
+        datastore.getData.mockResolvedValue({ drafts: {} });
+
+        await handleDraftStatsCommand({ command, say });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('There is no draft registered for this channel'));
+        expect(sleeper.getDraft).not.toHaveBeenCalled();
+    });
+
+    it('reports configuration errors', async () => {
+        datastore.getData.mockRejectedValue(new Error('DynamoDB down'));
+
+        await handleDraftStatsCommand({ command, say });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('error updating my configuration'));
+    });
+
+    it('reports Sleeper API errors', async () => {
+        datastore.getData.mockResolvedValue(mockData);
+        sleeper.getDraft.mockRejectedValue(new Error('Sleeper down'));
+        sleeper.getDraftPicks.mockResolvedValue([]);
+
+        await handleDraftStatsCommand({ command, say });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('Sleeper API might be down'));
+    });
+
+    it('reports a draft that cannot be found', async () => {
+        datastore.getData.mockResolvedValue(mockData);
+        sleeper.getDraft.mockResolvedValue(null);
+        sleeper.getDraftPicks.mockResolvedValue(null);
+
+        await handleDraftStatsCommand({ command, say });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('Could not find a draft'));
+    });
+});
@@ -0,0 +1,141 @@
+const { handleKeepersCommand, buildKeeperReport, buildRemainingPicksMessage } = require('../../handlers/keepers.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+const { resolvePickerName, loadTradedPicks } = require('../../handlers/lastpick.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../handlers/lastpick.js');
+
+describe('keepers', () => {
+    // 2 teams x 3 rounds, snake: 1.01 u1, 1.02 u2, 2.01 u2, 2.02 u1, 3.01 u1, 3.02 u2
+    const mockDraft = {
+        draft_id: 'draft123',
+        league_id: 'league1',
+        type: 'snake',
+        status: 'pre_draft',
+        metadata: { name: 'Keeper League' },
+        settings: { teams: 2, rounds: 3 },
+        draft_order: { u1: 1, u2: 2 },
+        slot_to_roster_id: { 1: 1, 2: 2 }
+    };
+    const keeper = (pickNo, round, slot, rosterId, lastName) => ({
+        pick_no: pickNo, round, draft_slot: slot, roster_id: rosterId, is_keeper: true,
+        metadata: { first_name: 'K', last_name: lastName, position: 'RB' }
+    });
+    // u2 traded their round 3 pick to u1, and u1 used it on a keeper
+    const tradedPicks = [{ round: 3, roster_id: 2, owner_id: 1, previous_owner_id: 2 }];
+    const mockPicks = [
+        keeper(4, 2, 1, 1, 'Two'),
+        keeper(5, 3, 1, 1, 'Three'),
+        keeper(6, 3, 2, 1, 'Traded')
+    ];
+    const command = { channel_id: 'C123' };
+    let say;
+    let client;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        client = { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } };
+        datastore.getData.mockResolvedValue({ drafts: { draft123: { slack_channel_id: 'C123' } } });
+        datastore.getPlayer.mockImplementation(async (userId) => (userId === 'u1' ? { slackMemberId: 'U111' } : null));
+        sleeper.getDraft.mockResolvedValue(mockDraft);
+        sleeper.getDraftPicks.mockResolvedValue(mockPicks);
+        sleeper.getLeague.mockResolvedValue({ settings: { max_keepers: 2 } });
+        loadTradedPicks.mockResolvedValue(tradedPicks);
+        resolvePickerName.mockImplementation(async (userId) => `Team ${userId}`);
+    });
+
+    describe('buildKeeperReport', () => {
+        it('credits keepers to the owner of the pick they consume and lists what is left', () => {
+            const [teamOne, teamTwo] = buildKeeperReport(mockDraft, mockPicks, tradedPicks);
+
+            expect(teamOne.keepers.map(pick => pick.metadata.last_name)).toEqual(['Two', 'Three', 'Traded']);
+            expect(teamOne.remainingPicks).toEqual([{ pickNo: 1, originalUserId: null }]);
+            expect(teamTwo.keepers).toEqual([]);
+            expect(teamTwo.remainingPicks).toEqual([{ pickNo: 2, originalUserId: null }, { pickNo: 3, originalUserId: null }]);
+        });
+
+        it('shows traded picks that are still to be made as coming via the original team', () => {
+            const [teamOne] = buildKeeperReport(mockDraft, [], tradedPicks);
+
+            expect(teamOne.remainingPicks).toContainEqual({ pickNo: 6, originalUserId: 'u2' });
+        });
+    });
+
+    it('formats the remaining picks DM', async () => {
+        const team = { userId: 'u1', keepers: [mockPicks[0]], remainingPicks: [{ pickNo: 1, originalUserId: null }, { pickNo: 6, originalUserId: 'u2' }] };
+
+        const text = await buildRemainingPicksMessage(mockDraft, team, {});
+
+        expect(text).toBe(
+            ':clipboard: *Keeper League*\n' +
+            'Your keepers: K Two (RB) in round 2 (2.02).\n' +
+            'Your remaining picks (2): `1.01`, `3.02` (via Team u2)'
+        );
+    });
+
+    it('posts the keeper rounds and flags teams over the limit without DMing anyone', async () => {
+        await handleKeepersCommand({ command, say, client });
+
+        const report = say.mock.calls[0][0];
+        expect(report.text).toBe('Keeper League: 3 keepers, 1 team over the keeper limit.');
+        expect(report.blocks[1].text.text).toBe(
+            '*Team u1* :warning: *Over the keeper limit (3/2)*' +
+            '\n   • K Two (RB) in round 2 (2.02)' +
+            '\n   • K Three (RB) in round 3 (3.01)' +
+            '\n   • K Traded (RB) in round 3 (3.02)' +
+            '\n*Team u2* _No keepers_'
+        );
+        expect(report.blocks[2].elements.map(element => element.text)).toEqual(['Keeper limit: 2 per team', 'Use `keepers remind` to DM each manager their remaining picks.']);
+        expect(client.chat.postMessage).not.toHaveBeenCalled();
+        expect(say).toHaveBeenCalledTimes(1);
+    });
+
+    it('DMs registered managers their remaining picks when asked to remind them', async () => {
+        await handleKeepersCommand({ command: { ...command, text: 'remind' }, say, client });
+
+        expect(say.mock.calls[0][0].blocks[2].elements).toEqual([{ type: 'mrkdwn', text: 'Keeper limit: 2 per team' }]);
+        expect(client.chat.postMessage).toHaveBeenCalledTimes(1);
+        expect(client.chat.postMessage).toHaveBeenCalledWith({ channel: 'U111', text: expect.stringContaining('Your remaining picks (1): `1.01`') });
+        expect(say).toHaveBeenLastCalledWith(expect.stringContaining('Sent 1 manager a DM with their remaining picks. 1 manager isn\'t registered'));
+    });
+
+    it('skips the limit check when the league cannot be loaded', async () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        sleeper.getLeague.mockRejectedValue(new Error('Sleeper down'));
+
+        await handleKeepersCommand({ command, say });
+
+        const report = say.mock.calls[0][0];
+        expect(report.blocks[1].text.text).not.toContain('Over the keeper limit');
+        expect(report.blocks[2].elements[0].text).toBe('This league has no keeper limit set.');
+        expect(say).toHaveBeenCalledTimes(1);
+        warnSpy.mockRestore();
+    });
+
+    it('does not report on auctions', async () => {
+        sleeper.getDraft.mockResolvedValue({ ...mockDraft, type: 'auction' });
+
+        await handleKeepersCommand({ command, say, client });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining("Keepers in an auction don't use up a round"));
+        expect(client.chat.postMessage).not.toHaveBeenCalled();
+    });
+
+    it('needs a draft registered to the channel', async () => {
+        await handleKeepersCommand({ command: { channel_id: 'C999' }, say, client });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('There is no draft registered for this channel'));
+    });
+
+    it('reports Sleeper errors', async () => {
+        sleeper.getDraftPicks.mockRejectedValue(new Error('Sleeper down'));
+
+        await handleKeepersCommand({ command, say, client });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining("couldn't fetch the draft details"));
+        expect(client.chat.postMessage).not.toHaveBeenCalled();
+    });
+});
@@ -1,4 +1,4 @@
-const { handleLastPickCommand, generatePickMessagePayload } = require('../../handlers/lastpick.js');
+const { handleLastPickCommand, generatePickMessagePayload, generateBatchPickMessagePayload } = require('../../handlers/lastpick.js');
 const datastore = require('../../services/datastore.js');
 const sleeper = require('../../services/sleeper.js');
 
@@ -188,4 +188,285 @@ describe('generatePickMessagePayload', () => {
             })
         ]));
     });
+
+    it('should add college and experience from the cached players when given', async () => {
+        const draft = { type: 'snake', settings: { rounds: 2, teams: 2 }, draft_order: { 'user1': 1, 'user2': 2 } };
+        const picks = [
+            { pick_no: 1, round: 1, player_id: '9999', metadata: { first_name: 'Jeremiah', last_name: 'Smith', position: 'WR', team: '' }, picked_by: 'user1' }
+        ];
+        const players = { '9999': { college: 'Ohio State', years_exp: 0 } };
+
+        const payload = await generatePickMessagePayload(draft, picks, { player_map: {} }, false, { tradedPicks: [], rosterPositions: null, players });
+
+        expect(payload.blocks[1].fields.slice(3).map(field => field.text)).toEqual([
+            '*Team:* `N/A`',
+            '*College:* `Ohio State`',
+            '*Experience:* `Rookie`'
+        ]);
+
+        const secondYear = await generatePickMessagePayload(draft, picks, { player_map: {} }, false, { tradedPicks: [], rosterPositions: null, players: { '9999': { years_exp: 1 } } });
+        expect(secondYear.blocks[1].fields.slice(4).map(field => field.text)).toEqual(['*Experience:* `1 year`']);
+    });
+
+    it('should honor traded picks for the next picker and the picked-by line', async () => {
+        const draft = {
+            draft_id: 'draft123',
+            season: '2026',
+            type: 'linear',
+            settings: { rounds: 2, teams: 2 },
+            draft_order: { 'user1': 1, 'user2': 2 },
+            slot_to_roster_id: { '1': 1, '2': 2 }
+        };
+        // user2's first-round pick was traded to user1, who just used it.
+        const picks = [
+            { pick_no: 1, round: 1, draft_slot: 1, roster_id: 1, metadata: { first_name: 'Player', last_name: 'One' }, picked_by: 'user1' },
+            { pick_no: 2, round: 1, draft_slot: 2, roster_id: 1, metadata: { first_name: 'Player', last_name: 'Two' }, picked_by: 'user1' }
+        ];
+        // user1's second-round pick now belongs to user2.
+        const tradedPicks = [
+            { season: '2026', round: 1, roster_id: 2, previous_owner_id: 2, owner_id: 1 },
+            { season: '2026', round: 2, roster_id: 1, previous_owner_id: 1, owner_id: 2 }
+        ];
+        const data = { player_map: { 'user1': 'slack_user1', 'user2': 'slack_user2' } };
+
+        const payload = await generatePickMessagePayload(draft, picks, data, false, { tradedPicks });
+
+        expect(sleeper.getTradedPicks).not.toHaveBeenCalled();
+        expect(payload.text).toContain('was selected by slack_user1 (via slack_user2). Next up: slack_user2 (via slack_user1)');
+        expect(payload.blocks).toEqual(expect.arrayContaining([
+            expect.objectContaining({
+                fields: expect.arrayContaining([
+                    expect.objectContaining({ text: '*Picked By:* slack_user1 (via slack_user2)' })
+                ])
+            })
+        ]));
+    });
+
+    it('should fetch traded picks when the draft has a slot-to-roster mapping', async () => {
+        const draft = {
+            draft_id: 'draft123',
+            type: 'snake',
+            settings: { rounds: 2, teams: 2 },
+            draft_order: { 'user1': 1, 'user2': 2 },
+            slot_to_roster_id: { '1': 1, '2': 2 }
+        };
+        const picks = [
+            { pick_no: 1, round: 1, draft_slot: 1, roster_id: 1, metadata: { first_name: 'Player', last_name: 'One' }, picked_by: 'user1' }
+        ];
+        sleeper.getTradedPicks.mockResolvedValue([
+            { round: 1, roster_id: 2, previous_owner_id: 2, owner_id: 1 }
+        ]);
+
+        const payload = await generatePickMessagePayload(draft, picks, { player_map: { 'user1': 'slack_user1', 'user2': 'slack_user2' } }, false);
+
+        expect(sleeper.getTradedPicks).toHaveBeenCalledWith('draft123');
+        expect(payload.text).toContain('Next up: slack_user1 (via slack_user2)');
+    });
+
+    it('should fall back to draft order when traded picks cannot be loaded', async () => {
+        const draft = {
+            draft_id: 'draft123',
+            type: 'snake',
+            settings: { rounds: 2, teams: 2 },
+            draft_order: { 'user1': 1, 'user2': 2 },
+            slot_to_roster_id: { '1': 1, '2': 2 }
+        };
+        const picks = [
+            { pick_no: 1, round: 1, draft_slot: 1, roster_id: 1, metadata: { first_name: 'Player', last_name: 'One' }, picked_by: 'user1' }
+        ];
+        sleeper.getTradedPicks.mockRejectedValue(new Error('API Error'));
+
+        const payload = await generatePickMessagePayload(draft, picks, { player_map: { 'user2': 'slack_user2' } }, false);
+
+        expect(payload.text).toContain('Next up: slack_user2');
+    });
+
+    it('should build an auction alert with the bid, nominator, budgets and next nominator', async () => {
+        const draft = {
+            draft_id: 'draft123',
+            type: 'auction',
+            settings: { rounds: 2, teams: 2, budget: 200 },
+            draft_order: { 'user1': 1, 'user2': 2 },
+            slot_to_roster_id: { '1': 1, '2': 2 }
+        };
+        const picks = [
+            { pick_no: 1, round: 1, draft_slot: 2, picked_by: 'user2', metadata: { first_name: 'Bijan', last_name: 'Robinson', position: 'RB', team: 'ATL', amount: '65' } }
+        ];
+        const data = { player_map: { 'user1': 'slack_user1', 'user2': 'slack_user2' } };
+
+        const payload = await generatePickMessagePayload(draft, picks, data, false);
+
+        expect(sleeper.getTradedPicks).not.toHaveBeenCalled();
+        expect(payload.text).toBe('Pick 1: Bijan Robinson (RB - ATL) won by slack_user2 for $65. Nominating next: slack_user2');
+        const text = JSON.stringify(payload.blocks);
+        expect(text).toContain('*Winning Bid:* `$65`');
+        expect(text).toContain('*Nominated By:* slack_user1');
+        expect(text).toContain('slack_user2: *$135* left, 1 spot to fill');
+        expect(text).toContain('slack_user1: *$200* left, 2 spots to fill');
+    });
+
+    describe('pick type flags', () => {
+        const draft = {
+            type: 'snake',
+            settings: { rounds: 2, teams: 2 },
+            draft_order: { 'user1': 1, 'user2': 2 },
+            slot_to_roster_id: { '1': 1, '2': 2 }
+        };
+        const data = { player_map: { 'user1': 'slack_user1', 'user2': 'slack_user2', 'comm': 'slack_comm' } };
+        const pickBy = (pickedBy, extra = {}) => [
+            { pick_no: 1, round: 1, draft_slot: 1, roster_id: 1, picked_by: pickedBy, metadata: { first_name: 'Player', last_name: 'One', position: 'QB' }, ...extra }
+        ];
+        const contextText = (payload) => payload.blocks.find(block => block.type === 'context')?.elements[0].text;
+
+        it('flags autopicks and credits the slot owner', async () => {
+            const payload = await generatePickMessagePayload(draft, pickBy(''), data, false, { tradedPicks: [] });
+
+            expect(contextText(payload)).toBe(':robot_face: *Autopick:* Sleeper made this pick for slack_user1.');
+            expect(payload.text).toContain('was selected by slack_user1 [autopick]');
+        });
+
+        it('flags commissioner picks made on behalf of a team', async () => {
+            const payload = await generatePickMessagePayload(draft, pickBy('comm'), data, false, { tradedPicks: [] });
+
+            expect(contextText(payload)).toBe(':briefcase: *Commissioner Pick:* made by slack_comm on behalf of slack_user1.');
+            expect(JSON.stringify(payload.blocks)).toContain('*Picked By:* slack_user1');
+        });
+
+        it('flags keepers', async () => {
+            const payload = await generatePickMessagePayload(draft, pickBy('user1', { is_keeper: true }), data, false, { tradedPicks: [] });
+
+            expect(contextText(payload)).toBe(':lock: *Keeper:* slack_user1 kept this player.');
+        });
+
+        it('leaves normal picks unflagged', async () => {
+            const payload = await generatePickMessagePayload(draft, pickBy('user1'), data, false, { tradedPicks: [] });
+
+            expect(contextText(payload)).toBeUndefined();
+            expect(payload.text).not.toContain('[');
+        });
+
+        it('flags autopicks in auctions too', async () => {
+            const auction = { ...draft, type: 'auction', draft_id: 'a1', settings: { ...draft.settings, budget: 200 } };
+            const payload = await generatePickMessagePayload(auction, pickBy('', { metadata: { first_name: 'A', last_name: 'B', amount: 1 } }), data);
+
+            expect(payload.text).toContain('for $1 [autopick]');
+        });
+    });
+
+    describe('positional needs', () => {
+        const draft = {
+            league_id: 'league1',
+            type: 'snake',
+            settings: { rounds: 4, teams: 2 },
+            draft_order: { 'user1': 1, 'user2': 2 },
+            slot_to_roster_id: { '1': 1, '2': 2 }
+        };
+        const data = { player_map: { 'user1': 'slack_user1', 'user2': 'slack_user2' } };
+        const player = (pickNo, round, slot, position) => ({
+            pick_no: pickNo, round, draft_slot: slot, roster_id: slot, picked_by: `user${slot}`,
+            metadata: { first_name: 'Player', last_name: String(pickNo), position }
+        });
+        // 1.01 user1 RB, 1.02 user2 WR, 2.01 user2 WR -> user1 is on the clock at 2.02
+        const picks = [player(1, 1, 1, 'RB'), player(2, 1, 2, 'WR'), player(3, 2, 2, 'WR')];
+        const onTheClock = (payload) => payload.blocks[payload.blocks.length - 1].text.text;
+
+        it("shows the on-the-clock team's needs from the league's lineup", async () => {
+            sleeper.getLeague.mockResolvedValue({ roster_positions: ['QB', 'RB', 'WR', 'WR', 'TE', 'FLEX', 'BN'] });
+
+            const payload = await generatePickMessagePayload(draft, picks, data, false, { tradedPicks: [] });
+
+            expect(sleeper.getLeague).toHaveBeenCalledWith('league1');
+            expect(onTheClock(payload)).toBe('*On The Clock:* slack_user1\n*Needs:* QB, 2×WR, TE, FLEX');
+        });
+
+        it("adds a running positional count to the picking team", async () => {
+            const payload = await generatePickMessagePayload(draft, picks, data, false, { tradedPicks: [], rosterPositions: null });
+
+            expect(sleeper.getLeague).not.toHaveBeenCalled();
+            expect(payload.blocks[1].fields[1].text).toBe('*Picked By:* slack_user2\nWR 2');
+            expect(onTheClock(payload)).toBe('*On The Clock:* slack_user1');
+        });
+
+        it('leaves the needs out when the league cannot be loaded', async () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            sleeper.getLeague.mockRejectedValue(new Error('Sleeper down'));
+
+            const payload = await generatePickMessagePayload(draft, picks, data, false, { tradedPicks: [] });
+
+            expect(onTheClock(payload)).toBe('*On The Clock:* slack_user1');
+            warnSpy.mockRestore();
+        });
+    });
+});
+
+describe('generateBatchPickMessagePayload', () => {
+    const draft = {
+        type: 'snake',
+        settings: { rounds: 2, teams: 2 },
+        draft_order: { 'user1': 1, 'user2': 2 },
+        slot_to_roster_id: { '1': 1, '2': 2 }
+    };
+    const data = { player_map: { 'user1': 'slack_user1', 'user2': 'slack_user2' } };
+    const pick = (pickNo, round, slot, pickedBy, name) => ({
+        pick_no: pickNo, round, draft_slot: slot, roster_id: slot, picked_by: pickedBy,
+        metadata: { first_name: name, last_name: 'Player', position: 'WR', team: 'DAL' }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        datastore.getPlayer.mockResolvedValue(null);
+    });
+
+    it('lists every new pick in one message and only mentions the next picker', async () => {
+        const picks = [pick(1, 1, 1, 'user1', 'A'), pick(2, 1, 2, '', 'B'), pick(3, 2, 2, 'user2', 'C')];
+
+        const payload = await generateBatchPickMessagePayload(draft, picks, 1, data, true, { tradedPicks: [] });
+
+        expect(payload.blocks[0].text.text).toBe(':zap: *PICK CATCH-UP!* 2 picks since the last update :zap:');
+        expect(payload.blocks[1].text.text).toBe(
+            '`1.02` B Player (WR - DAL) to slack_user2 _[autopick]_\n`2.01` C Player (WR - DAL) to slack_user2'
+        );
+        expect(payload.blocks[3].text.text).toBe('*On The Clock:* <@slack_user1>');
+        expect(payload.text).toBe('2 picks since the last update. Next up: <@slack_user1>');
+    });
+
+    it('lists only the picks the filter lets through', async () => {
+        const picks = [pick(1, 1, 1, 'user1', 'A'), pick(2, 1, 2, 'user2', 'B'), pick(3, 2, 2, 'user2', 'C')];
+
+        const payload = await generateBatchPickMessagePayload(draft, picks, 0, data, false, { tradedPicks: [], filter: (p) => p.pick_no !== 2 });
+
+        expect(payload.blocks[0].text.text).toBe(':zap: *PICK CATCH-UP!* 2 picks since the last update :zap:');
+        expect(payload.blocks[1].text.text).toBe('`1.01` A Player (WR - DAL) to slack_user1\n`2.01` C Player (WR - DAL) to slack_user2');
+    });
+
+    it('says the draft is complete after the final pick', async () => {
+        const picks = [pick(1, 1, 1, 'user1', 'A'), pick(2, 1, 2, 'user2', 'B'), pick(3, 2, 2, 'user2', 'C'), pick(4, 2, 1, 'user1', 'D')];
+
+        const payload = await generateBatchPickMessagePayload(draft, picks, 0, data, true, { tradedPicks: [] });
+
+        expect(payload.blocks[payload.blocks.length - 1].text.text).toBe('*On The Clock:* The draft is complete!');
+    });
+
+    it('splits long bursts across sections to stay under the Slack text limit', async () => {
+        const bigDraft = { ...draft, settings: { rounds: 20, teams: 10 } };
+        const picks = Array.from({ length: 120 }, (_, i) => pick(i + 1, Math.floor(i / 10) + 1, (i % 10) + 1, 'user1', 'Averyveryverylongname'));
+
+        const payload = await generateBatchPickMessagePayload(bigDraft, picks, 0, data, false, { tradedPicks: [] });
+
+        const sections = payload.blocks.slice(1, -2);
+        expect(sections.length).toBeGreaterThan(1);
+        sections.forEach(section => expect(section.text.text.length).toBeLessThanOrEqual(3000));
+        expect(sections.map(section => section.text.text.split('\n').length).reduce((a, b) => a + b, 0)).toBe(120);
+    });
+
+    it('shows winning bids and the next nominator for auctions', async () => {
+        const auction = { ...draft, type: 'auction', draft_id: 'a1', settings: { ...draft.settings, budget: 200 } };
+        const picks = [{ ...pick(1, 1, 2, 'user2', 'A'), metadata: { first_name: 'A', last_name: 'Player', position: 'RB', team: 'ATL', amount: 42 } }];
+
+        const payload = await generateBatchPickMessagePayload(auction, picks, 0, data, false);
+
+        expect(sleeper.getTradedPicks).not.toHaveBeenCalled();
+        expect(payload.blocks[1].text.text).toBe('`#1` A Player (RB - ATL) to slack_user2 for $42');
+        expect(payload.blocks[3].text.text).toBe('*Nominating Next:* slack_user2');
+    });
 });
\ No newline at end of file
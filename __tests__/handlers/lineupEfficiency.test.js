@@ -0,0 +1,56 @@
+const { handleLineupEfficiencyCommand } = require('../../handlers/lineupEfficiency.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+const { getPlayersFromCacheOrFetch } = require('../../services/nflDataCache.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../services/nflDataCache.js');
+
+describe('handleLineupEfficiencyCommand', () => {
+    let say;
+    const command = { channel_id: 'C1', text: '' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        datastore.getLeaguesByChannel.mockResolvedValue([{ leagueId: 'L1', slackChannelId: 'C1' }]);
+        sleeper.getNflState.mockResolvedValue({ season: '2026', week: 2 });
+        sleeper.getLeague.mockResolvedValue({ league_id: 'L1', name: 'Dynasty', season: '2026', status: 'in_season', roster_positions: ['RB', 'BN'], settings: {} });
+        sleeper.getLeagueRosters.mockResolvedValue([{ roster_id: 1, owner_id: 'u1' }]);
+        sleeper.getLeagueUsers.mockResolvedValue([{ user_id: 'u1', display_name: 'alice' }]);
+        sleeper.getLeagueMatchups.mockResolvedValue([{ roster_id: 1, starters: ['a'], starters_points: [10], players: ['a', 'b'], players_points: { a: 10, b: 15 } }]);
+        getPlayersFromCacheOrFetch.mockResolvedValue({ a: { position: 'RB' }, b: { position: 'RB' } });
+    });
+
+    it('posts the leaderboard', async () => {
+        await handleLineupEfficiencyCommand({ command, say });
+
+        expect(say).toHaveBeenCalledWith(expect.objectContaining({ text: 'Dynasty Lineup Efficiency · Through Week 1' }));
+        expect(say.mock.calls[0][0].blocks[2].rows[1].map(cell => cell.text)).toEqual(['1', 'alice', '66.7%', '10.00', '15.00', '5.00', '0']);
+    });
+
+    it('waits for the first week of games', async () => {
+        sleeper.getNflState.mockResolvedValue({ season: '2026', week: 1 });
+
+        await handleLineupEfficiencyCommand({ command, say });
+
+        expect(say).toHaveBeenCalledWith(':zzz: Dynasty hasn\'t finished a week of games yet, so there are no lineups to rate.');
+    });
+
+    it('explains when there is no league and reports errors', async () => {
+        datastore.getLeaguesByChannel.mockResolvedValueOnce([]);
+        await handleLineupEfficiencyCommand({ command, say });
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('There is no league registered for this channel'));
+
+        sleeper.getLeague.mockResolvedValueOnce(null);
+        await handleLineupEfficiencyCommand({ command, say });
+        expect(say).toHaveBeenLastCalledWith('Could not find league `L1` on Sleeper.');
+
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        sleeper.getLeagueMatchups.mockRejectedValue(new Error('Sleeper down'));
+        await handleLineupEfficiencyCommand({ command, say });
+        expect(say).toHaveBeenLastCalledWith(':x: Sorry, I couldn\'t work out lineup efficiency from Sleeper. Please try again later.');
+        error.mockRestore();
+    });
+});
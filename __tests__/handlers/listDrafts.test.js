@@ -0,0 +1,171 @@
+const { handleListDraftsCommand, handleDraftDashboardAction, DASHBOARD_ACTIONS } = require('../../handlers/listDrafts.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+const lastpick = require('../../handlers/lastpick.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../handlers/lastpick.js');
+
+describe('list drafts dashboard', () => {
+    const draft = {
+        draft_id: 'D1',
+        league_id: 'L1',
+        status: 'drafting',
+        type: 'snake',
+        season: '2026',
+        settings: { teams: 2, rounds: 2 },
+        metadata: { name: 'Rookie Draft' },
+        last_picked: Date.now() - 65 * 60 * 1000
+    };
+    const picks = [{ pick_no: 1, picked_by: 'u1' }];
+    let data;
+    let say;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        data = { drafts: { D1: { slack_channel_id: 'C1', last_known_pick_count: 1 } } };
+        datastore.getData.mockResolvedValue(data);
+        datastore.deleteDraft.mockResolvedValue();
+        datastore.updateDraft.mockResolvedValue();
+        sleeper.getDraft.mockResolvedValue(draft);
+        sleeper.getDraftPicks.mockResolvedValue(picks);
+        sleeper.getLeague.mockResolvedValue({ league_id: 'L1', name: 'Dynasty' });
+        lastpick.loadTradedPicks.mockResolvedValue([]);
+        lastpick.getNextPicker.mockReturnValue({ userId: 'u2' });
+        lastpick.resolvePickerName.mockResolvedValue('bob');
+        lastpick.generatePickMessagePayload.mockResolvedValue({ text: 'Last pick', blocks: [] });
+    });
+
+    describe('handleListDraftsCommand', () => {
+        it("shows each draft's league, status, progress, picker and buttons", async () => {
+            await handleListDraftsCommand({ say });
+
+            const { text, blocks } = say.mock.calls[0][0];
+            expect(text).toBe('Draft dashboard: 1 registered draft');
+            expect(blocks[0].text.text).toBe('📋 Registered Drafts (1)');
+            expect(blocks[1].text.text).toBe(
+                '*Rookie Draft* (`D1`) · Dynasty · <#C1>\n' +
+                ':large_green_circle: Drafting · *1/4* picks\n' +
+                'On the clock: bob\n' +
+                'Last pick 1h 5m ago'
+            );
+            expect(blocks[2].elements.map(button => button.action_id)).toEqual([
+                DASHBOARD_ACTIONS.POST_LAST_PICK,
+                DASHBOARD_ACTIONS.RESYNC,
+                DASHBOARD_ACTIONS.UNREGISTER
+            ]);
+            expect(blocks[2].elements.every(button => button.value === 'D1')).toBe(true);
+        });
+
+        it('flags drafts whose posted pick count is behind Sleeper', async () => {
+            data.drafts.D1.last_known_pick_count = 0;
+
+            await handleListDraftsCommand({ say });
+
+            expect(say.mock.calls[0][0].blocks[1].text.text).toContain(":warning: I've posted 0 of these picks.");
+        });
+
+        it("still lists drafts that can't be loaded from Sleeper", async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            sleeper.getDraft.mockRejectedValue(new Error('Sleeper down'));
+
+            await handleListDraftsCommand({ say });
+
+            const { blocks } = say.mock.calls[0][0];
+            expect(blocks[1].text.text).toBe("*Draft `D1`* in <#C1>\n:warning: Couldn't load this draft from Sleeper.");
+            expect(blocks[2].type).toBe('actions');
+            warn.mockRestore();
+        });
+
+        it('says when no drafts are registered', async () => {
+            datastore.getData.mockResolvedValue({ drafts: {} });
+
+            await handleListDraftsCommand({ say });
+
+            expect(say.mock.calls[0][0].text).toBe('There are currently no drafts registered.');
+        });
+
+        it('reports configuration errors', async () => {
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            datastore.getData.mockRejectedValue(new Error('DynamoDB error'));
+
+            await handleListDraftsCommand({ say });
+
+            expect(say).toHaveBeenCalledWith(':x: Sorry, I couldn\'t list the drafts. There was an error reading my configuration.');
+            error.mockRestore();
+        });
+    });
+
+    describe('handleDraftDashboardAction', () => {
+        let ack;
+        let respond;
+        let client;
+
+        beforeEach(() => {
+            ack = jest.fn();
+            respond = jest.fn();
+            client = { chat: { postMessage: jest.fn() } };
+        });
+
+        const press = (actionId, draftId = 'D1') =>
+            handleDraftDashboardAction({ ack, respond, client, action: { action_id: actionId, value: draftId } });
+
+        it('unregisters the draft and redraws the dashboard', async () => {
+            await press(DASHBOARD_ACTIONS.UNREGISTER);
+
+            expect(ack).toHaveBeenCalled();
+            expect(datastore.deleteDraft).toHaveBeenCalledWith('D1');
+            const reply = respond.mock.calls[0][0];
+            expect(reply.replace_original).toBe(true);
+            expect(reply.blocks[0].elements[0].text).toBe(':white_check_mark: Unregistered draft `D1` from <#C1>.');
+            expect(reply.text).toBe('There are currently no drafts registered.');
+        });
+
+        it("resyncs the pick count to Sleeper's", async () => {
+            data.drafts.D1.last_known_pick_count = 0;
+
+            await press(DASHBOARD_ACTIONS.RESYNC);
+
+            expect(datastore.updateDraft).toHaveBeenCalledWith('D1', { lastKnownPickCount: 1 });
+            const { blocks } = respond.mock.calls[0][0];
+            expect(blocks[1].elements[0].text).toBe(':arrows_counterclockwise: Resynced draft `D1` to 1 pick.');
+            expect(blocks[2].text.text).not.toContain(':warning:');
+        });
+
+        it("posts the last pick to the draft's channel", async () => {
+            await press(DASHBOARD_ACTIONS.POST_LAST_PICK);
+
+            expect(lastpick.generatePickMessagePayload).toHaveBeenCalledWith(draft, picks, data, false);
+            expect(client.chat.postMessage).toHaveBeenCalledWith({ channel: 'C1', text: 'Last pick', blocks: [] });
+            expect(respond.mock.calls[0][0].blocks[1].elements[0].text).toBe(':mega: Posted the last pick of draft `D1` to <#C1>.');
+        });
+
+        it("doesn't post when the draft has no picks yet", async () => {
+            sleeper.getDraftPicks.mockResolvedValue([]);
+
+            await press(DASHBOARD_ACTIONS.POST_LAST_PICK);
+
+            expect(client.chat.postMessage).not.toHaveBeenCalled();
+            expect(respond.mock.calls[0][0].blocks[1].elements[0].text).toBe(':hourglass_flowing_sand: Draft `D1` has no picks to post yet.');
+        });
+
+        it('notes drafts that were unregistered elsewhere', async () => {
+            await press(DASHBOARD_ACTIONS.RESYNC, 'D9');
+
+            expect(datastore.updateDraft).not.toHaveBeenCalled();
+            expect(respond.mock.calls[0][0].blocks[1].elements[0].text).toBe(':information_source: Draft `D9` is no longer registered.');
+        });
+
+        it('reports failed actions on the redrawn dashboard', async () => {
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            datastore.deleteDraft.mockRejectedValue(new Error('DynamoDB error'));
+
+            await press(DASHBOARD_ACTIONS.UNREGISTER);
+
+            expect(respond.mock.calls[0][0].blocks[1].elements[0].text).toBe(':x: Sorry, that didn\'t work for draft `D1`. Please try again.');
+            error.mockRestore();
+        });
+    });
+});
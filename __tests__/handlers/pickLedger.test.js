@@ -0,0 +1,83 @@
+const { handlePicksCommand, handlePickLedgerCommand } = require('../../handlers/pickLedger.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+
+describe('pick ledger commands', () => {
+    const league = { league_id: 'L1', name: 'Dynasty', season: '2026', status: 'complete', settings: { draft_rounds: 1 } };
+    const command = { channel_id: 'C1' };
+    let say;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        datastore.getLeaguesByChannel.mockResolvedValue([{ leagueId: 'L1', leagueName: 'Dynasty' }]);
+        datastore.getAllPlayers.mockResolvedValue([{ sleeperId: 'u2', slackMemberId: 'U0000000002' }]);
+        sleeper.getLeague.mockResolvedValue(league);
+        sleeper.getLeagueRosters.mockResolvedValue([{ roster_id: 1, owner_id: 'u1' }, { roster_id: 2, owner_id: 'u2' }]);
+        sleeper.getLeagueUsers.mockResolvedValue([
+            { user_id: 'u1', display_name: 'alice', metadata: { team_name: 'Alpha Dogs' } },
+            { user_id: 'u2', display_name: 'bob' }
+        ]);
+        sleeper.getLeagueTradedPicks.mockResolvedValue([{ season: '2027', round: 1, roster_id: 1, owner_id: 2 }]);
+    });
+
+    describe('picks', () => {
+        it("shows a team's picks by name", async () => {
+            await handlePicksCommand({ command: { ...command, text: 'alpha' }, say });
+
+            expect(say).toHaveBeenCalledWith(
+                ":ticket: *Alpha Dogs's picks* (Dynasty)\n" +
+                '*2027:* _No picks_  _traded away: 1st to bob_\n' +
+                '*2028:* 1st\n' +
+                '*2029:* 1st'
+            );
+        });
+
+        it('finds the team of a mentioned Slack user', async () => {
+            await handlePicksCommand({ command: { ...command, text: '<@U0000000002>' }, say });
+
+            expect(say).toHaveBeenCalledWith(expect.stringContaining("*bob's picks* (Dynasty)\n*2027:* 1st · 1st (via Alpha Dogs)"));
+        });
+
+        it('explains unregistered mentions and unknown teams', async () => {
+            await handlePicksCommand({ command: { ...command, text: '<@U0000000009>' }, say });
+            expect(say).toHaveBeenLastCalledWith(expect.stringContaining("<@U0000000009> isn't registered to a Sleeper user yet."));
+
+            await handlePicksCommand({ command: { ...command, text: 'nobody' }, say });
+            expect(say).toHaveBeenLastCalledWith(':mag: I couldn\'t find a team matching "nobody" in this channel\'s league.');
+        });
+
+        it('needs a team and a registered league', async () => {
+            await handlePicksCommand({ command: { ...command, text: ' ' }, say });
+            expect(say).toHaveBeenLastCalledWith(expect.stringContaining('Usage: `@YourBotName picks [team or @user]`'));
+
+            datastore.getLeaguesByChannel.mockResolvedValue([]);
+            await handlePicksCommand({ command: { ...command, text: 'bob' }, say });
+            expect(say).toHaveBeenLastCalledWith(expect.stringContaining('There is no league registered for this channel.'));
+        });
+    });
+
+    describe('pick ledger', () => {
+        it("lists every team's picks", async () => {
+            await handlePickLedgerCommand({ command, say });
+
+            const message = say.mock.calls[0][0];
+            expect(message.text).toBe('Dynasty pick ledger: 2027-2029');
+            expect(message.blocks[1].elements[0].text).toBe('Future picks for 2027, 2028, 2029, rounds 1-1, following every trade.');
+            expect(message.blocks.slice(2).map(block => block.text.text.split('\n')[0])).toEqual(['*Alpha Dogs*', '*bob*']);
+        });
+
+        it('reports Sleeper errors', async () => {
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            sleeper.getLeagueTradedPicks.mockRejectedValue(new Error('Sleeper down'));
+
+            await handlePickLedgerCommand({ command, say });
+
+            expect(say).toHaveBeenCalledWith(":x: Sorry, I couldn't load the traded picks from Sleeper. Please try again later.");
+            errorSpy.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,61 @@
+const { handleImportRankingsCommand } = require('../../handlers/rankings.js');
+const sleeper = require('../../services/sleeper.js');
+const { importRankings } = require('../../services/draftGrades.js');
+
+jest.mock('../../services/sleeper.js');
+jest.mock('../../services/draftGrades.js');
+
+describe('handleImportRankingsCommand', () => {
+    let say;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        sleeper.getNflState.mockResolvedValue({ season: '2026' });
+        importRankings.mockResolvedValue({ imported: 2, unmatched: [] });
+    });
+
+    it('imports the pasted rankings for the current season', async () => {
+        await handleImportRankingsCommand({ command: { text: '1, Bijan Robinson\n2, Puka Nacua' }, say });
+
+        expect(importRankings).toHaveBeenCalledWith('2026', '1, Bijan Robinson\n2, Puka Nacua');
+        expect(say).toHaveBeenCalledWith(':white_check_mark: Imported 2 player rankings for 2026. Draft report cards for 2026 will be graded against them.');
+    });
+
+    it('imports for the season given on the command line', async () => {
+        await handleImportRankingsCommand({ command: { text: '2027\n1, Bijan Robinson' }, say });
+
+        expect(sleeper.getNflState).not.toHaveBeenCalled();
+        expect(importRankings).toHaveBeenCalledWith('2027', '1, Bijan Robinson');
+    });
+
+    it('lists the names it could not match', async () => {
+        importRankings.mockResolvedValue({ imported: 1, unmatched: ['Nobody', 'Someone'] });
+
+        await handleImportRankingsCommand({ command: { text: 'Bijan Robinson\nNobody\nSomeone' }, say });
+
+        expect(say).toHaveBeenCalledWith(expect.stringContaining(":warning: I couldn't find Nobody, Someone."));
+    });
+
+    it('explains the format when nothing is pasted or nothing matches', async () => {
+        await handleImportRankingsCommand({ command: { text: '2026' }, say });
+        expect(importRankings).not.toHaveBeenCalled();
+        expect(say).toHaveBeenLastCalledWith(expect.stringContaining('Please paste the rankings below the command'));
+        // The command only works in a DM, so the example has no mention
+        expect(say).toHaveBeenLastCalledWith(expect.stringContaining('```import rankings\n'));
+
+        importRankings.mockResolvedValue({ imported: 0, unmatched: ['Nobody'] });
+        await handleImportRankingsCommand({ command: { text: 'Nobody' }, say });
+        expect(say).toHaveBeenLastCalledWith(expect.stringContaining("the 2026 rankings weren't changed"));
+    });
+
+    it('reports errors', async () => {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        importRankings.mockRejectedValue(new Error('DynamoDB error'));
+
+        await handleImportRankingsCommand({ command: { text: 'Bijan Robinson' }, say });
+
+        expect(say).toHaveBeenCalledTimes(1);
+        error.mockRestore();
+    });
+});
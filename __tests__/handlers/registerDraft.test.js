@@ -1,11 +1,15 @@
 const { handleRegisterDraftCommand } = require('../../handlers/registerDraft.js');
 const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
 
 // Mock the datastore service
 jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
 jest.mock('../../shared/inputValidation.js');
+jest.mock('../../services/leagueDrafts.js');
 
-const { parseDraftId } = require('../../shared/inputValidation.js');
+const { parseDraftId, parseLeagueId } = require('../../shared/inputValidation.js');
+const { registerLeagueDrafts } = require('../../services/leagueDrafts.js');
 
 describe('handleRegisterDraftCommand', () => {
     let say;
@@ -32,7 +36,7 @@ describe('handleRegisterDraftCommand', () => {
         await handleRegisterDraftCommand({ command, say });
 
         // Verify that the draft was saved correctly
-        expect(datastore.saveDraft).toHaveBeenCalledWith('new_draft_123', 'C12345', 0);
+        expect(datastore.saveDraft).toHaveBeenCalledWith('new_draft_123', 'C12345', 0, {});
 
         // Verify the confirmation message was sent
         expect(say).toHaveBeenCalledWith(expect.stringContaining('Successfully registered draft'));
@@ -54,4 +58,75 @@ describe('handleRegisterDraftCommand', () => {
         // Verify the correct error message was sent
         expect(say).toHaveBeenCalledWith('Please provide a Sleeper Draft ID. Example: `@YourBotName register draft 987654321`');
     });
+
+    it('should remember the draft status and confirm a scheduled start', async () => {
+        const command = { text: 'new_draft_123', channel_id: 'C12345' };
+        parseDraftId.mockReturnValue({ isValid: true, draftId: 'new_draft_123' });
+        datastore.getData.mockResolvedValue({ player_map: {}, drafts: {} });
+        sleeper.getDraft.mockResolvedValue({ status: 'pre_draft', start_time: 1767225600000 });
+
+        await handleRegisterDraftCommand({ command, say });
+
+        expect(datastore.saveDraft).toHaveBeenCalledWith('new_draft_123', 'C12345', 0, { lastSeenStatus: 'pre_draft' });
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('scheduled to start <!date^1767225600^'));
+    });
+
+    it('should still register the draft if Sleeper is unavailable', async () => {
+        const command = { text: 'new_draft_123', channel_id: 'C12345' };
+        parseDraftId.mockReturnValue({ isValid: true, draftId: 'new_draft_123' });
+        datastore.getData.mockResolvedValue({ player_map: {}, drafts: {} });
+        sleeper.getDraft.mockRejectedValue(new Error('Sleeper is down'));
+
+        await handleRegisterDraftCommand({ command, say });
+
+        expect(datastore.saveDraft).toHaveBeenCalledWith('new_draft_123', 'C12345', 0, {});
+        expect(say).toHaveBeenCalledWith(expect.not.stringContaining('scheduled'));
+    });
+
+    describe('for league', () => {
+        const command = { text: ' for league 555', channel_id: 'C12345' };
+
+        beforeEach(() => {
+            parseLeagueId.mockReturnValue({ isValid: true, leagueId: '555' });
+            sleeper.getLeague.mockResolvedValue({ league_id: '555', name: 'UKFF' });
+        });
+
+        it("registers the league's upcoming draft", async () => {
+            registerLeagueDrafts.mockResolvedValue({
+                registered: [{ draft_id: '111', status: 'pre_draft', start_time: 1767225600000, metadata: { name: 'UKFF 2026' } }],
+                existing: [
+                    { draft_id: '222', metadata: { name: 'Rookies' }, slackChannelId: 'C12345' },
+                    { draft_id: '333', metadata: { name: 'Startup' }, slackChannelId: 'C999' }
+                ]
+            });
+
+            await handleRegisterDraftCommand({ command, say });
+
+            expect(parseLeagueId).toHaveBeenCalledWith(' 555');
+            expect(parseDraftId).not.toHaveBeenCalled();
+            expect(registerLeagueDrafts).toHaveBeenCalledWith('555', 'C12345');
+            expect(say).toHaveBeenCalledWith(
+                ':white_check_mark: Registered *UKFF 2026* (`111`) from *UKFF* to this channel. It starts <!date^1767225600^{date_long_pretty} at {time}|2026-01-01T00:00:00.000Z>.\n' +
+                ':information_source: *Rookies* (`222`) is already registered to this channel.\n' +
+                ':information_source: *Startup* (`333`) is already registered to <#C999>.'
+            );
+        });
+
+        it('says when the league has no upcoming draft', async () => {
+            registerLeagueDrafts.mockResolvedValue({ registered: [], existing: [] });
+
+            await handleRegisterDraftCommand({ command, say });
+
+            expect(say).toHaveBeenCalledWith(expect.stringContaining("*UKFF* doesn't have an upcoming draft yet."));
+        });
+
+        it('reports an unknown league', async () => {
+            sleeper.getLeague.mockResolvedValue(null);
+
+            await handleRegisterDraftCommand({ command, say });
+
+            expect(say).toHaveBeenCalledWith(':x: League `555` not found. Please check the league ID and try again.');
+            expect(registerLeagueDrafts).not.toHaveBeenCalled();
+        });
+    });
 });
\ No newline at end of file
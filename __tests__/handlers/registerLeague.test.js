@@ -1,11 +1,13 @@
 const { handleRegisterLeagueCommand } = require('../../handlers/registerLeague');
 const { getLeague } = require('../../services/sleeper');
 const { saveLeague, getLeaguesByChannel } = require('../../services/datastore');
+const { registerLeagueDrafts } = require('../../services/leagueDrafts');
 
 // Mock the dependencies
 jest.mock('../../services/sleeper');
 jest.mock('../../services/datastore');
 jest.mock('../../shared/messages');
+jest.mock('../../services/leagueDrafts');
 
 describe('registerLeague handler', () => {
     let mockSay;
@@ -42,7 +44,8 @@ describe('registerLeague handler', () => {
         // Verify
         expect(getLeaguesByChannel).toHaveBeenCalledWith('C1234567890');
         expect(getLeague).toHaveBeenCalledWith('123456789');
-        expect(saveLeague).toHaveBeenCalledWith('123456789', 'C1234567890', mockLeagueData);
+        expect(saveLeague).toHaveBeenCalledWith('123456789', 'C1234567890', mockLeagueData, { autoDrafts: false });
+        expect(registerLeagueDrafts).not.toHaveBeenCalled();
         expect(mockSay).toHaveBeenCalledWith({
             text: expect.stringContaining('Successfully registered league'),
             blocks: expect.arrayContaining([
@@ -139,4 +142,62 @@ describe('registerLeague handler', () => {
         expect(getLeague).not.toHaveBeenCalled();
         expect(saveLeague).not.toHaveBeenCalled();
     });
+
+    describe('with drafts', () => {
+        const mockLeagueData = {
+            league_id: '123456789',
+            name: 'Test League',
+            season: '2025',
+            sport: 'nfl',
+            total_rosters: 12,
+            status: 'pre_draft'
+        };
+        const command = { text: '123456789 with drafts', channel_id: 'C1234567890' };
+        const draftsText = () => mockSay.mock.calls[0][0].blocks[mockSay.mock.calls[0][0].blocks.length - 1].text.text;
+
+        beforeEach(() => {
+            getLeague.mockResolvedValue(mockLeagueData);
+            saveLeague.mockResolvedValue();
+        });
+
+        test('registers the league and its upcoming drafts', async () => {
+            getLeaguesByChannel.mockResolvedValue([]);
+            registerLeagueDrafts.mockResolvedValue({ registered: [{ draft_id: '111' }], existing: [] });
+
+            await handleRegisterLeagueCommand({ command, say: mockSay });
+
+            expect(saveLeague).toHaveBeenCalledWith('123456789', 'C1234567890', mockLeagueData, { autoDrafts: true });
+            expect(registerLeagueDrafts).toHaveBeenCalledWith('123456789', 'C1234567890');
+            expect(draftsText()).toBe(
+                '*Drafts*\nRegistered draft `111` to this channel.\n' +
+                "When the league rolls over to a new season I'll pick up that season's draft too."
+            );
+        });
+
+        test('names the channel a draft is already registered to', async () => {
+            getLeaguesByChannel.mockResolvedValue([]);
+            registerLeagueDrafts.mockResolvedValue({
+                registered: [],
+                existing: [{ draft_id: '111', slackChannelId: 'C1234567890' }, { draft_id: '222', slackChannelId: 'C999' }]
+            });
+
+            await handleRegisterLeagueCommand({ command, say: mockSay });
+
+            expect(draftsText()).toBe(
+                '*Drafts*\nDraft `111` was already registered here.\n' +
+                'Draft `222` is already registered to <#C999>, so its picks will keep posting there.\n' +
+                "When the league rolls over to a new season I'll pick up that season's draft too."
+            );
+        });
+
+        test('turns drafts on for a league registered without them', async () => {
+            getLeaguesByChannel.mockResolvedValue([{ leagueId: '123456789', leagueName: 'Test League' }]);
+            registerLeagueDrafts.mockResolvedValue({ registered: [], existing: [] });
+
+            await handleRegisterLeagueCommand({ command, say: mockSay });
+
+            expect(saveLeague).toHaveBeenCalledWith('123456789', 'C1234567890', mockLeagueData, { autoDrafts: true });
+            expect(draftsText()).toContain("The league has no upcoming draft yet. I'll register it here once Sleeper creates it.");
+        });
+    });
 });
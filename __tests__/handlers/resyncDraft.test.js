@@ -0,0 +1,68 @@
+const { handleResyncDraftCommand } = require('../../handlers/resyncDraft.js');
+const datastore = require('../../services/datastore.js');
+const { resyncDraft } = require('../../services/pickCounter.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/pickCounter.js');
+
+describe('handleResyncDraftCommand', () => {
+    const client = { chat: { postMessage: jest.fn() } };
+    let say;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        datastore.getData.mockResolvedValue({ drafts: { D1: { slack_channel_id: 'C1', last_known_pick_count: 1 } } });
+        resyncDraft.mockResolvedValue({ previousCount: 1, currentCount: 3, replayed: 0 });
+    });
+
+    it('resets the counter and says how many picks were skipped', async () => {
+        await handleResyncDraftCommand({ command: { text: 'D1' }, say, client });
+
+        expect(resyncDraft).toHaveBeenCalledWith(client, 'D1', { slack_channel_id: 'C1', last_known_pick_count: 1 }, expect.any(Object), { replay: false });
+        expect(say).toHaveBeenCalledWith(':arrows_counterclockwise: Resynced draft `D1`: my pick counter went from 1 to 3. The 2 missed picks were skipped.');
+    });
+
+    it('replays the missed picks when asked', async () => {
+        resyncDraft.mockResolvedValue({ previousCount: 1, currentCount: 3, replayed: 2 });
+
+        await handleResyncDraftCommand({ command: { text: 'D1 replay' }, say, client });
+
+        expect(resyncDraft).toHaveBeenCalledWith(client, 'D1', expect.any(Object), expect.any(Object), { replay: true });
+        expect(say).toHaveBeenCalledWith(':arrows_counterclockwise: Resynced draft `D1`: my pick counter went from 1 to 3. I posted the 2 missed picks to <#C1>.');
+    });
+
+    it('says when the draft was already in sync', async () => {
+        resyncDraft.mockResolvedValue({ previousCount: 3, currentCount: 3, replayed: 0 });
+
+        await handleResyncDraftCommand({ command: { text: 'D1' }, say, client });
+
+        expect(say).toHaveBeenCalledWith(':white_check_mark: Draft `D1` was already in sync at 3 picks.');
+    });
+
+    it('shows usage without a draft ID or with an unknown option', async () => {
+        await handleResyncDraftCommand({ command: { text: '' }, say, client });
+        await handleResyncDraftCommand({ command: { text: 'D1 everything' }, say, client });
+
+        expect(say).toHaveBeenCalledTimes(2);
+        expect(say).toHaveBeenCalledWith(expect.stringContaining('Usage: `resync draft [draft_id]`'));
+        expect(resyncDraft).not.toHaveBeenCalled();
+    });
+
+    it('rejects drafts that are not registered', async () => {
+        await handleResyncDraftCommand({ command: { text: 'D9' }, say, client });
+
+        expect(say).toHaveBeenCalledWith("Draft `D9` isn't registered. DM me `list drafts` to see the registered drafts.");
+        expect(resyncDraft).not.toHaveBeenCalled();
+    });
+
+    it('reports errors', async () => {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        resyncDraft.mockRejectedValue(new Error('Sleeper down'));
+
+        await handleResyncDraftCommand({ command: { text: 'D1' }, say, client });
+
+        expect(say).toHaveBeenCalledTimes(1);
+        error.mockRestore();
+    });
+});
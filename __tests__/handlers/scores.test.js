@@ -0,0 +1,94 @@
+const { handleScoresCommand } = require('../../handlers/scores.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+const { loadScoreboard } = require('../../services/scoreboard.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../services/scoreboard.js', () => ({
+    ...jest.requireActual('../../services/scoreboard.js'),
+    loadScoreboard: jest.fn()
+}));
+
+describe('handleScoresCommand', () => {
+    let say;
+    let client;
+    const scoreboard = {
+        leagueId: 'L1',
+        leagueName: 'Dynasty',
+        week: 7,
+        games: [{ matchupId: 1, teams: [{ rosterId: 1, name: 'Alpha', points: 100 }, { rosterId: 2, name: 'bob', points: 90 }] }],
+        unpaired: []
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        client = { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true, ts: '123.456' }) } };
+        datastore.getLeaguesByChannel.mockResolvedValue([{ leagueId: 'L1', slackChannelId: 'C1' }]);
+        datastore.saveLiveScoreboard.mockResolvedValue();
+        sleeper.getNflState.mockResolvedValue({ season: '2026', week: 7, season_type: 'regular' });
+        sleeper.getNflSchedule.mockResolvedValue([{ status: 'final' }, { status: 'in_progress' }, { status: 'scheduled' }]);
+        loadScoreboard.mockResolvedValue(scoreboard);
+    });
+
+    it("posts this week's scoreboard", async () => {
+        await handleScoresCommand({ command: { channel_id: 'C1', text: '' }, say, client });
+
+        expect(loadScoreboard).toHaveBeenCalledWith('L1', 7);
+        expect(say).toHaveBeenCalledWith(expect.objectContaining({ text: 'Dynasty · Week 7 Scoreboard' }));
+        expect(say.mock.calls[0][0].blocks[2].elements[0].text).toBe('1 of 3 NFL games final');
+        expect(datastore.saveLiveScoreboard).not.toHaveBeenCalled();
+    });
+
+    it('posts a live scoreboard and remembers it', async () => {
+        await handleScoresCommand({ command: { channel_id: 'C1', text: 'live' }, say, client });
+
+        expect(client.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C1', text: 'Dynasty · Week 7 Scoreboard' }));
+        expect(datastore.saveLiveScoreboard).toHaveBeenCalledWith({ leagueId: 'L1', channelId: 'C1', ts: '123.456', season: '2026', week: 7, finalGames: 1 });
+    });
+
+    it("doesn't follow a week that is already over", async () => {
+        sleeper.getNflSchedule.mockResolvedValue([{ status: 'final' }, { status: 'final' }]);
+
+        await handleScoresCommand({ command: { channel_id: 'C1', text: 'live' }, say, client });
+
+        expect(client.chat.postMessage).not.toHaveBeenCalled();
+        expect(say).toHaveBeenCalledWith(expect.objectContaining({ text: 'Dynasty · Week 7 Scoreboard' }));
+        expect(say).toHaveBeenLastCalledWith(expect.stringContaining('no more scores to follow live'));
+    });
+
+    it('still posts scores without the NFL schedule, but not live ones', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        sleeper.getNflSchedule.mockRejectedValue(new Error('ESPN down'));
+
+        await handleScoresCommand({ command: { channel_id: 'C1', text: '' }, say, client });
+        expect(say.mock.calls[0][0].blocks).toHaveLength(2);
+
+        await handleScoresCommand({ command: { channel_id: 'C1', text: 'live' }, say, client });
+        expect(say).toHaveBeenLastCalledWith(expect.stringContaining("I couldn't load this week's NFL games"));
+        warn.mockRestore();
+    });
+
+    it('explains when there is no league or no football', async () => {
+        datastore.getLeaguesByChannel.mockResolvedValue([]);
+        await handleScoresCommand({ command: { channel_id: 'C1', text: '' }, say, client });
+        expect(say).toHaveBeenLastCalledWith(expect.stringContaining('There is no league registered for this channel'));
+
+        datastore.getLeaguesByChannel.mockResolvedValue([{ leagueId: 'L1' }]);
+        sleeper.getNflState.mockResolvedValue({ season: '2026', week: 0, season_type: 'off' });
+        await handleScoresCommand({ command: { channel_id: 'C1', text: '' }, say, client });
+        expect(say).toHaveBeenLastCalledWith(expect.stringContaining('off-season'));
+    });
+
+    it('shows usage for unknown options and reports errors', async () => {
+        await handleScoresCommand({ command: { channel_id: 'C1', text: 'tomorrow' }, say, client });
+        expect(say).toHaveBeenLastCalledWith(expect.stringContaining('Usage: `@YourBotName scores`'));
+
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        loadScoreboard.mockRejectedValue(new Error('Sleeper down'));
+        await handleScoresCommand({ command: { channel_id: 'C1', text: '' }, say, client });
+        expect(say).toHaveBeenLastCalledWith(':x: Sorry, I couldn\'t load the scores from Sleeper. Please try again later.');
+        error.mockRestore();
+    });
+});
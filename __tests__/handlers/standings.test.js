@@ -0,0 +1,89 @@
+const { handleStandingsCommand, handlePowerRankingsCommand } = require('../../handlers/standings.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+
+describe('standings handlers', () => {
+    let say;
+    const command = { channel_id: 'C1', text: '' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        datastore.getLeaguesByChannel.mockResolvedValue([{ leagueId: 'L1', slackChannelId: 'C1' }]);
+        sleeper.getNflState.mockResolvedValue({ season: '2026', week: 3 });
+        sleeper.getLeague.mockResolvedValue({ league_id: 'L1', name: 'Dynasty', season: '2026', status: 'in_season', settings: { playoff_teams: 1 } });
+        sleeper.getLeagueRosters.mockResolvedValue([
+            { roster_id: 1, owner_id: 'u1', settings: { wins: 2, losses: 0, fpts: 250 } },
+            { roster_id: 2, owner_id: 'u2', settings: { wins: 0, losses: 2, fpts: 200 } }
+        ]);
+        sleeper.getLeagueUsers.mockResolvedValue([{ user_id: 'u1', display_name: 'alice' }, { user_id: 'u2', display_name: 'bob' }]);
+        sleeper.getLeagueMatchups.mockResolvedValue([{ roster_id: 1, matchup_id: 1, points: 125 }, { roster_id: 2, matchup_id: 1, points: 100 }]);
+    });
+
+    describe('handleStandingsCommand', () => {
+        it('posts the standings table', async () => {
+            await handleStandingsCommand({ command, say });
+
+            expect(say).toHaveBeenCalledWith(expect.objectContaining({ text: 'Dynasty Standings' }));
+            expect(say.mock.calls[0][0].blocks[2].rows[1].map(cell => cell.text)).toEqual(['1*', 'alice', '2-0', '250.00', '0.00']);
+        });
+
+        it('explains when there is no league', async () => {
+            datastore.getLeaguesByChannel.mockResolvedValue([]);
+            await handleStandingsCommand({ command, say });
+            expect(say).toHaveBeenCalledWith(expect.stringContaining('There is no league registered for this channel'));
+
+            datastore.getLeaguesByChannel.mockResolvedValue([{ leagueId: 'gone' }]);
+            sleeper.getLeague.mockResolvedValue(null);
+            await handleStandingsCommand({ command, say });
+            expect(say).toHaveBeenLastCalledWith('Could not find league `gone` on Sleeper.');
+        });
+
+        it('reports errors', async () => {
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            sleeper.getLeagueRosters.mockRejectedValue(new Error('Sleeper down'));
+
+            await handleStandingsCommand({ command, say });
+
+            expect(say).toHaveBeenCalledWith(':x: Sorry, I couldn\'t load the standings from Sleeper. Please try again later.');
+            error.mockRestore();
+        });
+    });
+
+    describe('handlePowerRankingsCommand', () => {
+        it('posts power rankings through the last completed week', async () => {
+            await handlePowerRankingsCommand({ command, say });
+
+            expect(sleeper.getLeagueMatchups).toHaveBeenCalledTimes(2);
+            expect(say).toHaveBeenCalledWith(expect.objectContaining({ text: 'Dynasty Power Rankings · Through Week 2' }));
+            expect(say.mock.calls[0][0].blocks[2].rows[1][1].text).toBe('alice');
+        });
+
+        it('waits for the first week of games', async () => {
+            sleeper.getNflState.mockResolvedValue({ season: '2026', week: 1 });
+
+            await handlePowerRankingsCommand({ command, say });
+
+            expect(say).toHaveBeenCalledWith(':zzz: Dynasty hasn\'t finished a week of games yet, so there\'s nothing to rank.');
+        });
+
+        it('explains when there is no league and reports errors', async () => {
+            datastore.getLeaguesByChannel.mockResolvedValueOnce([]);
+            await handlePowerRankingsCommand({ command, say });
+            expect(say).toHaveBeenCalledWith(expect.stringContaining('There is no league registered for this channel'));
+
+            sleeper.getLeague.mockResolvedValueOnce(null);
+            await handlePowerRankingsCommand({ command, say });
+            expect(say).toHaveBeenLastCalledWith('Could not find league `L1` on Sleeper.');
+
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            sleeper.getLeagueMatchups.mockRejectedValue(new Error('Sleeper down'));
+            await handlePowerRankingsCommand({ command, say });
+            expect(say).toHaveBeenLastCalledWith(':x: Sorry, I couldn\'t work out the power rankings from Sleeper. Please try again later.');
+            error.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,143 @@
+const { handleWatchCommand, handleUnwatchCommand, handleMyWatchlistCommand } = require('../../handlers/watchlist.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+const nflDataCache = require('../../services/nflDataCache.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../services/nflDataCache.js');
+
+describe('watchlist commands', () => {
+    const bijan = { player_id: '9509', full_name: 'Bijan Robinson', position: 'RB', team: 'ATL', search_rank: 2 };
+    const chase = { player_id: '7564', full_name: "Ja'Marr Chase", position: 'WR', team: 'CIN', search_rank: 1 };
+    const command = (text) => ({ text, channel_id: 'C123', user_id: 'U1' });
+    let say;
+    let client;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        say = jest.fn();
+        client = { chat: { postEphemeral: jest.fn().mockResolvedValue({ ok: true }) } };
+        datastore.getData.mockResolvedValue({ drafts: { draft123: { slack_channel_id: 'C123' } } });
+        datastore.getWatchlist.mockResolvedValue([]);
+        datastore.saveWatchlist.mockResolvedValue();
+        sleeper.getDraftPicks.mockResolvedValue([]);
+        nflDataCache.findPlayersByName.mockResolvedValue([bijan]);
+    });
+
+    const lastReply = () => client.chat.postEphemeral.mock.calls.at(-1)[0].text;
+
+    describe('watch', () => {
+        it('adds the player and replies privately', async () => {
+            await handleWatchCommand({ command: command('bijan'), say, client });
+
+            expect(datastore.saveWatchlist).toHaveBeenCalledWith('draft123', 'U1', ['9509']);
+            expect(client.chat.postEphemeral).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C123', user: 'U1' }));
+            expect(lastReply()).toBe(":eyes: Added *Bijan Robinson* (RB - ATL) to your watchlist. I'll DM you if they're drafted.");
+            expect(say).not.toHaveBeenCalled();
+        });
+
+        it('picks the best ranked of several players with the same name', async () => {
+            nflDataCache.findPlayersByName.mockResolvedValue([
+                { player_id: '4984', full_name: 'Josh Allen', position: 'QB', team: 'BUF' },
+                { player_id: '4040', full_name: 'Josh Allen', position: 'LB', team: 'JAX' }
+            ]);
+
+            await handleWatchCommand({ command: command('josh allen'), say, client });
+
+            expect(datastore.saveWatchlist).toHaveBeenCalledWith('draft123', 'U1', ['4984']);
+        });
+
+        it('asks which player was meant when the name is ambiguous', async () => {
+            nflDataCache.findPlayersByName.mockResolvedValue([chase, bijan]);
+
+            await handleWatchCommand({ command: command('b'), say, client });
+
+            expect(lastReply()).toContain('matches more than one player');
+            expect(lastReply()).toContain("*Ja'Marr Chase* (WR - CIN)");
+            expect(datastore.saveWatchlist).not.toHaveBeenCalled();
+        });
+
+        it('rejects unknown, drafted and already watched players', async () => {
+            nflDataCache.findPlayersByName.mockResolvedValueOnce([]);
+            await handleWatchCommand({ command: command('nobody'), say, client });
+            expect(lastReply()).toContain("couldn't find a player");
+
+            sleeper.getDraftPicks.mockResolvedValueOnce([{ player_id: '9509' }]);
+            await handleWatchCommand({ command: command('bijan'), say, client });
+            expect(lastReply()).toContain('has already been drafted');
+
+            datastore.getWatchlist.mockResolvedValueOnce(['9509']);
+            await handleWatchCommand({ command: command('bijan'), say, client });
+            expect(lastReply()).toContain('is already on your watchlist');
+
+            expect(datastore.saveWatchlist).not.toHaveBeenCalled();
+        });
+
+        it('explains usage without a name and needs a registered draft', async () => {
+            await handleWatchCommand({ command: command(''), say, client });
+            expect(lastReply()).toContain('watch Bijan Robinson');
+
+            await handleWatchCommand({ command: { ...command('bijan'), channel_id: 'C999' }, say, client });
+            expect(lastReply()).toContain('There is no draft registered for this channel');
+        });
+
+        it('falls back to a channel reply without a client', async () => {
+            await handleWatchCommand({ command: command('bijan'), say });
+
+            expect(say).toHaveBeenCalledWith(expect.stringContaining('Added *Bijan Robinson*'));
+        });
+
+        it('reports datastore errors', async () => {
+            datastore.saveWatchlist.mockRejectedValue(new Error('DynamoDB down'));
+
+            await handleWatchCommand({ command: command('bijan'), say, client });
+
+            expect(lastReply()).toContain('error updating my configuration');
+        });
+    });
+
+    describe('unwatch', () => {
+        it('removes a watched player', async () => {
+            datastore.getWatchlist.mockResolvedValue(['7564', '9509']);
+
+            await handleUnwatchCommand({ command: command('bijan'), say, client });
+
+            expect(datastore.saveWatchlist).toHaveBeenCalledWith('draft123', 'U1', ['7564']);
+            expect(lastReply()).toBe(':white_check_mark: Removed *Bijan Robinson* (RB - ATL) from your watchlist.');
+        });
+
+        it('clears the whole watchlist with "all"', async () => {
+            datastore.getWatchlist.mockResolvedValue(['7564', '9509']);
+
+            await handleUnwatchCommand({ command: command('all'), say, client });
+
+            expect(datastore.saveWatchlist).toHaveBeenCalledWith('draft123', 'U1', []);
+        });
+
+        it('says when the player is not being watched', async () => {
+            await handleUnwatchCommand({ command: command('bijan'), say, client });
+
+            expect(lastReply()).toBe('"bijan" isn\'t on your watchlist.');
+            expect(datastore.saveWatchlist).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('my watchlist', () => {
+        it('lists watched players and strikes through drafted ones', async () => {
+            datastore.getWatchlist.mockResolvedValue(['7564', '9509']);
+            nflDataCache.getPlayersFromCacheOrFetch.mockResolvedValue({ 7564: chase, 9509: bijan });
+            sleeper.getDraftPicks.mockResolvedValue([{ player_id: '7564' }]);
+
+            await handleMyWatchlistCommand({ command: command(''), say, client });
+
+            expect(lastReply()).toBe(":eyes: *Your watchlist for draft `draft123`:*\n• ~Ja'Marr Chase~ _drafted_\n• *Bijan Robinson* (RB - ATL)");
+        });
+
+        it('explains how to add players when empty', async () => {
+            await handleMyWatchlistCommand({ command: command(''), say, client });
+
+            expect(lastReply()).toContain('Your watchlist is empty');
+        });
+    });
+});
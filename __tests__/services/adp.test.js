@@ -0,0 +1,163 @@
+const { addDraftToAdp, recordDraftAdp, recordCompletedMockDrafts, rankAdp } = require('../../services/adp.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../shared/logger.js');
+
+describe('adp', () => {
+    const pick = (pickNo, playerId, lastName, position, extra = {}) => ({
+        pick_no: pickNo, player_id: playerId,
+        metadata: { first_name: 'P', last_name: lastName, position, team: 'NFL' },
+        ...extra
+    });
+    const draft = { draft_id: 'mock1', type: 'snake', season: '2026', status: 'complete', metadata: { name: 'Mock 1' } };
+    const picks = [pick(1, '1', 'One', 'RB'), pick(2, '2', 'Two', 'WR'), pick(3, '3', 'Kept', 'QB', { is_keeper: true })];
+    let mockApp;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockApp = { client: { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } } };
+        datastore.saveAdp.mockResolvedValue(true);
+        datastore.deleteMockDraft.mockResolvedValue();
+    });
+
+    describe('addDraftToAdp', () => {
+        it('starts a table from a draft, skipping keepers', () => {
+            const adp = addDraftToAdp(null, draft, picks);
+
+            expect(adp.draftIds).toEqual(['mock1']);
+            expect(adp.players).toEqual({
+                1: { name: 'P One', position: 'RB', team: 'NFL', count: 1, total: 1, min: 1, max: 1 },
+                2: { name: 'P Two', position: 'WR', team: 'NFL', count: 1, total: 2, min: 2, max: 2 }
+            });
+        });
+
+        it('accumulates totals and the pick range across drafts', () => {
+            const first = addDraftToAdp(null, draft, picks);
+            const second = addDraftToAdp(first, { draft_id: 'mock2' }, [pick(1, '2', 'Two', 'WR'), pick(5, '1', 'One', 'RB')]);
+
+            expect(second.draftIds).toEqual(['mock1', 'mock2']);
+            expect(second.players[1]).toEqual(expect.objectContaining({ count: 2, total: 6, min: 1, max: 5 }));
+            // The earlier table is left untouched
+            expect(first.players[1].count).toBe(1);
+        });
+    });
+
+    describe('rankAdp', () => {
+        const adp = {
+            players: {
+                a: { name: 'A', position: 'RB', count: 2, total: 7, min: 3, max: 4 },
+                b: { name: 'B', position: 'WR', count: 2, total: 3, min: 1, max: 2 },
+                c: { name: 'C', position: 'RB', count: 1, total: 2, min: 2, max: 2 }
+            }
+        };
+
+        it('orders players by average pick', () => {
+            expect(rankAdp(adp).map(player => [player.playerId, player.average])).toEqual([['b', 1.5], ['c', 2], ['a', 3.5]]);
+        });
+
+        it('can be limited to one position', () => {
+            expect(rankAdp(adp, 'RB').map(player => player.playerId)).toEqual(['c', 'a']);
+        });
+    });
+
+    describe('recordDraftAdp', () => {
+        it('adds the draft to its season table', async () => {
+            datastore.getAdp.mockResolvedValue({ draftIds: ['old'], players: {}, version: 4 });
+
+            await expect(recordDraftAdp(draft, picks)).resolves.toEqual({ recorded: true, season: '2026', draftCount: 2 });
+            expect(datastore.getAdp).toHaveBeenCalledWith('2026');
+            expect(datastore.saveAdp).toHaveBeenCalledWith('2026', expect.objectContaining({ draftIds: ['old', 'mock1'], version: 4 }));
+        });
+
+        it('rebuilds from the latest table when another draft saved it first', async () => {
+            datastore.getAdp
+                .mockResolvedValueOnce({ draftIds: ['old'], players: {}, version: 4 })
+                .mockResolvedValueOnce({ draftIds: ['old', 'other'], players: {}, version: 5 });
+            datastore.saveAdp.mockResolvedValueOnce(false);
+
+            await expect(recordDraftAdp(draft, picks)).resolves.toEqual({ recorded: true, season: '2026', draftCount: 3 });
+            expect(datastore.saveAdp).toHaveBeenCalledTimes(2);
+            expect(datastore.saveAdp).toHaveBeenLastCalledWith('2026', expect.objectContaining({ draftIds: ['old', 'other', 'mock1'], version: 5 }));
+        });
+
+        it('gives up when the table keeps changing', async () => {
+            datastore.getAdp.mockResolvedValue({ draftIds: ['old'], players: {}, version: 4 });
+            datastore.saveAdp.mockResolvedValue(false);
+
+            await expect(recordDraftAdp(draft, picks)).rejects.toThrow('The 2026 ADP table kept changing');
+            expect(datastore.saveAdp).toHaveBeenCalledTimes(3);
+        });
+
+        it('only counts a draft once and ignores auctions', async () => {
+            datastore.getAdp.mockResolvedValue({ draftIds: ['mock1'], players: {} });
+
+            await expect(recordDraftAdp(draft, picks)).resolves.toEqual({ recorded: false, season: '2026' });
+            await expect(recordDraftAdp({ ...draft, type: 'auction' }, picks)).resolves.toEqual({ recorded: false, season: '2026' });
+            expect(datastore.saveAdp).not.toHaveBeenCalled();
+        });
+
+        it('leaves rookie drafts out of the table', async () => {
+            datastore.getAdp.mockResolvedValue(null);
+
+            await expect(recordDraftAdp({ ...draft, settings: { player_type: 1 } }, picks)).resolves.toEqual({ recorded: false, season: '2026' });
+            expect(datastore.saveAdp).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recordCompletedMockDrafts', () => {
+        it('records completed mocks, drops their registration and tells the channel', async () => {
+            datastore.getMockDrafts.mockResolvedValue([
+                { draftId: 'mock1', slackChannelId: 'C1' },
+                { draftId: 'mock2', slackChannelId: 'C1' }
+            ]);
+            sleeper.getDraft.mockImplementation(async (draftId) => (draftId === 'mock1' ? draft : { ...draft, draft_id: 'mock2', status: 'drafting' }));
+            sleeper.getDraftPicks.mockResolvedValue(picks);
+            datastore.getAdp.mockResolvedValue(null);
+
+            await expect(recordCompletedMockDrafts(mockApp)).resolves.toBe(1);
+
+            expect(datastore.deleteMockDraft).toHaveBeenCalledTimes(1);
+            expect(datastore.deleteMockDraft).toHaveBeenCalledWith('mock1');
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'C1',
+                text: ':bar_chart: Mock draft *Mock 1* is complete. Its picks are now in the 2026 ADP, built from 1 draft.'
+            });
+        });
+
+        it('stops watching mocks that never finish', async () => {
+            const now = new Date('2026-08-20T12:00:00Z');
+            datastore.getMockDrafts.mockResolvedValue([
+                { draftId: 'stale', slackChannelId: 'C1', registeredAt: '2026-08-01T12:00:00Z' },
+                { draftId: 'fresh', slackChannelId: 'C1', registeredAt: '2026-08-15T12:00:00Z' }
+            ]);
+            sleeper.getDraft.mockImplementation(async (draftId) => ({ ...draft, draft_id: draftId, status: 'pre_draft', metadata: { name: draftId } }));
+
+            await expect(recordCompletedMockDrafts(mockApp, now)).resolves.toBe(0);
+
+            expect(datastore.deleteMockDraft).toHaveBeenCalledTimes(1);
+            expect(datastore.deleteMockDraft).toHaveBeenCalledWith('stale');
+            expect(datastore.saveAdp).not.toHaveBeenCalled();
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'C1',
+                text: ':hourglass: Mock draft *stale* still hasn\'t finished after 14 days, so I\'ve stopped watching it for ADP.'
+            });
+        });
+
+        it('keeps going when one mock draft fails', async () => {
+            datastore.getMockDrafts.mockResolvedValue([{ draftId: 'broken' }, { draftId: 'mock1' }]);
+            sleeper.getDraft.mockImplementation(async (draftId) => {
+                if (draftId === 'broken') throw new Error('Sleeper down');
+                return draft;
+            });
+            sleeper.getDraftPicks.mockResolvedValue(picks);
+            datastore.getAdp.mockResolvedValue(null);
+
+            await expect(recordCompletedMockDrafts(mockApp)).resolves.toBe(1);
+            expect(datastore.deleteMockDraft).toHaveBeenCalledWith('mock1');
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+    });
+});
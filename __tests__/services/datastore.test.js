@@ -22,7 +22,9 @@ jest.mock('@aws-sdk/lib-dynamodb', () => ({
     GetCommand: jest.fn(),
     PutCommand: jest.fn(),
     QueryCommand: jest.fn(),
-    ScanCommand: jest.fn()
+    ScanCommand: jest.fn(),
+    UpdateCommand: jest.fn(),
+    DeleteCommand: jest.fn()
 }));
 
 const {
@@ -32,11 +34,34 @@ const {
     savePlayer,
     getDraft,
     saveDraft,
+    deleteDraft,
+    updateDraft,
     getDraftsByChannel,
+    getWatchlist,
+    saveWatchlist,
+    getWatchlistsForDraft,
+    getPickOwners,
+    savePickOwners,
+    getTransactionMark,
+    saveTransactionMark,
+    saveLiveScoreboard,
+    getLiveScoreboards,
+    deleteLiveScoreboard,
+    saveMockDraft,
+    getMockDrafts,
+    deleteMockDraft,
+    getAdp,
+    saveAdp,
+    getRankings,
+    saveRankings,
+    saveLottery,
+    getLotteries,
     getLeaguesByChannel,
     updatePlayerSlackName,
     getAllPlayers,
     saveLeague,
+    addSeenLeagueDrafts,
+    deleteLeague,
     getLeague,
     getAllChannelsWithLeagues,
     saveNflByeWeeks,
@@ -45,7 +70,7 @@ const {
     getNflPlayers
 } = require('../../services/datastore.js');
 
-const { QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { PutCommand, QueryCommand, ScanCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
 
 describe('DynamoDB Datastore Service', () => {
 
@@ -234,6 +259,62 @@ describe('DynamoDB Datastore Service', () => {
 
             expect(mockSend).toHaveBeenCalledTimes(1);
         });
+
+        it('should store extra draft attributes without letting them override the keys', async () => {
+            mockSend.mockResolvedValue({});
+
+            await saveDraft('67890', 'C123456', 0, { lastSeenStatus: 'pre_draft', PK: 'OOPS' });
+
+            expect(PutCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Item: expect.objectContaining({ PK: 'DRAFT', SK: 'DRAFT#67890', lastSeenStatus: 'pre_draft' })
+            }));
+        });
+    });
+
+    describe('deleteDraft', () => {
+        it('deletes the draft item', async () => {
+            mockSend.mockResolvedValue({});
+
+            await deleteDraft('67890');
+
+            expect(DeleteCommand).toHaveBeenCalledWith(expect.objectContaining({ Key: { PK: 'DRAFT', SK: 'DRAFT#67890' } }));
+            expect(mockSend).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('updateDraft', () => {
+        it('sets only the given attributes on an existing draft', async () => {
+            mockSend.mockResolvedValue({});
+
+            await updateDraft('67890', { lastKnownPickCount: 12, reminderState: { pick_no: 13, stage: 1 } });
+
+            expect(UpdateCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Key: { PK: 'DRAFT', SK: 'DRAFT#67890' },
+                UpdateExpression: 'SET #f0 = :v0, #f1 = :v1',
+                ExpressionAttributeNames: { '#f0': 'lastKnownPickCount', '#f1': 'reminderState' },
+                ExpressionAttributeValues: { ':v0': 12, ':v1': { pick_no: 13, stage: 1 } },
+                ConditionExpression: 'attribute_exists(PK)'
+            }));
+            expect(mockSend).toHaveBeenCalledTimes(1);
+        });
+
+        it('does nothing when there is nothing to update', async () => {
+            await updateDraft('67890', {});
+
+            expect(mockSend).not.toHaveBeenCalled();
+        });
+
+        it('ignores drafts that were unregistered in the meantime', async () => {
+            mockSend.mockRejectedValue(Object.assign(new Error('gone'), { name: 'ConditionalCheckFailedException' }));
+
+            await expect(updateDraft('67890', { lastKnownPickCount: 1 })).resolves.toBeUndefined();
+        });
+
+        it('rethrows other errors', async () => {
+            mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+            await expect(updateDraft('67890', { lastKnownPickCount: 1 })).rejects.toThrow('DynamoDB error');
+        });
     });
 
     describe('getDraftsByChannel', () => {
@@ -332,6 +413,195 @@ describe('DynamoDB Datastore Service', () => {
         });
     });
 
+    describe('watchlists', () => {
+        it('gets a user\'s watched player IDs, or an empty list', async () => {
+            mockSend.mockResolvedValueOnce({ Item: { playerIds: ['4034', '6794'] } });
+            await expect(getWatchlist('D1', 'U1')).resolves.toEqual(['4034', '6794']);
+
+            mockSend.mockResolvedValueOnce({});
+            await expect(getWatchlist('D1', 'U2')).resolves.toEqual([]);
+        });
+
+        it('saves a watchlist keyed by draft and user', async () => {
+            mockSend.mockResolvedValue({});
+
+            await saveWatchlist('D1', 'U1', ['4034']);
+
+            expect(PutCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Item: expect.objectContaining({ PK: 'WATCHLIST', SK: 'DRAFT#D1#USER#U1', playerIds: ['4034'] })
+            }));
+        });
+
+        it('deletes the item when the watchlist is emptied', async () => {
+            mockSend.mockResolvedValue({});
+
+            await saveWatchlist('D1', 'U1', []);
+
+            expect(DeleteCommand).toHaveBeenCalledWith(expect.objectContaining({ Key: { PK: 'WATCHLIST', SK: 'DRAFT#D1#USER#U1' } }));
+            expect(PutCommand).not.toHaveBeenCalled();
+        });
+
+        it('queries every watchlist for a draft', async () => {
+            mockSend.mockResolvedValue({ Items: [{ slackUserId: 'U1', playerIds: ['4034'] }, { slackUserId: 'U2' }] });
+
+            const result = await getWatchlistsForDraft('D1');
+
+            expect(QueryCommand).toHaveBeenCalledWith(expect.objectContaining({
+                ExpressionAttributeValues: { ':pk': 'WATCHLIST', ':prefix': 'DRAFT#D1#USER#' }
+            }));
+            expect(result).toEqual([{ slackUserId: 'U1', playerIds: ['4034'] }, { slackUserId: 'U2', playerIds: [] }]);
+        });
+    });
+
+    describe('mock drafts', () => {
+        it('saves, lists and deletes mock draft registrations', async () => {
+            mockSend.mockResolvedValueOnce({});
+            await saveMockDraft('D1', 'C1');
+            expect(PutCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Item: expect.objectContaining({ PK: 'MOCK_DRAFT', SK: 'DRAFT#D1', draftId: 'D1', slackChannelId: 'C1' })
+            }));
+
+            mockSend.mockResolvedValueOnce({ Items: [{ draftId: 'D1', slackChannelId: 'C1', registeredAt: 'x' }] });
+            await expect(getMockDrafts()).resolves.toEqual([{ draftId: 'D1', slackChannelId: 'C1', registeredAt: 'x' }]);
+
+            mockSend.mockResolvedValueOnce({});
+            await deleteMockDraft('D1');
+            expect(DeleteCommand).toHaveBeenCalledWith(expect.objectContaining({ Key: { PK: 'MOCK_DRAFT', SK: 'DRAFT#D1' } }));
+        });
+    });
+
+    describe('pick owners', () => {
+        it("saves and reads a league's pick owners", async () => {
+            mockSend.mockResolvedValueOnce({});
+            await savePickOwners('L1', { '2027:1:1': 2 });
+            expect(PutCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Item: expect.objectContaining({ PK: 'PICK_LEDGER', SK: 'LEAGUE#L1', owners: { '2027:1:1': 2 } })
+            }));
+
+            mockSend.mockResolvedValueOnce({ Item: { owners: { '2027:1:1': 2 } } });
+            await expect(getPickOwners('L1')).resolves.toEqual({ '2027:1:1': 2 });
+
+            mockSend.mockResolvedValueOnce({});
+            await expect(getPickOwners('L2')).resolves.toBeNull();
+        });
+    });
+
+    describe('live scoreboards', () => {
+        it('saves, lists and deletes live scoreboards by league', async () => {
+            mockSend.mockResolvedValueOnce({});
+            await saveLiveScoreboard({ leagueId: 'L1', channelId: 'C1', ts: '1.2', season: '2026', week: 7, finalGames: 3 });
+            expect(PutCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Item: expect.objectContaining({ PK: 'LIVE_SCOREBOARD', SK: 'LEAGUE#L1', ts: '1.2', week: 7, ttl: expect.any(Number) })
+            }));
+
+            mockSend.mockResolvedValueOnce({ Items: [{ leagueId: 'L1', channelId: 'C1', ts: '1.2', season: '2026', week: 7, updatedAt: 'x' }] });
+            await expect(getLiveScoreboards()).resolves.toEqual([{ leagueId: 'L1', channelId: 'C1', ts: '1.2', season: '2026', week: 7, finalGames: 0 }]);
+
+            mockSend.mockResolvedValueOnce({});
+            await deleteLiveScoreboard('L1');
+            expect(DeleteCommand).toHaveBeenCalledWith(expect.objectContaining({ Key: { PK: 'LIVE_SCOREBOARD', SK: 'LEAGUE#L1' } }));
+        });
+    });
+
+    describe('transaction feed', () => {
+        it('saves and reads back the per-league mark', async () => {
+            mockSend.mockResolvedValueOnce({});
+            await saveTransactionMark('L1', 1760000000000);
+            expect(PutCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Item: expect.objectContaining({ PK: 'TRANSACTION_FEED', SK: 'LEAGUE#L1', lastUpdated: 1760000000000 })
+            }));
+
+            mockSend.mockResolvedValueOnce({ Item: { lastUpdated: 1760000000000 } });
+            await expect(getTransactionMark('L1')).resolves.toBe(1760000000000);
+
+            mockSend.mockResolvedValueOnce({});
+            await expect(getTransactionMark('L2')).resolves.toBeNull();
+        });
+    });
+
+    describe('ADP', () => {
+        it('returns a season\'s table, or null when none is stored', async () => {
+            mockSend.mockResolvedValueOnce({ Item: { season: '2026', draftIds: ['D1'], players: { 1: { count: 1 } }, version: 3 } });
+            await expect(getAdp(2026)).resolves.toEqual({ season: '2026', draftIds: ['D1'], players: { 1: { count: 1 } }, version: 3 });
+
+            mockSend.mockResolvedValueOnce({});
+            await expect(getAdp(2025)).resolves.toBeNull();
+        });
+
+        it('saves a new season\'s table only if none was saved in the meantime', async () => {
+            mockSend.mockResolvedValue({});
+
+            await expect(saveAdp('2026', { draftIds: ['D1'], players: {} })).resolves.toBe(true);
+
+            expect(PutCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Item: expect.objectContaining({ PK: 'ADP', SK: 'SEASON#2026', draftIds: ['D1'], players: {}, version: 1 }),
+                ConditionExpression: 'attribute_not_exists(version)'
+            }));
+        });
+
+        it('saves over the version it was read at, and reports when another save got there first', async () => {
+            mockSend.mockResolvedValueOnce({});
+            await expect(saveAdp('2026', { draftIds: ['D1', 'D2'], players: {}, version: 1 })).resolves.toBe(true);
+            expect(PutCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Item: expect.objectContaining({ version: 2 }),
+                ConditionExpression: 'version = :version',
+                ExpressionAttributeValues: { ':version': 1 }
+            }));
+
+            mockSend.mockRejectedValueOnce(Object.assign(new Error('stale'), { name: 'ConditionalCheckFailedException' }));
+            await expect(saveAdp('2026', { draftIds: ['D1', 'D3'], players: {}, version: 1 })).resolves.toBe(false);
+        });
+    });
+
+    describe('rankings', () => {
+        it('saves a season\'s rankings and reads them back', async () => {
+            mockSend.mockResolvedValueOnce({});
+            await saveRankings('2026', { 9509: 1 });
+            expect(PutCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Item: expect.objectContaining({ PK: 'RANKINGS', SK: 'SEASON#2026', players: { 9509: 1 } })
+            }));
+
+            mockSend.mockResolvedValueOnce({ Item: { players: { 9509: 1 }, importedAt: '2026-08-01T00:00:00.000Z' } });
+            await expect(getRankings(2026)).resolves.toEqual({ season: '2026', players: { 9509: 1 }, importedAt: '2026-08-01T00:00:00.000Z' });
+
+            mockSend.mockResolvedValueOnce({});
+            await expect(getRankings(2025)).resolves.toBeNull();
+        });
+    });
+
+    describe('saveLottery', () => {
+        it('keeps every run, keyed by league and time', async () => {
+            mockSend.mockResolvedValue({});
+
+            const sortKey = await saveLottery({ leagueId: 'L1', draftId: 'D1', seed: 'abc', weighted: false, order: [] });
+
+            expect(sortKey).toMatch(/^LEAGUE#L1#\d{4}-/);
+            expect(PutCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Item: expect.objectContaining({ PK: 'LOTTERY', SK: sortKey, seed: 'abc', order: [] })
+            }));
+        });
+
+        it('falls back to the draft ID without a league', async () => {
+            mockSend.mockResolvedValue({});
+
+            await expect(saveLottery({ leagueId: null, draftId: 'D1', seed: 'abc', order: [] })).resolves.toMatch(/^DRAFT#D1#/);
+        });
+
+        it('reads back every run for a league or draft', async () => {
+            mockSend.mockResolvedValueOnce({ Items: [{ season: '2026', seed: 'abc' }] });
+            await expect(getLotteries({ leagueId: 'L1', draftId: 'D1' })).resolves.toEqual([{ season: '2026', seed: 'abc' }]);
+            expect(QueryCommand).toHaveBeenLastCalledWith(expect.objectContaining({
+                ExpressionAttributeValues: { ':pk': 'LOTTERY', ':prefix': 'LEAGUE#L1#' }
+            }));
+
+            mockSend.mockResolvedValueOnce({});
+            await expect(getLotteries({ leagueId: null, draftId: 'D1' })).resolves.toEqual([]);
+            expect(QueryCommand).toHaveBeenLastCalledWith(expect.objectContaining({
+                ExpressionAttributeValues: { ':pk': 'LOTTERY', ':prefix': 'DRAFT#D1#' }
+            }));
+        });
+    });
+
     describe('saveLeague / getLeague', () => {
         it('saves a league item', async () => {
             mockSend.mockResolvedValue({});
@@ -339,6 +609,35 @@ describe('DynamoDB Datastore Service', () => {
             await saveLeague('L1', 'C1', { name: 'Test', season: 2025, sport: 'nfl', total_rosters: 12, status: 'in_season' });
 
             expect(mockSend).toHaveBeenCalledTimes(1);
+            expect(PutCommand.mock.calls[0][0].Item).not.toHaveProperty('autoDrafts');
+        });
+
+        it('flags leagues that follow their drafts, and deletes leagues', async () => {
+            mockSend.mockResolvedValue({});
+
+            await saveLeague('L1', 'C1', { name: 'Test', season: 2025 }, { autoDrafts: true });
+            await deleteLeague('L1');
+
+            expect(PutCommand).toHaveBeenCalledWith(expect.objectContaining({ Item: expect.objectContaining({ SK: 'LEAGUE#L1', autoDrafts: true }) }));
+            expect(DeleteCommand).toHaveBeenCalledWith(expect.objectContaining({ Key: { PK: 'LEAGUE', SK: 'LEAGUE#L1' } }));
+        });
+
+        it('adds the drafts a league has seen to a set, skipping unregistered leagues', async () => {
+            mockSend.mockResolvedValueOnce({});
+            await addSeenLeagueDrafts('L1', ['D1', 'D2']);
+            expect(UpdateCommand).toHaveBeenCalledWith(expect.objectContaining({
+                Key: { PK: 'LEAGUE', SK: 'LEAGUE#L1' },
+                UpdateExpression: 'ADD seenDraftIds :draftIds',
+                ExpressionAttributeValues: { ':draftIds': new Set(['D1', 'D2']) },
+                ConditionExpression: 'attribute_exists(PK)'
+            }));
+
+            mockSend.mockRejectedValueOnce(Object.assign(new Error('gone'), { name: 'ConditionalCheckFailedException' }));
+            await expect(addSeenLeagueDrafts('L9', ['D1'])).resolves.toBeUndefined();
+
+            mockSend.mockClear();
+            await addSeenLeagueDrafts('L1', []);
+            expect(mockSend).not.toHaveBeenCalled();
         });
 
         it('returns the league item when found, null otherwise', async () => {
@@ -0,0 +1,84 @@
+const { buildBoardGrid, buildDraftBoardPayload, updateDraftBoard } = require('../../services/draftBoard.js');
+const { resolvePickerName } = require('../../handlers/lastpick.js');
+
+jest.mock('../../handlers/lastpick.js');
+jest.mock('../../shared/logger.js');
+
+describe('draftBoard', () => {
+    const draft = {
+        draft_id: 'draft123',
+        type: 'snake',
+        metadata: { name: 'Test Draft' },
+        settings: { teams: 2, rounds: 2 },
+        draft_order: { u1: 1, u2: 2 }
+    };
+    const picks = [
+        { pick_no: 1, round: 1, draft_slot: 1, metadata: { first_name: 'Bijan', last_name: 'Robinson', position: 'RB' } },
+        { pick_no: 2, round: 1, draft_slot: 2, metadata: { first_name: 'Josh', last_name: 'Allen', position: 'QB' } },
+        { pick_no: 3, round: 2, draft_slot: 2, metadata: { first_name: 'Dallas', last_name: 'Cowboys', position: 'DEF', team: 'DAL' } }
+    ];
+    let mockApp;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockApp = { client: { chat: { update: jest.fn().mockResolvedValue({ ok: true }) } } };
+        resolvePickerName.mockImplementation(async (userId) => `Team ${userId}`);
+    });
+
+    describe('buildBoardGrid', () => {
+        it('places snake picks by their original slot and round', () => {
+            const grid = buildBoardGrid(draft, picks);
+
+            expect(grid.get(1)).toEqual([picks[0], undefined]);
+            expect(grid.get(2)).toEqual([picks[1], picks[2]]);
+        });
+
+        it('fills auction rows in the order players were won', () => {
+            const auctionDraft = { ...draft, type: 'auction' };
+            const auctionPicks = [
+                { pick_no: 1, picked_by: 'u2', metadata: { last_name: 'A', amount: '40' } },
+                { pick_no: 2, picked_by: 'u2', metadata: { last_name: 'B', amount: '12' } }
+            ];
+
+            const grid = buildBoardGrid(auctionDraft, auctionPicks);
+
+            expect(grid.get(1)).toEqual([undefined, undefined]);
+            expect(grid.get(2)).toEqual(auctionPicks);
+        });
+    });
+
+    describe('buildDraftBoardPayload', () => {
+        it('shows a row per team with colour-coded cells and empty slots', async () => {
+            const payload = await buildDraftBoardPayload(draft, picks, {});
+
+            expect(payload.text).toBe('Test Draft draft board: 3 of 4 picks made.');
+            expect(payload.blocks[0].text.text).toBe(':clipboard: Test Draft Draft Board');
+            expect(payload.blocks[3].text.text).toBe('*1. Team u1*\n`1` :large_green_circle: B. Robinson  `2` :heavy_minus_sign:');
+            expect(payload.blocks[4].text.text).toBe('*2. Team u2*\n`1` :red_circle: J. Allen  `2` :black_circle: DAL DEF');
+        });
+
+        it('stays within Slack\'s block limit for a large league', async () => {
+            const bigDraft = { ...draft, settings: { teams: 32, rounds: 30 }, draft_order: {} };
+
+            const payload = await buildDraftBoardPayload(bigDraft, [], {});
+
+            expect(payload.blocks.length).toBeLessThanOrEqual(50);
+            expect(payload.blocks[3].text.text).toMatch(/^\*1\. Slot 1\*/);
+            payload.blocks.slice(3).forEach(block => expect(block.text.text.length).toBeLessThanOrEqual(3000));
+        });
+    });
+
+    describe('updateDraftBoard', () => {
+        it('edits the board message in place', async () => {
+            await updateDraftBoard(mockApp, 'C123', '555.666', draft, picks, {});
+
+            expect(mockApp.client.chat.update).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C123', ts: '555.666' }));
+        });
+
+        it('does not throw when the board cannot be edited', async () => {
+            mockApp.client.chat.update.mockRejectedValue(new Error('message_not_found'));
+
+            await expect(updateDraftBoard(mockApp, 'C123', '555.666', draft, picks, {})).resolves.toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,167 @@
+const {
+    parseRankingsCsv,
+    importRankings,
+    loadGradeRankings,
+    gradeTeams,
+    buildReportCard,
+    postDraftGrades
+} = require('../../services/draftGrades.js');
+const { buildPickRows } = require('../../services/draftRecap.js');
+const datastore = require('../../services/datastore.js');
+const { findPlayersByNames, getPlayersFromCacheOrFetch } = require('../../services/nflDataCache.js');
+const { resolvePickerName } = require('../../handlers/lastpick.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/nflDataCache.js');
+jest.mock('../../handlers/lastpick.js');
+jest.mock('../../shared/logger.js');
+
+describe('draftGrades', () => {
+    // 2 teams x 3 rounds snake draft
+    const draft = {
+        draft_id: 'draft123',
+        season: '2026',
+        type: 'snake',
+        metadata: { name: 'Test League' },
+        settings: { teams: 2, rounds: 3 },
+        draft_order: { u1: 1, u2: 2 },
+        slot_to_roster_id: { '1': 1, '2': 2 }
+    };
+    const pick = (pickNo, round, slot, user, playerId, first, last, position, extra = {}) => ({
+        pick_no: pickNo, round, draft_slot: slot, roster_id: slot, picked_by: user, player_id: playerId,
+        metadata: { first_name: first, last_name: last, position, team: 'ATL' }, ...extra
+    });
+    const picks = [
+        pick(1, 1, 1, 'u1', 'p1', 'Kicker', 'Guy', 'K'),
+        pick(2, 1, 2, 'u2', 'p2', 'Star', 'Back', 'RB'),
+        pick(3, 2, 2, 'u2', 'p3', 'Solid', 'Receiver', 'WR'),
+        pick(4, 2, 1, 'u1', 'p4', 'Best', 'Quarterback', 'QB'),
+        pick(5, 3, 1, 'u1', 'p5', 'Late', 'End', 'TE'),
+        pick(6, 3, 2, 'u2', 'p6', 'Kept', 'Player', 'RB', { is_keeper: true })
+    ];
+    // u2 landed the top ranked player at pick 3; u1 spent the first pick on the lowest ranked one
+    const rankings = { p3: 1, p2: 2, p4: 3, p5: 4, p1: 5, p6: 6 };
+    let rows;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        resolvePickerName.mockImplementation(async (userId) => `Team ${userId}`);
+        datastore.getRankings.mockResolvedValue(null);
+        datastore.saveRankings.mockResolvedValue();
+        rows = await buildPickRows(draft, picks, {});
+    });
+
+    describe('parseRankingsCsv', () => {
+        it('reads ranks, names and positions, skipping fences and a header', () => {
+            expect(parseRankingsCsv('```\nRank,Player,Pos\n1, Bijan Robinson, RB\n2\tJa\'Marr Chase\tWR\n"3","Josh Allen","QB"\n```')).toEqual([
+                { rank: 1, name: 'Bijan Robinson', position: 'RB' },
+                { rank: 2, name: 'Ja\'Marr Chase', position: 'WR' },
+                { rank: 3, name: 'Josh Allen', position: 'QB' }
+            ]);
+        });
+
+        it('ranks bare names by line order', () => {
+            expect(parseRankingsCsv('Bijan Robinson\n\nPuka Nacua, wr')).toEqual([
+                { rank: 1, name: 'Bijan Robinson', position: null },
+                { rank: 2, name: 'Puka Nacua', position: 'WR' }
+            ]);
+        });
+    });
+
+    describe('importRankings', () => {
+        it('saves the matched players, using the position to pick between namesakes', async () => {
+            findPlayersByNames.mockResolvedValue(new Map([
+                ['Josh Allen', [{ player_id: '4984', position: 'QB' }, { player_id: '4040', position: 'LB' }]],
+                ['Bijan Robinson', [{ player_id: '9509', position: 'RB' }]],
+                ['Nobody', []]
+            ]));
+
+            await expect(importRankings('2026', '1, Bijan Robinson\n2, Josh Allen, LB\n3, Nobody'))
+                .resolves.toEqual({ imported: 2, unmatched: ['Nobody'] });
+
+            expect(findPlayersByNames).toHaveBeenCalledWith(['Bijan Robinson', 'Josh Allen', 'Nobody']);
+            expect(datastore.saveRankings).toHaveBeenCalledWith('2026', { 9509: 1, 4040: 2 });
+        });
+
+        it('saves nothing when no player matches', async () => {
+            findPlayersByNames.mockResolvedValue(new Map([['Nobody', []]]));
+
+            await expect(importRankings('2026', 'Nobody')).resolves.toEqual({ imported: 0, unmatched: ['Nobody'] });
+            expect(datastore.saveRankings).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('loadGradeRankings', () => {
+        it('prefers the rankings imported for the season', async () => {
+            datastore.getRankings.mockResolvedValue({ season: '2026', players: { p1: 1 } });
+
+            await expect(loadGradeRankings(draft, rows)).resolves.toEqual({ rankings: { p1: 1 }, source: 'the imported 2026 rankings' });
+            expect(getPlayersFromCacheOrFetch).not.toHaveBeenCalled();
+        });
+
+        it("falls back to Sleeper's search rank", async () => {
+            getPlayersFromCacheOrFetch.mockResolvedValue({ p1: { search_rank: 40 }, p2: {} });
+
+            await expect(loadGradeRankings(draft, rows)).resolves.toEqual({ rankings: { p1: 40 }, source: "Sleeper's player rankings" });
+        });
+    });
+
+    describe('gradeTeams', () => {
+        it('grades each team by its average value per pick, best first', () => {
+            const grades = gradeTeams(draft, rows, rankings);
+
+            expect(grades.map(team => [team.name, team.grade, team.graded])).toEqual([
+                ['Team u2', 'A', 2],
+                ['Team u1', 'C+', 3]
+            ]);
+            expect(grades[0].value).toBe(1);
+            expect(grades[0].bestValue).toEqual(expect.objectContaining({ player: 'Solid Receiver', expected: 1, delta: 2 }));
+            expect(grades[0].biggestReach).toBeNull();
+            expect(grades[1].biggestReach).toEqual(expect.objectContaining({ player: 'Kicker Guy', expected: 5, delta: -4 }));
+        });
+
+        it('returns no grades when nothing is ranked', () => {
+            expect(gradeTeams(draft, rows, {})).toEqual([]);
+        });
+    });
+
+    describe('buildReportCard', () => {
+        it('lists every team with its grade, best value and biggest reach', () => {
+            const card = buildReportCard(draft, gradeTeams(draft, rows, rankings), "Sleeper's player rankings");
+
+            expect(card.text).toBe('Test League report card: Team u2 A, Team u1 C+');
+            expect(card.blocks[0].text.text).toBe(':mortar_board: Test League Report Card');
+            expect(card.blocks[1].elements[0].text).toContain("Graded against Sleeper's player rankings");
+            expect(card.blocks[2].text.text).toBe(
+                '*1. Team u2* - *A* (+1.0 picks of value per pick)\n' +
+                ':moneybag: Best value: Solid Receiver (WR) at 2.01, ranked to go around pick 1\n' +
+                ':fishing_pole_and_fish: Biggest reach: _none_'
+            );
+            expect(card.blocks[3].text.text).toContain('(-0.7 picks of value per pick)');
+            expect(card.blocks[3].text.text).toContain(':fishing_pole_and_fish: Biggest reach: Kicker Guy (K) at 1.01, ranked to go around pick 5');
+        });
+    });
+
+    describe('postDraftGrades', () => {
+        const app = { client: { chat: { postMessage: jest.fn() } } };
+
+        it('posts the report card to the channel', async () => {
+            datastore.getRankings.mockResolvedValue({ season: '2026', players: rankings });
+
+            await expect(postDraftGrades(app, 'C1', draft, picks, {})).resolves.toBe(true);
+
+            expect(app.client.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+                channel: 'C1',
+                text: 'Test League report card: Team u2 A, Team u1 C+'
+            }));
+        });
+
+        it('skips auctions and drafts with no ranked picks', async () => {
+            getPlayersFromCacheOrFetch.mockResolvedValue({});
+
+            await expect(postDraftGrades(app, 'C1', { ...draft, type: 'auction' }, picks, {})).resolves.toBe(false);
+            await expect(postDraftGrades(app, 'C1', draft, picks, {})).resolves.toBe(false);
+            expect(app.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+    });
+});
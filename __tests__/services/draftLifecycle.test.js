@@ -0,0 +1,136 @@
+const { formatSlackDate, getDueCountdown, postLifecycleAnnouncements } = require('../../services/draftLifecycle.js');
+const { resolvePickerName } = require('../../handlers/lastpick.js');
+
+jest.mock('../../handlers/lastpick.js');
+jest.mock('../../shared/logger.js');
+
+describe('draftLifecycle', () => {
+    const HOUR = 60 * 60 * 1000;
+    const now = 1_767_225_600_000;
+    let mockApp;
+    let draft;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockApp = { client: { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } } };
+        draft = {
+            draft_id: 'draft123',
+            status: 'pre_draft',
+            start_time: now + 2 * HOUR,
+            metadata: { name: 'Test Draft' },
+            settings: { teams: 3 },
+            draft_order: { u1: 1, u3: 3 }
+        };
+        resolvePickerName.mockImplementation(async (userId) => `<@slack_${userId}>`);
+    });
+
+    describe('formatSlackDate', () => {
+        it('uses Slack date formatting with an ISO fallback', () => {
+            expect(formatSlackDate(now)).toBe('<!date^1767225600^{date_long_pretty} at {time}|2026-01-01T00:00:00.000Z>');
+        });
+    });
+
+    describe('getDueCountdown', () => {
+        it('is not due more than 24 hours out', () => {
+            expect(getDueCountdown({ ...draft, start_time: now + 25 * HOUR }, null, now)).toBeNull();
+        });
+
+        it('sends the 24 hour countdown once', () => {
+            expect(getDueCountdown(draft, null, now)).toEqual({
+                countdown: expect.objectContaining({ key: '24h' }),
+                sent: ['24h']
+            });
+            expect(getDueCountdown(draft, { start_time: draft.start_time, sent: ['24h'] }, now)).toBeNull();
+        });
+
+        it('only sends the closest countdown when both are due', () => {
+            const due = getDueCountdown({ ...draft, start_time: now + HOUR / 2 }, null, now);
+
+            expect(due.countdown.key).toBe('1h');
+            expect(due.sent).toEqual(['24h', '1h']);
+        });
+
+        it('starts over when the draft is rescheduled', () => {
+            expect(getDueCountdown(draft, { start_time: now, sent: ['24h'] }, now)).not.toBeNull();
+        });
+
+        it('ignores drafts that have started or have no start time', () => {
+            expect(getDueCountdown({ ...draft, status: 'drafting' }, null, now)).toBeNull();
+            expect(getDueCountdown({ ...draft, start_time: null }, null, now)).toBeNull();
+            expect(getDueCountdown({ ...draft, start_time: now - HOUR }, null, now)).toBeNull();
+        });
+    });
+
+    describe('postLifecycleAnnouncements', () => {
+        const draftInfo = (overrides = {}) => ({ slack_channel_id: 'C123', last_seen_status: 'pre_draft', ...overrides });
+
+        it('posts the 24 hour countdown and records it', async () => {
+            const updates = await postLifecycleAnnouncements(mockApp, draftInfo(), draft, {}, { now });
+
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'C123',
+                text: expect.stringContaining('*Test Draft* starts within 24 hours')
+            });
+            expect(updates).toEqual({ countdownsSent: { start_time: draft.start_time, sent: ['24h'] } });
+        });
+
+        it('lists the draft order with the 1 hour countdown', async () => {
+            const info = draftInfo({ countdowns_sent: { start_time: draft.start_time, sent: ['24h'] } });
+
+            await postLifecycleAnnouncements(mockApp, info, draft, {}, { now: now + 1.5 * HOUR });
+
+            const { text } = mockApp.client.chat.postMessage.mock.calls[0][0];
+            expect(text).toContain('starts within 1 hour');
+            expect(text).toContain('1. <@slack_u1>\n2. _Open slot_\n3. <@slack_u3>');
+            expect(resolvePickerName).toHaveBeenCalledWith('u1', {}, true);
+        });
+
+        it('notes when the draft order has not been set', async () => {
+            await postLifecycleAnnouncements(mockApp, draftInfo(), { ...draft, draft_order: null }, {}, { now: now + 1.5 * HOUR });
+
+            expect(mockApp.client.chat.postMessage.mock.calls[0][0].text).toContain('has not been set yet');
+        });
+
+        it.each([
+            ['pre_draft', 'drafting', 'is live!'],
+            ['drafting', 'paused', 'has been paused'],
+            ['paused', 'drafting', 'has resumed'],
+            ['drafting', 'complete', 'is complete!']
+        ])('announces %s -> %s', async (previous, status, expected) => {
+            const updates = await postLifecycleAnnouncements(
+                mockApp, draftInfo({ last_seen_status: previous }), { ...draft, status }, {}, { now }
+            );
+
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({ channel: 'C123', text: expect.stringContaining(expected) });
+            expect(updates).toEqual({ lastSeenStatus: status });
+        });
+
+        it('records the status of drafts seen for the first time without announcing', async () => {
+            const updates = await postLifecycleAnnouncements(
+                mockApp, draftInfo({ last_seen_status: undefined }), { ...draft, status: 'drafting' }, {}, { now }
+            );
+
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+            expect(updates).toEqual({ lastSeenStatus: 'drafting' });
+        });
+
+        it('returns no updates when nothing changed', async () => {
+            const updates = await postLifecycleAnnouncements(
+                mockApp, draftInfo({ last_seen_status: 'drafting' }), { ...draft, status: 'drafting' }, {}, { now }
+            );
+
+            expect(updates).toEqual({});
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('still records the change when the announcement fails', async () => {
+            mockApp.client.chat.postMessage.mockRejectedValue(new Error('channel_not_found'));
+
+            const updates = await postLifecycleAnnouncements(
+                mockApp, draftInfo(), { ...draft, status: 'drafting' }, {}, { now }
+            );
+
+            expect(updates).toEqual({ lastSeenStatus: 'drafting' });
+        });
+    });
+});
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const {
+    createSeed,
+    seededRandom,
+    drawOrder,
+    weightByStandings,
+    loadLeagueEntrants,
+    loadDraftEntrants,
+    postLotteryReveal
+} = require('../../services/draftLottery.js');
+const sleeper = require('../../services/sleeper.js');
+const { resolvePickerName } = require('../../handlers/lastpick.js');
+
+jest.mock('../../services/sleeper.js');
+jest.mock('../../handlers/lastpick.js');
+
+describe('draftLottery', () => {
+    const entrants = [
+        { rosterId: 1, userId: 'u1', name: 'Alpha', weight: 1 },
+        { rosterId: 2, userId: 'u2', name: 'Bravo', weight: 1 },
+        { rosterId: 3, userId: 'u3', name: 'Charlie', weight: 1 },
+        { rosterId: 4, userId: 'u4', name: 'Delta', weight: 1 }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('seededRandom', () => {
+        it('reads the first four bytes of SHA-256("seed:n") as a fraction', () => {
+            const expected = crypto.createHash('sha256').update('abc:3').digest().readUInt32BE(0) / 2 ** 32;
+            expect(seededRandom('abc', 3)).toBe(expected);
+            expect(seededRandom('abc', 3)).toBeGreaterThanOrEqual(0);
+            expect(seededRandom('abc', 3)).toBeLessThan(1);
+        });
+    });
+
+    describe('createSeed', () => {
+        it('makes a fresh hex seed each time', () => {
+            expect(createSeed()).toMatch(/^[0-9a-f]{16}$/);
+            expect(createSeed()).not.toBe(createSeed());
+        });
+    });
+
+    describe('drawOrder', () => {
+        it('draws every team exactly once, the same way for the same seed', () => {
+            const order = drawOrder(entrants, 'powerball');
+
+            expect(order.map(team => team.rosterId).sort()).toEqual([1, 2, 3, 4]);
+            expect(drawOrder(entrants, 'powerball')).toEqual(order);
+        });
+
+        it('follows the published algorithm', () => {
+            // Repeat the draw by hand, as the lottery message describes it
+            const remaining = [...entrants];
+            const expected = [];
+            for (let n = 0; remaining.length > 0; n++) {
+                const index = Math.floor(seededRandom('check', n) * remaining.length);
+                expected.push(remaining.splice(index, 1)[0]);
+            }
+
+            expect(drawOrder(entrants, 'check')).toEqual(expected);
+        });
+
+        it('gives heavier teams the first pick more often', () => {
+            const weighted = entrants.map((entrant, index) => ({ ...entrant, weight: index === 0 ? 10 : 1 }));
+            let alphaFirst = 0;
+            for (let i = 0; i < 500; i++) {
+                if (drawOrder(weighted, `seed-${i}`)[0].rosterId === 1) {
+                    alphaFirst++;
+                }
+            }
+            // 10 of 13 balls: about 385 of 500
+            expect(alphaFirst).toBeGreaterThan(330);
+            expect(alphaFirst).toBeLessThan(440);
+        });
+    });
+
+    describe('weightByStandings', () => {
+        const previousRosters = [
+            { roster_id: 1, settings: { wins: 10, losses: 4, fpts: 1800 } },
+            { roster_id: 2, settings: { wins: 4, losses: 10, fpts: 1500 } },
+            { roster_id: 3, settings: { wins: 4, losses: 10, fpts: 1400, fpts_decimal: 50 } },
+            { roster_id: 4, settings: { wins: 7, losses: 6, ties: 1, fpts: 1600 } }
+        ];
+
+        it('gives the worst team the most balls, breaking ties on points', () => {
+            expect(weightByStandings(entrants, previousRosters).map(team => [team.name, team.weight, team.record])).toEqual([
+                ['Alpha', 1, '10-4'],
+                ['Bravo', 3, '4-10'],
+                ['Charlie', 4, '4-10'],
+                ['Delta', 2, '7-6-1']
+            ]);
+        });
+
+        it('returns null when a team has no record', () => {
+            expect(weightByStandings(entrants, previousRosters.slice(1))).toBeNull();
+        });
+    });
+
+    describe('loading entrants', () => {
+        it("loads a league's teams in roster order", async () => {
+            sleeper.getLeague.mockResolvedValue({ league_id: 'L1', name: 'Dynasty' });
+            sleeper.getLeagueRosters.mockResolvedValue([{ roster_id: 2, owner_id: 'u2' }, { roster_id: 1, owner_id: 'u1' }]);
+            sleeper.getLeagueUsers.mockResolvedValue([{ user_id: 'u1', display_name: 'alice', metadata: { team_name: 'Alpha' } }, { user_id: 'u2', display_name: 'bob' }]);
+
+            await expect(loadLeagueEntrants('L1')).resolves.toEqual({
+                league: { league_id: 'L1', name: 'Dynasty' },
+                entrants: [
+                    { rosterId: 1, userId: 'u1', name: 'Alpha', weight: 1 },
+                    { rosterId: 2, userId: 'u2', name: 'bob', weight: 1 }
+                ]
+            });
+        });
+
+        it("loads a draft's teams in slot order", async () => {
+            resolvePickerName.mockImplementation(async (userId) => `Team ${userId}`);
+
+            await expect(loadDraftEntrants({ draft_order: { u2: 2, u1: 1 } }, {})).resolves.toEqual([
+                { rosterId: 1, userId: 'u1', name: 'Team u1', weight: 1 },
+                { rosterId: 2, userId: 'u2', name: 'Team u2', weight: 1 }
+            ]);
+        });
+    });
+
+    describe('postLotteryReveal', () => {
+        it('reveals the picks from last to first, then the final order', async () => {
+            const say = jest.fn();
+            const order = [entrants[2], entrants[0], entrants[3], entrants[1]];
+
+            await postLotteryReveal(say, { title: 'Dynasty Draft Lottery', entrants, order, seed: 'abc', weighted: false }, { delayMs: 0 });
+
+            expect(say).toHaveBeenCalledTimes(6);
+            expect(say.mock.calls[0][0].blocks[0].text.text).toBe('🎲 Dynasty Draft Lottery');
+            expect(say.mock.calls[0][0].blocks[2].elements[0].text).toContain('Seed: `abc`');
+            expect(say.mock.calls[1][0]).toBe(':drum_with_drumsticks: Pick *4* goes to... *Bravo*');
+            expect(say.mock.calls[4][0]).toBe(':rotating_light: And the *first overall pick* goes to... *Charlie*! :tada:');
+            expect(say.mock.calls[5][0]).toContain('1. Charlie\n2. Alpha\n3. Delta\n4. Bravo');
+        });
+
+        it('lists each team\'s balls in a weighted lottery', async () => {
+            const say = jest.fn();
+            const weighted = [{ ...entrants[0], weight: 2, record: '4-10' }, { ...entrants[1], weight: 1, record: '10-4' }];
+
+            await postLotteryReveal(say, { title: 'Lottery', entrants: weighted, order: weighted, seed: 'abc', weighted: true }, { delayMs: 0 });
+
+            expect(say.mock.calls[0][0].blocks[1].text.text).toBe("*Weighted by last season's standings*\n• Alpha (4-10): 2 balls\n• Bravo (10-4): 1 ball");
+        });
+    });
+});
@@ -1,18 +1,45 @@
 const { checkDraftForUpdates } = require('../../services/draftMonitor.js');
 const datastore = require('../../services/datastore.js');
 const sleeper = require('../../services/sleeper.js');
-const { generatePickMessagePayload } = require('../../handlers/lastpick.js');
+const { generatePickMessagePayload, generateBatchPickMessagePayload, loadTradedPicks, loadRosterPositions } = require('../../handlers/lastpick.js');
+const { sendPickTimerReminders, sendOnTheClockDm } = require('../../services/pickTimer.js');
+const { postDraftRecap } = require('../../services/draftRecap.js');
+const { postDraftGrades } = require('../../services/draftGrades.js');
+const { postLifecycleAnnouncements, getDraftName } = require('../../services/draftLifecycle.js');
+const { startDraftThread, updateDraftThread } = require('../../services/draftThread.js');
+const { updateDraftBoard } = require('../../services/draftBoard.js');
+const { notifyWatchers } = require('../../services/watchlist.js');
+const { recordDraftAdp, recordCompletedMockDrafts } = require('../../services/adp.js');
+const { getPlayersFromCacheOrFetch } = require('../../services/nflDataCache.js');
 
 // Mock dependencies
 jest.mock('../../services/datastore.js');
 jest.mock('../../services/sleeper.js');
 jest.mock('../../handlers/lastpick.js');
+jest.mock('../../services/pickTimer.js');
+jest.mock('../../services/draftRecap.js');
+jest.mock('../../services/draftGrades.js');
+jest.mock('../../services/draftLifecycle.js');
+jest.mock('../../services/draftThread.js');
+jest.mock('../../services/draftBoard.js');
+jest.mock('../../services/watchlist.js');
+jest.mock('../../services/adp.js');
+jest.mock('../../services/nflDataCache.js');
 
 describe('Draft Monitor Service', () => {
     let mockApp;
 
     beforeEach(() => {
         jest.clearAllMocks();
+        loadTradedPicks.mockResolvedValue([]);
+        loadRosterPositions.mockResolvedValue(['QB', 'RB', 'WR']);
+        sendPickTimerReminders.mockResolvedValue(null);
+        postDraftRecap.mockResolvedValue();
+        postDraftGrades.mockResolvedValue(true);
+        postLifecycleAnnouncements.mockResolvedValue({});
+        notifyWatchers.mockResolvedValue(0);
+        recordDraftAdp.mockResolvedValue({ recorded: true });
+        recordCompletedMockDrafts.mockResolvedValue(0);
         // Create a mock app object with the nested structure needed for the client
         mockApp = {
             client: {
@@ -36,7 +63,7 @@ describe('Draft Monitor Service', () => {
             },
             player_map: {},
         };
-        const mockPicks = [{ pick_no: 1 }, { pick_no: 2 }]; // New pick count is 2
+        const mockPicks = [{ pick_no: 1, picked_by: 'user1' }, { pick_no: 2, picked_by: 'user1' }]; // New pick count is 2
         const mockDraft = { draft_order: {}, settings: {} };
         const mockMessagePayload = { text: 'New pick!', blocks: [] };
 
@@ -53,14 +80,15 @@ describe('Draft Monitor Service', () => {
         expect(datastore.getData).toHaveBeenCalledTimes(1);
         expect(sleeper.getDraftPicks).toHaveBeenCalledWith(draftId);
         expect(sleeper.getDraft).toHaveBeenCalledWith(draftId);
-        expect(generatePickMessagePayload).toHaveBeenCalledWith(mockDraft, mockPicks, mockData, true);
+        expect(loadRosterPositions).toHaveBeenCalledWith(mockDraft);
+        expect(generatePickMessagePayload).toHaveBeenCalledWith(mockDraft, mockPicks, mockData, true, { tradedPicks: [], rosterPositions: ['QB', 'RB', 'WR'] });
         expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({
             channel: channelId,
             ...mockMessagePayload,
         });
-        expect(datastore.saveDraft).toHaveBeenCalledTimes(1);
+        expect(datastore.updateDraft).toHaveBeenCalledTimes(1);
         // Check that the draft was updated with the new pick count
-        expect(datastore.saveDraft).toHaveBeenCalledWith(draftId, channelId, 2);
+        expect(datastore.updateDraft).toHaveBeenCalledWith(draftId, { lastKnownPickCount: 2 });
     });
 
     it('should post multiple messages and notify only the last picker when multiple new picks are detected', async () => {
@@ -76,7 +104,7 @@ describe('Draft Monitor Service', () => {
             },
             player_map: {},
         };
-        const mockPicks = [{ pick_no: 1 }, { pick_no: 2 }, { pick_no: 3 }]; // New pick count is 3 (2 new picks: 2 and 3)
+        const mockPicks = [{ pick_no: 1, picked_by: 'user1' }, { pick_no: 2, picked_by: 'user1' }, { pick_no: 3, picked_by: 'user1' }]; // New pick count is 3 (2 new picks: 2 and 3)
         const mockDraft = { draft_order: {}, settings: {} };
         const mockMessagePayload1 = { text: 'Pick 2!', blocks: [] };
         const mockMessagePayload2 = { text: 'Pick 3!', blocks: [] };
@@ -100,10 +128,10 @@ describe('Draft Monitor Service', () => {
         expect(sleeper.getDraft).toHaveBeenCalledWith(draftId);
         
         // Should generate payload for pick 2 (slice of length 2) with notifyNextPicker = false
-        expect(generatePickMessagePayload).toHaveBeenNthCalledWith(1, mockDraft, [{ pick_no: 1 }, { pick_no: 2 }], mockData, false);
+        expect(generatePickMessagePayload).toHaveBeenNthCalledWith(1, mockDraft, [{ pick_no: 1, picked_by: 'user1' }, { pick_no: 2, picked_by: 'user1' }], mockData, false, { tradedPicks: [], rosterPositions: ['QB', 'RB', 'WR'] });
         
         // Should generate payload for pick 3 (slice of length 3) with notifyNextPicker = true
-        expect(generatePickMessagePayload).toHaveBeenNthCalledWith(2, mockDraft, [{ pick_no: 1 }, { pick_no: 2 }, { pick_no: 3 }], mockData, true);
+        expect(generatePickMessagePayload).toHaveBeenNthCalledWith(2, mockDraft, [{ pick_no: 1, picked_by: 'user1' }, { pick_no: 2, picked_by: 'user1' }, { pick_no: 3, picked_by: 'user1' }], mockData, true, { tradedPicks: [], rosterPositions: ['QB', 'RB', 'WR'] });
 
         expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(2);
         expect(mockApp.client.chat.postMessage).toHaveBeenNthCalledWith(1, {
@@ -115,8 +143,8 @@ describe('Draft Monitor Service', () => {
             ...mockMessagePayload2,
         });
         
-        expect(datastore.saveDraft).toHaveBeenCalledTimes(1);
-        expect(datastore.saveDraft).toHaveBeenCalledWith(draftId, channelId, 3);
+        expect(datastore.updateDraft).toHaveBeenCalledTimes(1);
+        expect(datastore.updateDraft).toHaveBeenCalledWith(draftId, { lastKnownPickCount: 3 });
     });
 
     it('should do nothing if no new picks are found', async () => {
@@ -130,7 +158,7 @@ describe('Draft Monitor Service', () => {
                 },
             },
         };
-        const mockPicks = [{ pick_no: 1 }, { pick_no: 2 }]; // Current pick count is 2
+        const mockPicks = [{ pick_no: 1, picked_by: 'user1' }, { pick_no: 2, picked_by: 'user1' }]; // Current pick count is 2
 
         datastore.getData.mockResolvedValue(mockData);
         sleeper.getDraftPicks.mockResolvedValue(mockPicks);
@@ -144,7 +172,7 @@ describe('Draft Monitor Service', () => {
         expect(sleeper.getDraftPicks).toHaveBeenCalledWith(draftId);
         // Nothing should be posted or saved
         expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
-        expect(datastore.saveDraft).not.toHaveBeenCalled();
+        expect(datastore.updateDraft).not.toHaveBeenCalled();
     });
 
     it('should do nothing if no drafts are registered', async () => {
@@ -160,6 +188,499 @@ describe('Draft Monitor Service', () => {
         // No other functions should be called
         expect(sleeper.getDraftPicks).not.toHaveBeenCalled();
         expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
-        expect(datastore.saveDraft).not.toHaveBeenCalled();
+        expect(datastore.updateDraft).not.toHaveBeenCalled();
     });
-});
\ No newline at end of file
+
+    it('should persist the reminder state next to the pick count', async () => {
+        const draftId = 'draft123';
+        const reminderState = { pick_no: 3, stage: 1 };
+        const mockData = {
+            drafts: {
+                [draftId]: {
+                    slack_channel_id: 'C123',
+                    last_known_pick_count: 2,
+                    reminder_state: { pick_no: 2, stage: 3 }
+                },
+            },
+        };
+        const mockPicks = [{ pick_no: 1, picked_by: 'user1' }, { pick_no: 2, picked_by: 'user1' }];
+        const mockDraft = { status: 'drafting', settings: { pick_timer: 3600 } };
+
+        datastore.getData.mockResolvedValue(mockData);
+        sleeper.getDraftPicks.mockResolvedValue(mockPicks);
+        sleeper.getDraft.mockResolvedValue(mockDraft);
+        sendPickTimerReminders.mockResolvedValue(reminderState);
+
+        await checkDraftForUpdates(mockApp);
+
+        expect(sendPickTimerReminders).toHaveBeenCalledWith(mockApp, mockDraft, mockPicks, { pick_no: 2, stage: 3 });
+        expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        expect(datastore.updateDraft).toHaveBeenCalledWith(draftId, { reminderState });
+    });
+
+    it('should post a recap once the final pick is in', async () => {
+        const draftId = 'draft123';
+        const channelId = 'C123';
+        const mockData = { drafts: { [draftId]: { slack_channel_id: channelId, last_known_pick_count: 3 } } };
+        const mockPicks = [{ pick_no: 1, picked_by: 'user1' }, { pick_no: 2, picked_by: 'user1' }, { pick_no: 3, picked_by: 'user1' }, { pick_no: 4, picked_by: 'user1' }];
+        const mockDraft = { status: 'complete', draft_order: {}, settings: { teams: 2, rounds: 2 } };
+
+        datastore.getData.mockResolvedValue(mockData);
+        sleeper.getDraftPicks.mockResolvedValue(mockPicks);
+        sleeper.getDraft.mockResolvedValue(mockDraft);
+        generatePickMessagePayload.mockResolvedValue({ text: 'pick' });
+        postDraftRecap.mockRejectedValue(new Error('Slack is down'));
+        postDraftGrades.mockRejectedValue(new Error('Slack is down'));
+
+        await checkDraftForUpdates(mockApp);
+
+        expect(postDraftRecap).toHaveBeenCalledWith(mockApp, channelId, mockDraft, mockPicks, mockData);
+        expect(postDraftGrades).toHaveBeenCalledWith(mockApp, channelId, mockDraft, mockPicks, mockData);
+        expect(recordDraftAdp).toHaveBeenCalledWith(mockDraft, mockPicks);
+        // A failed recap or report card must not cause the picks to be re-posted on the next run
+        expect(datastore.updateDraft).toHaveBeenCalledWith(draftId, { lastKnownPickCount: 4 });
+    });
+
+    it('should not post a recap while picks remain', async () => {
+        const mockData = { drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1 } } };
+
+        datastore.getData.mockResolvedValue(mockData);
+        sleeper.getDraftPicks.mockResolvedValue([{ pick_no: 1, picked_by: 'user1' }, { pick_no: 2, picked_by: 'user1' }]);
+        sleeper.getDraft.mockResolvedValue({ draft_order: {}, settings: { teams: 2, rounds: 2 } });
+        generatePickMessagePayload.mockResolvedValue({ text: 'pick' });
+
+        await checkDraftForUpdates(mockApp);
+
+        expect(postDraftRecap).not.toHaveBeenCalled();
+        expect(postDraftGrades).not.toHaveBeenCalled();
+        expect(recordDraftAdp).not.toHaveBeenCalled();
+    });
+
+    it('should record ADP one draft at a time once the real drafts are checked, then poll mock drafts', async () => {
+        const mockData = { drafts: { draftA: { slack_channel_id: 'C1', last_known_pick_count: 1 }, draftB: { slack_channel_id: 'C2', last_known_pick_count: 1 } } };
+        const picks = [{ pick_no: 1, picked_by: 'user1' }, { pick_no: 2, picked_by: 'user1' }];
+        let saving = 0;
+        let overlapped = false;
+
+        datastore.getData.mockResolvedValue(mockData);
+        sleeper.getDraftPicks.mockResolvedValue(picks);
+        sleeper.getDraft.mockImplementation(async (draftId) => ({ draft_id: draftId, status: 'complete', draft_order: {}, settings: { teams: 1, rounds: 2 } }));
+        generatePickMessagePayload.mockResolvedValue({ text: 'pick' });
+        recordDraftAdp.mockImplementation(async () => {
+            overlapped = overlapped || saving > 0;
+            saving++;
+            await new Promise(resolve => setImmediate(resolve));
+            saving--;
+            return { recorded: true };
+        });
+
+        await checkDraftForUpdates(mockApp);
+
+        expect(recordDraftAdp.mock.calls.map(([draft]) => draft.draft_id)).toEqual(['draftA', 'draftB']);
+        expect(overlapped).toBe(false);
+        expect(datastore.updateDraft.mock.invocationCallOrder[1]).toBeLessThan(recordDraftAdp.mock.invocationCallOrder[0]);
+        expect(recordDraftAdp.mock.invocationCallOrder[1]).toBeLessThan(recordCompletedMockDrafts.mock.invocationCallOrder[0]);
+    });
+
+    it('should check mock drafts for ADP even when no drafts are registered', async () => {
+        datastore.getData.mockResolvedValue({ drafts: {} });
+        recordCompletedMockDrafts.mockRejectedValue(new Error('DynamoDB down'));
+
+        await expect(checkDraftForUpdates(mockApp)).resolves.toBeUndefined();
+
+        expect(recordCompletedMockDrafts).toHaveBeenCalledWith(mockApp);
+    });
+
+    it('should persist lifecycle state returned by the announcements', async () => {
+        const draftInfo = { slack_channel_id: 'C123', last_known_pick_count: 0, last_seen_status: 'pre_draft' };
+        const mockData = { drafts: { draft123: draftInfo } };
+        const mockDraft = { status: 'drafting', draft_order: {}, settings: {} };
+
+        datastore.getData.mockResolvedValue(mockData);
+        sleeper.getDraftPicks.mockResolvedValue([]);
+        sleeper.getDraft.mockResolvedValue(mockDraft);
+        postLifecycleAnnouncements.mockResolvedValue({ lastSeenStatus: 'drafting' });
+
+        await checkDraftForUpdates(mockApp);
+
+        expect(postLifecycleAnnouncements).toHaveBeenCalledWith(mockApp, draftInfo, mockDraft, mockData);
+        expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', { lastSeenStatus: 'drafting' });
+    });
+
+    it('should keep a per-team tally of autopicks', async () => {
+        const draftInfo = { slack_channel_id: 'C123', last_known_pick_count: 1, autopick_counts: { user1: 2 } };
+        const mockDraft = { draft_order: { user1: 1, user2: 2 }, settings: { teams: 2, rounds: 2 } };
+        const mockPicks = [
+            { pick_no: 1, draft_slot: 1, picked_by: 'user1' },
+            { pick_no: 2, draft_slot: 2, picked_by: '' },
+            { pick_no: 3, draft_slot: 2, picked_by: 'user2' }
+        ];
+
+        datastore.getData.mockResolvedValue({ drafts: { draft123: draftInfo } });
+        sleeper.getDraftPicks.mockResolvedValue(mockPicks);
+        sleeper.getDraft.mockResolvedValue(mockDraft);
+        generatePickMessagePayload.mockResolvedValue({ text: 'pick' });
+
+        await checkDraftForUpdates(mockApp);
+
+        expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', {
+            lastKnownPickCount: 3,
+            autopickCounts: { user1: 2, user2: 1 }
+        });
+    });
+
+    describe('threaded mode', () => {
+        const mockDraft = { draft_order: {}, settings: {} };
+        const mockPicks = [{ pick_no: 1, picked_by: 'user1' }, { pick_no: 2, picked_by: 'user1' }];
+
+        beforeEach(() => {
+            sleeper.getDraftPicks.mockResolvedValue(mockPicks);
+            sleeper.getDraft.mockResolvedValue(mockDraft);
+            generatePickMessagePayload.mockResolvedValue({ text: 'pick' });
+            startDraftThread.mockResolvedValue('111.222');
+        });
+
+        it('starts a thread, replies to it and remembers its ts', async () => {
+            const mockData = { drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1, settings: { threaded: true } } } };
+            datastore.getData.mockResolvedValue(mockData);
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(startDraftThread).toHaveBeenCalledWith(mockApp, 'C123', mockDraft, mockPicks, mockData, []);
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({ channel: 'C123', thread_ts: '111.222', text: 'pick' });
+            expect(updateDraftThread).not.toHaveBeenCalled();
+            expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', { lastKnownPickCount: 2, threadTs: '111.222' });
+        });
+
+        it('falls back to posting in the channel when the thread cannot be started', async () => {
+            datastore.getData.mockResolvedValue({ drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1, settings: { threaded: true } } } });
+            startDraftThread.mockRejectedValue(new Error('Slack is down'));
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({ channel: 'C123', text: 'pick' });
+            expect(updateDraftThread).not.toHaveBeenCalled();
+            expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', { lastKnownPickCount: 2 });
+        });
+
+        it('replies to an existing thread and refreshes its summary', async () => {
+            const mockData = { drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1, settings: { threaded: true }, thread_ts: '999.000' } } };
+            datastore.getData.mockResolvedValue(mockData);
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(startDraftThread).not.toHaveBeenCalled();
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({ channel: 'C123', thread_ts: '999.000', text: 'pick' });
+            expect(updateDraftThread).toHaveBeenCalledWith(mockApp, 'C123', '999.000', mockDraft, mockPicks, mockData, []);
+            expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', { lastKnownPickCount: 2 });
+        });
+
+        it('posts to the channel when threaded mode is off', async () => {
+            datastore.getData.mockResolvedValue({ drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1, thread_ts: '999.000' } } });
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({ channel: 'C123', text: 'pick' });
+            expect(updateDraftThread).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('batched catch-up', () => {
+        const mockDraft = { draft_order: {}, settings: {} };
+        const mockPicks = [1, 2, 3, 4].map(pickNo => ({ pick_no: pickNo, picked_by: 'user1' }));
+
+        beforeEach(() => {
+            sleeper.getDraftPicks.mockResolvedValue(mockPicks);
+            sleeper.getDraft.mockResolvedValue(mockDraft);
+            generatePickMessagePayload.mockResolvedValue({ text: 'pick' });
+            generateBatchPickMessagePayload.mockResolvedValue({ text: 'batch' });
+        });
+
+        it('collapses a burst of picks into one message', async () => {
+            const mockData = { drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1, settings: { batchThreshold: 3 } } } };
+            datastore.getData.mockResolvedValue(mockData);
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(generateBatchPickMessagePayload).toHaveBeenCalledWith(mockDraft, mockPicks, 1, mockData, true, { tradedPicks: [], filter: expect.any(Function) });
+            expect(generatePickMessagePayload).not.toHaveBeenCalled();
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(1);
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({ channel: 'C123', text: 'batch' });
+            expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', { lastKnownPickCount: 4 });
+        });
+
+        it('posts each pick separately unless the channel turns batching on', async () => {
+            datastore.getData.mockResolvedValue({ drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1 } } });
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(generateBatchPickMessagePayload).not.toHaveBeenCalled();
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(3);
+        });
+
+        it('waits for a burst as large as the threshold', async () => {
+            datastore.getData.mockResolvedValue({
+                drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1, settings: { batchThreshold: 4 } } }
+            });
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(generateBatchPickMessagePayload).not.toHaveBeenCalled();
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('alert settings', () => {
+        const mockDraft = { draft_order: {}, settings: { teams: 2 } };
+        const mockPicks = [
+            { pick_no: 1, player_id: 'p1', picked_by: 'user1', metadata: { position: 'RB' } },
+            { pick_no: 2, player_id: 'p2', picked_by: 'user2', metadata: { position: 'K' } },
+            { pick_no: 3, player_id: 'p3', picked_by: 'user2', metadata: { position: 'WR' } },
+            { pick_no: 4, player_id: 'p4', picked_by: 'user1', metadata: { position: 'TE' } }
+        ];
+        const registerDraft = (settings, draftInfo = {}) => {
+            const mockData = { drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 0, settings: { batchThreshold: 0, ...settings }, ...draftInfo } } };
+            datastore.getData.mockResolvedValue(mockData);
+            return mockData;
+        };
+        const postedPickNumbers = () => generatePickMessagePayload.mock.calls.map(([, partialPicks]) => partialPicks.length);
+
+        beforeEach(() => {
+            sleeper.getDraftPicks.mockResolvedValue(mockPicks);
+            sleeper.getDraft.mockResolvedValue(mockDraft);
+            generatePickMessagePayload.mockResolvedValue({ text: 'pick' });
+            generateBatchPickMessagePayload.mockResolvedValue({ text: 'batch' });
+            sendOnTheClockDm.mockResolvedValue(true);
+            datastore.getWatchlistsForDraft.mockResolvedValue([]);
+        });
+
+        it('skips kickers and defenses when asked to', async () => {
+            registerDraft({ skipKDef: true });
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(postedPickNumbers()).toEqual([1, 3, 4]);
+            // The latest pick was posted, so it already mentions the next picker
+            expect(sendOnTheClockDm).not.toHaveBeenCalled();
+            expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', expect.objectContaining({ lastKnownPickCount: 4 }));
+        });
+
+        it('posts only round openers and watched players in highlights mode', async () => {
+            registerDraft({ highlightsOnly: true });
+            datastore.getWatchlistsForDraft.mockResolvedValue([{ slackUserId: 'U1', playerIds: ['p4'] }]);
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(datastore.getWatchlistsForDraft).toHaveBeenCalledWith('draft123');
+            expect(postedPickNumbers()).toEqual([1, 3, 4]);
+            // Watchlist DMs still see every new pick
+            expect(notifyWatchers).toHaveBeenCalledWith(mockApp, 'draft123', mockDraft, mockPicks, mockPicks, expect.anything());
+        });
+
+        it('posts one channel message for a whole round in highlights mode', async () => {
+            const twelveTeamDraft = { ...mockDraft, settings: { teams: 12 } };
+            const round = Array.from({ length: 12 }, (_, i) => ({ pick_no: i + 1, player_id: `p${i + 1}`, picked_by: `user${i + 1}`, metadata: { position: 'WR' } }));
+            sleeper.getDraft.mockResolvedValue(twelveTeamDraft);
+            registerDraft({ highlightsOnly: true });
+
+            // The round arrives one pick per run, as it would in a live draft
+            for (let count = 1; count <= round.length; count++) {
+                sleeper.getDraftPicks.mockResolvedValue(round.slice(0, count));
+                await checkDraftForUpdates(mockApp);
+                registerDraft({ highlightsOnly: true }, { last_known_pick_count: count });
+            }
+
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(1);
+            expect(postedPickNumbers()).toEqual([1]);
+            // Each held back pick DMs whoever it put on the clock instead
+            expect(sendOnTheClockDm).toHaveBeenCalledTimes(11);
+        });
+
+        it('only DMs who is on the clock when every new pick is held back, but still records them', async () => {
+            registerDraft({ skipKDef: true }, { last_known_pick_count: 1 });
+            sleeper.getDraftPicks.mockResolvedValue(mockPicks.slice(0, 2));
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(generatePickMessagePayload).not.toHaveBeenCalled();
+            expect(sendOnTheClockDm).toHaveBeenCalledWith(mockApp, mockDraft, mockPicks.slice(0, 2), []);
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+            expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', expect.objectContaining({ lastKnownPickCount: 2 }));
+        });
+
+        it('DMs who is on the clock after posting earlier picks when the latest is held back', async () => {
+            registerDraft({ skipKDef: true });
+            sleeper.getDraftPicks.mockResolvedValue(mockPicks.slice(0, 2));
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(postedPickNumbers()).toEqual([1]);
+            expect(generatePickMessagePayload).toHaveBeenCalledWith(mockDraft, mockPicks.slice(0, 1), expect.anything(), false, expect.anything());
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(1);
+            expect(sendOnTheClockDm).toHaveBeenCalledTimes(1);
+        });
+
+        it('batches only the picks that get alerts', async () => {
+            const mockData = registerDraft({ skipKDef: true, batchThreshold: 3 });
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(generateBatchPickMessagePayload).toHaveBeenCalledWith(mockDraft, mockPicks, 0, mockData, true, { tradedPicks: [], filter: expect.any(Function) });
+            const { filter } = generateBatchPickMessagePayload.mock.calls[0][5];
+            expect(mockPicks.filter(filter).map(pick => pick.pick_no)).toEqual([1, 3, 4]);
+        });
+
+        it('adds cached college and experience in rookie drafts', async () => {
+            const rookieDraft = { ...mockDraft, settings: { teams: 2, player_type: 1 } };
+            const players = { p1: { college: 'Alabama', years_exp: 0 } };
+            sleeper.getDraft.mockResolvedValue(rookieDraft);
+            getPlayersFromCacheOrFetch.mockResolvedValue(players);
+            registerDraft({});
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(getPlayersFromCacheOrFetch).toHaveBeenCalledWith(['p1', 'p2', 'p3', 'p4']);
+            expect(generatePickMessagePayload).toHaveBeenCalledWith(rookieDraft, mockPicks, expect.anything(), true, expect.objectContaining({ players }));
+        });
+
+        it('leaves rookie details out when turned off, or when the cache fails', async () => {
+            sleeper.getDraft.mockResolvedValue({ ...mockDraft, settings: { teams: 2, player_type: 1 } });
+            registerDraft({ rookieDetails: false });
+
+            await checkDraftForUpdates(mockApp);
+            expect(getPlayersFromCacheOrFetch).not.toHaveBeenCalled();
+
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            registerDraft({});
+            getPlayersFromCacheOrFetch.mockRejectedValue(new Error('DynamoDB down'));
+            generatePickMessagePayload.mockClear();
+
+            await checkDraftForUpdates(mockApp);
+            expect(generatePickMessagePayload).toHaveBeenCalledTimes(4);
+            expect(generatePickMessagePayload.mock.calls[0][4].players).toBeUndefined();
+            warn.mockRestore();
+        });
+    });
+
+    describe('board and watchlist updates', () => {
+        const mockDraft = { draft_order: {}, settings: {} };
+        const mockPicks = [{ pick_no: 1, picked_by: 'user1' }, { pick_no: 2, picked_by: 'user1' }];
+
+        beforeEach(() => {
+            sleeper.getDraftPicks.mockResolvedValue(mockPicks);
+            sleeper.getDraft.mockResolvedValue(mockDraft);
+            generatePickMessagePayload.mockResolvedValue({ text: 'pick' });
+        });
+
+        it('refreshes the pinned board when new picks arrive', async () => {
+            const mockData = { drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1, board_ts: '555.666' } } };
+            datastore.getData.mockResolvedValue(mockData);
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(updateDraftBoard).toHaveBeenCalledWith(mockApp, 'C123', '555.666', mockDraft, mockPicks, mockData);
+        });
+
+        it('leaves drafts without a board alone', async () => {
+            datastore.getData.mockResolvedValue({ drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1 } } });
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(updateDraftBoard).not.toHaveBeenCalled();
+        });
+
+        it('sends watchlist alerts for just the new picks', async () => {
+            const mockData = { drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1 } } };
+            datastore.getData.mockResolvedValue(mockData);
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(notifyWatchers).toHaveBeenCalledWith(mockApp, 'draft123', mockDraft, mockPicks, [mockPicks[1]], mockData);
+        });
+
+        it('still records the pick count when watchlist alerts fail', async () => {
+            datastore.getData.mockResolvedValue({ drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 1 } } });
+            notifyWatchers.mockRejectedValue(new Error('DynamoDB down'));
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', { lastKnownPickCount: 2 });
+        });
+
+        it('does not touch the board when there are no new picks', async () => {
+            datastore.getData.mockResolvedValue({ drafts: { draft123: { slack_channel_id: 'C123', last_known_pick_count: 2, board_ts: '555.666' } } });
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(updateDraftBoard).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('undone picks', () => {
+        const mockDraft = { draft_id: 'draft123', draft_order: {}, settings: {}, metadata: { name: 'Rookie Draft' } };
+        const pick = (pickNo, playerId, firstName, lastName) => ({ pick_no: pickNo, player_id: playerId, picked_by: 'user1', metadata: { first_name: firstName, last_name: lastName } });
+
+        beforeEach(() => {
+            sleeper.getDraft.mockResolvedValue(mockDraft);
+            generatePickMessagePayload.mockResolvedValue({ text: 'pick' });
+            getDraftName.mockReturnValue('Rookie Draft');
+        });
+
+        it('announces picks undone since the last check and rewinds the counter', async () => {
+            sleeper.getDraftPicks.mockResolvedValue([pick(1, 'p1', 'Bijan', 'Robinson')]);
+            datastore.getData.mockResolvedValue({ drafts: { draft123: {
+                slack_channel_id: 'C123',
+                last_known_pick_count: 3,
+                last_pick: { pickNo: 3, playerId: 'p3', playerName: 'Puka Nacua' },
+                board_ts: '555.666'
+            } } });
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({ channel: 'C123', text: ':rewind: *Picks #2-#3 were undone* in *Rookie Draft* (Puka Nacua is back on the board).' });
+            expect(generatePickMessagePayload).not.toHaveBeenCalled();
+            expect(updateDraftBoard).toHaveBeenCalled();
+            expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', {
+                lastKnownPickCount: 1,
+                lastPick: { pickNo: 1, playerId: 'p1', playerName: 'Bijan Robinson' }
+            });
+        });
+
+        it('reposts a pick that was undone and made again with a different player', async () => {
+            const picks = [pick(1, 'p1', 'Bijan', 'Robinson'), pick(2, 'p9', 'Breece', 'Hall')];
+            sleeper.getDraftPicks.mockResolvedValue(picks);
+            datastore.getData.mockResolvedValue({ drafts: { draft123: {
+                slack_channel_id: 'C123',
+                last_known_pick_count: 2,
+                last_pick: { pickNo: 2, playerId: 'p2', playerName: 'Puka Nacua' }
+            } } });
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(mockApp.client.chat.postMessage).toHaveBeenNthCalledWith(1, {
+                channel: 'C123',
+                text: ':rewind: *Pick #2 was undone* in *Rookie Draft* (Puka Nacua is back on the board).'
+            });
+            expect(mockApp.client.chat.postMessage).toHaveBeenNthCalledWith(2, { channel: 'C123', text: 'pick' });
+            expect(generatePickMessagePayload).toHaveBeenCalledWith(mockDraft, picks, expect.anything(), true, expect.anything());
+            expect(datastore.updateDraft).toHaveBeenCalledWith('draft123', {
+                lastKnownPickCount: 2,
+                lastPick: { pickNo: 2, playerId: 'p9', playerName: 'Breece Hall' }
+            });
+        });
+
+        it('leaves an unchanged draft alone', async () => {
+            sleeper.getDraftPicks.mockResolvedValue([pick(1, 'p1', 'Bijan', 'Robinson')]);
+            datastore.getData.mockResolvedValue({ drafts: { draft123: {
+                slack_channel_id: 'C123',
+                last_known_pick_count: 1,
+                last_pick: { pickNo: 1, playerId: 'p1', playerName: 'Bijan Robinson' }
+            } } });
+
+            await checkDraftForUpdates(mockApp);
+
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+            expect(datastore.updateDraft).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,193 @@
+const {
+    buildPickRows,
+    findReachesAndSteals,
+    buildRecapMessages,
+    buildPicksCsv,
+    buildPicksJson,
+    postDraftRecap
+} = require('../../services/draftRecap.js');
+const { getPlayersFromCacheOrFetch } = require('../../services/nflDataCache.js');
+const { resolvePickerName } = require('../../handlers/lastpick.js');
+
+jest.mock('../../services/nflDataCache.js');
+jest.mock('../../handlers/lastpick.js');
+jest.mock('../../shared/logger.js');
+
+describe('draftRecap', () => {
+    // 2 teams x 3 rounds snake draft
+    const draft = {
+        draft_id: 'draft123',
+        season: '2026',
+        type: 'snake',
+        metadata: { name: 'Test League' },
+        settings: { teams: 2, rounds: 3 },
+        draft_order: { u1: 1, u2: 2 },
+        slot_to_roster_id: { '1': 1, '2': 2 }
+    };
+    const pick = (pickNo, round, slot, user, playerId, first, last, position, team, extra = {}) => ({
+        pick_no: pickNo, round, draft_slot: slot, roster_id: slot, picked_by: user, player_id: playerId,
+        metadata: { first_name: first, last_name: last, position, team }, ...extra
+    });
+    const picks = [
+        pick(1, 1, 1, 'u1', 'p1', 'Kicker', 'Guy', 'K', 'DAL'),
+        pick(2, 1, 2, 'u2', 'p2', 'Star', 'Back', 'RB', 'ATL'),
+        pick(3, 2, 2, 'u2', 'p3', 'Solid', 'Receiver', 'WR', 'MIN'),
+        pick(4, 2, 1, 'u1', 'p4', 'Best', 'Quarterback', 'QB', 'BUF'),
+        pick(5, 3, 1, 'u1', 'p5', 'Late', 'Tight, End', 'TE', 'KC'),
+        pick(6, 3, 2, 'u2', 'p6', 'Kept', 'Player', 'RB', 'SF', { is_keeper: true })
+    ];
+    // p4 was the top ranked player but went 4th; p1 was ranked last but went 1st
+    const rankings = { p4: 1, p2: 2, p3: 3, p5: 4, p1: 5, p6: 6 };
+    const data = {};
+    let rows;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        resolvePickerName.mockImplementation(async (userId) => `Team ${userId}`);
+        rows = await buildPickRows(draft, picks, data);
+    });
+
+    describe('buildPickRows', () => {
+        it('resolves each pick to its team and formats the pick number', () => {
+            expect(rows).toHaveLength(6);
+            expect(rows[2]).toEqual({
+                pick_no: 3, round: 2, pick: '2.01', slot: 2, user_id: 'u2', team: 'Team u2',
+                player_id: 'p3', player: 'Solid Receiver', position: 'WR', nfl_team: 'MIN', is_keeper: false
+            });
+            // Each team's name is only looked up once
+            expect(resolvePickerName).toHaveBeenCalledTimes(2);
+        });
+
+        it('includes the winning bid for auction drafts', async () => {
+            const auctionRows = await buildPickRows({ ...draft, type: 'auction' }, [
+                pick(1, 1, 2, 'u2', 'p2', 'Star', 'Back', 'RB', 'ATL', { metadata: { first_name: 'Star', last_name: 'Back', position: 'RB', team: 'ATL', amount: '57' } })
+            ], data);
+
+            expect(auctionRows[0].amount).toBe(57);
+        });
+    });
+
+    describe('findReachesAndSteals', () => {
+        it('flags picks a round or more away from their rank', () => {
+            const { reaches, steals } = findReachesAndSteals(draft, rows, rankings);
+
+            expect(reaches.map(row => row.player_id)).toEqual(['p1']);
+            expect(reaches[0]).toMatchObject({ expected: 5, delta: -4 });
+            expect(steals.map(row => row.player_id)).toEqual(['p4']);
+            expect(steals[0]).toMatchObject({ expected: 1, delta: 3 });
+        });
+
+        it('ignores keepers and unranked players', () => {
+            const { reaches, steals } = findReachesAndSteals(draft, rows, { p6: 1, p1: 9999999 });
+
+            expect(reaches).toEqual([]);
+            expect(steals).toEqual([]);
+        });
+    });
+
+    describe('buildRecapMessages', () => {
+        it('posts teams grouped by position, notable picks and the round board', () => {
+            const [summary, board] = buildRecapMessages(draft, rows, rankings);
+
+            expect(summary.blocks[0].text.text).toBe(':trophy: Test League Recap');
+            const notable = summary.blocks[1].fields.map(field => field.text).join('\n');
+            expect(notable).toContain('Best Quarterback (QB) to Team u1 at 2.02');
+            expect(notable).toContain('Kicker Guy (K) to Team u1 at 1.01');
+
+            const team1 = summary.blocks.find(block => block.text?.text?.startsWith('*Team u1*')).text.text;
+            // Positions are listed QB first and K after TE
+            expect(team1.indexOf('*QB:*')).toBeLessThan(team1.indexOf('*TE:*'));
+            expect(team1.indexOf('*TE:*')).toBeLessThan(team1.indexOf('*K:*'));
+
+            expect(board.blocks[0].text.text).toBe(':clipboard: Draft Board');
+            expect(board.blocks).toHaveLength(4);
+            expect(board.blocks[3].text.text).toContain('3.02 Kept Player (RB - SF) (K) - Team u2');
+        });
+
+        it('splits long recaps to stay under the Slack block limit', () => {
+            const manyRounds = Array.from({ length: 60 }, (_, i) => ({ ...rows[0], pick_no: i + 1, round: i + 1 }));
+
+            const messages = buildRecapMessages(draft, manyRounds, {});
+
+            expect(messages.length).toBe(3);
+            messages.forEach(message => expect(message.blocks.length).toBeLessThanOrEqual(50));
+        });
+
+        it('skips reaches and steals for auctions and shows money spent', async () => {
+            const auctionDraft = { ...draft, type: 'auction' };
+            const auctionRows = rows.map(row => ({ ...row, amount: 10 }));
+
+            const [summary] = buildRecapMessages(auctionDraft, auctionRows, rankings);
+
+            expect(summary.blocks[1].type).toBe('divider');
+            expect(summary.blocks[2].text.text).toContain('$30 spent');
+        });
+    });
+
+    describe('exports', () => {
+        it('builds a CSV of every pick, quoting where needed', () => {
+            const csv = buildPicksCsv(rows, false).split('\n');
+
+            expect(csv[0]).toBe('pick_no,round,pick,team,user_id,player,player_id,position,nfl_team,is_keeper');
+            expect(csv[1]).toBe('1,1,1.01,Team u1,u1,Kicker Guy,p1,K,DAL,false');
+            expect(csv[5]).toBe('5,3,3.01,Team u1,u1,"Late Tight, End",p5,TE,KC,false');
+        });
+
+        it('adds the bid column for auctions', () => {
+            expect(buildPicksCsv([{ ...rows[0], amount: 12 }], true).split('\n')[1]).toMatch(/,12$/);
+        });
+
+        it('builds a JSON export with the draft details', () => {
+            const json = JSON.parse(buildPicksJson(draft, rows));
+
+            expect(json).toMatchObject({ draft_id: 'draft123', name: 'Test League', season: '2026', type: 'snake' });
+            expect(json.picks).toHaveLength(6);
+            expect(json.picks[0].slot).toBeUndefined();
+        });
+    });
+
+    describe('postDraftRecap', () => {
+        let mockApp;
+
+        beforeEach(() => {
+            mockApp = {
+                client: {
+                    chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) },
+                    files: { uploadV2: jest.fn().mockResolvedValue({ ok: true }) }
+                }
+            };
+            getPlayersFromCacheOrFetch.mockResolvedValue(
+                Object.fromEntries(Object.entries(rankings).map(([id, rank]) => [id, { player_id: id, search_rank: rank }]))
+            );
+        });
+
+        it('posts the recap and uploads CSV and JSON exports', async () => {
+            await postDraftRecap(mockApp, 'C123', draft, picks, data);
+
+            expect(getPlayersFromCacheOrFetch).toHaveBeenCalledWith(['p1', 'p2', 'p3', 'p4', 'p5', 'p6']);
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(2);
+            expect(mockApp.client.chat.postMessage.mock.calls[0][0].channel).toBe('C123');
+            expect(mockApp.client.files.uploadV2).toHaveBeenCalledWith(expect.objectContaining({
+                channel_id: 'C123',
+                file_uploads: [
+                    expect.objectContaining({ filename: 'draft-draft123.csv' }),
+                    expect.objectContaining({ filename: 'draft-draft123.json' })
+                ]
+            }));
+        });
+
+        it('still posts the recap when rankings and uploads are unavailable', async () => {
+            getPlayersFromCacheOrFetch.mockRejectedValue(new Error('cache down'));
+            mockApp.client.files.uploadV2.mockRejectedValue(new Error('missing_scope'));
+
+            await expect(postDraftRecap(mockApp, 'C123', draft, picks, data)).resolves.toBeUndefined();
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(2);
+        });
+
+        it('does nothing for a draft without picks', async () => {
+            await postDraftRecap(mockApp, 'C123', draft, [], data);
+
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+    });
+});
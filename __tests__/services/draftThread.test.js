@@ -0,0 +1,80 @@
+const { buildDraftThreadSummary, startDraftThread, updateDraftThread } = require('../../services/draftThread.js');
+const { resolvePickerName, getNextPicker } = require('../../handlers/lastpick.js');
+
+jest.mock('../../handlers/lastpick.js');
+jest.mock('../../shared/logger.js');
+
+describe('draftThread', () => {
+    const draft = {
+        draft_id: 'draft123',
+        type: 'snake',
+        metadata: { name: 'Test Draft' },
+        settings: { teams: 2, rounds: 3 },
+        draft_order: { u1: 1, u2: 2 }
+    };
+    const picks = [
+        { pick_no: 1, metadata: { first_name: 'Star', last_name: 'Back', position: 'RB' } },
+        { pick_no: 2, metadata: { first_name: 'Big', last_name: 'Arm', position: 'QB' } }
+    ];
+    let mockApp;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockApp = {
+            client: {
+                chat: {
+                    postMessage: jest.fn().mockResolvedValue({ ok: true, ts: '111.222' }),
+                    update: jest.fn().mockResolvedValue({ ok: true })
+                }
+            }
+        };
+        resolvePickerName.mockImplementation(async (userId) => `Team ${userId}`);
+        getNextPicker.mockReturnValue({ pickNo: 3, round: 2, userId: 'u2', originalUserId: 'u1' });
+    });
+
+    describe('buildDraftThreadSummary', () => {
+        it('shows the current round, progress, latest pick and who is on the clock', async () => {
+            const payload = await buildDraftThreadSummary(draft, picks, {}, []);
+
+            expect(payload.blocks[0].text.text).toBe(':rotating_light: *DRAFT LIVE:* Test Draft');
+            const fields = payload.blocks[1].fields.map(field => field.text);
+            expect(fields).toEqual([
+                '*Round:* `2 of 3`',
+                '*Picks Made:* `2 / 6`',
+                '*Latest Pick:* Big Arm (QB)',
+                '*On The Clock:* Team u2 (via Team u1)'
+            ]);
+            // Never mention anyone, as the summary is edited after every pick
+            expect(resolvePickerName).toHaveBeenCalledWith('u2', {});
+        });
+
+        it('switches to a completed summary after the last pick', async () => {
+            const allPicks = Array.from({ length: 6 }, (_, i) => ({ pick_no: i + 1, metadata: { first_name: 'P', last_name: `${i + 1}` } }));
+
+            const payload = await buildDraftThreadSummary(draft, allPicks, {}, []);
+
+            expect(payload.blocks[0].text.text).toBe(':checkered_flag: *DRAFT COMPLETE:* Test Draft');
+            expect(payload.blocks[1].fields[3].text).toBe('*On The Clock:* The draft is complete!');
+            expect(getNextPicker).not.toHaveBeenCalled();
+        });
+    });
+
+    it('posts the parent message and returns its ts', async () => {
+        const ts = await startDraftThread(mockApp, 'C123', draft, picks, {}, []);
+
+        expect(ts).toBe('111.222');
+        expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C123' }));
+    });
+
+    it('edits the parent message in place', async () => {
+        await updateDraftThread(mockApp, 'C123', '111.222', draft, picks, {}, []);
+
+        expect(mockApp.client.chat.update).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C123', ts: '111.222' }));
+    });
+
+    it('does not throw when the parent cannot be edited', async () => {
+        mockApp.client.chat.update.mockRejectedValue(new Error('message_not_found'));
+
+        await expect(updateDraftThread(mockApp, 'C123', '111.222', draft, picks, {}, [])).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,150 @@
+const { getCurrentLeagueDrafts, registerLeagueDrafts, findRolledOverLeague, checkLeagueDrafts } = require('../../services/leagueDrafts.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../shared/logger.js');
+
+describe('leagueDrafts', () => {
+    const draft = (draftId, status) => ({ draft_id: draftId, status, metadata: { name: `Draft ${draftId}` } });
+    let mockApp;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockApp = { client: { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } } };
+        datastore.getData.mockResolvedValue({ drafts: { old: { slack_channel_id: 'C2' } } });
+        datastore.saveDraft.mockResolvedValue();
+        datastore.deleteDraft.mockResolvedValue();
+        datastore.saveLeague.mockResolvedValue();
+        datastore.addSeenLeagueDrafts.mockResolvedValue();
+        datastore.deleteLeague.mockResolvedValue();
+        sleeper.getNflState.mockResolvedValue({ season: '2026', league_season: '2027' });
+    });
+
+    it('only treats unfinished drafts as current', async () => {
+        sleeper.getLeagueDrafts.mockResolvedValue([draft('a', 'pre_draft'), draft('b', 'complete'), draft('c', 'drafting')]);
+
+        await expect(getCurrentLeagueDrafts('L1')).resolves.toEqual([draft('a', 'pre_draft'), draft('c', 'drafting')]);
+    });
+
+    it('registers new drafts and leaves registered ones alone', async () => {
+        sleeper.getLeagueDrafts.mockResolvedValue([draft('old', 'pre_draft'), draft('new', 'pre_draft')]);
+
+        const result = await registerLeagueDrafts('L1', 'C1');
+
+        expect(result).toEqual({ registered: [draft('new', 'pre_draft')], existing: [{ ...draft('old', 'pre_draft'), slackChannelId: 'C2' }] });
+        expect(datastore.saveDraft).toHaveBeenCalledTimes(1);
+        expect(datastore.saveDraft).toHaveBeenCalledWith('new', 'C1', 0, { lastSeenStatus: 'pre_draft' });
+        expect(datastore.addSeenLeagueDrafts).toHaveBeenCalledWith('L1', ['old', 'new']);
+    });
+
+    it('leaves drafts it has seen before unregistered', async () => {
+        sleeper.getLeagueDrafts.mockResolvedValue([draft('dismissed', 'pre_draft'), draft('new', 'pre_draft')]);
+
+        const result = await registerLeagueDrafts('L1', 'C1', { seenDraftIds: new Set(['dismissed']) });
+
+        expect(result).toEqual({ registered: [draft('new', 'pre_draft')], existing: [] });
+        expect(datastore.saveDraft).toHaveBeenCalledTimes(1);
+        expect(datastore.addSeenLeagueDrafts).toHaveBeenCalledWith('L1', ['new']);
+    });
+
+    it("finds the new season's league through any member", async () => {
+        sleeper.getLeagueUsers.mockResolvedValue([{ user_id: 'gone' }, { user_id: 'u2' }]);
+        sleeper.getUserLeagues.mockImplementation(async (userId) => (userId === 'u2'
+            ? [{ league_id: 'other', previous_league_id: 'X' }, { league_id: 'L2', previous_league_id: 'L1' }]
+            : []));
+
+        await expect(findRolledOverLeague('L1', '2027')).resolves.toEqual({ league_id: 'L2', previous_league_id: 'L1' });
+        expect(sleeper.getUserLeagues).toHaveBeenCalledWith('u2', 'nfl', '2027');
+    });
+
+    describe('checkLeagueDrafts', () => {
+        const league = { leagueId: 'L1', leagueName: 'UKFF', slackChannelId: 'C1', season: '2026', autoDrafts: true };
+
+        it('moves a rolled-over league to the new season and registers its draft', async () => {
+            datastore.getAllChannelsWithLeagues.mockResolvedValue([{ channelId: 'C1', leagues: [league, { ...league, leagueId: 'L9', autoDrafts: undefined }] }]);
+            const nextLeague = { league_id: 'L2', previous_league_id: 'L1', name: 'UKFF', season: '2027' };
+            sleeper.getLeagueUsers.mockResolvedValue([{ user_id: 'u1' }]);
+            sleeper.getUserLeagues.mockResolvedValue([nextLeague]);
+            sleeper.getLeagueDrafts.mockResolvedValue([draft('d27', 'pre_draft')]);
+
+            await expect(checkLeagueDrafts(mockApp)).resolves.toEqual({ rolledOver: 1, draftsRegistered: 0 });
+
+            expect(datastore.saveLeague).toHaveBeenCalledWith('L2', 'C1', nextLeague, { autoDrafts: true });
+            expect(datastore.deleteLeague).toHaveBeenCalledWith('L1');
+            expect(sleeper.getLeagueDrafts).toHaveBeenCalledWith('L2');
+            expect(datastore.saveDraft).toHaveBeenCalledWith('d27', 'C1', 0, { lastSeenStatus: 'pre_draft' });
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'C1',
+                text: ":arrows_counterclockwise: *UKFF* has rolled over to the 2027 season. I've registered its draft (*Draft d27* `d27`) to this channel."
+            });
+        });
+
+        it("unregisters last season's draft when both seasons' drafts share the channel", async () => {
+            datastore.getAllChannelsWithLeagues.mockResolvedValue([{ channelId: 'C1', leagues: [league] }]);
+            const nextLeague = { league_id: 'L2', previous_league_id: 'L1', name: 'UKFF', season: '2027' };
+            sleeper.getLeagueUsers.mockResolvedValue([{ user_id: 'u1' }]);
+            sleeper.getUserLeagues.mockResolvedValue([nextLeague]);
+            sleeper.getLeagueDrafts.mockImplementation(async (leagueId) => (leagueId === 'L1'
+                ? [draft('d26', 'complete'), draft('unregistered', 'complete')]
+                : [draft('d27', 'pre_draft')]));
+            datastore.getData.mockResolvedValue({ drafts: { d26: { slack_channel_id: 'C1' }, other: { slack_channel_id: 'C1' } } });
+
+            await expect(checkLeagueDrafts(mockApp)).resolves.toEqual({ rolledOver: 1, draftsRegistered: 0 });
+
+            expect(datastore.deleteDraft).toHaveBeenCalledTimes(1);
+            expect(datastore.deleteDraft).toHaveBeenCalledWith('d26');
+            expect(datastore.saveDraft).toHaveBeenCalledWith('d27', 'C1', 0, { lastSeenStatus: 'pre_draft' });
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'C1',
+                text: ":arrows_counterclockwise: *UKFF* has rolled over to the 2027 season. I've registered its draft (*Draft d27* `d27`) to this channel. Last season's draft is no longer registered."
+            });
+        });
+
+        it("waits when the new season's league doesn't exist yet", async () => {
+            datastore.getAllChannelsWithLeagues.mockResolvedValue([{ channelId: 'C1', leagues: [league] }]);
+            sleeper.getLeagueUsers.mockResolvedValue([{ user_id: 'u1' }]);
+            sleeper.getUserLeagues.mockResolvedValue([]);
+
+            await expect(checkLeagueDrafts(mockApp)).resolves.toEqual({ rolledOver: 0, draftsRegistered: 0 });
+            expect(datastore.saveLeague).not.toHaveBeenCalled();
+        });
+
+        it('registers newly created drafts for current leagues and keeps going after a failure', async () => {
+            const current = { ...league, season: '2027' };
+            datastore.getAllChannelsWithLeagues.mockResolvedValue([
+                { channelId: 'C0', leagues: [{ ...current, leagueId: 'broken', slackChannelId: 'C0' }] },
+                { channelId: 'C1', leagues: [current] }
+            ]);
+            sleeper.getLeagueDrafts.mockImplementation(async (leagueId) => {
+                if (leagueId === 'broken') throw new Error('Sleeper down');
+                return [draft('old', 'drafting'), draft('rookie', 'pre_draft')];
+            });
+
+            await expect(checkLeagueDrafts(mockApp)).resolves.toEqual({ rolledOver: 0, draftsRegistered: 1 });
+
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(1);
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'C1',
+                text: ":white_check_mark: *UKFF* has a new draft, *Draft rookie* (`rookie`). I've registered it to this channel."
+            });
+        });
+
+        it("doesn't bring back a draft the channel unregistered", async () => {
+            datastore.getAllChannelsWithLeagues.mockResolvedValue([{ channelId: 'C1', leagues: [{ ...league, season: '2027', seenDraftIds: new Set(['rookie']) }] }]);
+            sleeper.getLeagueDrafts.mockResolvedValue([draft('rookie', 'pre_draft')]);
+
+            await expect(checkLeagueDrafts(mockApp)).resolves.toEqual({ rolledOver: 0, draftsRegistered: 0 });
+            expect(datastore.saveDraft).not.toHaveBeenCalled();
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('does nothing when no league follows its drafts', async () => {
+            datastore.getAllChannelsWithLeagues.mockResolvedValue([{ channelId: 'C1', leagues: [{ ...league, autoDrafts: undefined }] }]);
+
+            await expect(checkLeagueDrafts(mockApp)).resolves.toEqual({ rolledOver: 0, draftsRegistered: 0 });
+            expect(sleeper.getNflState).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const { formatEfficiency, analyzeLineup, summarizeLineups, loadLineupEfficiency, buildLineupEfficiencyPayload } = require('../../services/lineupEfficiency.js');
+const sleeper = require('../../services/sleeper.js');
+const { getPlayersFromCacheOrFetch } = require('../../services/nflDataCache.js');
+
+jest.mock('../../services/sleeper.js');
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/nflDataCache.js');
+
+describe('lineupEfficiency', () => {
+    const rosterPositions = ['QB', 'RB', 'WR', 'FLEX', 'BN', 'BN', 'BN', 'IR'];
+    const players = {
+        qb: { position: 'QB' },
+        rb1: { position: 'RB' },
+        rb2: { position: 'RB' },
+        wr1: { position: 'WR' },
+        wr2: { position: 'WR' },
+        te: { fantasy_positions: ['TE'], position: 'TE' },
+        ir: { position: 'RB' }
+    };
+    // Started rb2 over rb1 and wr2 in the flex over te; rb1 and te scored more
+    const matchup = {
+        roster_id: 1,
+        starters: ['qb', 'rb2', 'wr1', 'wr2'],
+        starters_points: [20, 5, 15, 8],
+        players: ['qb', 'rb1', 'rb2', 'wr1', 'wr2', 'te', 'ir'],
+        players_points: { qb: 20, rb1: 12, rb2: 5, wr1: 15, wr2: 8, te: 10, ir: 30 }
+    };
+    const roster = { roster_id: 1, reserve: ['ir'] };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('formats efficiency as a percentage', () => {
+        expect(formatEfficiency(0.92375)).toBe('92.4%');
+        expect(formatEfficiency(1)).toBe('100.0%');
+    });
+
+    describe('analyzeLineup', () => {
+        it('compares the started lineup with the best one, ignoring players on IR', () => {
+            expect(analyzeLineup(matchup, roster, rosterPositions, players)).toEqual({
+                actual: 48,
+                optimal: 57,
+                efficiency: 48 / 57,
+                pointsLeft: 9
+            });
+        });
+
+        it('counts a player on IR who was started anyway', () => {
+            const started = { ...matchup, starters: ['qb', 'ir', 'wr1', 'wr2'], starters_points: [20, 30, 15, 8] };
+
+            expect(analyzeLineup(started, roster, rosterPositions, players).optimal).toBe(20 + 30 + 15 + 12);
+        });
+
+        it('sums starter points itself, and never rates a lineup above 100%', () => {
+            const unknownStarter = { roster_id: 1, starters: ['x', '0'], players_points: { x: 40 } };
+
+            expect(analyzeLineup(unknownStarter, undefined, rosterPositions, players)).toEqual({ actual: 40, optimal: 40, efficiency: 1, pointsLeft: 0 });
+            expect(analyzeLineup({ roster_id: 2, starters: [] }, undefined, rosterPositions, players).efficiency).toBe(1);
+        });
+    });
+
+    it('totals every week and counts perfect lineups', () => {
+        const perfect = { roster_id: 2, starters: ['qb'], starters_points: [20], players_points: { qb: 20 } };
+        const teams = summarizeLineups({ roster_positions: ['QB'] }, [roster], [[matchup, perfect], [perfect]], players, rosterId => `Team ${rosterId}`);
+
+        // Only a QB slot here, so team 1's 48 points beat its 20-point optimal and are capped at 100%
+        expect(teams).toEqual([
+            expect.objectContaining({ rosterId: 1, actual: 48, optimal: 48, efficiency: 1, perfectWeeks: 1 }),
+            expect.objectContaining({ rosterId: 2, actual: 40, optimal: 40, efficiency: 1, perfectWeeks: 2 })
+        ]);
+    });
+
+    it('loads the season leaderboard from every completed week', async () => {
+        sleeper.getLeague.mockResolvedValue({ league_id: 'L1', name: 'Dynasty', season: '2026', status: 'in_season', roster_positions: rosterPositions, settings: {} });
+        sleeper.getLeagueRosters.mockResolvedValue([roster]);
+        sleeper.getLeagueUsers.mockResolvedValue([]);
+        sleeper.getLeagueMatchups.mockResolvedValue([matchup]);
+        getPlayersFromCacheOrFetch.mockResolvedValue(players);
+
+        const leaderboard = await loadLineupEfficiency('L1', { season: '2026', week: 3 });
+
+        expect(sleeper.getLeagueMatchups).toHaveBeenCalledTimes(2);
+        expect(getPlayersFromCacheOrFetch).toHaveBeenCalledWith(['qb', 'rb1', 'rb2', 'wr1', 'wr2', 'te', 'ir']);
+        expect(leaderboard.teams[0]).toEqual(expect.objectContaining({ name: 'Team 1', actual: 96, optimal: 114 }));
+
+        await expect(loadLineupEfficiency('L1', { season: '2026', week: 1 })).resolves.toEqual(expect.objectContaining({ week: 0, teams: [] }));
+        sleeper.getLeague.mockResolvedValue(null);
+        await expect(loadLineupEfficiency('gone', { season: '2026', week: 3 })).resolves.toBeNull();
+    });
+
+    it('posts the leaderboard as a table', () => {
+        const payload = buildLineupEfficiencyPayload({
+            league: { name: 'Dynasty' },
+            week: 2,
+            teams: [{ name: 'alice', efficiency: 0.9, actual: 180, optimal: 200, pointsLeft: 20, perfectWeeks: 1 }]
+        });
+
+        expect(payload.text).toBe('Dynasty Lineup Efficiency · Through Week 2');
+        expect(payload.blocks[2].rows.map(row => row.map(cell => cell.text))).toEqual([
+            ['#', 'Team', 'Efficiency', 'Started', 'Optimal', 'Left on Bench', 'Perfect Weeks'],
+            ['1', 'alice', '90.0%', '180.00', '200.00', '20.00', '1']
+        ]);
+    });
+});
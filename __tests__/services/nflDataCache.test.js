@@ -5,6 +5,8 @@
 const { 
     getNflByeWeeksWithCache, 
     getPlayersFromCacheOrFetch,
+    findPlayersByName,
+    findPlayersByNames,
     fetchAndCacheRosterPlayers,
     refreshNflPlayersCache,
     refreshNflByeWeeksCache,
@@ -159,12 +161,173 @@ describe('NFL Data Cache Service', () => {
             expect(result['456'].full_name).toBe('Another Player');
         });
 
+        it('should cache and return the search rank when Sleeper has one', async () => {
+            mockDatastore.getNflPlayers.mockResolvedValue({});
+            mockSleeper.getAllPlayers.mockResolvedValue({
+                '789': { ...mockPlayers['123'], player_id: '789', search_rank: 42 }
+            });
+            mockDatastore.saveNflPlayers.mockResolvedValue();
+
+            const result = await getPlayersFromCacheOrFetch(['789'], 'nfl');
+
+            expect(result['789'].search_rank).toBe(42);
+            expect(mockDatastore.saveNflPlayers).toHaveBeenCalledWith('nfl', {
+                '789': { n: 'Test Player', t: null, p: 'QB', r: 42 }
+            });
+        });
+
+        it('should cache college and experience for young players only', async () => {
+            mockDatastore.getNflPlayers.mockResolvedValue({});
+            mockSleeper.getAllPlayers.mockResolvedValue({
+                '901': { ...mockPlayers['123'], player_id: '901', college: 'Alabama', years_exp: 0 },
+                '902': { ...mockPlayers['456'], player_id: '902', college: 'Texas', years_exp: 6 }
+            });
+            mockDatastore.saveNflPlayers.mockResolvedValue();
+
+            const result = await getPlayersFromCacheOrFetch(['901', '902'], 'nfl');
+
+            expect(mockDatastore.saveNflPlayers).toHaveBeenCalledWith('nfl', {
+                '901': { n: 'Test Player', t: null, p: 'QB', c: 'Alabama', y: 0 },
+                '902': { n: 'Another Player', t: null, p: 'RB' }
+            });
+            expect(result['901']).toEqual(expect.objectContaining({ college: 'Alabama', years_exp: 0 }));
+            expect(result['902'].college).toBeUndefined();
+        });
+
         it('should return empty object for empty player list', async () => {
             const result = await getPlayersFromCacheOrFetch([], 'nfl');
             expect(result).toEqual({});
         });
     });
 
+    // Name searches keep the full player list in memory for an hour, so each test
+    // starts after the list a previous test downloaded has expired
+    let clock = Date.now();
+    const expireFullPlayerList = () => {
+        clock += 2 * 60 * 60 * 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => clock);
+    };
+
+    describe('findPlayersByName', () => {
+        const cachedPlayers = {
+            '4984': { n: 'Josh Allen', t: 'BUF', p: 'QB', r: 3 },
+            '4040': { n: 'Josh Allen', t: 'JAX', p: 'LB', r: 900 },
+            '2133': { n: 'Davante Adams', t: 'LAR', p: 'WR', r: 60 }
+        };
+
+        beforeEach(expireFullPlayerList);
+
+        afterEach(() => {
+            Date.now.mockRestore();
+        });
+
+        it('prefers exact name matches, best ranked first', async () => {
+            mockDatastore.getNflPlayers.mockResolvedValue(cachedPlayers);
+
+            const result = await findPlayersByName('josh allen');
+
+            expect(result.map(player => player.player_id)).toEqual(['4984', '4040']);
+            expect(result[0]).toEqual(expect.objectContaining({ full_name: 'Josh Allen', team: 'BUF', position: 'QB', search_rank: 3 }));
+            expect(mockSleeper.getAllPlayers).not.toHaveBeenCalled();
+        });
+
+        it('matches the start of each word, ignoring punctuation', async () => {
+            mockDatastore.getNflPlayers.mockResolvedValue({ ...cachedPlayers, '7564': { n: "Ja'Marr Chase", t: 'CIN', p: 'WR', r: 1 } });
+
+            await expect(findPlayersByName('jamarr')).resolves.toEqual([expect.objectContaining({ player_id: '7564' })]);
+            await expect(findPlayersByName('dav ad')).resolves.toEqual([expect.objectContaining({ player_id: '2133' })]);
+        });
+
+        it('searches Sleeper and caches the matches when the cache has none', async () => {
+            mockDatastore.getNflPlayers.mockResolvedValue(cachedPlayers);
+            mockSleeper.getAllPlayers.mockResolvedValue({
+                '9509': { player_id: '9509', full_name: 'Bijan Robinson', active: true, fantasy_positions: ['RB'], team: 'ATL', search_rank: 2 },
+                '1': { player_id: '1', full_name: 'Retired Guy', active: false }
+            });
+            mockDatastore.saveNflPlayers.mockResolvedValue();
+
+            const result = await findPlayersByName('Bijan Robinson');
+
+            expect(result).toEqual([expect.objectContaining({ player_id: '9509', position: 'RB' })]);
+            expect(mockDatastore.saveNflPlayers).toHaveBeenCalledWith('nfl', {
+                ...cachedPlayers,
+                '9509': { n: 'Bijan Robinson', t: 'ATL', p: 'RB', r: 2 }
+            });
+        });
+
+        it('only caches an exact or only match from the full player list', async () => {
+            mockDatastore.getNflPlayers.mockResolvedValue(cachedPlayers);
+            mockSleeper.getAllPlayers.mockResolvedValue({
+                '9509': { player_id: '9509', full_name: 'Bijan Robinson', active: true, fantasy_positions: ['RB'], team: 'ATL', search_rank: 2 },
+                '8138': { player_id: '8138', full_name: 'Brian Robinson', active: true, fantasy_positions: ['RB'], team: 'SF', search_rank: 90 }
+            });
+            mockDatastore.saveNflPlayers.mockResolvedValue();
+
+            // A loose query shows every match but caches none of them
+            const result = await findPlayersByName('robinson');
+            expect(result.map(player => player.player_id)).toEqual(['9509', '8138']);
+            expect(mockDatastore.saveNflPlayers).not.toHaveBeenCalled();
+
+            await expect(findPlayersByName('bri rob')).resolves.toEqual([expect.objectContaining({ player_id: '8138' })]);
+            expect(mockDatastore.saveNflPlayers).toHaveBeenCalledWith('nfl', {
+                ...cachedPlayers,
+                '8138': { n: 'Brian Robinson', t: 'SF', p: 'RB', r: 90 }
+            });
+        });
+
+        it('returns nothing for an unknown or empty name', async () => {
+            mockDatastore.getNflPlayers.mockResolvedValue(cachedPlayers);
+            mockSleeper.getAllPlayers.mockResolvedValue({});
+
+            await expect(findPlayersByName('nobody')).resolves.toEqual([]);
+            await expect(findPlayersByName('  ')).resolves.toEqual([]);
+            expect(mockDatastore.saveNflPlayers).not.toHaveBeenCalled();
+        });
+
+        it('reuses the full player list for an hour before downloading it again', async () => {
+            mockDatastore.getNflPlayers.mockResolvedValue(cachedPlayers);
+            mockSleeper.getAllPlayers.mockResolvedValue({});
+
+            await findPlayersByName('nobody');
+            await findPlayersByName('nobdy');
+            expect(mockSleeper.getAllPlayers).toHaveBeenCalledTimes(1);
+
+            clock += 60 * 60 * 1000;
+            await findPlayersByName('nobody');
+            expect(mockSleeper.getAllPlayers).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('findPlayersByNames', () => {
+        beforeEach(expireFullPlayerList);
+
+        afterEach(() => {
+            Date.now.mockRestore();
+        });
+
+        it('matches every name, fetching Sleeper once for the ones the cache misses', async () => {
+            mockDatastore.getNflPlayers.mockResolvedValue({ '2133': { n: 'Davante Adams', t: 'LAR', p: 'WR', r: 60 } });
+            mockSleeper.getAllPlayers.mockResolvedValue({
+                '9509': { player_id: '9509', full_name: 'Bijan Robinson', active: true, fantasy_positions: ['RB'], team: 'ATL', search_rank: 2 },
+                '4034': { player_id: '4034', full_name: 'Christian McCaffrey', active: true, fantasy_positions: ['RB'], team: 'SF', search_rank: 5 },
+                '8138': { player_id: '8138', full_name: 'Brian Robinson', active: true, fantasy_positions: ['RB'], team: 'SF', search_rank: 90 }
+            });
+            mockDatastore.saveNflPlayers.mockResolvedValue();
+
+            const result = await findPlayersByNames(['Davante Adams', 'Bijan Robinson', 'Christian McCaffrey', 'Nobody', 'Robinson']);
+
+            expect(result.get('Davante Adams')).toEqual([expect.objectContaining({ player_id: '2133' })]);
+            expect(result.get('Bijan Robinson')).toEqual([expect.objectContaining({ player_id: '9509', position: 'RB' })]);
+            expect(result.get('Christian McCaffrey')).toEqual([expect.objectContaining({ player_id: '4034' })]);
+            expect(result.get('Nobody')).toEqual([]);
+            expect(result.get('Robinson').map(player => player.player_id)).toEqual(['9509', '8138']);
+            expect(mockSleeper.getAllPlayers).toHaveBeenCalledTimes(1);
+            // The loose "Robinson" doesn't add Brian Robinson to the cache
+            expect(mockDatastore.saveNflPlayers).toHaveBeenCalledTimes(1);
+            expect(Object.keys(mockDatastore.saveNflPlayers.mock.calls[0][1]).sort()).toEqual(['2133', '4034', '9509']);
+        });
+    });
+
     describe('refreshNflPlayersCache', () => {
         const mockPlayers = {
             '123': { player_id: '123', full_name: 'Test Player' }
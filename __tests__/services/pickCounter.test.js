@@ -0,0 +1,106 @@
+const { getLastPickState, findRevertedPicks, postRevertNotice, resyncDraft } = require('../../services/pickCounter.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+const lastpick = require('../../handlers/lastpick.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../handlers/lastpick.js');
+
+describe('pickCounter', () => {
+    const draft = { draft_id: 'D1', metadata: { name: 'Rookie Draft' } };
+    const pick = (pickNo, playerId) => ({ pick_no: pickNo, player_id: playerId, metadata: { first_name: 'Player', last_name: playerId } });
+    let client;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        client = { chat: { postMessage: jest.fn() } };
+        lastpick.loadTradedPicks.mockResolvedValue([]);
+        lastpick.getNextPicker.mockReturnValue({ userId: 'u2' });
+        lastpick.resolvePickerName.mockResolvedValue('<@U2>');
+        lastpick.generatePickMessagePayload.mockResolvedValue({ text: 'single' });
+        lastpick.generateBatchPickMessagePayload.mockResolvedValue({ text: 'batch' });
+        datastore.updateDraft.mockResolvedValue();
+    });
+
+    describe('getLastPickState', () => {
+        it('records the last pick and its player', () => {
+            expect(getLastPickState([pick(1, 'p1'), pick(2, 'p2')])).toEqual({ pickNo: 2, playerId: 'p2', playerName: 'Player p2' });
+        });
+
+        it('returns null without picks or a player', () => {
+            expect(getLastPickState([])).toBeNull();
+            expect(getLastPickState([{ pick_no: 1 }])).toBeNull();
+        });
+    });
+
+    describe('findRevertedPicks', () => {
+        const lastPick = { pickNo: 3, playerId: 'p3', playerName: 'Player p3' };
+
+        it('finds picks removed since the last check', () => {
+            expect(findRevertedPicks({ last_known_pick_count: 3, last_pick: lastPick }, [pick(1, 'p1')]))
+                .toEqual({ fromPickNo: 2, toPickNo: 3, resumeIndex: 1, playerName: 'Player p3' });
+        });
+
+        it('finds a last pick that was undone and made again', () => {
+            expect(findRevertedPicks({ last_known_pick_count: 3, last_pick: lastPick }, [pick(1, 'p1'), pick(2, 'p2'), pick(3, 'p9'), pick(4, 'p4')]))
+                .toEqual({ fromPickNo: 3, toPickNo: 3, resumeIndex: 2, playerName: 'Player p3' });
+        });
+
+        it('ignores drafts that only moved forward', () => {
+            expect(findRevertedPicks({ last_known_pick_count: 3, last_pick: lastPick }, [pick(1, 'p1'), pick(2, 'p2'), pick(3, 'p3'), pick(4, 'p4')])).toBeNull();
+            expect(findRevertedPicks({ last_known_pick_count: 1 }, [pick(1, 'p1')])).toBeNull();
+        });
+    });
+
+    describe('postRevertNotice', () => {
+        it("mentions who is back on the clock when nothing has replaced the undone pick", async () => {
+            const revert = { fromPickNo: 2, toPickNo: 2, resumeIndex: 1, playerName: 'Player p2' };
+
+            await postRevertNotice(client, { slack_channel_id: 'C1' }, draft, [pick(1, 'p1')], revert, {});
+
+            expect(lastpick.resolvePickerName).toHaveBeenCalledWith('u2', {}, true);
+            expect(client.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'C1',
+                text: ':rewind: *Pick #2 was undone* in *Rookie Draft* (Player p2 is back on the board). <@U2> is back on the clock.'
+            });
+        });
+    });
+
+    describe('resyncDraft', () => {
+        const draftInfo = () => ({ slack_channel_id: 'C1', last_known_pick_count: 1 });
+
+        beforeEach(() => {
+            sleeper.getDraft.mockResolvedValue(draft);
+            sleeper.getDraftPicks.mockResolvedValue([pick(1, 'p1'), pick(2, 'p2'), pick(3, 'p3')]);
+        });
+
+        it("resets the counter to Sleeper's pick count", async () => {
+            const info = draftInfo();
+
+            await expect(resyncDraft(client, 'D1', info, {})).resolves.toEqual({ previousCount: 1, currentCount: 3, replayed: 0 });
+
+            expect(client.chat.postMessage).not.toHaveBeenCalled();
+            expect(datastore.updateDraft).toHaveBeenCalledWith('D1', {
+                lastKnownPickCount: 3,
+                lastPick: { pickNo: 3, playerId: 'p3', playerName: 'Player p3' }
+            });
+            expect(info.last_known_pick_count).toBe(3);
+        });
+
+        it('replays the missed picks as one catch-up message', async () => {
+            await expect(resyncDraft(client, 'D1', draftInfo(), {}, { replay: true })).resolves.toEqual({ previousCount: 1, currentCount: 3, replayed: 2 });
+
+            expect(lastpick.generateBatchPickMessagePayload).toHaveBeenCalledWith(draft, expect.any(Array), 1, {}, false);
+            expect(client.chat.postMessage).toHaveBeenCalledWith({ channel: 'C1', text: 'batch' });
+        });
+
+        it('replays a single missed pick as a normal pick alert', async () => {
+            sleeper.getDraftPicks.mockResolvedValue([pick(1, 'p1'), pick(2, 'p2')]);
+
+            await resyncDraft(client, 'D1', draftInfo(), {}, { replay: true });
+
+            expect(client.chat.postMessage).toHaveBeenCalledWith({ channel: 'C1', text: 'single' });
+        });
+    });
+});
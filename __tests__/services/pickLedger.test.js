@@ -0,0 +1,147 @@
+const { formatRound, getLedgerSeasons, buildPickLedger, formatTeamPicks, findPickChanges, checkPickTrades } = require('../../services/pickLedger.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../shared/logger.js');
+
+describe('pickLedger', () => {
+    const league = { league_id: 'L1', name: 'Dynasty', season: '2026', status: 'in_season', settings: { draft_rounds: 2 } };
+    const rosters = [{ roster_id: 2, owner_id: 'u2' }, { roster_id: 1, owner_id: 'u1' }];
+    const users = [
+        { user_id: 'u1', display_name: 'alice', metadata: { team_name: 'Alpha' } },
+        { user_id: 'u2', display_name: 'bob', metadata: {} }
+    ];
+    // Alpha's 2027 1st went to bob; bob's 2028 2nd went to Alpha
+    const tradedPicks = [
+        { season: '2027', round: 1, roster_id: 1, previous_owner_id: 1, owner_id: 2 },
+        { season: '2028', round: 2, roster_id: 2, previous_owner_id: 2, owner_id: 1 }
+    ];
+
+    it('formats rounds as ordinals', () => {
+        expect([1, 2, 3, 4, 11, 12, 13, 21, 22].map(formatRound)).toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd']);
+    });
+
+    it("starts the ledger at next season once this season's draft is done", () => {
+        expect(getLedgerSeasons(league)).toEqual(['2027', '2028', '2029']);
+        expect(getLedgerSeasons({ ...league, status: 'pre_draft' })).toEqual(['2026', '2027', '2028']);
+    });
+
+    it('assigns every pick to its current owner', () => {
+        const ledger = buildPickLedger(league, rosters, users, tradedPicks);
+
+        expect(ledger.teams.map(team => team.name)).toEqual(['Alpha', 'bob']);
+        expect(ledger.owners['2027:1:1']).toBe(2);
+        expect(ledger.owners['2027:1:2']).toBe(2);
+        expect(ledger.owners['2029:2:2']).toBe(2);
+        expect(Object.keys(ledger.owners)).toHaveLength(12);
+
+        expect(formatTeamPicks(ledger, ledger.teams[0])).toBe(
+            '*2027:* 2nd  _traded away: 1st to bob_\n' +
+            '*2028:* 1st · 2nd · 2nd (via bob)\n' +
+            '*2029:* 1st · 2nd'
+        );
+        expect(formatTeamPicks(ledger, ledger.teams[1])).toContain('*2027:* 1st · 1st (via Alpha) · 2nd');
+    });
+
+    it('lists picks that changed hands, ignoring seasons new to the ledger', () => {
+        const previous = { '2027:1:1': 1, '2027:2:1': 2 };
+        const current = { '2027:1:1': 2, '2027:2:1': 2, '2030:1:1': 1 };
+
+        expect(findPickChanges(previous, current)).toEqual([
+            { season: '2027', round: 1, originalRosterId: 1, fromRosterId: 1, toRosterId: 2 }
+        ]);
+    });
+
+    describe('checkPickTrades', () => {
+        let mockApp;
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+            mockApp = { client: { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } } };
+            datastore.getAllChannelsWithLeagues.mockResolvedValue([{ channelId: 'C1', leagues: [{ leagueId: 'L1', slackChannelId: 'C1' }] }]);
+            datastore.savePickOwners.mockResolvedValue();
+            sleeper.getLeague.mockResolvedValue(league);
+            sleeper.getLeagueRosters.mockResolvedValue(rosters);
+            sleeper.getLeagueUsers.mockResolvedValue(users);
+            sleeper.getLeagueTradedPicks.mockResolvedValue(tradedPicks);
+        });
+
+        it('only records owners on the first check', async () => {
+            datastore.getPickOwners.mockResolvedValue(null);
+
+            await expect(checkPickTrades(mockApp)).resolves.toBe(0);
+
+            expect(datastore.savePickOwners).toHaveBeenCalledWith('L1', expect.objectContaining({ '2027:1:1': 2 }));
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('posts picks that moved since the last check', async () => {
+            const { owners } = buildPickLedger(league, rosters, users, []);
+            // The 2028 2nd had already been traded once, to a team that moved it on
+            datastore.getPickOwners.mockResolvedValue({ ...owners, '2028:2:2': 3 });
+
+            await expect(checkPickTrades(mockApp)).resolves.toBe(2);
+
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'C1',
+                text: ':handshake: *Draft picks traded in Dynasty*\n' +
+                    "• *bob* acquired *Alpha*'s 2027 1st\n" +
+                    "• *Alpha* acquired *bob*'s 2028 2nd from *Team 3*"
+            });
+            expect(datastore.savePickOwners).toHaveBeenCalledTimes(1);
+        });
+
+        it('leaves out picks already shown on a posted trade card', async () => {
+            const { owners } = buildPickLedger(league, rosters, users, []);
+            datastore.getPickOwners.mockResolvedValue({ ...owners, '2028:2:2': 3 });
+            const trade = { leagueId: 'L1', type: 'trade', draft_picks: [{ season: '2027', round: 1, roster_id: 1, previous_owner_id: 1, owner_id: 2 }] };
+
+            await expect(checkPickTrades(mockApp, [trade, { ...trade, leagueId: 'L9' }])).resolves.toBe(1);
+
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'C1',
+                text: ':handshake: *Draft pick traded in Dynasty*\n' +
+                    "• *Alpha* acquired *bob*'s 2028 2nd from *Team 3*"
+            });
+            expect(datastore.savePickOwners).toHaveBeenCalledTimes(1);
+        });
+
+        it('leaves the snapshot alone when nothing changed', async () => {
+            datastore.getPickOwners.mockResolvedValue(buildPickLedger(league, rosters, users, tradedPicks).owners);
+
+            await expect(checkPickTrades(mockApp)).resolves.toBe(0);
+
+            expect(datastore.savePickOwners).not.toHaveBeenCalled();
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('saves the snapshot when the seasons in range move on', async () => {
+            const { owners } = buildPickLedger(league, rosters, users, tradedPicks);
+            // Same number of picks, but the ledger now covers a season the snapshot doesn't
+            const shifted = Object.fromEntries(Object.entries(owners).map(([key, ownerId]) => [key.replace(/^2029/, '2026'), ownerId]));
+            datastore.getPickOwners.mockResolvedValue(shifted);
+
+            await expect(checkPickTrades(mockApp)).resolves.toBe(0);
+
+            expect(datastore.savePickOwners).toHaveBeenCalledWith('L1', owners);
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('keeps going when a league fails', async () => {
+            datastore.getAllChannelsWithLeagues.mockResolvedValue([
+                { channelId: 'C0', leagues: [{ leagueId: 'gone', slackChannelId: 'C0' }, { leagueId: 'L1', slackChannelId: 'C0' }] }
+            ]);
+            sleeper.getLeague.mockImplementation(async (leagueId) => {
+                if (leagueId === 'gone') throw new Error('Sleeper down');
+                return league;
+            });
+            datastore.getPickOwners.mockResolvedValue(null);
+
+            await checkPickTrades(mockApp);
+
+            expect(datastore.savePickOwners).toHaveBeenCalledWith('L1', expect.any(Object));
+        });
+    });
+});
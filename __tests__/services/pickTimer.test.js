@@ -0,0 +1,169 @@
+const { formatDuration, getReminderStage, sendPickTimerReminders, sendOnTheClockDm } = require('../../services/pickTimer.js');
+const datastore = require('../../services/datastore.js');
+const { loadTradedPicks, getNextPicker } = require('../../handlers/lastpick.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../handlers/lastpick.js');
+jest.mock('../../shared/logger.js');
+
+describe('pickTimer', () => {
+    const HOUR = 60 * 60 * 1000;
+    const startedAt = 1_700_000_000_000;
+    let mockApp;
+    let draft;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockApp = { client: { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } } };
+        draft = {
+            draft_id: 'draft123',
+            status: 'drafting',
+            type: 'snake',
+            last_picked: startedAt,
+            metadata: { name: 'Test Draft' },
+            settings: { pick_timer: 3600, teams: 3, rounds: 3 },
+            draft_order: { u1: 1, u2: 2, u3: 3 }
+        };
+        loadTradedPicks.mockResolvedValue([]);
+        getNextPicker.mockReturnValue({ pickNo: 3, round: 1, userId: 'u3', originalUserId: null });
+        datastore.getPlayer.mockResolvedValue({ slackMemberId: 'U333', slackName: 'Three' });
+    });
+
+    describe('formatDuration', () => {
+        it('formats hours, minutes and seconds', () => {
+            expect(formatDuration(HOUR + 5 * 60 * 1000)).toBe('1h 5m');
+            expect(formatDuration(2 * HOUR)).toBe('2h');
+            expect(formatDuration(12 * 60 * 1000)).toBe('12m');
+            expect(formatDuration(40 * 1000)).toBe('40s');
+        });
+    });
+
+    describe('getReminderStage', () => {
+        it('escalates as the timer runs down and stops once it expires', () => {
+            expect(getReminderStage(0, HOUR)).toBe(1);
+            expect(getReminderStage(HOUR * 0.6, HOUR)).toBe(2);
+            expect(getReminderStage(HOUR * 0.95, HOUR)).toBe(3);
+            expect(getReminderStage(HOUR, HOUR)).toBe(0);
+        });
+    });
+
+    describe('sendPickTimerReminders', () => {
+        const picks = [{ pick_no: 1 }, { pick_no: 2 }];
+
+        it('DMs the user on the clock when their pick starts', async () => {
+            const state = await sendPickTimerReminders(mockApp, draft, picks, null, { now: startedAt + 1000 });
+
+            expect(state).toEqual({ pick_no: 3, stage: 1 });
+            expect(datastore.getPlayer).toHaveBeenCalledWith('u3');
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'U333',
+                text: expect.stringContaining("You're on the clock in *Test Draft*")
+            });
+            expect(mockApp.client.chat.postMessage.mock.calls[0][0].text).toContain('pick 1.03');
+        });
+
+        it('sends only the highest stage reached', async () => {
+            const state = await sendPickTimerReminders(mockApp, draft, picks, null, { now: startedAt + HOUR * 0.95 });
+
+            expect(state).toEqual({ pick_no: 3, stage: 3 });
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(1);
+            expect(mockApp.client.chat.postMessage.mock.calls[0][0].text).toContain('Final reminder');
+        });
+
+        it('does not repeat a stage already sent for the same pick', async () => {
+            const state = await sendPickTimerReminders(mockApp, draft, picks, { pick_no: 3, stage: 2 }, { now: startedAt + HOUR * 0.6 });
+
+            expect(state).toBeNull();
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('starts over when a new pick is on the clock', async () => {
+            const state = await sendPickTimerReminders(mockApp, draft, picks, { pick_no: 2, stage: 3 }, { now: startedAt + 1000 });
+
+            expect(state).toEqual({ pick_no: 3, stage: 1 });
+        });
+
+        it('stays quiet once the timer has expired', async () => {
+            const state = await sendPickTimerReminders(mockApp, draft, picks, null, { now: startedAt + HOUR + 1000 });
+
+            expect(state).toBeNull();
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('does nothing for drafts without a pick timer or not in progress', async () => {
+            const untimed = { ...draft, settings: { ...draft.settings, pick_timer: 0 } };
+            const paused = { ...draft, status: 'paused' };
+
+            expect(await sendPickTimerReminders(mockApp, untimed, picks, null, { now: startedAt })).toBeNull();
+            expect(await sendPickTimerReminders(mockApp, paused, picks, null, { now: startedAt })).toBeNull();
+            expect(loadTradedPicks).not.toHaveBeenCalled();
+        });
+
+        it('records the stage without a DM when the picker is not registered', async () => {
+            datastore.getPlayer.mockResolvedValue(null);
+
+            const state = await sendPickTimerReminders(mockApp, draft, picks, null, { now: startedAt });
+
+            expect(state).toEqual({ pick_no: 3, stage: 1 });
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('records the stage even if the DM fails', async () => {
+            mockApp.client.chat.postMessage.mockRejectedValue(new Error('cannot_dm_bot'));
+
+            const state = await sendPickTimerReminders(mockApp, draft, picks, null, { now: startedAt });
+
+            expect(state).toEqual({ pick_no: 3, stage: 1 });
+        });
+
+        it('talks about nominations in auction drafts', async () => {
+            const auction = { ...draft, type: 'auction' };
+
+            await sendPickTimerReminders(mockApp, auction, picks, null, { now: startedAt });
+
+            expect(mockApp.client.chat.postMessage.mock.calls[0][0].text).toContain('your nomination');
+        });
+    });
+
+    describe('sendOnTheClockDm', () => {
+        const picks = [{ pick_no: 1 }, { pick_no: 2 }];
+        let untimed;
+
+        beforeEach(() => {
+            untimed = { ...draft, settings: { teams: 3, rounds: 3 } };
+        });
+
+        it('DMs the user on the clock in a draft without a pick timer', async () => {
+            await expect(sendOnTheClockDm(mockApp, untimed, picks, [])).resolves.toBe(true);
+
+            expect(getNextPicker).toHaveBeenCalledWith(untimed, picks, []);
+            expect(loadTradedPicks).not.toHaveBeenCalled();
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledWith({
+                channel: 'U333',
+                text: ':alarm_clock: You\'re on the clock in *Test Draft*! It\'s time to make pick 1.03.'
+            });
+        });
+
+        it('leaves timed drafts to the pick timer reminders', async () => {
+            await expect(sendOnTheClockDm(mockApp, draft, picks, [])).resolves.toBe(false);
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('stays quiet when the draft is over or the picker is not registered', async () => {
+            getNextPicker.mockReturnValueOnce(null);
+            await expect(sendOnTheClockDm(mockApp, untimed, picks, [])).resolves.toBe(false);
+
+            datastore.getPlayer.mockResolvedValueOnce(null);
+            await expect(sendOnTheClockDm(mockApp, untimed, picks, [])).resolves.toBe(false);
+
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('does not throw if the DM fails', async () => {
+            mockApp.client.chat.postMessage.mockRejectedValue(new Error('channel_not_found'));
+
+            await expect(sendOnTheClockDm(mockApp, untimed, picks)).resolves.toBe(false);
+            expect(loadTradedPicks).toHaveBeenCalledWith(untimed);
+        });
+    });
+});
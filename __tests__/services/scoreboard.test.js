@@ -0,0 +1,141 @@
+const { pairMatchups, loadScoreboard, summarizeNflGames, buildScoreboardPayload, updateLiveScoreboards } = require('../../services/scoreboard.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../shared/logger.js');
+
+describe('scoreboard', () => {
+    const matchups = [
+        { roster_id: 1, matchup_id: 2, points: 98.1 },
+        { roster_id: 2, matchup_id: 1, points: 101.5 },
+        { roster_id: 3, matchup_id: 1, points: 120.25 },
+        { roster_id: 4, matchup_id: 2, points: 88, custom_points: 110 },
+        { roster_id: 5, matchup_id: null, points: 75 }
+    ];
+    const names = { 1: 'Alpha', 2: 'bob', 3: 'Charlie', 4: 'Delta', 5: 'Echo' };
+    const nameFor = (rosterId) => names[rosterId];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sleeper.getLeague.mockResolvedValue({ league_id: 'L1', name: 'Dynasty' });
+        sleeper.getLeagueMatchups.mockResolvedValue(matchups);
+        sleeper.getLeagueRosters.mockResolvedValue([1, 2, 3, 4].map(rosterId => ({ roster_id: rosterId, owner_id: `u${rosterId}` })));
+        sleeper.getLeagueUsers.mockResolvedValue([{ user_id: 'u1', display_name: 'alice', metadata: { team_name: 'Alpha' } }, { user_id: 'u2', display_name: 'bob' }]);
+    });
+
+    it('pairs teams by matchup, leader first, using commissioner overrides', () => {
+        expect(pairMatchups(matchups, nameFor)).toEqual({
+            games: [
+                { matchupId: 1, teams: [{ rosterId: 3, name: 'Charlie', points: 120.25 }, { rosterId: 2, name: 'bob', points: 101.5 }] },
+                { matchupId: 2, teams: [{ rosterId: 4, name: 'Delta', points: 110 }, { rosterId: 1, name: 'Alpha', points: 98.1 }] }
+            ],
+            unpaired: [{ rosterId: 5, name: 'Echo', points: 75 }]
+        });
+    });
+
+    it("loads a league's week with team names", async () => {
+        const scoreboard = await loadScoreboard('L1', 7);
+
+        expect(sleeper.getLeagueMatchups).toHaveBeenCalledWith('L1', 7);
+        expect(scoreboard.leagueName).toBe('Dynasty');
+        expect(scoreboard.games[1].teams.map(team => team.name)).toEqual(['Team 4', 'Alpha']);
+        expect(scoreboard.unpaired[0].name).toBe('Team 5');
+
+        sleeper.getLeague.mockResolvedValue(null);
+        await expect(loadScoreboard('gone', 7)).resolves.toBeNull();
+    });
+
+    it('counts games in progress and final', () => {
+        expect(summarizeNflGames([{ status: 'final' }, { status: 'in_progress' }, { status: 'scheduled' }, { status: 'final' }]))
+            .toEqual({ total: 4, inProgress: 1, final: 2 });
+    });
+
+    describe('buildScoreboardPayload', () => {
+        const scoreboard = { leagueName: 'Dynasty', week: 7, ...pairMatchups(matchups, nameFor) };
+
+        it('lists each matchup with the leader in bold', () => {
+            const payload = buildScoreboardPayload(scoreboard);
+
+            expect(payload.text).toBe('Dynasty · Week 7 Scoreboard');
+            expect(payload.blocks[1].text.text).toBe('`120.25`  *Charlie*\n`101.50`  bob');
+            expect(payload.blocks[3].elements.map(element => element.text)).toEqual(['No matchup: Echo (75.00)']);
+        });
+
+        it('shows live progress, then the final whistle', () => {
+            const live = buildScoreboardPayload(scoreboard, { nflGames: { total: 16, inProgress: 3, final: 5 }, live: true, now: 1760000000000 });
+            expect(live.blocks[3].elements[1].text).toBe(':red_circle: Live: 3 NFL games in progress, 5 of 16 final · updated <!date^1760000000^{time}|2025-10-09T08:53:20.000Z>');
+
+            const final = buildScoreboardPayload(scoreboard, { nflGames: { total: 16, inProgress: 0, final: 16 }, live: true });
+            expect(final.blocks[3].elements[1].text).toBe(':checkered_flag: Final: every NFL game this week is over');
+        });
+
+        it('says when there are no matchups', () => {
+            const payload = buildScoreboardPayload({ leagueName: 'Dynasty', week: 1, games: [], unpaired: [] }, { nflGames: { total: 16, inProgress: 0, final: 0 } });
+
+            expect(payload.blocks[1].text.text).toBe('_No matchups this week._');
+            expect(payload.blocks[2].elements[0].text).toBe('0 of 16 NFL games final');
+        });
+    });
+
+    describe('updateLiveScoreboards', () => {
+        let mockApp;
+        const live = { leagueId: 'L1', channelId: 'C1', ts: '1.2', season: '2026', week: 7, finalGames: 2 };
+        const games = (statuses) => statuses.map(status => ({ status }));
+
+        beforeEach(() => {
+            mockApp = { client: { chat: { update: jest.fn().mockResolvedValue({ ok: true }) } } };
+            datastore.getLiveScoreboards.mockResolvedValue([live]);
+            datastore.saveLiveScoreboard.mockResolvedValue();
+            datastore.deleteLiveScoreboard.mockResolvedValue();
+        });
+
+        it('does nothing without live scoreboards', async () => {
+            datastore.getLiveScoreboards.mockResolvedValue([]);
+
+            await expect(updateLiveScoreboards(mockApp)).resolves.toBe(0);
+            expect(sleeper.getNflSchedule).not.toHaveBeenCalled();
+        });
+
+        it('edits the message while games are in progress', async () => {
+            sleeper.getNflSchedule.mockResolvedValue(games(['final', 'final', 'in_progress', 'scheduled']));
+
+            await expect(updateLiveScoreboards(mockApp)).resolves.toBe(1);
+
+            expect(sleeper.getNflSchedule).toHaveBeenCalledWith('2026', 7);
+            expect(mockApp.client.chat.update).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C1', ts: '1.2', text: 'Dynasty · Week 7 Scoreboard' }));
+            expect(datastore.saveLiveScoreboard).not.toHaveBeenCalled();
+        });
+
+        it('leaves the message alone between game windows', async () => {
+            sleeper.getNflSchedule.mockResolvedValue(games(['final', 'final', 'scheduled']));
+
+            await expect(updateLiveScoreboards(mockApp)).resolves.toBe(0);
+            expect(sleeper.getLeagueMatchups).not.toHaveBeenCalled();
+        });
+
+        it('catches a game going final, then stops once every game is over', async () => {
+            sleeper.getNflSchedule.mockResolvedValue(games(['final', 'final', 'final', 'scheduled']));
+            await updateLiveScoreboards(mockApp);
+            expect(datastore.saveLiveScoreboard).toHaveBeenCalledWith({ ...live, finalGames: 3 });
+
+            sleeper.getNflSchedule.mockResolvedValue(games(['final', 'final', 'final', 'final']));
+            await updateLiveScoreboards(mockApp);
+            expect(datastore.deleteLiveScoreboard).toHaveBeenCalledWith('L1');
+        });
+
+        it('stops following a deleted message, and keeps going after other failures', async () => {
+            datastore.getLiveScoreboards.mockResolvedValue([live, { ...live, leagueId: 'L2', ts: '3.4' }]);
+            sleeper.getNflSchedule.mockResolvedValue(games(['in_progress']));
+            const notFound = Object.assign(new Error('An API error occurred: message_not_found'), { data: { error: 'message_not_found' } });
+            mockApp.client.chat.update.mockRejectedValueOnce(notFound).mockRejectedValueOnce(new Error('ratelimited'));
+
+            await expect(updateLiveScoreboards(mockApp)).resolves.toBe(0);
+
+            expect(sleeper.getNflSchedule).toHaveBeenCalledTimes(1);
+            expect(datastore.deleteLiveScoreboard).toHaveBeenCalledTimes(1);
+            expect(datastore.deleteLiveScoreboard).toHaveBeenCalledWith('L1');
+        });
+    });
+});
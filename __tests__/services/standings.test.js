@@ -0,0 +1,190 @@
+const {
+    formatRecord,
+    buildTeamRecord,
+    rankStandings,
+    loadStandings,
+    getLastCompletedWeek,
+    computePowerRankings,
+    loadPowerRankings,
+    buildStandingsPayload,
+    buildPowerRankingsPayload
+} = require('../../services/standings.js');
+const sleeper = require('../../services/sleeper.js');
+
+jest.mock('../../services/sleeper.js');
+jest.mock('../../services/datastore.js');
+
+describe('standings', () => {
+    const team = (rosterId, wins, losses, pointsFor, extra = {}) => ({
+        rosterId, name: `Team ${rosterId}`, wins, losses, ties: 0, pointsFor, pointsAgainst: 1000, division: null, ...extra
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('formats records, leaving off ties when there are none', () => {
+        expect(formatRecord(9, 4)).toBe('9-4');
+        expect(formatRecord(8, 4, 1)).toBe('8-4-1');
+    });
+
+    it('reads season totals from roster settings', () => {
+        const roster = { roster_id: 3, settings: { wins: 5, losses: 2, ties: 1, fpts: 812, fpts_decimal: 45, fpts_against: 790, fpts_against_decimal: 5, division: 2 } };
+
+        expect(buildTeamRecord(roster, 'Charlie')).toEqual({
+            rosterId: 3, name: 'Charlie', wins: 5, losses: 2, ties: 1, pointsFor: 812.45, pointsAgainst: 790.05, division: 2
+        });
+        expect(buildTeamRecord({ roster_id: 4 }, 'Delta')).toEqual(expect.objectContaining({ wins: 0, pointsFor: 0, division: null }));
+    });
+
+    describe('rankStandings', () => {
+        it('ranks by win percentage, breaking ties on points for, and marks playoff spots', () => {
+            const league = { settings: { playoff_teams: 2 } };
+            const teams = [team(1, 6, 4, 1100), team(2, 6, 4, 1200), team(3, 8, 2, 900), team(4, 5, 4, 1300, { ties: 1 })];
+
+            const ranked = rankStandings(league, teams);
+
+            expect(ranked.map(t => [t.rosterId, t.seed, t.playoffs])).toEqual([[3, 1, true], [2, 2, true], [1, 3, false], [4, 4, false]]);
+            expect(ranked[0].divisionName).toBeNull();
+        });
+
+        it('seeds division leaders first', () => {
+            const league = { settings: { divisions: 2, playoff_teams: 3 }, metadata: { division_1: 'North' } };
+            const teams = [
+                team(1, 9, 1, 1000, { division: 1 }),
+                team(2, 8, 2, 1000, { division: 1 }),
+                team(3, 7, 3, 1000, { division: 1 }),
+                team(4, 4, 6, 1000, { division: 2 }),
+                team(5, 3, 7, 1000, { division: 2 })
+            ];
+
+            const ranked = rankStandings(league, teams);
+
+            expect(ranked.map(t => t.rosterId)).toEqual([1, 4, 2, 3, 5]);
+            expect(ranked.map(t => t.divisionName)).toEqual(['North', 'Division 2', 'North', 'North', 'Division 2']);
+        });
+    });
+
+    it('loads standings with team names', async () => {
+        sleeper.getLeague.mockResolvedValue({ league_id: 'L1', name: 'Dynasty', settings: { playoff_teams: 1 } });
+        sleeper.getLeagueRosters.mockResolvedValue([
+            { roster_id: 1, owner_id: 'u1', settings: { wins: 2, losses: 1, fpts: 300 } },
+            { roster_id: 2, owner_id: 'u2', settings: { wins: 1, losses: 2, fpts: 320 } }
+        ]);
+        sleeper.getLeagueUsers.mockResolvedValue([{ user_id: 'u1', display_name: 'alice', metadata: { team_name: 'Alpha' } }]);
+
+        const standings = await loadStandings('L1');
+
+        expect(standings.teams.map(t => [t.name, t.seed, t.playoffs])).toEqual([['Alpha', 1, true], ['Team 2', 2, false]]);
+
+        sleeper.getLeague.mockResolvedValue(null);
+        await expect(loadStandings('gone')).resolves.toBeNull();
+    });
+
+    describe('getLastCompletedWeek', () => {
+        const league = { season: '2026', status: 'in_season', settings: { playoff_week_start: 15 } };
+
+        it('counts the weeks before the current one during the regular season', () => {
+            expect(getLastCompletedWeek(league, { season: '2026', week: 7 })).toBe(6);
+            expect(getLastCompletedWeek(league, { season: '2026', week: 17 })).toBe(14);
+        });
+
+        it('uses the whole regular season once the league is over, and nothing before it starts', () => {
+            expect(getLastCompletedWeek({ ...league, status: 'complete' }, { season: '2027', week: 0 })).toBe(14);
+            expect(getLastCompletedWeek({ ...league, status: 'pre_draft' }, { season: '2026', week: 1 })).toBe(0);
+            expect(getLastCompletedWeek({ ...league, settings: {} }, { season: '2026', week: 18 })).toBe(14);
+        });
+    });
+
+    describe('computePowerRankings', () => {
+        const teams = [team(1, 1, 2, 0), team(2, 2, 1, 0), team(3, 1, 2, 0), team(4, 2, 1, 0)];
+        const weeks = [
+            [{ roster_id: 1, points: 150 }, { roster_id: 2, points: 100 }, { roster_id: 3, points: 90 }, { roster_id: 4, points: 80 }],
+            [{ roster_id: 1, points: 140 }, { roster_id: 2, points: 100 }, { roster_id: 3, points: 100 }, { roster_id: 4, points: 80 }],
+            [{ roster_id: 1, points: 60 }, { roster_id: 2, points: 110 }, { roster_id: 3, points: 120, custom_points: 130 }, { roster_id: 4, points: 90 }]
+        ];
+
+        it('works out all-play records, points and recent form', () => {
+            const ranked = computePowerRankings(weeks, teams);
+            const byRoster = new Map(ranked.map(t => [t.rosterId, t]));
+
+            expect(byRoster.get(1).allPlay).toEqual({ wins: 6, losses: 3, ties: 0 });
+            expect(byRoster.get(2).allPlay).toEqual({ wins: 5, losses: 3, ties: 1 });
+            expect(byRoster.get(3).seasonPoints).toBe(320);
+            expect(byRoster.get(1).recentAverage).toBeCloseTo(116.67, 2);
+        });
+
+        it('ranks teams on the blended score', () => {
+            const ranked = computePowerRankings(weeks, teams);
+
+            expect(ranked.map(t => t.rosterId)).toEqual([1, 3, 2, 4]);
+            expect(ranked[0]).toEqual(expect.objectContaining({ rank: 1 }));
+            expect(ranked[0].score).toBeCloseTo(100 * (0.4 + 0.4 * 6 / 9 + 0.2 * (350 / 3) / (350 / 3)), 5);
+        });
+
+        it('uses only the last three weeks for recent form', () => {
+            const longer = [weeks[0], ...weeks];
+            const ranked = computePowerRankings(longer, teams);
+
+            expect(ranked.find(t => t.rosterId === 1).recentAverage).toBeCloseTo(350 / 3, 5);
+        });
+    });
+
+    it('loads power rankings from every completed week', async () => {
+        sleeper.getLeague.mockResolvedValue({ league_id: 'L1', name: 'Dynasty', season: '2026', status: 'in_season', settings: {} });
+        sleeper.getLeagueRosters.mockResolvedValue([{ roster_id: 1, owner_id: 'u1' }, { roster_id: 2, owner_id: 'u2' }]);
+        sleeper.getLeagueUsers.mockResolvedValue([]);
+        sleeper.getLeagueMatchups.mockImplementation(async (leagueId, week) => [
+            { roster_id: 1, points: 100 + week },
+            { roster_id: 2, points: 100 }
+        ]);
+
+        const powerRankings = await loadPowerRankings('L1', { season: '2026', week: 4 });
+
+        expect(sleeper.getLeagueMatchups.mock.calls.map(call => call[1])).toEqual([1, 2, 3]);
+        expect(powerRankings.week).toBe(3);
+        expect(powerRankings.teams.map(t => [t.name, t.allPlay.wins])).toEqual([['Team 1', 3], ['Team 2', 0]]);
+
+        const early = await loadPowerRankings('L1', { season: '2026', week: 1 });
+        expect(early).toEqual(expect.objectContaining({ week: 0, teams: [] }));
+    });
+
+    describe('payloads', () => {
+        it('posts standings as a table with playoff seeds marked', () => {
+            const league = { name: 'Dynasty', settings: { playoff_teams: 1 } };
+            const payload = buildStandingsPayload({ league, teams: rankStandings(league, [team(1, 3, 1, 420.5), team(2, 1, 3, 390)]) });
+
+            expect(payload.text).toBe('Dynasty Standings');
+            expect(payload.blocks[1].elements[0].text).toBe('* In playoff position: the top 1 make the playoffs. Teams level on record are separated by points for only, so the order may differ from Sleeper\'s tiebreakers.');
+            const table = payload.blocks[2];
+            expect(table.type).toBe('table');
+            expect(table.rows.map(row => row.map(cell => cell.text))).toEqual([
+                ['#', 'Team', 'W-L-T', 'PF', 'PA'],
+                ['1*', 'Team 1', '3-1', '420.50', '1000.00'],
+                ['2', 'Team 2', '1-3', '390.00', '1000.00']
+            ]);
+        });
+
+        it('adds a division column in leagues with divisions', () => {
+            const league = { name: 'Dynasty', settings: { divisions: 2 }, metadata: { division_1: 'North', division_2: 'South' } };
+            const payload = buildStandingsPayload({ league, teams: rankStandings(league, [team(1, 3, 1, 400, { division: 1 }), team(2, 1, 3, 390, { division: 2 })]) });
+
+            expect(payload.blocks[2].rows[0].map(cell => cell.text)).toContain('Division');
+            expect(payload.blocks[2].rows[2][2].text).toBe('South');
+            expect(payload.blocks[1].elements[0].text).toContain('Division leaders are seeded first.');
+        });
+
+        it('posts power rankings as a table', () => {
+            const ranked = computePowerRankings([[{ roster_id: 1, points: 120 }, { roster_id: 2, points: 100 }]], [team(1, 1, 0, 0), team(2, 0, 1, 0)]);
+            const payload = buildPowerRankingsPayload({ league: { name: 'Dynasty' }, week: 1, teams: ranked });
+
+            expect(payload.text).toBe('Dynasty Power Rankings · Through Week 1');
+            expect(payload.blocks[1].elements[0].text).toContain('points for (40%)');
+            expect(payload.blocks[2].rows.map(row => row.map(cell => cell.text))).toEqual([
+                ['#', 'Team', 'Score', 'All-Play', 'PF', 'Last 3', 'Record'],
+                ['1', 'Team 1', '100.0', '1-0', '120.00', '120.00', '1-0'],
+                ['2', 'Team 2', '50.0', '0-1', '100.00', '100.00', '0-1']
+            ]);
+        });
+    });
+});
@@ -0,0 +1,181 @@
+const { formatPlayer, buildTransactionCard, checkLeagueTransactions } = require('../../services/transactionMonitor.js');
+const datastore = require('../../services/datastore.js');
+const sleeper = require('../../services/sleeper.js');
+const { getPlayersFromCacheOrFetch } = require('../../services/nflDataCache.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/sleeper.js');
+jest.mock('../../services/nflDataCache.js');
+jest.mock('../../shared/logger.js');
+
+describe('transactionMonitor', () => {
+    const players = {
+        '4034': { full_name: 'Christian McCaffrey', position: 'RB', team: 'SF' },
+        '6794': { full_name: 'Justin Jefferson', position: 'WR', team: 'MIN' },
+        '9999': { full_name: 'Some Rookie', position: 'TE', team: null }
+    };
+    const teams = { 1: 'Alpha', 2: 'bob' };
+    const nameFor = (rosterId) => teams[rosterId] || `Team ${rosterId}`;
+
+    const trade = {
+        transaction_id: 't1',
+        type: 'trade',
+        status: 'complete',
+        status_updated: 2000,
+        roster_ids: [2, 1],
+        adds: { 4034: 2, 6794: 1 },
+        drops: { 4034: 1, 6794: 2 },
+        draft_picks: [{ season: '2027', round: 1, roster_id: 3, previous_owner_id: 1, owner_id: 2 }],
+        waiver_budget: [{ sender: 2, receiver: 1, amount: 15 }]
+    };
+    const waiver = {
+        transaction_id: 't2',
+        type: 'waiver',
+        status: 'complete',
+        status_updated: 3000,
+        roster_ids: [1],
+        adds: { 9999: 1 },
+        drops: { 6794: 1 },
+        settings: { waiver_bid: 12 }
+    };
+    const freeAgent = {
+        transaction_id: 't3',
+        type: 'free_agent',
+        status: 'complete',
+        status_updated: 1000,
+        roster_ids: [2],
+        adds: null,
+        drops: { 9999: 2 }
+    };
+
+    it('formats players from the cache, falling back to their ID', () => {
+        expect(formatPlayer('9999', players)).toBe('Some Rookie (TE - FA)');
+        expect(formatPlayer('1234', players)).toBe('Player 1234');
+    });
+
+    describe('buildTransactionCard', () => {
+        it("shows what each side of a trade received", () => {
+            const card = buildTransactionCard(trade, 'Dynasty', nameFor, players);
+
+            expect(card.text).toBe('Trade in Dynasty: Alpha and bob');
+            expect(card.blocks[0].text.text).toBe(':handshake: *TRADE ALERT!* Dynasty');
+            expect(card.blocks[1].fields.map(field => field.text)).toEqual([
+                '*Alpha* receives:\n• Justin Jefferson (WR - MIN)\n• $15 FAAB',
+                "*bob* receives:\n• Christian McCaffrey (RB - SF)\n• 2027 1st (Team 3's)"
+            ]);
+        });
+
+        it('shows the FAAB bid on a waiver claim', () => {
+            const card = buildTransactionCard(waiver, 'Dynasty', nameFor, players);
+
+            expect(card.text).toBe('Alpha claimed Some Rookie (TE - FA) for $12 FAAB in Dynasty');
+            expect(card.blocks[1].text.text).toBe(
+                '*Alpha* claimed Some Rookie (TE - FA) for $12 FAAB\n' +
+                ':heavy_plus_sign: Some Rookie (TE - FA)\n:heavy_minus_sign: Justin Jefferson (WR - MIN)'
+            );
+        });
+
+        it('describes free agent drops', () => {
+            const card = buildTransactionCard(freeAgent, 'Dynasty', nameFor, players);
+
+            expect(card.blocks[0].text.text).toBe(':arrows_counterclockwise: *FREE AGENT MOVE* Dynasty');
+            expect(card.text).toBe('bob dropped Some Rookie (TE - FA) in Dynasty');
+        });
+    });
+
+    describe('checkLeagueTransactions', () => {
+        let mockApp;
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+            mockApp = { client: { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } } };
+            datastore.getAllChannelsWithLeagues.mockResolvedValue([{ channelId: 'C1', leagues: [{ leagueId: 'L1', slackChannelId: 'C1' }] }]);
+            datastore.saveTransactionMark.mockResolvedValue();
+            sleeper.getNflState.mockResolvedValue({ season: '2026', week: 7 });
+            sleeper.getLeague.mockResolvedValue({ league_id: 'L1', name: 'Dynasty' });
+            sleeper.getLeagueRosters.mockResolvedValue([{ roster_id: 1, owner_id: 'u1' }, { roster_id: 2, owner_id: 'u2' }]);
+            sleeper.getLeagueUsers.mockResolvedValue([
+                { user_id: 'u1', display_name: 'alice', metadata: { team_name: 'Alpha' } },
+                { user_id: 'u2', display_name: 'bob' }
+            ]);
+            sleeper.getLeagueTransactions.mockResolvedValue([waiver, trade, freeAgent, { ...waiver, transaction_id: 't4', status: 'failed', status_updated: 5000 }]);
+            getPlayersFromCacheOrFetch.mockResolvedValue(players);
+        });
+
+        it('only records where the feed starts on the first check', async () => {
+            datastore.getTransactionMark.mockResolvedValue(null);
+
+            await expect(checkLeagueTransactions(mockApp)).resolves.toEqual([]);
+
+            expect(sleeper.getLeagueTransactions).toHaveBeenCalledWith('L1', 6);
+            expect(sleeper.getLeagueTransactions).toHaveBeenCalledWith('L1', 7);
+            expect(datastore.saveTransactionMark).toHaveBeenCalledWith('L1', 3000);
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('posts completed transactions since the mark, oldest first, and moves the mark on', async () => {
+            datastore.getTransactionMark.mockResolvedValue(1000);
+
+            const posted = await checkLeagueTransactions(mockApp);
+
+            expect(posted.map(transaction => [transaction.transaction_id, transaction.leagueId])).toEqual([['t1', 'L1'], ['t2', 'L1']]);
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(2);
+            expect(mockApp.client.chat.postMessage.mock.calls[0][0]).toEqual(expect.objectContaining({ channel: 'C1', text: 'Trade in Dynasty: Alpha and bob' }));
+            expect(mockApp.client.chat.postMessage.mock.calls[1][0].text).toBe('Alpha claimed Some Rookie (TE - FA) for $12 FAAB in Dynasty');
+            expect(getPlayersFromCacheOrFetch).toHaveBeenCalledWith(['4034', '6794', '9999']);
+            expect(datastore.saveTransactionMark).toHaveBeenCalledWith('L1', 3000);
+        });
+
+        it('still posts moves filed under the previous week once the week rolls over', async () => {
+            datastore.getTransactionMark.mockResolvedValue(2500);
+            sleeper.getLeagueTransactions.mockImplementation(async (leagueId, week) => (week === 6 ? [waiver, trade] : [trade]));
+
+            const posted = await checkLeagueTransactions(mockApp);
+
+            expect(posted.map(transaction => transaction.transaction_id)).toEqual(['t2']);
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(1);
+            expect(datastore.saveTransactionMark).toHaveBeenCalledWith('L1', 3000);
+        });
+
+        it('polls week 1 in the off-season', async () => {
+            sleeper.getNflState.mockResolvedValue({ season: '2026', week: 0 });
+            datastore.getTransactionMark.mockResolvedValue(3000);
+
+            await checkLeagueTransactions(mockApp);
+
+            expect(sleeper.getLeagueTransactions).toHaveBeenCalledTimes(1);
+            expect(sleeper.getLeagueTransactions).toHaveBeenCalledWith('L1', 1);
+            expect(sleeper.getLeague).not.toHaveBeenCalled();
+            expect(datastore.saveTransactionMark).not.toHaveBeenCalled();
+        });
+
+        it('keeps the cards already posted when a later one fails', async () => {
+            datastore.getTransactionMark.mockResolvedValue(1000);
+            mockApp.client.chat.postMessage.mockResolvedValueOnce({ ok: true }).mockRejectedValueOnce(new Error('Slack down'));
+
+            await expect(checkLeagueTransactions(mockApp)).resolves.toEqual([]);
+
+            expect(datastore.saveTransactionMark).toHaveBeenCalledWith('L1', 2000);
+        });
+
+        it('keeps going when a league fails', async () => {
+            datastore.getAllChannelsWithLeagues.mockResolvedValue([
+                { channelId: 'C0', leagues: [{ leagueId: 'gone', slackChannelId: 'C0' }, { leagueId: 'L1', slackChannelId: 'C0' }] }
+            ]);
+            datastore.getTransactionMark.mockResolvedValue(1000);
+            sleeper.getLeagueTransactions.mockImplementation(async (leagueId) => {
+                if (leagueId === 'gone') throw new Error('Sleeper down');
+                return [trade];
+            });
+
+            await expect(checkLeagueTransactions(mockApp)).resolves.toHaveLength(1);
+        });
+
+        it('does nothing without registered leagues', async () => {
+            datastore.getAllChannelsWithLeagues.mockResolvedValue([]);
+
+            await expect(checkLeagueTransactions(mockApp)).resolves.toEqual([]);
+            expect(sleeper.getNflState).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const { buildWatchlistAlert, notifyWatchers } = require('../../services/watchlist.js');
+const datastore = require('../../services/datastore.js');
+const nflDataCache = require('../../services/nflDataCache.js');
+const { resolvePickerName } = require('../../handlers/lastpick.js');
+
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/nflDataCache.js');
+jest.mock('../../handlers/lastpick.js');
+jest.mock('../../shared/logger.js');
+
+describe('watchlist service', () => {
+    const draft = {
+        draft_id: 'draft123',
+        type: 'snake',
+        metadata: { name: 'Test Draft' },
+        settings: { teams: 2, rounds: 3 },
+        draft_order: { u1: 1, u2: 2 }
+    };
+    const bijanPick = {
+        pick_no: 3, round: 2, draft_slot: 2, player_id: '9509',
+        metadata: { first_name: 'Bijan', last_name: 'Robinson', position: 'RB', team: 'ATL' }
+    };
+    const players = {
+        9509: { player_id: '9509', full_name: 'Bijan Robinson', position: 'RB', team: 'ATL', search_rank: 2 },
+        6794: { player_id: '6794', full_name: 'Justin Jefferson', position: 'WR', team: 'MIN', search_rank: 5 },
+        4866: { player_id: '4866', full_name: 'Saquon Barkley', position: 'RB', team: 'PHI', search_rank: 8 }
+    };
+    let mockApp;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockApp = { client: { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } } };
+        resolvePickerName.mockImplementation(async (userId) => `Team ${userId}`);
+        nflDataCache.getPlayersFromCacheOrFetch.mockResolvedValue(players);
+    });
+
+    describe('buildWatchlistAlert', () => {
+        it('names the pick and suggests the next best player', () => {
+            expect(buildWatchlistAlert(draft, bijanPick, 'Team u2', players[6794])).toBe(
+                ':rotating_light: *Bijan Robinson* (RB - ATL) is gone: Team u2 took them with pick 2.01 in Test Draft.\n' +
+                'Next best on your watchlist: *Justin Jefferson* (WR - MIN).'
+            );
+        });
+
+        it('says when nobody on the watchlist is left', () => {
+            expect(buildWatchlistAlert(draft, bijanPick, 'Team u2')).toContain('That was the last player on your watchlist');
+        });
+    });
+
+    describe('notifyWatchers', () => {
+        it('DMs watchers of a drafted player with their best remaining option', async () => {
+            datastore.getWatchlistsForDraft.mockResolvedValue([
+                { slackUserId: 'U1', playerIds: ['4866', '9509', '6794'] },
+                { slackUserId: 'U2', playerIds: ['4866'] }
+            ]);
+
+            const sent = await notifyWatchers(mockApp, 'draft123', draft, [{ player_id: '1' }, { player_id: '2' }, bijanPick], [bijanPick], {});
+
+            expect(sent).toBe(1);
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(1);
+            const message = mockApp.client.chat.postMessage.mock.calls[0][0];
+            expect(message.channel).toBe('U1');
+            expect(message.text).toContain('Team u2 took them');
+            // Jefferson outranks Barkley, even though Barkley was added first
+            expect(message.text).toContain('Next best on your watchlist: *Justin Jefferson*');
+        });
+
+        it('skips players who are already gone when suggesting the next best', async () => {
+            datastore.getWatchlistsForDraft.mockResolvedValue([{ slackUserId: 'U1', playerIds: ['9509', '6794', '4866'] }]);
+
+            await notifyWatchers(mockApp, 'draft123', draft, [{ player_id: '6794' }, { player_id: '2' }, bijanPick], [bijanPick], {});
+
+            expect(mockApp.client.chat.postMessage.mock.calls[0][0].text).toContain('*Saquon Barkley*');
+        });
+
+        it('does nothing when no watched player was taken', async () => {
+            datastore.getWatchlistsForDraft.mockResolvedValue([{ slackUserId: 'U1', playerIds: ['6794'] }]);
+
+            await expect(notifyWatchers(mockApp, 'draft123', draft, [bijanPick], [bijanPick], {})).resolves.toBe(0);
+            expect(nflDataCache.getPlayersFromCacheOrFetch).not.toHaveBeenCalled();
+            expect(mockApp.client.chat.postMessage).not.toHaveBeenCalled();
+        });
+
+        it('keeps going when a DM fails', async () => {
+            datastore.getWatchlistsForDraft.mockResolvedValue([
+                { slackUserId: 'U1', playerIds: ['9509'] },
+                { slackUserId: 'U2', playerIds: ['9509'] }
+            ]);
+            mockApp.client.chat.postMessage.mockRejectedValueOnce(new Error('cannot_dm_bot'));
+
+            await expect(notifyWatchers(mockApp, 'draft123', draft, [bijanPick], [bijanPick], {})).resolves.toBe(1);
+            expect(mockApp.client.chat.postMessage).toHaveBeenCalledTimes(2);
+        });
+    });
+});
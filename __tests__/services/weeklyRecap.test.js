@@ -0,0 +1,166 @@
+const { getRecapWeek, getBenchPoints, buildRecords, loadWeeklyRecap, formatRecapMessage } = require('../../services/weeklyRecap.js');
+const sleeper = require('../../services/sleeper.js');
+const { getPlayersFromCacheOrFetch } = require('../../services/nflDataCache.js');
+
+jest.mock('../../services/sleeper.js');
+jest.mock('../../services/datastore.js');
+jest.mock('../../services/nflDataCache.js');
+jest.mock('../../shared/logger.js');
+
+describe('weeklyRecap', () => {
+    const entry = (rosterId, matchupId, points, extra = {}) => ({ roster_id: rosterId, matchup_id: matchupId, points, ...extra });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getRecapWeek', () => {
+        it('recaps the current week once all its games are final, otherwise the week before', async () => {
+            sleeper.getNflSchedule.mockResolvedValue([{ status: 'final' }, { status: 'final' }]);
+            await expect(getRecapWeek({ season: '2026', week: 7, season_type: 'regular' })).resolves.toBe(7);
+            expect(sleeper.getNflSchedule).toHaveBeenCalledWith('2026', 7);
+
+            sleeper.getNflSchedule.mockResolvedValue([{ status: 'scheduled' }, { status: 'final' }]);
+            await expect(getRecapWeek({ season: '2026', week: 8, season_type: 'regular' })).resolves.toBe(7);
+        });
+
+        it('has nothing to recap outside the season', async () => {
+            await expect(getRecapWeek({ season: '2026', week: 0, season_type: 'off' })).resolves.toBe(0);
+            await expect(getRecapWeek({ season: '2026', week: 2, season_type: 'pre' })).resolves.toBe(0);
+            expect(sleeper.getNflSchedule).not.toHaveBeenCalled();
+        });
+    });
+
+    it('adds up the points left on the bench', () => {
+        const matchup = { starters: ['1', '2'], players_points: { 1: 20, 2: 10, 3: 18.5, 4: 6 } };
+
+        expect(getBenchPoints(matchup)).toEqual({ points: 24.5, playerId: '3', playerPoints: 18.5 });
+        expect(getBenchPoints({ starters: ['1'], players_points: { 1: 12 } })).toEqual({ points: 0, playerId: null, playerPoints: 0 });
+    });
+
+    it('builds records from matchups, including the median game', () => {
+        const weeks = [[entry(1, 1, 120), entry(2, 1, 100), entry(3, 2, 90), entry(4, 2, 90)]];
+
+        expect(buildRecords(weeks, false).get(1)).toEqual({ wins: 1, losses: 0, ties: 0, pointsFor: 120, pointsAgainst: 100 });
+        expect(buildRecords(weeks, false).get(3)).toEqual(expect.objectContaining({ ties: 1 }));
+
+        const withMedian = buildRecords(weeks, true);
+        expect(withMedian.get(1)).toEqual(expect.objectContaining({ wins: 2, losses: 0 }));
+        expect(withMedian.get(4)).toEqual(expect.objectContaining({ wins: 0, losses: 1, ties: 1 }));
+    });
+
+    describe('loadWeeklyRecap', () => {
+        const weeks = {
+            1: [entry(1, 1, 100), entry(2, 1, 90), entry(3, 2, 80), entry(4, 2, 70)],
+            2: [
+                entry(1, 1, 60, { starters: ['a'], players_points: { a: 60, b: 4 } }),
+                entry(2, 2, 150, { starters: ['c'], players_points: { c: 150, d: 30 } }),
+                entry(3, 1, 61, { starters: ['e'], players_points: { e: 61 } }),
+                entry(4, 2, 80, { starters: ['f'], players_points: { f: 80, g: 2 } })
+            ]
+        };
+
+        beforeEach(() => {
+            sleeper.getLeague.mockResolvedValue({ league_id: 'L1', name: 'Dynasty', roster_positions: ['FLEX', 'BN'], settings: { playoff_week_start: 15, playoff_teams: 2 } });
+            sleeper.getLeagueRosters.mockResolvedValue([1, 2, 3, 4].map(rosterId => ({ roster_id: rosterId, owner_id: `u${rosterId}` })));
+            sleeper.getLeagueUsers.mockResolvedValue([{ user_id: 'u1', display_name: 'alice' }, { user_id: 'u2', display_name: 'bob' }]);
+            sleeper.getLeagueMatchups.mockImplementation(async (leagueId, week) => weeks[week] || []);
+            getPlayersFromCacheOrFetch.mockResolvedValue({
+                a: { full_name: 'Starter', position: 'WR', team: 'BUF' },
+                b: { full_name: 'Backup', position: 'WR', team: 'NYJ' },
+                c: { full_name: 'Big Game', position: 'RB', team: 'ATL' },
+                d: { full_name: 'Bench Star', position: 'WR', team: 'KC' },
+                e: { full_name: 'Steady', position: 'TE', team: 'DET' },
+                f: { full_name: 'Solid', position: 'RB', team: 'SF' },
+                g: { full_name: 'Spare', position: 'TE', team: 'LV' }
+            });
+        });
+
+        it('finds the week\'s results, awards and standings movement', async () => {
+            const recap = await loadWeeklyRecap('L1', 2);
+
+            expect(recap.games.map(game => game.teams.map(team => team.name))).toEqual([['Team 3', 'alice'], ['bob', 'Team 4']]);
+            expect(recap.highScorer).toEqual(expect.objectContaining({ name: 'bob', points: 150 }));
+            expect(recap.lowScorer).toEqual(expect.objectContaining({ name: 'alice', points: 60 }));
+            expect(recap.blowout.margin).toBe(70);
+            expect(recap.closest.margin).toBe(1);
+            expect(recap.bench).toEqual(expect.objectContaining({ name: 'bob', points: 30, playerName: 'Bench Star (WR - KC)' }));
+            expect(getPlayersFromCacheOrFetch).toHaveBeenCalledWith(['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+            expect(recap.lineups.map(team => [team.name, team.efficiency])).toEqual([['bob', 1], ['Team 4', 1], ['Team 3', 1], ['alice', 1]]);
+            expect(recap.standings.map(team => [team.name, team.seed, team.movement])).toEqual([
+                ['Team 3', 1, 1],
+                ['bob', 2, 1],
+                ['alice', 3, -2],
+                ['Team 4', 4, 0]
+            ]);
+        });
+
+        it('shows no standings movement in week 1', async () => {
+            const recap = await loadWeeklyRecap('L1', 1);
+
+            expect(recap.standings.map(team => team.movement)).toEqual([null, null, null, null]);
+            const standingsBlock = formatRecapMessage(recap).blocks.find(block => block.text?.text.startsWith('*Standings*'));
+            expect(standingsBlock.text.text).not.toMatch(/arrow_(up|down)_small/);
+        });
+
+        it('skips standings in the playoffs and weeks without games', async () => {
+            sleeper.getLeague.mockResolvedValue({ league_id: 'L1', name: 'Dynasty', settings: { playoff_week_start: 2 } });
+            const playoffs = await loadWeeklyRecap('L1', 2);
+            expect(playoffs.standings).toBeNull();
+            expect(sleeper.getLeagueMatchups).toHaveBeenCalledTimes(1);
+
+            await expect(loadWeeklyRecap('L1', 3)).resolves.toBeNull();
+
+            sleeper.getLeague.mockResolvedValue(null);
+            await expect(loadWeeklyRecap('gone', 2)).resolves.toBeNull();
+        });
+    });
+
+    describe('formatRecapMessage', () => {
+        const teams = (a, b) => [{ rosterId: 1, name: a[0], points: a[1] }, { rosterId: 2, name: b[0], points: b[1] }];
+        const recap = {
+            league: { name: 'Dynasty' },
+            week: 2,
+            games: [{ matchupId: 1, teams: teams(['bob', 150], ['Team 4', 80]) }, { matchupId: 2, teams: teams(['Team 3', 61], ['alice', 60]) }],
+            unpaired: [{ rosterId: 5, name: 'Echo', points: 75 }],
+            highScorer: { name: 'bob', points: 150 },
+            lowScorer: { name: 'alice', points: 60 },
+            blowout: { teams: teams(['bob', 150], ['Team 4', 80]), margin: 70 },
+            closest: { teams: teams(['Team 3', 61], ['alice', 60]), margin: 1 },
+            bench: { name: 'bob', points: 30, playerName: 'Bench Star (WR - KC)', playerPoints: 30 },
+            lineups: [
+                { name: 'alice', efficiency: 1, actual: 60, optimal: 60, pointsLeft: 0 },
+                { name: 'bob', efficiency: 0.8, actual: 120, optimal: 150, pointsLeft: 30 }
+            ],
+            standings: [
+                { name: 'bob', seed: 1, wins: 2, losses: 0, ties: 0, movement: 1 },
+                { name: 'alice', seed: 2, wins: 1, losses: 1, ties: 0, movement: -1 },
+                { name: 'Team 3', seed: 3, wins: 1, losses: 1, ties: 0, movement: 0 }
+            ]
+        };
+
+        it('lists the results, awards and standings', () => {
+            const message = formatRecapMessage(recap);
+
+            expect(message.text).toBe('Dynasty Week 2 recap: bob had the high score with 150.00');
+            expect(message.blocks[0].text.text).toBe('📰 Dynasty · Week 2 Recap');
+            expect(message.blocks[1].text.text).toBe('*Final Scores*\n*bob* 150.00 - 80.00 Team 4\n*Team 3* 61.00 - 60.00 alice\nEcho 75.00 _(no matchup)_');
+            expect(message.blocks[2].text.text.split('\n')).toEqual([
+                ':fire: *High score:* bob (150.00)',
+                ':ice_cube: *Low score:* alice (60.00)',
+                ':boom: *Biggest blowout:* *bob* 150.00 - 80.00 Team 4 (by 70.00)',
+                ':sweat_smile: *Closest game:* *Team 3* 61.00 - 60.00 alice (by 1.00)',
+                ':chair: *Most points on the bench:* bob left 30.00 on the bench, led by Bench Star (WR - KC) with 30.00'
+            ]);
+            expect(message.blocks[3].text.text).toBe('*Lineup Efficiency*\nalice 100.0% (60.00 of 60.00) :dart:\nbob 80.0% (120.00 of 150.00, left 30.00)');
+            expect(message.blocks[5].text.text).toBe('*Standings*\n1. bob (2-0) :arrow_up_small:1\n2. alice (1-1) :arrow_down_small:1\n3. Team 3 (1-1)');
+        });
+
+        it('leaves out what a week or league did not have', () => {
+            const message = formatRecapMessage({ ...recap, unpaired: [], blowout: null, closest: null, bench: null, lineups: [], standings: null });
+
+            expect(message.blocks).toHaveLength(3);
+            expect(message.blocks[2].text.text.split('\n')).toHaveLength(2);
+        });
+    });
+});
@@ -0,0 +1,48 @@
+const { isAuctionDraft, getPickAmount, getAuctionState } = require('../../shared/auctionDraft.js');
+
+describe('auctionDraft', () => {
+    const draft = {
+        type: 'auction',
+        settings: { teams: 3, rounds: 2, budget: 100 },
+        draft_order: { u1: 1, u2: 2, u3: 3 }
+    };
+    const pick = (pickNo, slot, amount) => ({
+        pick_no: pickNo,
+        draft_slot: slot,
+        metadata: { amount: String(amount) }
+    });
+
+    it('identifies auction drafts', () => {
+        expect(isAuctionDraft(draft)).toBe(true);
+        expect(isAuctionDraft({ type: 'snake' })).toBe(false);
+    });
+
+    it('reads the winning bid from pick metadata', () => {
+        expect(getPickAmount(pick(1, 1, 42))).toBe(42);
+        expect(getPickAmount({ metadata: {} })).toBe(0);
+    });
+
+    it('tracks budgets and roster spots per team', () => {
+        const state = getAuctionState(draft, [pick(1, 2, 30), pick(2, 2, 10)]);
+
+        expect(state.budget).toBe(100);
+        expect(state.teams[1]).toEqual({ slot: 2, userId: 'u2', spent: 40, remaining: 60, spotsLeft: 0 });
+        expect(state.teams[0]).toMatchObject({ remaining: 100, spotsLeft: 2 });
+    });
+
+    it('rotates nominations and skips teams with full rosters', () => {
+        // Slot 2 fills up after two wins, so it is skipped on its next turn.
+        const state = getAuctionState(draft, [pick(1, 2, 30), pick(2, 2, 10), pick(3, 1, 5), pick(4, 3, 5)]);
+
+        expect(state.nominatorSlots).toEqual([1, 2, 3, 1]);
+        expect(state.nextNominatorSlot).toBe(3);
+    });
+
+    it('defaults the budget and reports no nominator once every roster is full', () => {
+        const fullDraft = { ...draft, settings: { teams: 2, rounds: 1 } };
+        const state = getAuctionState(fullDraft, [pick(1, 1, 1), pick(2, 2, 1)]);
+
+        expect(state.budget).toBe(200);
+        expect(state.nextNominatorSlot).toBeNull();
+    });
+});
@@ -6,6 +6,7 @@ jest.mock('../../handlers/registerLeague.js', () => ({ handleRegisterLeagueComma
 jest.mock('../../handlers/handleUsageCommand.js', () => ({ handleUsageCommand: jest.fn() }));
 jest.mock('../../handlers/unregisterDraft.js', () => ({ handleUnregisterDraftCommand: jest.fn() }));
 jest.mock('../../handlers/listDrafts.js', () => ({ handleListDraftsCommand: jest.fn() }));
+jest.mock('../../handlers/resyncDraft.js', () => ({ handleResyncDraftCommand: jest.fn() }));
 jest.mock('../../handlers/listLeagues.js', () => ({ handleListLeaguesCommand: jest.fn() }));
 jest.mock('../../handlers/updatePlayers.js', () => ({ handleUpdatePlayersCommand: jest.fn() }));
 jest.mock('../../handlers/checkRosters.js', () => ({
@@ -16,6 +17,22 @@ jest.mock('../../handlers/cacheManagement.js', () => ({
     handleCacheStatusCommand: jest.fn(),
     handleCacheRefreshCommand: jest.fn()
 }));
+jest.mock('../../handlers/draftStats.js', () => ({ handleDraftStatsCommand: jest.fn() }));
+jest.mock('../../handlers/draftSettings.js', () => ({ handleDraftSettingsCommand: jest.fn() }));
+jest.mock('../../handlers/draftBoard.js', () => ({ handleDraftBoardCommand: jest.fn() }));
+jest.mock('../../handlers/draftLottery.js', () => ({ handleDraftLotteryCommand: jest.fn() }));
+jest.mock('../../handlers/pickLedger.js', () => ({ handlePicksCommand: jest.fn(), handlePickLedgerCommand: jest.fn() }));
+jest.mock('../../handlers/scores.js', () => ({ handleScoresCommand: jest.fn() }));
+jest.mock('../../handlers/standings.js', () => ({ handleStandingsCommand: jest.fn(), handlePowerRankingsCommand: jest.fn() }));
+jest.mock('../../handlers/lineupEfficiency.js', () => ({ handleLineupEfficiencyCommand: jest.fn() }));
+jest.mock('../../handlers/adp.js', () => ({ handleRegisterMocksCommand: jest.fn(), handleAdpCommand: jest.fn() }));
+jest.mock('../../handlers/rankings.js', () => ({ handleImportRankingsCommand: jest.fn() }));
+jest.mock('../../handlers/keepers.js', () => ({ handleKeepersCommand: jest.fn() }));
+jest.mock('../../handlers/watchlist.js', () => ({
+    handleWatchCommand: jest.fn(),
+    handleUnwatchCommand: jest.fn(),
+    handleMyWatchlistCommand: jest.fn()
+}));
 
 const { createCommandPayload, handleAppMention, handleDirectMessage } = require('../../shared/commandPatterns.js');
 const { handleLastPickCommand } = require('../../handlers/lastpick.js');
@@ -23,7 +40,20 @@ const { handleRegisterDraftCommand } = require('../../handlers/registerDraft.js'
 const { handleUsageCommand } = require('../../handlers/handleUsageCommand.js');
 const { handleCheckLeagueRostersCommand } = require('../../handlers/checkRosters.js');
 const { handleListDraftsCommand } = require('../../handlers/listDrafts.js');
+const { handleResyncDraftCommand } = require('../../handlers/resyncDraft.js');
 const { handleUpdatePlayersCommand } = require('../../handlers/updatePlayers.js');
+const { handleDraftStatsCommand } = require('../../handlers/draftStats.js');
+const { handleDraftSettingsCommand } = require('../../handlers/draftSettings.js');
+const { handleDraftBoardCommand } = require('../../handlers/draftBoard.js');
+const { handleDraftLotteryCommand } = require('../../handlers/draftLottery.js');
+const { handleKeepersCommand } = require('../../handlers/keepers.js');
+const { handleRegisterMocksCommand, handleAdpCommand } = require('../../handlers/adp.js');
+const { handleImportRankingsCommand } = require('../../handlers/rankings.js');
+const { handlePicksCommand, handlePickLedgerCommand } = require('../../handlers/pickLedger.js');
+const { handleScoresCommand } = require('../../handlers/scores.js');
+const { handleStandingsCommand, handlePowerRankingsCommand } = require('../../handlers/standings.js');
+const { handleLineupEfficiencyCommand } = require('../../handlers/lineupEfficiency.js');
+const { handleWatchCommand, handleUnwatchCommand, handleMyWatchlistCommand } = require('../../handlers/watchlist.js');
 
 describe('commandPatterns', () => {
     let say;
@@ -42,6 +72,12 @@ describe('commandPatterns', () => {
             });
         });
 
+        it('adds the Slack user when one is given', () => {
+            expect(createCommandPayload('hi', 'C1', null, 'U1')).toEqual({
+                text: 'hi', channel_id: 'C1', ts: null, user_id: 'U1'
+            });
+        });
+
         it('defaults ts to null', () => {
             expect(createCommandPayload('hi', 'C1').ts).toBeNull();
         });
@@ -69,6 +105,114 @@ describe('commandPatterns', () => {
             );
         });
 
+        it('routes "draft stats" to the draft-stats handler', async () => {
+            await handleAppMention(mention('draft stats'));
+            expect(handleDraftStatsCommand).toHaveBeenCalledWith(
+                expect.objectContaining({ command: expect.objectContaining({ channel_id: 'C1' }) })
+            );
+        });
+
+        it('routes "draft board" to the draft-board handler with the client', async () => {
+            await handleAppMention(mention('draft board'));
+            expect(handleDraftBoardCommand).toHaveBeenCalledWith(
+                expect.objectContaining({ command: expect.objectContaining({ channel_id: 'C1' }), client: {} })
+            );
+        });
+
+        it('routes "draft lottery" with its options and the Slack user', async () => {
+            await handleAppMention({ ...mention('draft lottery weighted seed abc'), event: { ...mention('draft lottery weighted seed abc').event, user: 'U42' } });
+            expect(handleDraftLotteryCommand).toHaveBeenCalledWith(
+                expect.objectContaining({ command: expect.objectContaining({ text: 'weighted seed abc', user_id: 'U42' }) })
+            );
+        });
+
+        it('routes "register mocks" with every draft ID', async () => {
+            await handleAppMention(mention('register mocks 111 222 333'));
+            expect(handleRegisterMocksCommand).toHaveBeenCalledWith(
+                expect.objectContaining({ command: expect.objectContaining({ text: '111 222 333' }) })
+            );
+            expect(handleRegisterDraftCommand).not.toHaveBeenCalled();
+        });
+
+        it('routes "adp" with an optional position or player', async () => {
+            await handleAppMention(mention('adp'));
+            await handleAppMention(mention('adp Bijan Robinson'));
+            expect(handleAdpCommand).toHaveBeenNthCalledWith(1, expect.objectContaining({ command: expect.objectContaining({ text: '' }) }));
+            expect(handleAdpCommand).toHaveBeenNthCalledWith(2, expect.objectContaining({ command: expect.objectContaining({ text: 'Bijan Robinson' }) }));
+        });
+
+        it('keeps "import rankings" to direct messages', async () => {
+            await handleAppMention(mention('import rankings 2026\n1, Bijan Robinson, RB'));
+            expect(handleImportRankingsCommand).not.toHaveBeenCalled();
+            expect(say).toHaveBeenCalledWith('For security, the `import rankings` command can only be used in a direct message with me.');
+        });
+
+        it('routes "picks" with the team or mention, and "pick ledger"', async () => {
+            await handleAppMention(mention('picks <@U0123456789>'));
+            await handleAppMention(mention('pick ledger'));
+            expect(handlePicksCommand).toHaveBeenCalledWith(expect.objectContaining({ command: expect.objectContaining({ text: '<@U0123456789>' }) }));
+            expect(handlePickLedgerCommand).toHaveBeenCalledTimes(1);
+        });
+
+        it('routes "scores" and "scores live" with the client', async () => {
+            await handleAppMention(mention('scores'));
+            await handleAppMention(mention('scores live'));
+            expect(handleScoresCommand).toHaveBeenNthCalledWith(1, expect.objectContaining({ command: expect.objectContaining({ text: '', channel_id: 'C1' }), client: {} }));
+            expect(handleScoresCommand).toHaveBeenNthCalledWith(2, expect.objectContaining({ command: expect.objectContaining({ text: 'live' }) }));
+        });
+
+        it('routes "standings" and "power rankings"', async () => {
+            await handleAppMention(mention('standings'));
+            await handleAppMention(mention('Power  Rankings'));
+            expect(handleStandingsCommand).toHaveBeenCalledWith(expect.objectContaining({ command: expect.objectContaining({ channel_id: 'C1' }) }));
+            expect(handlePowerRankingsCommand).toHaveBeenCalledWith(expect.objectContaining({ command: expect.objectContaining({ channel_id: 'C1' }) }));
+        });
+
+        it('routes "lineup efficiency"', async () => {
+            await handleAppMention(mention('lineup efficiency'));
+            expect(handleLineupEfficiencyCommand).toHaveBeenCalledWith(expect.objectContaining({ command: expect.objectContaining({ channel_id: 'C1' }) }));
+        });
+
+        it('routes "keepers" and "keepers remind" to the keepers handler with the client', async () => {
+            await handleAppMention(mention('keepers'));
+            await handleAppMention(mention('keepers remind'));
+            expect(handleKeepersCommand).toHaveBeenNthCalledWith(1,
+                expect.objectContaining({ command: expect.objectContaining({ channel_id: 'C1', text: '' }), client: {} })
+            );
+            expect(handleKeepersCommand).toHaveBeenNthCalledWith(2, expect.objectContaining({ command: expect.objectContaining({ text: 'remind' }) }));
+        });
+
+        it('routes watchlist commands with the player name and the Slack user', async () => {
+            const watchMention = (text) => ({ ...mention(text), event: { ...mention(text).event, user: 'U42' } });
+
+            await handleAppMention(watchMention('watch Bijan Robinson'));
+            await handleAppMention(watchMention('unwatch all'));
+            await handleAppMention(watchMention('my watchlist'));
+
+            expect(handleWatchCommand).toHaveBeenCalledWith(
+                expect.objectContaining({ command: expect.objectContaining({ text: 'Bijan Robinson', user_id: 'U42' }) })
+            );
+            expect(handleUnwatchCommand).toHaveBeenCalledWith(
+                expect.objectContaining({ command: expect.objectContaining({ text: 'all', user_id: 'U42' }) })
+            );
+            expect(handleMyWatchlistCommand).toHaveBeenCalledWith(
+                expect.objectContaining({ command: expect.objectContaining({ user_id: 'U42' }) })
+            );
+        });
+
+        it('routes "draft settings threaded on" with the setting and value', async () => {
+            await handleAppMention(mention('draft settings threaded on'));
+            expect(handleDraftSettingsCommand).toHaveBeenCalledWith(
+                expect.objectContaining({ command: expect.objectContaining({ text: 'threaded on' }) })
+            );
+        });
+
+        it('keeps "resync draft" to direct messages', async () => {
+            await handleAppMention(mention('resync draft 123 replay'));
+            expect(handleResyncDraftCommand).not.toHaveBeenCalled();
+            expect(say).toHaveBeenCalledWith(expect.stringContaining('can only be used in a direct message'));
+        });
+
         it('shows usage when the mention has no command text', async () => {
             await handleAppMention(mention(''));
             expect(handleUsageCommand).toHaveBeenCalled();
@@ -94,6 +238,20 @@ describe('commandPatterns', () => {
             expect(handleListDraftsCommand).toHaveBeenCalled();
         });
 
+        it('routes "resync draft" in a DM with the draft ID, option and client', async () => {
+            await handleDirectMessage({ message: { channel_type: 'im', text: 'resync draft 123 replay', channel: 'D1' }, say, logger, client: {} });
+            expect(handleResyncDraftCommand).toHaveBeenCalledWith(
+                expect.objectContaining({ command: expect.objectContaining({ text: '123 replay', channel_id: 'D1' }), client: {} })
+            );
+        });
+
+        it('routes "import rankings" in a DM with the pasted lines', async () => {
+            await handleDirectMessage({ message: { channel_type: 'im', text: 'import rankings 2026\n1, Bijan Robinson, RB\n2, Puka Nacua', channel: 'D1' }, say, logger, client: {} });
+            expect(handleImportRankingsCommand).toHaveBeenCalledWith(
+                expect.objectContaining({ command: expect.objectContaining({ text: '2026\n1, Bijan Robinson, RB\n2, Puka Nacua', channel_id: 'D1' }) })
+            );
+        });
+
         it('routes "update players" in a DM', async () => {
             await handleDirectMessage({ message: { channel_type: 'im', text: 'update players', channel: 'D1' }, say, logger, client: {} });
             expect(handleUpdatePlayersCommand).toHaveBeenCalled();
@@ -0,0 +1,117 @@
+const {
+    getTotalTeams,
+    getTotalPicks,
+    isRookieDraft,
+    getUserForSlot,
+    getSlotForPick,
+    getUserForRosterId,
+    findTradedPick,
+    getPickOwner,
+    getMadePickOwner,
+    getPickType
+} = require('../../shared/draftOrder.js');
+
+describe('draftOrder', () => {
+    const baseDraft = {
+        season: '2026',
+        type: 'snake',
+        settings: { rounds: 3, teams: 3 },
+        draft_order: { u1: 1, u2: 2, u3: 3 },
+        slot_to_roster_id: { '1': 10, '2': 20, '3': 30 }
+    };
+
+    describe('team and pick counts', () => {
+        it('prefers settings.teams over the draft_order size', () => {
+            expect(getTotalTeams({ settings: { teams: 12 }, draft_order: { u1: 1 } })).toBe(12);
+            expect(getTotalTeams({ settings: {}, draft_order: { u1: 1, u2: 2 } })).toBe(2);
+        });
+
+        it('multiplies rounds by teams for the total pick count', () => {
+            expect(getTotalPicks(baseDraft)).toBe(9);
+        });
+
+        it("spots rookie drafts from Sleeper's player pool setting", () => {
+            expect(isRookieDraft({ settings: { player_type: 1 } })).toBe(true);
+            expect(isRookieDraft({ settings: { player_type: 0 } })).toBe(false);
+            expect(isRookieDraft({ settings: {} })).toBe(false);
+        });
+    });
+
+    describe('getUserForSlot', () => {
+        it('returns the user in the slot, or null', () => {
+            expect(getUserForSlot(2, baseDraft.draft_order)).toBe('u2');
+            expect(getUserForSlot(9, baseDraft.draft_order)).toBeNull();
+        });
+    });
+
+    describe('getSlotForPick', () => {
+        it('snakes even rounds', () => {
+            expect(getSlotForPick(baseDraft, 1)).toEqual({ round: 1, pickInRound: 1, slot: 1 });
+            expect(getSlotForPick(baseDraft, 4)).toEqual({ round: 2, pickInRound: 1, slot: 3 });
+        });
+
+        it('flips the snake from the reversal round in a 3RR draft', () => {
+            const draft = { ...baseDraft, settings: { ...baseDraft.settings, reversal_round: 3 } };
+            expect(getSlotForPick(draft, 7).slot).toBe(3);
+        });
+
+        it('keeps the same order every round in a linear draft', () => {
+            expect(getSlotForPick({ ...baseDraft, type: 'linear' }, 4).slot).toBe(1);
+        });
+    });
+
+    describe('traded picks', () => {
+        const tradedPicks = [
+            { season: '2026', round: 2, roster_id: 30, previous_owner_id: 30, owner_id: 10 },
+            { season: '2027', round: 1, roster_id: 10, previous_owner_id: 10, owner_id: 20 }
+        ];
+
+        it('resolves a roster back to its user via the slot mapping', () => {
+            expect(getUserForRosterId(baseDraft, 20)).toBe('u2');
+            expect(getUserForRosterId(baseDraft, 99)).toBeNull();
+        });
+
+        it('ignores traded picks from other seasons', () => {
+            expect(findTradedPick(baseDraft, tradedPicks, 1, 10)).toBeNull();
+            expect(findTradedPick(baseDraft, tradedPicks, 2, 30)).toEqual(tradedPicks[0]);
+        });
+
+        it('reports the new owner and the original owner of a traded pick', () => {
+            // Pick 4 is round 2, slot 3 (snake) -> originally u3, traded to u1.
+            expect(getPickOwner(baseDraft, 4, tradedPicks)).toEqual({
+                round: 2, slot: 3, userId: 'u1', originalUserId: 'u3', rosterId: 10
+            });
+        });
+
+        it('reports the slot owner when the pick was not traded', () => {
+            expect(getPickOwner(baseDraft, 2, tradedPicks)).toEqual({
+                round: 1, slot: 2, userId: 'u2', originalUserId: null, rosterId: 20
+            });
+        });
+
+        it('detects a completed pick made with a traded pick', () => {
+            expect(getMadePickOwner(baseDraft, { draft_slot: 3, roster_id: 10, picked_by: 'u1' }))
+                .toEqual({ userId: 'u1', originalUserId: 'u3' });
+            expect(getMadePickOwner(baseDraft, { draft_slot: 2, roster_id: 20, picked_by: 'u2' }))
+                .toEqual({ userId: 'u2', originalUserId: null });
+        });
+
+        it('credits the slot owner when someone else made the pick', () => {
+            expect(getMadePickOwner(baseDraft, { draft_slot: 2, roster_id: 20, picked_by: '' }))
+                .toEqual({ userId: 'u2', originalUserId: null });
+        });
+    });
+
+    describe('getPickType', () => {
+        it('spots keepers, autopicks and commissioner picks', () => {
+            expect(getPickType(baseDraft, { draft_slot: 1, picked_by: 'u1', is_keeper: true })).toBe('keeper');
+            expect(getPickType(baseDraft, { draft_slot: 1, picked_by: '' })).toBe('autopick');
+            expect(getPickType(baseDraft, { draft_slot: 1, picked_by: 'u3' })).toBe('commissioner');
+            expect(getPickType(baseDraft, { draft_slot: 1, picked_by: 'u1' })).toBeNull();
+        });
+
+        it('treats the new owner of a traded pick as the picker', () => {
+            expect(getPickType(baseDraft, { draft_slot: 3, roster_id: 10, picked_by: 'u1' })).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const { getDraftSetting, parseDraftSetting, formatDraftSetting, shouldPostPickAlert } = require('../../shared/draftSettings.js');
+
+describe('draftSettings', () => {
+    it('falls back to the default when a setting is not stored', () => {
+        expect(getDraftSetting({}, 'threaded')).toBe(false);
+        expect(getDraftSetting({ settings: { threaded: true } }, 'threaded')).toBe(true);
+        expect(getDraftSetting(undefined, 'threaded')).toBe(false);
+    });
+
+    it('parses on/off style values for boolean settings', () => {
+        expect(parseDraftSetting('threaded', 'On')).toEqual({ isValid: true, value: true });
+        expect(parseDraftSetting('threaded', 'disabled')).toEqual({ isValid: true, value: false });
+        expect(parseDraftSetting('threaded', '').isValid).toBe(false);
+    });
+
+    it('parses whole numbers within range for number settings', () => {
+        expect(getDraftSetting({}, 'batchThreshold')).toBe(0);
+        expect(parseDraftSetting('batchThreshold', '5')).toEqual({ isValid: true, value: 5 });
+        expect(parseDraftSetting('batchThreshold', '0')).toEqual({ isValid: true, value: 0 });
+        expect(parseDraftSetting('batchThreshold', '2.5').isValid).toBe(false);
+        expect(parseDraftSetting('batchThreshold', '-1').isValid).toBe(false);
+        expect(parseDraftSetting('batchThreshold', '').isValid).toBe(false);
+        expect(formatDraftSetting('batchThreshold', 5)).toBe('5');
+    });
+
+    it('rejects unknown settings', () => {
+        expect(parseDraftSetting('nope', 'on')).toEqual({
+            isValid: false,
+            errorMessage: expect.stringContaining('Available settings: `threaded`, `batchThreshold`')
+        });
+    });
+
+    describe('shouldPostPickAlert', () => {
+        const draft = { settings: { teams: 10 } };
+        const pick = (pickNo, position, playerId = `p${pickNo}`) => ({ pick_no: pickNo, player_id: playerId, metadata: { position } });
+
+        it('posts every pick by default', () => {
+            expect(shouldPostPickAlert({}, draft, pick(5, 'K'))).toBe(true);
+            expect(getDraftSetting({}, 'rookieDetails')).toBe(true);
+        });
+
+        it('holds back kickers and defenses with skipKDef', () => {
+            const draftInfo = { settings: { skipKDef: true } };
+            expect(shouldPostPickAlert(draftInfo, draft, pick(5, 'K'))).toBe(false);
+            expect(shouldPostPickAlert(draftInfo, draft, pick(6, 'DEF'))).toBe(false);
+            expect(shouldPostPickAlert(draftInfo, draft, pick(7, 'WR'))).toBe(true);
+        });
+
+        it('keeps round openers and watched players with highlightsOnly', () => {
+            const draftInfo = { settings: { highlightsOnly: true } };
+            const watched = new Set(['p14']);
+            expect(shouldPostPickAlert(draftInfo, draft, pick(1, 'RB'), watched)).toBe(true);
+            expect(shouldPostPickAlert(draftInfo, draft, pick(11, 'RB'), watched)).toBe(true);
+            expect(shouldPostPickAlert(draftInfo, draft, pick(14, 'WR'), watched)).toBe(true);
+            expect(shouldPostPickAlert(draftInfo, draft, pick(12, 'WR'), watched)).toBe(false);
+            expect(shouldPostPickAlert(draftInfo, draft, pick(12, 'WR'))).toBe(false);
+        });
+
+        it('skips a watched kicker when both are on', () => {
+            const draftInfo = { settings: { highlightsOnly: true, skipKDef: true } };
+            expect(shouldPostPickAlert(draftInfo, draft, pick(11, 'K'), new Set(['p11']))).toBe(false);
+        });
+    });
+
+    it('formats values for display', () => {
+        expect(formatDraftSetting('threaded', true)).toBe('on');
+        expect(formatDraftSetting('threaded', false)).toBe('off');
+    });
+});
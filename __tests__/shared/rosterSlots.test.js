@@ -0,0 +1,101 @@
+const { countPositions, getPositionalNeeds, buildOptimalLineup, formatNeeds, formatPositionCounts } = require('../../shared/rosterSlots.js');
+
+describe('rosterSlots', () => {
+    const pick = (position) => ({ metadata: { position } });
+    const rosterPositions = ['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX', 'SUPER_FLEX', 'K', 'DEF', 'BN', 'BN', 'IR'];
+
+    it('counts positions, skipping picks without one', () => {
+        expect(countPositions([pick('RB'), pick('RB'), pick('WR'), { metadata: {} }])).toEqual({ RB: 2, WR: 1 });
+    });
+
+    it('lists every starting slot for a team with no picks', () => {
+        expect(getPositionalNeeds(rosterPositions, [])).toEqual([
+            { position: 'QB', count: 1 },
+            { position: 'RB', count: 2 },
+            { position: 'WR', count: 2 },
+            { position: 'TE', count: 1 },
+            { position: 'FLEX', count: 1 },
+            { position: 'SUPER_FLEX', count: 1 },
+            { position: 'K', count: 1 },
+            { position: 'DEF', count: 1 }
+        ]);
+    });
+
+    it('fills position slots first and uses extra players for the flex slots', () => {
+        // Two extra RBs cover FLEX and SUPER_FLEX; the second QB is never needed
+        const picks = ['QB', 'QB', 'RB', 'RB', 'RB', 'RB', 'WR'].map(pick);
+
+        expect(getPositionalNeeds(rosterPositions, picks)).toEqual([
+            { position: 'WR', count: 1 },
+            { position: 'TE', count: 1 },
+            { position: 'K', count: 1 },
+            { position: 'DEF', count: 1 }
+        ]);
+    });
+
+    it('fills the most restrictive flex slot first', () => {
+        // A QB can only go in SUPER_FLEX, leaving the WR for FLEX
+        const needs = getPositionalNeeds(['QB', 'FLEX', 'SUPER_FLEX'], ['QB', 'QB', 'WR'].map(pick));
+
+        expect(needs).toEqual([]);
+    });
+
+    it('formats needs and positional counts', () => {
+        expect(formatNeeds([{ position: 'TE', count: 1 }, { position: 'K', count: 1 }, { position: 'WR', count: 2 }])).toBe('TE, K, 2×WR');
+        expect(formatNeeds([])).toBe('Starting lineup filled');
+        expect(formatPositionCounts({ K: 1, LB: 1, WR: 2, QB: 1, DL: 1 })).toBe('QB 1 · WR 2 · K 1 · DL 1 · LB 1');
+        expect(formatPositionCounts({})).toBe('');
+    });
+
+    describe('buildOptimalLineup', () => {
+        const player = (playerId, position, points) => ({ playerId, positions: [position], points });
+
+        it('fills each position first, then the flex slots with the best players left', () => {
+            const players = [
+                player('qb1', 'QB', 25), player('qb2', 'QB', 22),
+                player('rb1', 'RB', 18), player('rb2', 'RB', 12), player('rb3', 'RB', 15),
+                player('wr1', 'WR', 20), player('wr2', 'WR', 9), player('wr3', 'WR', 14),
+                player('te1', 'TE', 7), player('k1', 'K', 8), player('def1', 'DEF', 6)
+            ];
+
+            const { points, lineup } = buildOptimalLineup(rosterPositions, players);
+
+            expect(lineup.map(entry => `${entry.slot}:${entry.playerId}`)).toEqual([
+                'QB:qb1', 'RB:rb1', 'RB:rb3', 'WR:wr1', 'WR:wr3', 'TE:te1', 'FLEX:rb2', 'SUPER_FLEX:qb2', 'K:k1', 'DEF:def1'
+            ]);
+            expect(points).toBe(25 + 18 + 15 + 20 + 14 + 7 + 12 + 22 + 8 + 6);
+        });
+
+        it('finds the best lineup when the flex slots overlap without nesting', () => {
+            const players = [player('wr1', 'WR', 10), player('rb1', 'RB', 9), player('te1', 'TE', 2)];
+
+            const { points, lineup } = buildOptimalLineup(['WRRB_FLEX', 'REC_FLEX'], players);
+
+            expect(lineup.map(entry => `${entry.slot}:${entry.playerId}`)).toEqual(['WRRB_FLEX:rb1', 'REC_FLEX:wr1']);
+            expect(points).toBe(19);
+        });
+
+        it('places players with several positions where they are needed most', () => {
+            const players = [
+                { playerId: 'hybrid', positions: ['RB', 'WR'], points: 15 },
+                player('wr1', 'WR', 12), player('rb1', 'RB', 4)
+            ];
+
+            const { points, lineup } = buildOptimalLineup(['WR', 'RB'], players);
+
+            expect(lineup.map(entry => `${entry.slot}:${entry.playerId}`)).toEqual(['WR:wr1', 'RB:hybrid']);
+            expect(points).toBe(27);
+        });
+
+        it('leaves slots empty when nobody eligible is left', () => {
+            const { points, lineup } = buildOptimalLineup(['QB', 'TE', 'FLEX', 'BN'], [player('qb1', 'QB', 20), player('k1', 'K', 9)]);
+
+            expect(lineup).toEqual([
+                { slot: 'QB', playerId: 'qb1', points: 20 },
+                { slot: 'TE', playerId: null, points: 0 },
+                { slot: 'FLEX', playerId: null, points: 0 }
+            ]);
+            expect(points).toBe(20);
+        });
+    });
+});
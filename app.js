@@ -4,6 +4,8 @@ const path = require('path');
 const { App } = require('@slack/bolt');
 const { handleAppMention, handleDirectMessage } = require('./shared/commandPatterns.js');
 const { checkDraftForUpdates } = require('./services/draftMonitor.js');
+const { updateLiveScoreboards } = require('./services/scoreboard.js');
+const { handleDraftDashboardAction } = require('./handlers/listDrafts.js');
 
 // Load local environment variables from local-env.json if it exists and we're in development
 const localEnvPath = path.join(__dirname, 'local-env.json');
@@ -92,6 +94,9 @@ app.event('app_mention', handleAppMention);
 // Handle message events (if bot is added to channels)
 app.message(handleDirectMessage);
 
+// Handle the buttons on the `list drafts` dashboard
+app.action(/^draft_dashboard_/, handleDraftDashboardAction);
+
 // Handle team join events
 app.event('team_join', async ({ event, logger }) => {
   logger.info('New team member joined');
@@ -123,6 +128,7 @@ app.event(/.+/, async ({ event, logger }) => {
       // Start the draft monitor job only in server mode (not Lambda)
       const monitorIntervalMs = 60 * 1000; // 1 minute
       setInterval(() => checkDraftForUpdates(app), monitorIntervalMs);
+      setInterval(() => updateLiveScoreboards(app).catch(error => app.logger.error('Live scoreboard update failed:', error)), monitorIntervalMs);
       app.logger.info(`Draft monitor started. Checking for new picks every ${monitorIntervalMs / 1000} seconds.`);
     } catch (error) {
       app.logger.error('Failed to start app:', error);
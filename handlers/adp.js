@@ -0,0 +1,122 @@
+const { getDraft, getNflState } = require('../services/sleeper.js');
+const { getAdp, saveMockDraft } = require('../services/datastore.js');
+const { findPlayersByName } = require('../services/nflDataCache.js');
+const { ADP_POSITIONS, rankAdp } = require('../services/adp.js');
+const { handleCommandError, logError } = require('../shared/messages.js');
+
+// How many players the `adp` table shows
+const ADP_TABLE_SIZE = 25;
+
+/**
+ * Formats one ADP row, e.g. "Bijan Robinson (RB - ATL): ADP *1.4* (1-3, 5 drafts)".
+ * @param {object} player A ranked player from `rankAdp`.
+ * @returns {string} The formatted row.
+ */
+function formatAdpRow(player) {
+    const range = player.min === player.max ? `${player.min}` : `${player.min}-${player.max}`;
+    return `${player.name} (${player.position} - ${player.team || 'FA'}): ADP *${player.average.toFixed(1)}* (${range}, ${player.count} draft${player.count === 1 ? '' : 's'})`;
+}
+
+/**
+ * Handles the `register mocks [draft_id] [draft_id] ...` command.
+ * Registers any number of mock drafts to the channel. They don't post picks; once
+ * each one is complete the draft monitor adds it to the season's ADP table.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ */
+const handleRegisterMocksCommand = async ({ command, say, ack }) => {
+    if (ack) await ack();
+    const draftIds = [...new Set((command.text || '').split(/[\s,]+/).filter(Boolean))];
+    if (draftIds.length === 0) {
+        await say('Please provide one or more Sleeper Draft IDs. Usage: `@YourBotName register mocks [draft_id] [draft_id] ...`');
+        return;
+    }
+
+    try {
+        const registered = [];
+        const invalid = [];
+        for (const draftId of draftIds) {
+            let draft = null;
+            if (/^[0-9]+$/.test(draftId)) {
+                try {
+                    draft = await getDraft(draftId);
+                } catch (error) {
+                    console.warn(`Could not fetch mock draft ${draftId}:`, error);
+                }
+            }
+            if (!draft) {
+                invalid.push(draftId);
+                continue;
+            }
+            await saveMockDraft(draftId, command.channel_id);
+            registered.push(draftId);
+        }
+
+        const lines = [];
+        if (registered.length > 0) {
+            lines.push(`:white_check_mark: Registered ${registered.length} mock draft${registered.length === 1 ? '' : 's'} to this channel. I'll add each one to the ADP table once it's complete.`);
+        }
+        if (invalid.length > 0) {
+            lines.push(`:x: Couldn't find ${invalid.map(id => `\`${id}\``).join(', ')} on Sleeper. Please check the ID${invalid.length === 1 ? '' : 's'} and try again.`);
+        }
+        await say(lines.join('\n'));
+    } catch (error) {
+        await handleCommandError('register mocks', error, say);
+    }
+};
+
+/**
+ * Handles the `adp`, `adp [position]` and `adp [player name]` commands.
+ * Shows the current season's average draft position across every completed draft the
+ * bot has recorded, overall or for one position, or looks up a single player.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ */
+const handleAdpCommand = async ({ command, say, ack }) => {
+    if (ack) await ack();
+    const query = (command.text || '').trim();
+
+    try {
+        const nflState = await getNflState();
+        const season = nflState?.season || String(new Date().getFullYear());
+        const adp = await getAdp(season);
+        if (!adp || adp.draftIds.length === 0) {
+            await say(`:bar_chart: No drafts have been recorded for the ${season} ADP yet. Register mock drafts with \`register mocks [draft_id] ...\` and they'll be added once complete.`);
+            return;
+        }
+        const draftCount = `${adp.draftIds.length} draft${adp.draftIds.length === 1 ? '' : 's'}`;
+
+        const position = ADP_POSITIONS.find(pos => pos === query.toUpperCase());
+        if (!query || position) {
+            const rows = rankAdp(adp, position).slice(0, ADP_TABLE_SIZE)
+                .map((player, index) => `\`${String(index + 1).padStart(2, ' ')}.\` ${formatAdpRow(player)}`);
+            const title = `:bar_chart: *${season} ADP${position ? `: ${position}` : ''}* (from ${draftCount})`;
+            await say(rows.length > 0 ? `${title}\n${rows.join('\n')}` : `${title}\nNo ${position} has been drafted yet.`);
+            return;
+        }
+
+        const matches = await findPlayersByName(query);
+        const player = matches.find(match => adp.players[match.player_id]);
+        if (!player) {
+            const name = matches[0]?.full_name || query;
+            await say(`:mag: ${name} hasn't been drafted in any of the ${draftCount} in the ${season} ADP.`);
+            return;
+        }
+
+        const ranked = rankAdp(adp);
+        const overallRank = ranked.findIndex(entry => entry.playerId === player.player_id) + 1;
+        const entry = ranked[overallRank - 1];
+        const positionRank = rankAdp(adp, entry.position).findIndex(p => p.playerId === player.player_id) + 1;
+        await say(`:bar_chart: ${formatAdpRow(entry)}\nRanked *#${overallRank}* overall and *${entry.position}${positionRank}* across ${draftCount} in the ${season} ADP.`);
+    } catch (error) {
+        logError('adp', error);
+        await say(':x: Sorry, I couldn\'t load the ADP table. Please try again later.');
+    }
+};
+
+module.exports = {
+    handleRegisterMocksCommand,
+    handleAdpCommand
+};
@@ -0,0 +1,73 @@
+const { getDraftPicks, getDraft } = require('../services/sleeper.js');
+const { getData, updateDraft } = require('../services/datastore.js');
+const { buildDraftBoardPayload } = require('../services/draftBoard.js');
+const { logError, ERROR_MESSAGES } = require('../shared/messages.js');
+
+/**
+ * Handles the `draft board` command.
+ * Posts a grid of the draft so far and pins it. The message's `ts` is stored on the
+ * draft so the monitor can keep the board current as picks arrive; any previous
+ * board is unpinned so the channel only ever has one.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ * @param {object} payload.client The Slack Web API client.
+ */
+const handleDraftBoardCommand = async ({ command, say, client, ack }) => {
+    if (ack) await ack();
+
+    let data;
+    try {
+        data = await getData();
+    } catch (error) {
+        logError('draft board', error);
+        await say(ERROR_MESSAGES.CONFIGURATION_ERROR);
+        return;
+    }
+
+    const draftEntry = Object.entries(data.drafts || {}).find(
+        ([, draftInfo]) => draftInfo.slack_channel_id === command.channel_id
+    );
+    if (!draftEntry) {
+        await say(ERROR_MESSAGES.NO_DRAFT_REGISTERED);
+        return;
+    }
+    const [draftId, draftInfo] = draftEntry;
+
+    try {
+        const [picks, draft] = await Promise.all([
+            getDraftPicks(draftId),
+            getDraft(draftId)
+        ]);
+
+        if (!picks || !draft) {
+            await say(`Could not find a draft or picks for ID \`${draftId}\`. Please check the ID and try again.`);
+            return;
+        }
+
+        const result = await client.chat.postMessage({
+            channel: command.channel_id,
+            ...await buildDraftBoardPayload(draft, picks, data)
+        });
+        await updateDraft(draftId, { boardTs: result.ts });
+
+        // Pinning is a nicety: the board still updates if the bot can't pin.
+        try {
+            if (draftInfo.board_ts) {
+                await client.pins.remove({ channel: command.channel_id, timestamp: draftInfo.board_ts });
+            }
+        } catch (error) {
+            console.warn(`Could not unpin the previous draft board for ${draftId}:`, error.data?.error || error.message);
+        }
+        try {
+            await client.pins.add({ channel: command.channel_id, timestamp: result.ts });
+        } catch (error) {
+            console.warn(`Could not pin the draft board for ${draftId}:`, error.data?.error || error.message);
+        }
+    } catch (error) {
+        logError('draft board', error);
+        await say(ERROR_MESSAGES.API_ERROR);
+    }
+};
+
+module.exports = { handleDraftBoardCommand };
@@ -0,0 +1,128 @@
+const { getDraft, getLeagueRosters } = require('../services/sleeper.js');
+const { getData, getLeaguesByChannel, saveLottery, getLotteries } = require('../services/datastore.js');
+const { getDraftName } = require('../services/draftLifecycle.js');
+const {
+    createSeed,
+    drawOrder,
+    weightByStandings,
+    loadLeagueEntrants,
+    loadDraftEntrants,
+    postLotteryReveal
+} = require('../services/draftLottery.js');
+const { handleCommandError } = require('../shared/messages.js');
+
+const USAGE_MESSAGE = 'Usage: `@YourBotName draft lottery [weighted] [redraw]`. `weighted` gives worse teams from last season more chances; `redraw` draws again when this season\'s lottery has already been run.';
+
+/**
+ * Reads the lottery options from the command text.
+ * @param {string} text The command text, e.g. "weighted redraw".
+ * @returns {{weighted: boolean, redraw: boolean}|null} The options, or null if the text isn't valid.
+ */
+function parseLotteryOptions(text) {
+    const match = (text || '').trim().match(/^(weighted)?\s*(redraw)?$/i);
+    if (!match) {
+        return null;
+    }
+    return { weighted: Boolean(match[1]), redraw: Boolean(match[2]) };
+}
+
+/**
+ * Handles the `draft lottery [weighted] [redraw]` command.
+ * Draws a random draft order for the channel's league (or registered draft), reveals it
+ * pick by pick from last to first, and records the result for auditing. The seed is
+ * made fresh for every draw and published so anyone can repeat it. A season's lottery
+ * only runs once unless `redraw` is given, and a redraw is announced as one.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ */
+const handleDraftLotteryCommand = async ({ command, say, ack }) => {
+    if (ack) await ack();
+    const options = parseLotteryOptions(command.text);
+    if (!options) {
+        await say(USAGE_MESSAGE);
+        return;
+    }
+
+    try {
+        const [data, leagues] = await Promise.all([getData(), getLeaguesByChannel(command.channel_id)]);
+        const draftId = Object.keys(data.drafts || {}).find(id => data.drafts[id].slack_channel_id === command.channel_id) || null;
+        const draft = draftId ? await getDraft(draftId) : null;
+        const leagueId = draft?.league_id || leagues[0]?.leagueId || null;
+        if (!draft && !leagueId) {
+            await say('There is no draft or league registered for this channel. Please use `@YourBotName register league [league_id]` or `register draft [draft_id]` first.');
+            return;
+        }
+
+        let title;
+        let entrants;
+        let league = null;
+        if (leagueId) {
+            const loaded = await loadLeagueEntrants(leagueId);
+            if (!loaded) {
+                await say(`Could not find league \`${leagueId}\` on Sleeper.`);
+                return;
+            }
+            ({ league, entrants } = loaded);
+            title = `${league.name} Draft Lottery`;
+        } else {
+            entrants = await loadDraftEntrants(draft, data);
+            title = `${getDraftName(draft)} Lottery`;
+        }
+
+        // Every draw is on record, so a second one for the season can't pass as the first
+        const season = String(league?.season || draft?.season || '');
+        const earlierDraws = (await getLotteries({ leagueId, draftId })).filter(lottery => lottery.season === season);
+        if (earlierDraws.length > 0) {
+            const lastDraw = earlierDraws[earlierDraws.length - 1];
+            if (!options.redraw) {
+                const runBy = lastDraw.runBy ? ` by <@${lastDraw.runBy}>` : '';
+                await say(`:warning: The ${season} lottery has already been drawn${runBy} (seed \`${lastDraw.seed}\`). Run \`draft lottery redraw\` if it really needs drawing again; the channel will be told it's a redraw.`);
+                return;
+            }
+            title += ` (Redraw ${earlierDraws.length})`;
+        }
+
+        if (options.weighted) {
+            if (!league?.previous_league_id) {
+                await say(':x: A weighted lottery needs last season\'s standings, and this league has no previous season on Sleeper. Run `draft lottery` for an unweighted draw.');
+                return;
+            }
+            entrants = weightByStandings(entrants, await getLeagueRosters(league.previous_league_id));
+            if (!entrants) {
+                await say(':x: Some teams have no record from last season, so I can\'t weight the lottery. Run `draft lottery` for an unweighted draw.');
+                return;
+            }
+        }
+
+        if (entrants.length < 2) {
+            await say(':x: The lottery needs at least two teams. Has the draft order been set up in Sleeper?');
+            return;
+        }
+
+        const seed = createSeed();
+        const order = drawOrder(entrants, seed);
+        // Recorded before the reveal, so the result is on file however the posting goes
+        await saveLottery({
+            leagueId,
+            draftId,
+            season,
+            drawNumber: earlierDraws.length + 1,
+            seed,
+            weighted: options.weighted,
+            entrants,
+            order: order.map((team, index) => ({ pick: index + 1, rosterId: team.rosterId, userId: team.userId, name: team.name })),
+            channelId: command.channel_id,
+            runBy: command.user_id || null
+        });
+
+        await postLotteryReveal(say, { title, entrants, order, seed, weighted: options.weighted });
+    } catch (error) {
+        await handleCommandError('draft lottery', error, say, ':x: Sorry, I couldn\'t run the lottery. Please try again later.');
+    }
+};
+
+module.exports = {
+    parseLotteryOptions,
+    handleDraftLotteryCommand
+};
@@ -0,0 +1,51 @@
+const { getData, updateDraft } = require('../services/datastore.js');
+const { handleCommandError, ERROR_MESSAGES } = require('../shared/messages.js');
+const { DRAFT_SETTINGS, getDraftSetting, parseDraftSetting, formatDraftSetting } = require('../shared/draftSettings.js');
+
+/**
+ * Handles the `draft settings` command.
+ * With no arguments it lists the settings for the draft registered to the channel;
+ * `draft settings <name> <value>` changes one of them.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ */
+const handleDraftSettingsCommand = async ({ command, say, ack }) => {
+    if (ack) await ack();
+    const channelId = command.channel_id;
+    const [key, ...valueParts] = (command.text || '').trim().split(/\s+/).filter(Boolean);
+
+    try {
+        const data = await getData();
+        const draftId = Object.keys(data.drafts || {}).find(
+            id => data.drafts[id].slack_channel_id === channelId
+        );
+        if (!draftId) {
+            await say(ERROR_MESSAGES.NO_DRAFT_REGISTERED);
+            return;
+        }
+        const draftInfo = data.drafts[draftId];
+
+        if (!key) {
+            const lines = Object.entries(DRAFT_SETTINGS).map(([name, definition]) =>
+                `• \`${name}\`: *${formatDraftSetting(name, getDraftSetting(draftInfo, name))}*\n   ${definition.description}`
+            );
+            await say(`:gear: *Settings for draft \`${draftId}\`:*\n${lines.join('\n')}\n\nChange one with \`draft settings [name] [value]\`.`);
+            return;
+        }
+
+        const settingName = Object.keys(DRAFT_SETTINGS).find(name => name.toLowerCase() === key.toLowerCase()) || key;
+        const { isValid, value, errorMessage } = parseDraftSetting(settingName, valueParts.join(' '));
+        if (!isValid) {
+            await say(`:x: ${errorMessage}`);
+            return;
+        }
+
+        await updateDraft(draftId, { settings: { ...(draftInfo.settings || {}), [settingName]: value } });
+        await say(`:white_check_mark: \`${settingName}\` is now *${formatDraftSetting(settingName, value)}* for draft \`${draftId}\`.`);
+    } catch (error) {
+        await handleCommandError('draft settings', error, say);
+    }
+};
+
+module.exports = { handleDraftSettingsCommand };
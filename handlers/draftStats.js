@@ -0,0 +1,107 @@
+const { getDraftPicks, getDraft } = require('../services/sleeper.js');
+const { getData } = require('../services/datastore.js');
+const { logError, ERROR_MESSAGES } = require('../shared/messages.js');
+const { getTotalPicks, getPickType } = require('../shared/draftOrder.js');
+const { resolvePickerName } = require('./lastpick.js');
+
+/**
+ * Resolves a key from the autopick tally to a team name.
+ * Teams with no Sleeper user (e.g. CPU teams in a mock draft) are tallied by slot.
+ * @param {string} key A user ID, or `slot_<n>`.
+ * @param {object} data The application's configuration data (from datastore).
+ * @returns {Promise<string>} The team's display name.
+ */
+async function resolveTallyName(key, data) {
+    const slotMatch = /^slot_(\d+)$/.exec(key);
+    return slotMatch ? `Slot ${slotMatch[1]}` : resolvePickerName(key, data);
+}
+
+/**
+ * Handles the `draft stats` command.
+ * Shows the progress of the draft registered to the channel, how many keeper and
+ * commissioner picks have been made, and the per-team autopick tally kept by the
+ * draft monitor.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ */
+const handleDraftStatsCommand = async ({ command, say, ack }) => {
+    if (ack) await ack();
+
+    let data;
+    try {
+        data = await getData();
+    } catch (error) {
+        logError('draft stats', error);
+        await say(ERROR_MESSAGES.CONFIGURATION_ERROR);
+        return;
+    }
+
+    const draftEntry = Object.entries(data.drafts || {}).find(
+        ([, draftInfo]) => draftInfo.slack_channel_id === command.channel_id
+    );
+    if (!draftEntry) {
+        await say(ERROR_MESSAGES.NO_DRAFT_REGISTERED);
+        return;
+    }
+    const [draftId, draftInfo] = draftEntry;
+
+    try {
+        const [picks, draft] = await Promise.all([
+            getDraftPicks(draftId),
+            getDraft(draftId)
+        ]);
+
+        if (!picks || !draft) {
+            await say(`Could not find a draft or picks for ID \`${draftId}\`. Please check the ID and try again.`);
+            return;
+        }
+
+        const keeperCount = picks.filter(pick => getPickType(draft, pick) === 'keeper').length;
+        const commissionerCount = picks.filter(pick => getPickType(draft, pick) === 'commissioner').length;
+
+        const tally = Object.entries(draftInfo.autopick_counts || {})
+            .filter(([, count]) => count > 0)
+            .sort(([, a], [, b]) => b - a);
+        const autopickLines = [];
+        for (const [key, count] of tally) {
+            autopickLines.push(`• ${await resolveTallyName(key, data)}: *${count}*`);
+        }
+        const totalAutopicks = tally.reduce((total, [, count]) => total + count, 0);
+
+        const draftName = draft.metadata?.name || `Draft ${draftId}`;
+        await say({
+            text: `${draftName}: ${picks.length}/${getTotalPicks(draft)} picks made, ${totalAutopicks} autopicks, ${keeperCount} keepers, ${commissionerCount} commissioner picks.`,
+            blocks: [
+                {
+                    "type": "section",
+                    "text": { "type": "mrkdwn", "text": `:bar_chart: *Draft Stats: ${draftName}*` }
+                },
+                {
+                    "type": "section",
+                    "fields": [
+                        { "type": "mrkdwn", "text": `*Status:* \`${draft.status}\`` },
+                        { "type": "mrkdwn", "text": `*Picks Made:* \`${picks.length} / ${getTotalPicks(draft)}\`` },
+                        { "type": "mrkdwn", "text": `*Keepers:* \`${keeperCount}\`` },
+                        { "type": "mrkdwn", "text": `*Commissioner Picks:* \`${commissionerCount}\`` }
+                    ]
+                },
+                { "type": "divider" },
+                {
+                    "type": "section",
+                    "text": {
+                        "type": "mrkdwn",
+                        "text": autopickLines.length > 0
+                            ? `*:robot_face: Autopicks (${totalAutopicks}):*\n${autopickLines.join('\n')}`
+                            : '*:robot_face: Autopicks:* None so far. Everyone is on the ball!'
+                    }
+                }
+            ]
+        });
+    } catch (error) {
+        logError('draft stats', error);
+        await say(ERROR_MESSAGES.API_ERROR);
+    }
+};
+
+module.exports = { handleDraftStatsCommand };
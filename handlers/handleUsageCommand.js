@@ -38,11 +38,11 @@ const handleUsageCommand = async ({ command, say, ack }) => {
                     },
                     {
                         "type": "mrkdwn",
-                        "text": "*`register draft [draft_id]`*\nRegisters a Sleeper draft to this channel."
+                        "text": "*`register draft [draft_id]` or `register draft for league [league_id]`*\nRegisters a Sleeper draft to this channel, or looks up the league's upcoming draft."
                     },
                     {
                         "type": "mrkdwn",
-                        "text": "*`register league [league_id]`*\nRegisters a Sleeper league to this channel for updates and tracking."
+                        "text": "*`register league [league_id] [with drafts]`*\nRegisters a Sleeper league to this channel for updates and tracking. `with drafts` also registers its drafts, including next season's once the league rolls over."
                     },
                     {
                         "type": "mrkdwn",
@@ -74,6 +74,93 @@ const handleUsageCommand = async ({ command, say, ack }) => {
                     }
                 ]
             },
+            {
+                // Slack allows at most 10 fields per section, so draft tools get their own
+                "type": "section",
+                "text": {
+                    "type": "mrkdwn",
+                    "text": "*Draft Tools*"
+                },
+                "fields": [
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`draft board`*\nPosts and pins a grid of every pick so far, kept up to date as picks arrive."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`draft stats`*\nShows progress, keeper and commissioner picks, and the autopick tally for this channel's draft."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`draft settings [name] [value]`*\nShows or changes this channel's draft options, e.g. `draft settings threaded on` to post picks in one thread."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`register mocks [draft_id] [draft_id] ...`*\nRegisters mock drafts to this channel. Each one is added to the season's ADP once complete."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`adp`, `adp [position]` or `adp [player name]`*\nShows average draft position across every completed draft I've tracked this season."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`keepers [remind]`*\nShows which round each team's keepers use and flags teams over the keeper limit. `remind` also DMs managers their remaining picks."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`watch [player name]`*\nAdds a player to your private watchlist for this channel's draft. I'll DM you when they're drafted."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`unwatch [player name]` or `unwatch all`*\nRemoves players from your watchlist."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`my watchlist`*\nShows your watchlist, with drafted players crossed out."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`import rankings [season]`*\nDM only. Saves rankings pasted below the command (`rank, player, position` per line) to grade completed drafts against."
+                    }
+                ]
+            },
+            {
+                "type": "section",
+                "text": {
+                    "type": "mrkdwn",
+                    "text": "*League Tools*"
+                },
+                "fields": [
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`picks [team or @user]`*\nShows which future draft picks a team owns over the next three seasons, following trades."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`pick ledger`*\nLists every team's future draft picks in this channel's league. Pick trades are also posted here as they happen."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`draft lottery [weighted] [redraw]`*\nDraws a random draft order and reveals it pick by pick. `weighted` favours last season's worst teams; the seed is published so anyone can check the draw. Each season's lottery runs once unless you add `redraw`."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`scores [live]`*\nShows this week's matchups. `live` keeps the scoreboard updating while NFL games are on."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`standings`*\nShows the league table with records, points and playoff seeds, including divisions."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`power rankings`*\nRanks teams on points for, all-play record and their last three weeks."
+                    },
+                    {
+                        "type": "mrkdwn",
+                        "text": "*`lineup efficiency`*\nShows how close each team's lineups have come to their best possible lineups this season, and the points left on the bench."
+                    }
+                ]
+            },
             {
                 "type": "section",
                 "text": {
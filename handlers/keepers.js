@@ -0,0 +1,241 @@
+const { getDraftPicks, getDraft, getLeague } = require('../services/sleeper.js');
+const { getData, getPlayer } = require('../services/datastore.js');
+const { logError, ERROR_MESSAGES } = require('../shared/messages.js');
+const { getTotalTeams, getTotalPicks, getUserForSlot, getSlotForPick, getPickOwner, getMadePickOwner } = require('../shared/draftOrder.js');
+const { isAuctionDraft } = require('../shared/auctionDraft.js');
+const { resolvePickerName, loadTradedPicks } = require('./lastpick.js');
+
+// Keep each section under Slack's 3000 character limit
+const MAX_SECTION_LENGTH = 2900;
+
+/**
+ * Formats an overall pick number as round.pick, e.g. 3.05.
+ * @param {object} draft The Sleeper draft object.
+ * @param {number} pickNo The 1-based overall pick number.
+ * @returns {string} The pick label.
+ */
+function formatPickLabel(draft, pickNo) {
+    const { round, pickInRound } = getSlotForPick(draft, pickNo);
+    return `${round}.${String(pickInRound).padStart(2, '0')}`;
+}
+
+/**
+ * Works out each team's keepers and the picks they have left.
+ * Keepers are picks Sleeper flags `is_keeper`; the team is whoever owns the pick the
+ * keeper consumed, so keepers slotted into traded picks land with the new owner.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The picks made so far (keepers are made before the draft starts).
+ * @param {object[]} [tradedPicks] Traded picks for the draft.
+ * @returns {object[]} `{ userId, slot, keepers, remainingPicks }` per team, in draft slot order.
+ */
+function buildKeeperReport(draft, picks, tradedPicks = []) {
+    const teams = new Map();
+    for (let slot = 1; slot <= getTotalTeams(draft); slot++) {
+        const userId = getUserForSlot(slot, draft.draft_order);
+        teams.set(userId || `slot_${slot}`, { userId, slot, keepers: [], remainingPicks: [] });
+    }
+    const teamFor = (userId, slot) => teams.get(userId) || teams.get(`slot_${slot}`);
+
+    const madePickNos = new Set(picks.map(pick => pick.pick_no));
+    for (const pick of picks.filter(p => p.is_keeper).sort((a, b) => a.pick_no - b.pick_no)) {
+        teamFor(getMadePickOwner(draft, pick).userId, pick.draft_slot)?.keepers.push(pick);
+    }
+    for (let pickNo = 1; pickNo <= getTotalPicks(draft); pickNo++) {
+        if (madePickNos.has(pickNo)) {
+            continue;
+        }
+        const owner = getPickOwner(draft, pickNo, tradedPicks);
+        teamFor(owner.userId, owner.slot)?.remainingPicks.push({ pickNo, originalUserId: owner.originalUserId });
+    }
+
+    return [...teams.values()];
+}
+
+/**
+ * Reads the keeper limit from the draft's league settings.
+ * Mock drafts have no league, and a failed lookup just means no limit is checked.
+ * @param {object} draft The Sleeper draft object.
+ * @returns {Promise<number>} The maximum keepers per team, or 0 for no limit.
+ */
+async function loadKeeperLimit(draft) {
+    if (!draft.league_id) {
+        return 0;
+    }
+    try {
+        const league = await getLeague(draft.league_id);
+        return Number(league?.settings?.max_keepers) || 0;
+    } catch (error) {
+        console.warn(`Could not load league ${draft.league_id} for the keeper limit:`, error);
+        return 0;
+    }
+}
+
+/**
+ * Formats a keeper, e.g. "Bijan Robinson (RB) in round 3 (3.05)".
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} pick The keeper pick.
+ * @returns {string} The formatted keeper.
+ */
+function formatKeeper(draft, pick) {
+    const { first_name: firstName = '', last_name: lastName = '', position = 'N/A' } = pick.metadata || {};
+    return `${`${firstName} ${lastName}`.trim()} (${position}) in round ${pick.round} (${formatPickLabel(draft, pick.pick_no)})`;
+}
+
+/**
+ * Builds the DM telling a manager which picks they have left.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} team A team from `buildKeeperReport`.
+ * @param {object} data The application's configuration data (from datastore).
+ * @returns {Promise<string>} The message text.
+ */
+async function buildRemainingPicksMessage(draft, team, data) {
+    const draftName = draft.metadata?.name || `Draft ${draft.draft_id}`;
+    const pickLabels = [];
+    for (const { pickNo, originalUserId } of team.remainingPicks) {
+        const via = originalUserId ? ` (via ${await resolvePickerName(originalUserId, data)})` : '';
+        pickLabels.push(`\`${formatPickLabel(draft, pickNo)}\`${via}`);
+    }
+
+    const keeperText = team.keepers.length > 0
+        ? `Your keepers: ${team.keepers.map(pick => formatKeeper(draft, pick)).join(', ')}.`
+        : 'You have no keepers set.';
+    const picksText = pickLabels.length > 0
+        ? `Your remaining picks (${pickLabels.length}): ${pickLabels.join(', ')}`
+        : 'You have no picks left.';
+    return `:clipboard: *${draftName}*\n${keeperText}\n${picksText}`;
+}
+
+/**
+ * Handles the `keepers` command.
+ * Posts which rounds each team's keepers consume for the draft registered to the
+ * channel and flags teams over the league's keeper limit. `keepers remind` also DMs
+ * each registered manager a summary of the picks they have left.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object; its text is `remind` to send the DMs.
+ * @param {function} payload.say The function to send a message.
+ * @param {object} [payload.client] The Slack Web API client, for the DMs.
+ */
+const handleKeepersCommand = async ({ command, say, client, ack }) => {
+    if (ack) await ack();
+    const remind = /^remind$/i.test((command.text || '').trim());
+
+    let data;
+    try {
+        data = await getData();
+    } catch (error) {
+        logError('keepers', error);
+        await say(ERROR_MESSAGES.CONFIGURATION_ERROR);
+        return;
+    }
+
+    const draftId = Object.keys(data.drafts || {}).find(
+        id => data.drafts[id].slack_channel_id === command.channel_id
+    );
+    if (!draftId) {
+        await say(ERROR_MESSAGES.NO_DRAFT_REGISTERED);
+        return;
+    }
+
+    let draft;
+    let report;
+    try {
+        const picks = await getDraftPicks(draftId);
+        draft = await getDraft(draftId);
+        if (!picks || !draft) {
+            await say(`Could not find a draft or picks for ID \`${draftId}\`. Please check the ID and try again.`);
+            return;
+        }
+        if (isAuctionDraft(draft)) {
+            await say(":money_with_wings: Keepers in an auction don't use up a round, so there's no keeper round report for this draft.");
+            return;
+        }
+
+        const [tradedPicks, maxKeepers] = await Promise.all([
+            loadTradedPicks(draft),
+            loadKeeperLimit(draft)
+        ]);
+        report = buildKeeperReport(draft, picks, tradedPicks);
+
+        const lines = [];
+        for (const team of report) {
+            const teamName = team.userId ? await resolvePickerName(team.userId, data) : `Slot ${team.slot}`;
+            const overLimit = maxKeepers > 0 && team.keepers.length > maxKeepers
+                ? ` :warning: *Over the keeper limit (${team.keepers.length}/${maxKeepers})*`
+                : '';
+            const keeperText = team.keepers.length > 0
+                ? team.keepers.map(pick => `\n   • ${formatKeeper(draft, pick)}`).join('')
+                : ' _No keepers_';
+            lines.push(`*${teamName}*${overLimit}${keeperText}`);
+        }
+
+        const sections = [];
+        for (const line of lines) {
+            const last = sections[sections.length - 1];
+            if (last && last.length + line.length + 1 <= MAX_SECTION_LENGTH) {
+                sections[sections.length - 1] = `${last}\n${line}`;
+            } else {
+                sections.push(line);
+            }
+        }
+
+        const draftName = draft.metadata?.name || `Draft ${draftId}`;
+        const keeperCount = report.reduce((total, team) => total + team.keepers.length, 0);
+        const overLimitCount = maxKeepers > 0 ? report.filter(team => team.keepers.length > maxKeepers).length : 0;
+        await say({
+            text: `${draftName}: ${keeperCount} keepers${overLimitCount > 0 ? `, ${overLimitCount} team${overLimitCount === 1 ? '' : 's'} over the keeper limit` : ''}.`,
+            blocks: [
+                { "type": "section", "text": { "type": "mrkdwn", "text": `:lock: *Keepers: ${draftName}*` } },
+                ...sections.map(text => ({ "type": "section", "text": { "type": "mrkdwn", "text": text } })),
+                {
+                    "type": "context",
+                    "elements": [
+                        {
+                            "type": "mrkdwn",
+                            "text": maxKeepers > 0 ? `Keeper limit: ${maxKeepers} per team` : 'This league has no keeper limit set.'
+                        },
+                        ...(remind ? [] : [{ "type": "mrkdwn", "text": 'Use `keepers remind` to DM each manager their remaining picks.' }])
+                    ]
+                }
+            ]
+        });
+    } catch (error) {
+        logError('keepers', error);
+        await say(ERROR_MESSAGES.API_ERROR);
+        return;
+    }
+
+    if (!remind || !client) {
+        return;
+    }
+
+    // DMs need a Slack member ID, which only `register player` provides
+    let sent = 0;
+    let unregistered = 0;
+    for (const team of report.filter(t => t.userId)) {
+        try {
+            const player = await getPlayer(team.userId);
+            if (!player?.slackMemberId) {
+                unregistered++;
+                continue;
+            }
+            await client.chat.postMessage({
+                channel: player.slackMemberId,
+                text: await buildRemainingPicksMessage(draft, team, data)
+            });
+            sent++;
+        } catch (error) {
+            console.warn(`Could not DM remaining picks to ${team.userId}:`, error.data?.error || error.message);
+        }
+    }
+
+    const skippedText = unregistered > 0
+        ? ` ${unregistered} manager${unregistered === 1 ? " isn't" : "s aren't"} registered, so use \`register player\` to include them.`
+        : '';
+    await say(`:envelope: Sent ${sent} manager${sent === 1 ? '' : 's'} a DM with their remaining picks.${skippedText}`);
+};
+
+module.exports = {
+    handleKeepersCommand,
+    buildKeeperReport,
+    buildRemainingPicksMessage
+};
@@ -1,23 +1,164 @@
-const { getDraftPicks, getDraft } = require('../services/sleeper.js');
+const { getDraftPicks, getDraft, getTradedPicks, getLeague } = require('../services/sleeper.js');
 const { getData, getPlayer } = require('../services/datastore.js');
 const { logError, ERROR_MESSAGES } = require('../shared/messages.js');
 const { getDisplayName } = require('../services/slackUserService.js');
+const { getTotalTeams, getTotalPicks, getPickOwner, getMadePickOwner, getPickType } = require('../shared/draftOrder.js');
+const { isAuctionDraft, getAuctionState, getPickAmount, getPickSlot } = require('../shared/auctionDraft.js');
+const { countPositions, getPositionalNeeds, formatNeeds, formatPositionCounts } = require('../shared/rosterSlots.js');
 
 
 /**
- * Finds the user ID for a given draft slot from the draft_order object.
- * @param {number} slot The draft slot to find (e.g., 1, 2, 3...).
- * @param {object} draftOrder The draft_order object from the Sleeper draft details, mapping user_id to slot.
- * @toreturns {string|null} The user ID for the slot, or null if not found.
+ * Resolves a Sleeper user ID to a display name (or @-mention) for a pick alert.
+ * Falls back to the legacy player_map and finally to the raw user ID.
+ * @param {string} userId The Sleeper user ID.
+ * @param {object} data The application's configuration data (from datastore).
+ * @param {boolean} mention Whether to return a Slack @-mention.
+ * @returns {Promise<string>} The name to display.
+ */
+async function resolvePickerName(userId, data, mention = false) {
+  let name = `User ID ${userId}`;
+  const playerMap = data.player_map || {};
+  try {
+    const playerData = await getPlayer(userId);
+    if (playerData) {
+      return getDisplayName(playerData, mention);
+    }
+  } catch (error) {
+    console.warn(`Could not get player data for ${userId}:`, error);
+  }
+  // Fallback to old player_map format for backward compatibility
+  const mappedName = playerMap[userId];
+  if (mappedName) {
+    name = mention ? `<@${mappedName}>` : mappedName;
+  }
+  return name;
+}
+
+/**
+ * Loads the traded picks for a draft, for resolving who actually owns each pick.
+ * Auctions have no picks to trade, and drafts without a slot-to-roster mapping can't
+ * have traded picks resolved, so the API call is skipped. Failures degrade to
+ * "no traded picks" rather than failing the alert.
+ * @param {object} draft The full draft object from the Sleeper API.
+ * @returns {Promise<object[]>} Traded pick records (possibly empty).
+ */
+async function loadTradedPicks(draft) {
+  if (isAuctionDraft(draft) || !draft.slot_to_roster_id || !draft.draft_id) {
+    return [];
+  }
+  try {
+    return (await getTradedPicks(draft.draft_id)) || [];
+  } catch (error) {
+    console.warn(`Could not load traded picks for draft ${draft.draft_id}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Loads the league's starting lineup for a draft, for showing each team's positional needs.
+ * Mock drafts have no league, and failures degrade to "no needs shown" rather than
+ * failing the alert.
+ * @param {object} draft The full draft object from the Sleeper API.
+ * @returns {Promise<string[]|null>} The league's `roster_positions`, or null.
+ */
+async function loadRosterPositions(draft) {
+  if (!draft.league_id) {
+    return null;
+  }
+  try {
+    const league = await getLeague(draft.league_id);
+    return league?.roster_positions || null;
+  } catch (error) {
+    console.warn(`Could not load roster positions for league ${draft.league_id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Picks the given team has made so far, following traded picks.
+ * @param {object} draft The full draft object from the Sleeper API.
+ * @param {object[]} picks The array of pick objects made so far.
+ * @param {string} userId The team's Sleeper user ID.
+ * @returns {object[]} The team's picks.
  */
-function getUserForSlot(slot, draftOrder) {
-  // Iterate over the draft order to find the user ID whose value matches the slot.
-  for (const userId in draftOrder) {
-    if (Object.prototype.hasOwnProperty.call(draftOrder, userId) && draftOrder[userId] === slot) {
-      return userId;
+function getTeamPicks(draft, picks, userId) {
+  return picks.filter(pick => getMadePickOwner(draft, pick).userId === userId);
+}
+
+/**
+ * Works out who is on the clock after the given picks: the owner of the next pick
+ * (following trades), or the next nominator in an auction.
+ * @param {object} draft The full draft object from the Sleeper API.
+ * @param {object[]} picks The array of pick objects made so far.
+ * @param {object[]} [tradedPicks] Traded picks for the draft.
+ * @returns {object|null} `{ pickNo, round, userId, originalUserId }`, or null once the draft is complete.
+ */
+function getNextPicker(draft, picks, tradedPicks = []) {
+  const pickNo = picks.length + 1;
+  if (pickNo > getTotalPicks(draft)) {
+    return null;
+  }
+
+  if (isAuctionDraft(draft)) {
+    const { teams, nextNominatorSlot } = getAuctionState(draft, picks);
+    if (!nextNominatorSlot) {
+      return null;
     }
+    return { pickNo, round: null, userId: teams[nextNominatorSlot - 1].userId, originalUserId: null };
+  }
+
+  const { round, userId, originalUserId } = getPickOwner(draft, pickNo, tradedPicks);
+  return { pickNo, round, userId, originalUserId };
+}
+
+/**
+ * Describes a keeper, autopick or commissioner pick for the pick alert.
+ * @param {object} draft The full draft object from the Sleeper API.
+ * @param {object} pick The pick being announced.
+ * @param {string} teamName The display name of the team the pick belongs to.
+ * @param {object} data The application's configuration data (from datastore).
+ * @returns {Promise<object|null>} `{ label, text }` for flagged picks, or null for a normal pick.
+ */
+async function describePickType(draft, pick, teamName, data) {
+  switch (getPickType(draft, pick)) {
+    case 'keeper':
+      return { label: 'keeper', text: `:lock: *Keeper:* ${teamName} kept this player.` };
+    case 'autopick':
+      return { label: 'autopick', text: `:robot_face: *Autopick:* Sleeper made this pick for ${teamName}.` };
+    case 'commissioner':
+      return {
+        label: 'commissioner pick',
+        text: `:briefcase: *Commissioner Pick:* made by ${await resolvePickerName(pick.picked_by, data)} on behalf of ${teamName}.`
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Builds the context block that flags a keeper, autopick or commissioner pick.
+ * @param {object|null} pickType The result of describePickType.
+ * @returns {object[]} The block to add to the alert, or an empty array.
+ */
+function buildPickTypeBlocks(pickType) {
+  return pickType ? [{ "type": "context", "elements": [{ "type": "mrkdwn", "text": pickType.text }] }] : [];
+}
+
+/**
+ * Builds the college and experience fields added to rookie draft alerts.
+ * @param {object|undefined} player The cached player, with `college` and `years_exp` when known.
+ * @returns {object[]} The fields to add, or an empty array when nothing is known.
+ */
+function buildRookieDetailFields(player) {
+  const fields = [];
+  if (player?.college) {
+    fields.push({ "type": "mrkdwn", "text": `*College:* \`${player.college}\`` });
   }
-  return null; // Should not happen in a valid draft
+  if (player?.years_exp !== undefined) {
+    const experience = player.years_exp === 0 ? 'Rookie' : `${player.years_exp} year${player.years_exp === 1 ? '' : 's'}`;
+    fields.push({ "type": "mrkdwn", "text": `*Experience:* \`${experience}\`` });
+  }
+  return fields;
 }
 
 /**
@@ -26,87 +167,54 @@ function getUserForSlot(slot, draftOrder) {
  * @param {object[]} picks The array of pick objects from the Sleeper API.
  * @param {object} data The application's configuration data (from datastore).
  * @param {boolean} notifyNextPicker Whether to use @ mention for next picker notification.
+ * @param {object} [options]
+ * @param {object[]} [options.tradedPicks] Traded picks for the draft; fetched when omitted.
+ * @param {string[]|null} [options.rosterPositions] The league's roster positions; fetched when omitted.
+ * @param {object} [options.players] Cached players by ID; when given, the alert adds the player's college and experience.
  * @returns {object} A Slack message payload object with `blocks` and `text`.
  */
-async function generatePickMessagePayload(draft, picks, data, notifyNextPicker = false) {
+async function generatePickMessagePayload(draft, picks, data, notifyNextPicker = false, options = {}) {
+  // Auctions have no pick order, so they get their own alert format
+  if (isAuctionDraft(draft)) {
+    return generateAuctionPickMessagePayload(draft, picks, data, notifyNextPicker);
+  }
+
   // Get the last pick from the array of picks
   const lastPick = picks[picks.length - 1];
+  const tradedPicks = options.tradedPicks || await loadTradedPicks(draft);
+  const rosterPositions = options.rosterPositions !== undefined ? options.rosterPositions : await loadRosterPositions(draft);
 
   // --- Logic to determine the next picker ---
   let nextPickerMessage = "The draft is complete!";
+  let needsMessage = '';
   const picksMade = picks.length;
-  // Prefer settings.teams (always correct). draft_order only lists real users, so in
-  // a mock draft it holds just the single human, which breaks team-count math.
-  const totalTeams = draft.settings.teams || Object.keys(draft.draft_order).length;
+  const totalTeams = getTotalTeams(draft);
   // Calculate the total number of picks based on rounds and teams
-  const totalPicks = draft.settings.rounds * totalTeams;
+  const totalPicks = getTotalPicks(draft);
   if (picksMade < totalPicks) {
-    const nextPickRound = Math.floor(picksMade / totalTeams) + 1;
-    const nextPickInRound = (picksMade % totalTeams) + 1;
-
-    let draftSlotForNextPick = nextPickInRound;
-    // Determine the slot for the next pick based on draft type (e.g., snake, 3RR)
-    if (draft.type === 'snake') {
-      // A reversal_round value indicates a draft like "3rd Round Reversal".
-      const reversalRound = draft.settings.reversal_round || 0;
-
-      // Standard snake behavior: even rounds are reversed.
-      let isReversed = (nextPickRound % 2 === 0);
-
-      // For 3RR (or NRR), flip the snake pattern at and after the reversal round.
-      if (reversalRound > 0 && nextPickRound >= reversalRound) {
-        isReversed = !isReversed;
-      }
-
-      if (isReversed) {
-        // Calculate the slot for a reversed (snaking) round.
-        draftSlotForNextPick = totalTeams - nextPickInRound + 1;
-      }
-    } else { // Handles 'linear' or other non-snake draft types
-      draftSlotForNextPick = nextPickInRound;
+    // Find the owner of the next pick, following any trades of that pick
+    const nextOwner = getNextPicker(draft, picks, tradedPicks);
+    nextPickerMessage = await resolvePickerName(nextOwner.userId, data, notifyNextPicker);
+    if (nextOwner.originalUserId) {
+      nextPickerMessage += ` (via ${await resolvePickerName(nextOwner.originalUserId, data)})`;
     }
-    // Find the user ID for the determined draft slot
-    const nextUserId = getUserForSlot(draftSlotForNextPick, draft.draft_order);
-    
-    // Get player data from the datastore
-    let nextPickerName = `User ID ${nextUserId}`;
-    try {
-      const playerData = await getPlayer(nextUserId);
-      if (playerData) {
-        nextPickerName = getDisplayName(playerData, notifyNextPicker);
-      } else {
-        // Fallback to old player_map format for backward compatibility
-        const mappedName = data.player_map[nextUserId];
-        if (mappedName) {
-          nextPickerName = notifyNextPicker ? `<@${mappedName}>` : mappedName;
-        }
-      }
-    } catch (error) {
-      console.warn(`Could not get player data for ${nextUserId}:`, error);
-      // Fallback to old player_map format
-      const mappedName = data.player_map[nextUserId];
-      if (mappedName) {
-        nextPickerName = notifyNextPicker ? `<@${mappedName}>` : mappedName;
-      }
+    if (rosterPositions) {
+      const needs = getPositionalNeeds(rosterPositions, getTeamPicks(draft, picks, nextOwner.userId));
+      needsMessage = `\n*Needs:* ${formatNeeds(needs)}`;
     }
-    nextPickerMessage = nextPickerName;
   }
 
-  // Get the last picker's name using the new datastore structure
-  let lastPickerName = `User ID ${lastPick.picked_by}`;
-  try {
-    const playerData = await getPlayer(lastPick.picked_by);
-    if (playerData) {
-      lastPickerName = getDisplayName(playerData, false); // Never use mention for last picker
-    } else {
-      // Fallback to old player_map format
-      lastPickerName = data.player_map[lastPick.picked_by] || lastPickerName;
-    }
-  } catch (error) {
-    console.warn(`Could not get player data for ${lastPick.picked_by}:`, error);
-    // Fallback to old player_map format
-    lastPickerName = data.player_map[lastPick.picked_by] || lastPickerName;
+  // Get the last picker's name, never using a mention for the last picker
+  const lastOwner = getMadePickOwner(draft, lastPick);
+  let lastPickerName = await resolvePickerName(lastOwner.userId, data);
+  if (lastOwner.originalUserId) {
+    lastPickerName += ` (via ${await resolvePickerName(lastOwner.originalUserId, data)})`;
   }
+  // Running positional count for the team that just picked, e.g. "QB 1 · RB 2"
+  const lastPickerCounts = formatPositionCounts(countPositions(getTeamPicks(draft, picks, lastOwner.userId)));
+
+  const pickType = await describePickType(draft, lastPick, lastPickerName, data);
+  const pickTypeNote = pickType ? ` [${pickType.label}]` : '';
 
   const playerName = `${lastPick.metadata.first_name} ${lastPick.metadata.last_name}`;
   const playerPosition = lastPick.metadata.position || 'N/A';
@@ -118,8 +226,8 @@ async function generatePickMessagePayload(draft, picks, data, notifyNextPicker =
 
   // Create the fallback text for the message
   const fallbackText = picksMade < totalPicks 
-    ? `Pick ${formattedPick}: ${playerName} (${playerPosition} - ${playerTeam}) was selected by ${lastPickerName}. Next up: ${nextPickerMessage}`
-    : `Pick ${formattedPick}: ${playerName} (${playerPosition} - ${playerTeam}) was selected by ${lastPickerName}. The draft is complete!`;
+    ? `Pick ${formattedPick}: ${playerName} (${playerPosition} - ${playerTeam}) was selected by ${lastPickerName}${pickTypeNote}. Next up: ${nextPickerMessage}`
+    : `Pick ${formattedPick}: ${playerName} (${playerPosition} - ${playerTeam}) was selected by ${lastPickerName}${pickTypeNote}. The draft is complete!`;
 
   return {
     text: fallbackText, // This is the required fallback text
@@ -132,16 +240,181 @@ async function generatePickMessagePayload(draft, picks, data, notifyNextPicker =
         "type": "section",
         "fields": [
           { "type": "mrkdwn", "text": `*Pick:* \`${formattedPick}\`` },
-          { "type": "mrkdwn", "text": `*Picked By:* ${lastPickerName}` },
+          { "type": "mrkdwn", "text": `*Picked By:* ${lastPickerName}${lastPickerCounts ? `\n${lastPickerCounts}` : ''}` },
+          { "type": "mrkdwn", "text": `*Player:* \`${playerName} - ${playerPosition}\`` },
+          { "type": "mrkdwn", "text": `*Team:* \`${playerTeam}\`` },
+          ...(options.players ? buildRookieDetailFields(options.players[lastPick.player_id]) : [])
+        ]
+      },
+      ...buildPickTypeBlocks(pickType),
+      { "type": "divider" },
+      {
+        "type": "section",
+        "text": { "type": "mrkdwn", "text": `*On The Clock:* ${nextPickerMessage}${needsMessage}` }
+      }
+    ]
+  };
+}
+
+/**
+ * Generates the Slack message payload for a won nomination in an auction draft.
+ * Shows the winning bid, who nominated the player, every team's remaining budget and
+ * roster spots, and who nominates next.
+ * @param {object} draft The full draft object from the Sleeper API.
+ * @param {object[]} picks The array of pick objects from the Sleeper API.
+ * @param {object} data The application's configuration data (from datastore).
+ * @param {boolean} notifyNextPicker Whether to use @ mention for the next nominator.
+ * @returns {object} A Slack message payload object with `blocks` and `text`.
+ */
+async function generateAuctionPickMessagePayload(draft, picks, data, notifyNextPicker = false) {
+  const lastPick = picks[picks.length - 1];
+  const state = getAuctionState(draft, picks);
+  const teamForSlot = (slot) => state.teams[slot - 1];
+
+  const winner = teamForSlot(getPickSlot(draft, lastPick));
+  const winnerName = await resolvePickerName(winner ? winner.userId : lastPick.picked_by, data);
+  const nominatorSlot = state.nominatorSlots[picks.length - 1];
+  const nominatorName = nominatorSlot ? await resolvePickerName(teamForSlot(nominatorSlot).userId, data) : 'Unknown';
+
+  let nextNominatorMessage = "The auction is complete!";
+  if (state.nextNominatorSlot) {
+    nextNominatorMessage = await resolvePickerName(teamForSlot(state.nextNominatorSlot).userId, data, notifyNextPicker);
+  }
+
+  const budgetLines = [];
+  for (const team of state.teams) {
+    const name = await resolvePickerName(team.userId, data);
+    budgetLines.push(`• ${name}: *$${team.remaining}* left, ${team.spotsLeft} spot${team.spotsLeft === 1 ? '' : 's'} to fill`);
+  }
+
+  const playerName = `${lastPick.metadata.first_name} ${lastPick.metadata.last_name}`;
+  const playerPosition = lastPick.metadata.position || 'N/A';
+  const playerTeam = lastPick.metadata.team || 'N/A';
+  const amount = getPickAmount(lastPick);
+  const pickType = await describePickType(draft, lastPick, winnerName, data);
+  const pickTypeNote = pickType ? ` [${pickType.label}]` : '';
+
+  const fallbackText = state.nextNominatorSlot
+    ? `Pick ${lastPick.pick_no}: ${playerName} (${playerPosition} - ${playerTeam}) won by ${winnerName} for $${amount}${pickTypeNote}. Nominating next: ${nextNominatorMessage}`
+    : `Pick ${lastPick.pick_no}: ${playerName} (${playerPosition} - ${playerTeam}) won by ${winnerName} for $${amount}${pickTypeNote}. The auction is complete!`;
+
+  return {
+    text: fallbackText,
+    blocks: [
+      {
+        "type": "section",
+        "text": { "type": "mrkdwn", "text": `:moneybag: *AUCTION ALERT!* :moneybag:` }
+      },
+      {
+        "type": "section",
+        "fields": [
+          { "type": "mrkdwn", "text": `*Pick:* \`#${lastPick.pick_no}\`` },
+          { "type": "mrkdwn", "text": `*Won By:* ${winnerName}` },
           { "type": "mrkdwn", "text": `*Player:* \`${playerName} - ${playerPosition}\`` },
-          { "type": "mrkdwn", "text": `*Team:* \`${playerTeam}\`` }
-          
+          { "type": "mrkdwn", "text": `*Team:* \`${playerTeam}\`` },
+          { "type": "mrkdwn", "text": `*Winning Bid:* \`$${amount}\`` },
+          { "type": "mrkdwn", "text": `*Nominated By:* ${nominatorName}` }
         ]
       },
+      ...buildPickTypeBlocks(pickType),
+      { "type": "divider" },
+      {
+        "type": "section",
+        "text": { "type": "mrkdwn", "text": `*Budgets (of $${state.budget}):*\n${budgetLines.join('\n')}` }
+      },
+      {
+        "type": "section",
+        "text": { "type": "mrkdwn", "text": `*Nominating Next:* ${nextNominatorMessage}` }
+      }
+    ]
+  };
+}
+
+/**
+ * Generates one catch-up message listing several new picks, for when the monitor
+ * finds a burst of picks (a slow run, or a string of autopicks) and separate alerts
+ * would flood the channel. Only the next picker is @-mentioned.
+ * @param {object} draft The full draft object from the Sleeper API.
+ * @param {object[]} picks Every pick made so far.
+ * @param {number} fromIndex Index in `picks` of the first new pick to list.
+ * @param {object} data The application's configuration data (from datastore).
+ * @param {boolean} notifyNextPicker Whether to use @ mention for the next picker.
+ * @param {object} [options]
+ * @param {object[]} [options.tradedPicks] Traded picks for the draft; fetched when omitted.
+ * @param {function} [options.filter] Which of the new picks to list; all of them when omitted.
+ * @returns {object} A Slack message payload object with `blocks` and `text`.
+ */
+async function generateBatchPickMessagePayload(draft, picks, fromIndex, data, notifyNextPicker = false, options = {}) {
+  const auction = isAuctionDraft(draft);
+  const tradedPicks = auction ? [] : (options.tradedPicks || await loadTradedPicks(draft));
+  const newPicks = picks.slice(fromIndex).filter(options.filter || (() => true));
+  const totalTeams = getTotalTeams(draft);
+
+  // Bursts are often one team autopicking, so look each name up once
+  const names = new Map();
+  const nameFor = async (userId) => {
+    if (!names.has(userId)) {
+      names.set(userId, await resolvePickerName(userId, data));
+    }
+    return names.get(userId);
+  };
+
+  const lines = [];
+  for (const pick of newPicks) {
+    const owner = getMadePickOwner(draft, pick);
+    let teamName = await nameFor(owner.userId);
+    if (owner.originalUserId) {
+      teamName += ` (via ${await nameFor(owner.originalUserId)})`;
+    }
+    const pickType = await describePickType(draft, pick, teamName, data);
+
+    const pickInRound = ((pick.pick_no - 1) % totalTeams) + 1;
+    const pickLabel = auction ? `#${pick.pick_no}` : `${pick.round}.${String(pickInRound).padStart(2, '0')}`;
+    const playerName = `${pick.metadata.first_name} ${pick.metadata.last_name}`;
+    const price = auction ? ` for $${getPickAmount(pick)}` : '';
+    const flag = pickType ? ` _[${pickType.label}]_` : '';
+    lines.push(`\`${pickLabel}\` ${playerName} (${pick.metadata.position || 'N/A'} - ${pick.metadata.team || 'N/A'}) to ${teamName}${price}${flag}`);
+  }
+
+  let nextPickerMessage = auction ? "The auction is complete!" : "The draft is complete!";
+  const nextOwner = getNextPicker(draft, picks, tradedPicks);
+  if (nextOwner) {
+    nextPickerMessage = await resolvePickerName(nextOwner.userId, data, notifyNextPicker);
+    if (nextOwner.originalUserId) {
+      nextPickerMessage += ` (via ${await nameFor(nextOwner.originalUserId)})`;
+    }
+  }
+
+  // Slack caps a section at 3000 characters, so long bursts span several sections
+  const sections = [];
+  let current = [];
+  for (const line of lines) {
+    if (current.length > 0 && [...current, line].join('\n').length > 2900) {
+      sections.push(current);
+      current = [];
+    }
+    current.push(line);
+  }
+  if (current.length > 0) {
+    sections.push(current);
+  }
+
+  const countLabel = `${newPicks.length} pick${newPicks.length === 1 ? '' : 's'}`;
+  return {
+    text: `${countLabel} since the last update. ${nextOwner ? `Next up: ${nextPickerMessage}` : nextPickerMessage}`,
+    blocks: [
+      {
+        "type": "section",
+        "text": { "type": "mrkdwn", "text": `:zap: *PICK CATCH-UP!* ${countLabel} since the last update :zap:` }
+      },
+      ...sections.map(sectionLines => ({
+        "type": "section",
+        "text": { "type": "mrkdwn", "text": sectionLines.join('\n') }
+      })),
       { "type": "divider" },
       {
         "type": "section",
-        "text": { "type": "mrkdwn", "text": `*On The Clock:* ${nextPickerMessage}` }
+        "text": { "type": "mrkdwn", "text": `*${auction ? 'Nominating Next' : 'On The Clock'}:* ${nextPickerMessage}` }
       }
     ]
   };
@@ -207,4 +480,12 @@ const handleLastPickCommand = async ({ command, say, ack }) => {
   }
 };
 
-module.exports = { handleLastPickCommand, generatePickMessagePayload };
\ No newline at end of file
+module.exports = {
+  handleLastPickCommand,
+  generatePickMessagePayload,
+  generateBatchPickMessagePayload,
+  resolvePickerName,
+  loadTradedPicks,
+  loadRosterPositions,
+  getNextPicker
+};
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { getNflState } = require('../services/sleeper.js');
+const { getLeaguesByChannel } = require('../services/datastore.js');
+const { loadLineupEfficiency, buildLineupEfficiencyPayload } = require('../services/lineupEfficiency.js');
+const { handleCommandError } = require('../shared/messages.js');
+
+const NO_LEAGUE_MESSAGE = 'There is no league registered for this channel. Please use `@YourBotName register league [league_id]` first.';
+
+/**
+ * Handles the `lineup efficiency` command.
+ * Posts a season leaderboard of how close each team's lineups came to their best possible lineups.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ */
+const handleLineupEfficiencyCommand = async ({ command, say, ack }) => {
+    if (ack) await ack();
+
+    try {
+        const leagues = await getLeaguesByChannel(command.channel_id);
+        if (leagues.length === 0) {
+            await say(NO_LEAGUE_MESSAGE);
+            return;
+        }
+
+        const state = await getNflState();
+        for (const registered of leagues) {
+            const leaderboard = await loadLineupEfficiency(registered.leagueId, state);
+            if (!leaderboard) {
+                await say(`Could not find league \`${registered.leagueId}\` on Sleeper.`);
+                continue;
+            }
+            if (leaderboard.week === 0) {
+                await say(`:zzz: ${leaderboard.league.name} hasn't finished a week of games yet, so there are no lineups to rate.`);
+                continue;
+            }
+            await say(buildLineupEfficiencyPayload(leaderboard));
+        }
+    } catch (error) {
+        await handleCommandError('lineup efficiency', error, say, ':x: Sorry, I couldn\'t work out lineup efficiency from Sleeper. Please try again later.');
+    }
+};
+
+module.exports = { handleLineupEfficiencyCommand };
@@ -1,9 +1,142 @@
-const { getData } = require('../services/datastore.js');
-const { handleCommandError } = require('../shared/messages.js');
+const { getData, deleteDraft } = require('../services/datastore.js');
+const { getDraft, getDraftPicks, getLeague } = require('../services/sleeper.js');
+const { formatDuration } = require('../services/pickTimer.js');
+const { getDraftName } = require('../services/draftLifecycle.js');
+const { resyncDraft } = require('../services/pickCounter.js');
+const { getTotalPicks } = require('../shared/draftOrder.js');
+const { handleCommandError, logError } = require('../shared/messages.js');
+const { generatePickMessagePayload, getNextPicker, loadTradedPicks, resolvePickerName } = require('./lastpick.js');
+
+// Action IDs for the dashboard's buttons; the button value is the draft ID
+const DASHBOARD_ACTIONS = {
+    UNREGISTER: 'draft_dashboard_unregister',
+    RESYNC: 'draft_dashboard_resync',
+    POST_LAST_PICK: 'draft_dashboard_post_last_pick'
+};
+
+// Each draft takes three blocks and Slack allows 50 per message
+const MAX_DASHBOARD_DRAFTS = 15;
+
+const STATUS_LABELS = {
+    pre_draft: ':calendar: Scheduled',
+    drafting: ':large_green_circle: Drafting',
+    paused: ':double_vertical_bar: Paused',
+    complete: ':checkered_flag: Complete'
+};
+
+/**
+ * Builds the dashboard section for one registered draft.
+ * @param {string} draftId The draft ID.
+ * @param {object} draftInfo The draft's registration (from datastore).
+ * @param {object} data The application's configuration data (from datastore).
+ * @param {Map} leagueNames Cache of league names by league ID, shared across drafts.
+ * @returns {Promise<string>} The mrkdwn text for the draft.
+ */
+async function describeDraft(draftId, draftInfo, data, leagueNames) {
+    const channel = `<#${draftInfo.slack_channel_id}>`;
+    let draft;
+    let picks;
+    try {
+        [draft, picks] = await Promise.all([getDraft(draftId), getDraftPicks(draftId)]);
+    } catch (error) {
+        console.warn(`Could not load draft ${draftId} for the dashboard:`, error);
+    }
+    if (!draft) {
+        return `*Draft \`${draftId}\`* in ${channel}\n:warning: Couldn't load this draft from Sleeper.`;
+    }
+    picks = picks || [];
+
+    if (draft.league_id && !leagueNames.has(draft.league_id)) {
+        try {
+            leagueNames.set(draft.league_id, (await getLeague(draft.league_id))?.name || null);
+        } catch (error) {
+            console.warn(`Could not load league ${draft.league_id} for the dashboard:`, error);
+            leagueNames.set(draft.league_id, null);
+        }
+    }
+    const leagueName = leagueNames.get(draft.league_id) || 'No league';
+
+    const lines = [
+        `*${getDraftName(draft)}* (\`${draftId}\`) · ${leagueName} · ${channel}`,
+        `${STATUS_LABELS[draft.status] || draft.status} · *${picks.length}/${getTotalPicks(draft)}* picks`
+    ];
+    if (draft.status === 'drafting' || draft.status === 'paused') {
+        const next = getNextPicker(draft, picks, await loadTradedPicks(draft));
+        if (next) {
+            lines.push(`On the clock: ${await resolvePickerName(next.userId, data)}`);
+        }
+    }
+    if (draft.last_picked && picks.length > 0) {
+        lines.push(`Last pick ${formatDuration(Date.now() - Number(draft.last_picked))} ago`);
+    }
+    if ((draftInfo.last_known_pick_count || 0) !== picks.length) {
+        lines.push(`:warning: I've posted ${draftInfo.last_known_pick_count || 0} of these picks.`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Builds the multi-draft dashboard message.
+ * @param {object} data The application's configuration data (from datastore).
+ * @param {string} [notice] A line shown above the drafts, e.g. the result of a button press.
+ * @returns {Promise<object>} A Slack message payload with `text` and `blocks`.
+ */
+async function buildDraftDashboard(data, notice = null) {
+    const entries = Object.entries(data.drafts || {});
+    const noticeBlocks = notice ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: notice }] }] : [];
+    if (entries.length === 0) {
+        return {
+            text: 'There are currently no drafts registered.',
+            blocks: [...noticeBlocks, { type: 'section', text: { type: 'mrkdwn', text: 'There are currently no drafts registered.' } }]
+        };
+    }
+
+    const leagueNames = new Map();
+    const draftBlocks = [];
+    for (const [draftId, draftInfo] of entries.slice(0, MAX_DASHBOARD_DRAFTS)) {
+        draftBlocks.push(
+            { type: 'section', text: { type: 'mrkdwn', text: await describeDraft(draftId, draftInfo, data, leagueNames) } },
+            {
+                type: 'actions',
+                elements: [
+                    { type: 'button', text: { type: 'plain_text', text: 'Post last pick' }, action_id: DASHBOARD_ACTIONS.POST_LAST_PICK, value: draftId },
+                    { type: 'button', text: { type: 'plain_text', text: 'Resync pick count' }, action_id: DASHBOARD_ACTIONS.RESYNC, value: draftId },
+                    {
+                        type: 'button',
+                        text: { type: 'plain_text', text: 'Unregister' },
+                        style: 'danger',
+                        action_id: DASHBOARD_ACTIONS.UNREGISTER,
+                        value: draftId,
+                        confirm: {
+                            title: { type: 'plain_text', text: 'Unregister draft?' },
+                            text: { type: 'mrkdwn', text: `Stop posting picks for draft \`${draftId}\` in <#${draftInfo.slack_channel_id}>?` },
+                            confirm: { type: 'plain_text', text: 'Unregister' },
+                            deny: { type: 'plain_text', text: 'Cancel' }
+                        }
+                    }
+                ]
+            },
+            { type: 'divider' }
+        );
+    }
+    if (entries.length > MAX_DASHBOARD_DRAFTS) {
+        draftBlocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${entries.length - MAX_DASHBOARD_DRAFTS} more.` }] });
+    }
+
+    return {
+        text: `Draft dashboard: ${entries.length} registered draft${entries.length === 1 ? '' : 's'}`,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: `📋 Registered Drafts (${entries.length})` } },
+            ...noticeBlocks,
+            ...draftBlocks
+        ]
+    };
+}
 
 /**
  * Handles the logic for the `listdrafts` command.
- * It lists all registered drafts and the channels they are linked to.
+ * It shows a dashboard of every registered draft with its status, progress and who is
+ * on the clock, with buttons to manage each one.
  * This command will only respond when used in a direct message with the bot.
  * @param {object} payload The payload from the Slack command.
  * @param {function} payload.say The function to send a message.
@@ -12,25 +145,85 @@ const handleListDraftsCommand = async ({ say, ack }) => {
     if (ack) await ack();
     try {
         const data = await getData();
-        const drafts = data.drafts || {};
-        const draftIds = Object.keys(drafts);
+        await say(await buildDraftDashboard(data));
+    } catch (error) {
+        await handleCommandError('listdrafts', error, say, ':x: Sorry, I couldn\'t list the drafts. There was an error reading my configuration.');
+    }
+};
 
-        if (draftIds.length === 0) {
-            await say("There are currently no drafts registered.");
-            return;
+/**
+ * Carries out a dashboard button press and returns a line describing the result.
+ * @param {string} actionId The button's action ID.
+ * @param {string} draftId The draft the button belongs to.
+ * @param {object} draftInfo The draft's registration (from datastore).
+ * @param {object} data The application's configuration data (from datastore).
+ * @param {object} client The Slack Web API client.
+ * @returns {Promise<string>} The result.
+ */
+async function runDashboardAction(actionId, draftId, draftInfo, data, client) {
+    switch (actionId) {
+        case DASHBOARD_ACTIONS.UNREGISTER:
+            await deleteDraft(draftId);
+            delete data.drafts[draftId];
+            return `:white_check_mark: Unregistered draft \`${draftId}\` from <#${draftInfo.slack_channel_id}>.`;
+        case DASHBOARD_ACTIONS.RESYNC: {
+            // Skip straight to Sleeper's pick count so the monitor doesn't replay missed picks
+            const { currentCount } = await resyncDraft(client, draftId, draftInfo, data);
+            return `:arrows_counterclockwise: Resynced draft \`${draftId}\` to ${currentCount} pick${currentCount === 1 ? '' : 's'}.`;
         }
+        case DASHBOARD_ACTIONS.POST_LAST_PICK: {
+            const [draft, picks] = await Promise.all([getDraft(draftId), getDraftPicks(draftId)]);
+            if (!draft || !picks || picks.length === 0) {
+                return `:hourglass_flowing_sand: Draft \`${draftId}\` has no picks to post yet.`;
+            }
+            await client.chat.postMessage({
+                channel: draftInfo.slack_channel_id,
+                ...await generatePickMessagePayload(draft, picks, data, false)
+            });
+            return `:mega: Posted the last pick of draft \`${draftId}\` to <#${draftInfo.slack_channel_id}>.`;
+        }
+        default:
+            return `:x: Unknown action \`${actionId}\`.`;
+    }
+}
 
-        let messageText = "*Here are all the currently registered drafts:*\n";
-        draftIds.forEach(id => {
-            const channel = drafts[id].slack_channel_id;
-            // Format the channel ID as a clickable link e.g., #fantasy-football
-            messageText += `• Draft \`${id}\` is registered to <#${channel}>\n`;
-        });
+/**
+ * Handles a button press on the `list drafts` dashboard, then redraws the dashboard
+ * in place with the result at the top.
+ * @param {object} payload The payload from the Slack action.
+ * @param {function} payload.ack Acknowledges the action.
+ * @param {object} payload.action The pressed button.
+ * @param {function} payload.respond Replaces the dashboard message.
+ * @param {object} payload.client The Slack Web API client.
+ */
+const handleDraftDashboardAction = async ({ ack, action, respond, client }) => {
+    await ack();
+    const draftId = action.value;
 
-        await say(messageText);
+    let notice;
+    let data;
+    try {
+        data = await getData();
+        const draftInfo = data.drafts?.[draftId];
+        notice = draftInfo
+            ? await runDashboardAction(action.action_id, draftId, draftInfo, data, client)
+            : `:information_source: Draft \`${draftId}\` is no longer registered.`;
     } catch (error) {
-        await handleCommandError('listdrafts', error, say, ':x: Sorry, I couldn\'t list the drafts. There was an error reading my configuration.');
+        logError(`draft dashboard ${action.action_id}`, error);
+        notice = `:x: Sorry, that didn't work for draft \`${draftId}\`. Please try again.`;
+    }
+
+    try {
+        await respond({ replace_original: true, ...await buildDraftDashboard(data || await getData(), notice) });
+    } catch (error) {
+        logError('draft dashboard refresh', error);
+        await respond({ replace_original: false, text: notice });
     }
 };
 
-module.exports = { handleListDraftsCommand };
\ No newline at end of file
+module.exports = {
+    DASHBOARD_ACTIONS,
+    buildDraftDashboard,
+    handleListDraftsCommand,
+    handleDraftDashboardAction
+};
@@ -0,0 +1,140 @@
+const { getLeaguesByChannel, getAllPlayers } = require('../services/datastore.js');
+const { loadPickLedger, formatTeamPicks } = require('../services/pickLedger.js');
+const { logError } = require('../shared/messages.js');
+const { parseSlackUserInput } = require('../shared/inputValidation.js');
+
+const NO_LEAGUE_MESSAGE = 'There is no league registered for this channel. Please use `@YourBotName register league [league_id]` first.';
+const LEDGER_ERROR_MESSAGE = ':x: Sorry, I couldn\'t load the traded picks from Sleeper. Please try again later.';
+
+/**
+ * Loads the pick ledger for every league registered to a channel.
+ * @param {string} channelId The Slack channel ID.
+ * @returns {Promise<object[]>} One ledger per league that still exists on Sleeper.
+ */
+async function loadChannelLedgers(channelId) {
+    const leagues = await getLeaguesByChannel(channelId);
+    const ledgers = [];
+    for (const league of leagues) {
+        const ledger = await loadPickLedger(league.leagueId);
+        if (ledger) {
+            ledgers.push(ledger);
+        }
+    }
+    return ledgers;
+}
+
+/**
+ * Finds the team a `picks` query refers to: a Slack @-mention of a registered player,
+ * or (part of) a team or owner name.
+ * @param {object} ledger A pick ledger.
+ * @param {string} query The team name or Slack mention.
+ * @param {string|null} sleeperUserId The Sleeper user ID registered to a mentioned Slack user.
+ * @returns {object|undefined} The matching team.
+ */
+function findTeam(ledger, query, sleeperUserId) {
+    if (sleeperUserId) {
+        return ledger.teams.find(team => team.userId === sleeperUserId);
+    }
+    const needle = query.toLowerCase();
+    return ledger.teams.find(team => team.name.toLowerCase() === needle) ||
+        ledger.teams.find(team => team.name.toLowerCase().includes(needle));
+}
+
+/**
+ * Handles the `picks [team or @user]` command.
+ * Shows which future picks a team owns in the channel's league(s), following trades.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ */
+const handlePicksCommand = async ({ command, say, ack }) => {
+    if (ack) await ack();
+    const query = (command.text || '').trim();
+    if (!query) {
+        await say('Please name a team or mention a manager. Usage: `@YourBotName picks [team or @user]`');
+        return;
+    }
+
+    try {
+        // A mention is matched through the player registrations rather than by name
+        const { memberId, isValidMemberId } = parseSlackUserInput(query);
+        let sleeperUserId = null;
+        if (isValidMemberId) {
+            const player = (await getAllPlayers()).find(p => p.slackMemberId === memberId);
+            if (!player) {
+                await say(`<@${memberId}> isn't registered to a Sleeper user yet. Use \`register player\` to link them.`);
+                return;
+            }
+            sleeperUserId = player.sleeperId;
+        }
+
+        const ledgers = await loadChannelLedgers(command.channel_id);
+        if (ledgers.length === 0) {
+            await say(NO_LEAGUE_MESSAGE);
+            return;
+        }
+
+        const sections = [];
+        for (const ledger of ledgers) {
+            const team = findTeam(ledger, query, sleeperUserId);
+            if (team) {
+                sections.push(`:ticket: *${team.name}'s picks* (${ledger.league.name})\n${formatTeamPicks(ledger, team)}`);
+            }
+        }
+        if (sections.length === 0) {
+            await say(`:mag: I couldn't find a team matching "${query}" in this channel's league.`);
+            return;
+        }
+        await say(sections.join('\n\n'));
+    } catch (error) {
+        logError('picks', error);
+        await say(LEDGER_ERROR_MESSAGE);
+    }
+};
+
+/**
+ * Handles the `pick ledger` command.
+ * Lists every team's future picks for the next three seasons in the channel's league(s).
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ */
+const handlePickLedgerCommand = async ({ command, say, ack }) => {
+    if (ack) await ack();
+
+    try {
+        const ledgers = await loadChannelLedgers(command.channel_id);
+        if (ledgers.length === 0) {
+            await say(NO_LEAGUE_MESSAGE);
+            return;
+        }
+
+        for (const ledger of ledgers) {
+            await say({
+                text: `${ledger.league.name} pick ledger: ${ledger.seasons[0]}-${ledger.seasons[ledger.seasons.length - 1]}`,
+                blocks: [
+                    {
+                        type: 'header',
+                        text: { type: 'plain_text', text: `📒 ${ledger.league.name} Pick Ledger` }
+                    },
+                    {
+                        type: 'context',
+                        elements: [{ type: 'mrkdwn', text: `Future picks for ${ledger.seasons.join(', ')}, rounds 1-${ledger.rounds}, following every trade.` }]
+                    },
+                    ...ledger.teams.map(team => ({
+                        type: 'section',
+                        text: { type: 'mrkdwn', text: `*${team.name}*\n${formatTeamPicks(ledger, team)}` }
+                    }))
+                ]
+            });
+        }
+    } catch (error) {
+        logError('pick ledger', error);
+        await say(LEDGER_ERROR_MESSAGE);
+    }
+};
+
+module.exports = {
+    handlePicksCommand,
+    handlePickLedgerCommand
+};
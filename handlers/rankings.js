@@ -0,0 +1,55 @@
+const { getNflState } = require('../services/sleeper.js');
+const { importRankings } = require('../services/draftGrades.js');
+const { handleCommandError } = require('../shared/messages.js');
+
+const USAGE_MESSAGE = 'Please paste the rankings below the command, one player per line, e.g.\n' +
+    '```import rankings\n1, Bijan Robinson, RB\n2, Ja\'Marr Chase, WR```\n' +
+    'The rank and position are optional; without a rank, players are ranked in the order listed. Add a season (`import rankings 2026`) to import for another season.';
+
+// How many unmatched names to list before summarising the rest
+const UNMATCHED_LIST_LIMIT = 10;
+
+/**
+ * Handles the `import rankings [season]` command.
+ * Saves a pasted ranking list (CSV lines below the command) as the season's ranking
+ * source for draft report cards, in place of Sleeper's own rankings.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ */
+const handleImportRankingsCommand = async ({ command, say, ack }) => {
+    if (ack) await ack();
+    const [firstLine, ...rest] = (command.text || '').trim().split('\n');
+    const seasonMatch = firstLine.trim().match(/^(\d{4})\b\s*(.*)$/);
+    const csv = (seasonMatch ? [seasonMatch[2], ...rest] : [firstLine, ...rest]).join('\n').trim();
+    if (!csv) {
+        await say(USAGE_MESSAGE);
+        return;
+    }
+
+    try {
+        let season = seasonMatch?.[1];
+        if (!season) {
+            const nflState = await getNflState();
+            season = nflState?.season || String(new Date().getFullYear());
+        }
+
+        const { imported, unmatched } = await importRankings(season, csv);
+        if (imported === 0) {
+            await say(`:x: I couldn't match any of those players to Sleeper, so the ${season} rankings weren't changed.\n${USAGE_MESSAGE}`);
+            return;
+        }
+
+        let message = `:white_check_mark: Imported ${imported} player ranking${imported === 1 ? '' : 's'} for ${season}. Draft report cards for ${season} will be graded against them.`;
+        if (unmatched.length > 0) {
+            const listed = unmatched.slice(0, UNMATCHED_LIST_LIMIT).join(', ');
+            const more = unmatched.length > UNMATCHED_LIST_LIMIT ? ` and ${unmatched.length - UNMATCHED_LIST_LIMIT} more` : '';
+            message += `\n:warning: I couldn't find ${listed}${more}.`;
+        }
+        await say(message);
+    } catch (error) {
+        await handleCommandError('import rankings', error, say);
+    }
+};
+
+module.exports = { handleImportRankingsCommand };
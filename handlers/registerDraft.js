@@ -1,10 +1,61 @@
 const { getData, saveDraft } = require('../services/datastore.js');
+const { getDraft, getLeague } = require('../services/sleeper.js');
+const { formatSlackDate, getDraftName } = require('../services/draftLifecycle.js');
+const { registerLeagueDrafts } = require('../services/leagueDrafts.js');
 const { handleCommandError, SUCCESS_MESSAGES } = require('../shared/messages.js');
-const { parseDraftId } = require('../shared/inputValidation.js');
+const { parseDraftId, parseLeagueId } = require('../shared/inputValidation.js');
+
+// `register draft for league [league_id]`
+const FOR_LEAGUE_PATTERN = /^\s*for\s+league\b(.*)$/i;
+
+/**
+ * Registers a league's upcoming draft(s) to a channel, for commissioners who only know the league ID.
+ * @param {string} text The league ID from the command.
+ * @param {string} channelId The Slack channel ID.
+ * @param {function} say The function to send a message.
+ */
+async function registerDraftForLeague(text, channelId, say) {
+    const { isValid, leagueId, errorMessage } = parseLeagueId(text);
+    if (!isValid) {
+        await say(errorMessage.replace('register league', 'register draft for league'));
+        return;
+    }
+
+    try {
+        const league = await getLeague(leagueId);
+        if (!league) {
+            await say(`:x: League \`${leagueId}\` not found. Please check the league ID and try again.`);
+            return;
+        }
+
+        const { registered, existing } = await registerLeagueDrafts(leagueId, channelId);
+        if (registered.length === 0 && existing.length === 0) {
+            await say(`:hourglass_flowing_sand: *${league.name}* doesn't have an upcoming draft yet. Try again once the commissioner has set it up in Sleeper, or use \`register league ${leagueId} with drafts\` and I'll register it automatically.`);
+            return;
+        }
+
+        const lines = registered.map(draft => {
+            let line = `:white_check_mark: Registered *${getDraftName(draft)}* (\`${draft.draft_id}\`) from *${league.name}* to this channel.`;
+            if (draft.status === 'pre_draft' && draft.start_time) {
+                line += ` It starts ${formatSlackDate(Number(draft.start_time))}.`;
+            }
+            return line;
+        });
+        lines.push(...existing.map(draft => {
+            const where = draft.slackChannelId === channelId ? 'this channel' : `<#${draft.slackChannelId}>`;
+            return `:information_source: *${getDraftName(draft)}* (\`${draft.draft_id}\`) is already registered to ${where}.`;
+        }));
+        await say(lines.join('\n'));
+    } catch (error) {
+        await handleCommandError('register draft', error, say);
+    }
+}
 
 /**
  * Handles the logic for the `register draft` command.
- * It validates the draft ID and registers it to the current channel.
+ * It validates the draft ID and registers it to the current channel, confirming
+ * the scheduled start time when Sleeper has one. `register draft for league [league_id]`
+ * looks the league's upcoming draft up instead.
  * @param {object} payload The payload from the Slack command.
  * @param {object} payload.command The command object.
  * @param {function} payload.say The function to send a message.
@@ -12,6 +63,12 @@ const { parseDraftId } = require('../shared/inputValidation.js');
 const handleRegisterDraftCommand = async ({ command, say, ack }) => {
     if (ack) await ack();
     const channelId = command.channel_id;
+
+    const forLeague = command.text.match(FOR_LEAGUE_PATTERN);
+    if (forLeague) {
+        await registerDraftForLeague(forLeague[1], channelId, say);
+        return;
+    }
     
     // Validate and parse draft ID
     const { isValid, draftId, errorMessage } = parseDraftId(command.text);
@@ -34,12 +91,24 @@ const handleRegisterDraftCommand = async ({ command, say, ack }) => {
             }
         }
 
-        // Save the new draft registration
-        await saveDraft(draftId, channelId, 0);
+        // Look the draft up so we know its status and schedule; registration still works without it
+        let draft = null;
+        try {
+            draft = await getDraft(draftId);
+        } catch (error) {
+            console.warn(`Could not fetch draft ${draftId} while registering:`, error);
+        }
+
+        // Save the new draft registration, remembering the status so the monitor can announce changes
+        await saveDraft(draftId, channelId, 0, draft?.status ? { lastSeenStatus: draft.status } : {});
         
-        const message = existingDraftId 
+        let message = existingDraftId 
             ? `:white_check_mark: Successfully registered draft \`${draftId}\` to this channel (replaced previous draft \`${existingDraftId}\`).`
             : SUCCESS_MESSAGES.DRAFT_REGISTERED(draftId);
+
+        if (draft?.status === 'pre_draft' && draft.start_time) {
+            message += `\n:calendar: The draft is scheduled to start ${formatSlackDate(Number(draft.start_time))}. I'll post reminders 24 hours and 1 hour before.`;
+        }
         
         await say(message);
     } catch (error) {
@@ -2,10 +2,41 @@ const { getLeague } = require('../services/sleeper.js');
 const { saveLeague, getLeaguesByChannel } = require('../services/datastore.js');
 const { handleCommandError, SUCCESS_MESSAGES } = require('../shared/messages.js');
 const { parseLeagueId } = require('../shared/inputValidation.js');
+const { registerLeagueDrafts } = require('../services/leagueDrafts.js');
+
+// `register league [league_id] with drafts` also registers the league's drafts
+const WITH_DRAFTS_PATTERN = /\s+with\s+drafts?\s*$/i;
+
+/**
+ * Describes the drafts registered alongside a league.
+ * @param {{registered: object[], existing: object[]}} result The result of registerLeagueDrafts.
+ * @param {string} channelId The channel the league is being registered to.
+ * @returns {string} A line for the success card.
+ */
+function describeLeagueDrafts({ registered, existing }, channelId) {
+    const list = (drafts) => drafts.map(draft => `\`${draft.draft_id}\``).join(', ');
+    const lines = [];
+    if (registered.length > 0) {
+        lines.push(`Registered draft${registered.length === 1 ? '' : 's'} ${list(registered)} to this channel.`);
+    }
+    const here = existing.filter(draft => draft.slackChannelId === channelId);
+    if (here.length > 0) {
+        lines.push(`Draft${here.length === 1 ? '' : 's'} ${list(here)} ${here.length === 1 ? 'was' : 'were'} already registered here.`);
+    }
+    for (const draft of existing.filter(draft => draft.slackChannelId !== channelId)) {
+        lines.push(`Draft \`${draft.draft_id}\` is already registered to <#${draft.slackChannelId}>, so its picks will keep posting there.`);
+    }
+    if (lines.length === 0) {
+        lines.push("The league has no upcoming draft yet. I'll register it here once Sleeper creates it.");
+    }
+    lines.push("When the league rolls over to a new season I'll pick up that season's draft too.");
+    return lines.join('\n');
+}
 
 /**
  * Handles the logic for the `register league` command.
- * It validates the league ID and registers it to the current channel.
+ * It validates the league ID and registers it to the current channel. With `with drafts`
+ * the league's current drafts are registered too, and followed into future seasons.
  * @param {object} payload The payload from the Slack command.
  * @param {object} payload.command The command object.
  * @param {function} payload.say The function to send a message.
@@ -15,8 +46,10 @@ const handleRegisterLeagueCommand = async ({ command, say, ack }) => {
     const channelId = command.channel_id;
     const threadTs = command.ts; // Get the timestamp for threading
     
+    const autoDrafts = WITH_DRAFTS_PATTERN.test(command.text);
+
     // Validate and parse league ID
-    const { isValid, leagueId, errorMessage } = parseLeagueId(command.text);
+    const { isValid, leagueId, errorMessage } = parseLeagueId(command.text.replace(WITH_DRAFTS_PATTERN, ''));
     if (!isValid) {
         const errorCard = {
             text: errorMessage,
@@ -44,7 +77,8 @@ const handleRegisterLeagueCommand = async ({ command, say, ack }) => {
         const existingLeagues = await getLeaguesByChannel(channelId);
         const existingLeague = existingLeagues.find(league => league.leagueId === leagueId);
         
-        if (existingLeague) {
+        // Asking for drafts on a league registered without them turns them on
+        if (existingLeague && (!autoDrafts || existingLeague.autoDrafts)) {
             const alreadyRegisteredCard = {
                 text: `League "${existingLeague.leagueName}" is already registered to this channel.`,
                 blocks: [
@@ -92,7 +126,14 @@ const handleRegisterLeagueCommand = async ({ command, say, ack }) => {
         }
 
         // Save the league registration
-        await saveLeague(leagueId, channelId, leagueData);
+        await saveLeague(leagueId, channelId, leagueData, { autoDrafts });
+        const draftBlocks = autoDrafts ? [{
+            type: "section",
+            text: {
+                type: "mrkdwn",
+                text: `*Drafts*\n${describeLeagueDrafts(await registerLeagueDrafts(leagueId, channelId), channelId)}`
+            }
+        }] : [];
         
         // Create a rich success card with league details
         const statusEmoji = {
@@ -143,7 +184,8 @@ const handleRegisterLeagueCommand = async ({ command, say, ack }) => {
                             text: `*League ID*\n\`${leagueId}\``
                         }
                     ]
-                }
+                },
+                ...draftBlocks
             ]
         };
         
@@ -0,0 +1,49 @@
+const { getData } = require('../services/datastore.js');
+const { resyncDraft } = require('../services/pickCounter.js');
+const { handleCommandError } = require('../shared/messages.js');
+
+const USAGE_MESSAGE = 'Please provide a draft ID. Usage: `resync draft [draft_id]` or `resync draft [draft_id] replay` to post the picks I missed first.';
+
+/**
+ * Handles the `resync draft [draft_id] [replay]` command.
+ * It resets a draft's pick counter to Sleeper's pick count, for when picks were missed
+ * or the counter drifted. With `replay`, the missed picks are posted to the draft's
+ * channel as one catch-up message first.
+ * This command will only respond when used in a direct message with the bot.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ * @param {object} payload.client The Slack Web API client.
+ */
+const handleResyncDraftCommand = async ({ command, say, client, ack }) => {
+    if (ack) await ack();
+    const [draftId, option] = (command.text || '').trim().split(/\s+/);
+    if (!draftId || (option && option.toLowerCase() !== 'replay')) {
+        await say(USAGE_MESSAGE);
+        return;
+    }
+
+    try {
+        const data = await getData();
+        const draftInfo = data.drafts?.[draftId];
+        if (!draftInfo) {
+            await say(`Draft \`${draftId}\` isn't registered. DM me \`list drafts\` to see the registered drafts.`);
+            return;
+        }
+
+        const { previousCount, currentCount, replayed } = await resyncDraft(client, draftId, draftInfo, data, { replay: Boolean(option) });
+        let message = previousCount === currentCount
+            ? `:white_check_mark: Draft \`${draftId}\` was already in sync at ${currentCount} picks.`
+            : `:arrows_counterclockwise: Resynced draft \`${draftId}\`: my pick counter went from ${previousCount} to ${currentCount}.`;
+        if (replayed > 0) {
+            message += ` I posted the ${replayed} missed pick${replayed === 1 ? '' : 's'} to <#${draftInfo.slack_channel_id}>.`;
+        } else if (currentCount > previousCount) {
+            message += ` The ${currentCount - previousCount} missed pick${currentCount - previousCount === 1 ? ' was' : 's were'} skipped.`;
+        }
+        await say(message);
+    } catch (error) {
+        await handleCommandError('resync draft', error, say);
+    }
+};
+
+module.exports = { handleResyncDraftCommand };
@@ -0,0 +1,87 @@
+const { getNflState, getNflSchedule } = require('../services/sleeper.js');
+const { getLeaguesByChannel, saveLiveScoreboard } = require('../services/datastore.js');
+const { loadScoreboard, summarizeNflGames, buildScoreboardPayload } = require('../services/scoreboard.js');
+const { handleCommandError } = require('../shared/messages.js');
+
+const NO_LEAGUE_MESSAGE = 'There is no league registered for this channel. Please use `@YourBotName register league [league_id]` first.';
+
+/**
+ * Handles the `scores` and `scores live` commands.
+ * Posts this week's matchups for each league registered to the channel. With `live`,
+ * the scoreboard is edited in place with new points while NFL games are being played.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ * @param {object} payload.client The Slack Web API client.
+ */
+const handleScoresCommand = async ({ command, say, client, ack }) => {
+    if (ack) await ack();
+    const option = (command.text || '').trim().toLowerCase();
+    if (option !== '' && option !== 'live') {
+        await say('Usage: `@YourBotName scores` for this week\'s matchups, or `@YourBotName scores live` to keep the scoreboard updating during games.');
+        return;
+    }
+    const live = option === 'live';
+
+    try {
+        const leagues = await getLeaguesByChannel(command.channel_id);
+        if (leagues.length === 0) {
+            await say(NO_LEAGUE_MESSAGE);
+            return;
+        }
+
+        const state = await getNflState();
+        const week = Number(state?.week) || 0;
+        if (week < 1 || state.season_type === 'off') {
+            await say(':zzz: There are no fantasy matchups during the NFL off-season.');
+            return;
+        }
+
+        // The scoreboard still works without game statuses; only live mode needs them
+        let nflGames = null;
+        try {
+            nflGames = summarizeNflGames(await getNflSchedule(state.season, week));
+        } catch (error) {
+            console.warn(`Could not load the NFL schedule for week ${week}:`, error.message);
+        }
+        if (live && !nflGames) {
+            await say(':x: I couldn\'t load this week\'s NFL games, so I can\'t follow the scores live. Try `scores` instead.');
+            return;
+        }
+        const weekOver = Boolean(nflGames && nflGames.total > 0 && nflGames.final === nflGames.total);
+
+        for (const registered of leagues) {
+            const scoreboard = await loadScoreboard(registered.leagueId, week);
+            if (!scoreboard) {
+                await say(`Could not find league \`${registered.leagueId}\` on Sleeper.`);
+                continue;
+            }
+
+            if (!live || weekOver) {
+                await say(buildScoreboardPayload(scoreboard, { nflGames }));
+                continue;
+            }
+
+            const result = await client.chat.postMessage({
+                channel: command.channel_id,
+                ...buildScoreboardPayload(scoreboard, { nflGames, live: true })
+            });
+            await saveLiveScoreboard({
+                leagueId: registered.leagueId,
+                channelId: command.channel_id,
+                ts: result.ts,
+                season: state.season,
+                week,
+                finalGames: nflGames.final
+            });
+        }
+
+        if (live && weekOver) {
+            await say('_Every NFL game this week is over, so there are no more scores to follow live._');
+        }
+    } catch (error) {
+        await handleCommandError('scores', error, say, ':x: Sorry, I couldn\'t load the scores from Sleeper. Please try again later.');
+    }
+};
+
+module.exports = { handleScoresCommand };
@@ -0,0 +1,76 @@
+const { getNflState } = require('../services/sleeper.js');
+const { getLeaguesByChannel } = require('../services/datastore.js');
+const { loadStandings, loadPowerRankings, buildStandingsPayload, buildPowerRankingsPayload } = require('../services/standings.js');
+const { handleCommandError } = require('../shared/messages.js');
+
+const NO_LEAGUE_MESSAGE = 'There is no league registered for this channel. Please use `@YourBotName register league [league_id]` first.';
+
+/**
+ * Handles the `standings` command.
+ * Posts the standings table for each league registered to the channel.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ */
+const handleStandingsCommand = async ({ command, say, ack }) => {
+    if (ack) await ack();
+
+    try {
+        const leagues = await getLeaguesByChannel(command.channel_id);
+        if (leagues.length === 0) {
+            await say(NO_LEAGUE_MESSAGE);
+            return;
+        }
+
+        for (const registered of leagues) {
+            const standings = await loadStandings(registered.leagueId);
+            if (!standings) {
+                await say(`Could not find league \`${registered.leagueId}\` on Sleeper.`);
+                continue;
+            }
+            await say(buildStandingsPayload(standings));
+        }
+    } catch (error) {
+        await handleCommandError('standings', error, say, ':x: Sorry, I couldn\'t load the standings from Sleeper. Please try again later.');
+    }
+};
+
+/**
+ * Handles the `power rankings` command.
+ * Posts computed power rankings for each league registered to the channel.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object.
+ * @param {function} payload.say The function to send a message.
+ */
+const handlePowerRankingsCommand = async ({ command, say, ack }) => {
+    if (ack) await ack();
+
+    try {
+        const leagues = await getLeaguesByChannel(command.channel_id);
+        if (leagues.length === 0) {
+            await say(NO_LEAGUE_MESSAGE);
+            return;
+        }
+
+        const state = await getNflState();
+        for (const registered of leagues) {
+            const powerRankings = await loadPowerRankings(registered.leagueId, state);
+            if (!powerRankings) {
+                await say(`Could not find league \`${registered.leagueId}\` on Sleeper.`);
+                continue;
+            }
+            if (powerRankings.week === 0) {
+                await say(`:zzz: ${powerRankings.league.name} hasn't finished a week of games yet, so there's nothing to rank.`);
+                continue;
+            }
+            await say(buildPowerRankingsPayload(powerRankings));
+        }
+    } catch (error) {
+        await handleCommandError('power rankings', error, say, ':x: Sorry, I couldn\'t work out the power rankings from Sleeper. Please try again later.');
+    }
+};
+
+module.exports = {
+    handleStandingsCommand,
+    handlePowerRankingsCommand
+};
@@ -0,0 +1,191 @@
+const { getData, getWatchlist, saveWatchlist } = require('../services/datastore.js');
+const { getDraftPicks } = require('../services/sleeper.js');
+const { findPlayersByName, getPlayersFromCacheOrFetch } = require('../services/nflDataCache.js');
+const { handleCommandError, ERROR_MESSAGES } = require('../shared/messages.js');
+
+/**
+ * Formats a player for a watchlist message, e.g. "*Bijan Robinson* (RB - ATL)".
+ * @param {object} player A player in the expanded cache format.
+ * @returns {string} The formatted player.
+ */
+function formatWatchedPlayer(player) {
+    return `*${player.full_name}* (${player.position} - ${player.team || 'FA'})`;
+}
+
+/**
+ * Watchlists are personal, so replies are only shown to the user who asked.
+ * Falls back to a normal channel message when there's no client or user to target.
+ * @param {object} command The command object.
+ * @param {function} say The function to send a message.
+ * @param {object} [client] The Slack Web API client.
+ * @returns {function(string): Promise} A reply function.
+ */
+function createPrivateReply(command, say, client) {
+    return async (text) => {
+        if (client?.chat?.postEphemeral && command.user_id) {
+            return client.chat.postEphemeral({ channel: command.channel_id, user: command.user_id, text });
+        }
+        return say(text);
+    };
+}
+
+/**
+ * Finds the draft registered to the channel a command came from.
+ * @param {object} command The command object.
+ * @returns {Promise<string|undefined>} The draft ID, if one is registered.
+ */
+async function findChannelDraftId(command) {
+    const data = await getData();
+    return Object.keys(data.drafts || {}).find(
+        id => data.drafts[id].slack_channel_id === command.channel_id
+    );
+}
+
+/**
+ * Handles the `watch [player name]` command.
+ * Adds a player to the user's watchlist for the channel's draft, so the draft
+ * monitor can DM them when the player is taken.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object, including the Slack `user_id`.
+ * @param {function} payload.say The function to send a message.
+ * @param {object} [payload.client] The Slack Web API client, for private replies.
+ */
+const handleWatchCommand = async ({ command, say, client, ack }) => {
+    if (ack) await ack();
+    const reply = createPrivateReply(command, say, client);
+    const name = (command.text || '').trim();
+    if (!name) {
+        await reply('Tell me who to watch, e.g. `watch Bijan Robinson`.');
+        return;
+    }
+
+    try {
+        const draftId = await findChannelDraftId(command);
+        if (!draftId) {
+            await reply(ERROR_MESSAGES.NO_DRAFT_REGISTERED);
+            return;
+        }
+
+        const matches = await findPlayersByName(name);
+        if (matches.length === 0) {
+            await reply(`:mag: I couldn't find a player called "${name}".`);
+            return;
+        }
+        // Players who share a name (e.g. two Josh Allens) resolve to the best ranked one
+        if (new Set(matches.map(player => player.full_name.toLowerCase())).size > 1) {
+            const suggestions = matches.slice(0, 5).map(player => `• ${formatWatchedPlayer(player)}`);
+            await reply(`:thinking_face: "${name}" matches more than one player. Did you mean:\n${suggestions.join('\n')}`);
+            return;
+        }
+        const player = matches[0];
+
+        const picks = await getDraftPicks(draftId) || [];
+        if (picks.some(pick => pick.player_id === player.player_id)) {
+            await reply(`:no_entry_sign: ${formatWatchedPlayer(player)} has already been drafted.`);
+            return;
+        }
+
+        const watchlist = await getWatchlist(draftId, command.user_id);
+        if (watchlist.includes(player.player_id)) {
+            await reply(`${formatWatchedPlayer(player)} is already on your watchlist.`);
+            return;
+        }
+
+        await saveWatchlist(draftId, command.user_id, [...watchlist, player.player_id]);
+        await reply(`:eyes: Added ${formatWatchedPlayer(player)} to your watchlist. I'll DM you if they're drafted.`);
+    } catch (error) {
+        await handleCommandError('watch', error, reply);
+    }
+};
+
+/**
+ * Handles the `unwatch [player name]` and `unwatch all` commands.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object, including the Slack `user_id`.
+ * @param {function} payload.say The function to send a message.
+ * @param {object} [payload.client] The Slack Web API client, for private replies.
+ */
+const handleUnwatchCommand = async ({ command, say, client, ack }) => {
+    if (ack) await ack();
+    const reply = createPrivateReply(command, say, client);
+    const name = (command.text || '').trim();
+    if (!name) {
+        await reply('Tell me who to stop watching, e.g. `unwatch Bijan Robinson`, or `unwatch all` to clear your watchlist.');
+        return;
+    }
+
+    try {
+        const draftId = await findChannelDraftId(command);
+        if (!draftId) {
+            await reply(ERROR_MESSAGES.NO_DRAFT_REGISTERED);
+            return;
+        }
+
+        const watchlist = await getWatchlist(draftId, command.user_id);
+        if (/^all$/i.test(name)) {
+            await saveWatchlist(draftId, command.user_id, []);
+            await reply(':wastebasket: Cleared your watchlist.');
+            return;
+        }
+
+        const player = (await findPlayersByName(name)).find(match => watchlist.includes(match.player_id));
+        if (!player) {
+            await reply(`"${name}" isn't on your watchlist.`);
+            return;
+        }
+
+        await saveWatchlist(draftId, command.user_id, watchlist.filter(playerId => playerId !== player.player_id));
+        await reply(`:white_check_mark: Removed ${formatWatchedPlayer(player)} from your watchlist.`);
+    } catch (error) {
+        await handleCommandError('unwatch', error, reply);
+    }
+};
+
+/**
+ * Handles the `my watchlist` command.
+ * Lists the user's watched players for the channel's draft, marking any already taken.
+ * @param {object} payload The payload from the Slack command.
+ * @param {object} payload.command The command object, including the Slack `user_id`.
+ * @param {function} payload.say The function to send a message.
+ * @param {object} [payload.client] The Slack Web API client, for private replies.
+ */
+const handleMyWatchlistCommand = async ({ command, say, client, ack }) => {
+    if (ack) await ack();
+    const reply = createPrivateReply(command, say, client);
+
+    try {
+        const draftId = await findChannelDraftId(command);
+        if (!draftId) {
+            await reply(ERROR_MESSAGES.NO_DRAFT_REGISTERED);
+            return;
+        }
+
+        const watchlist = await getWatchlist(draftId, command.user_id);
+        if (watchlist.length === 0) {
+            await reply('Your watchlist is empty. Add players with `watch [player name]`.');
+            return;
+        }
+
+        const [players, picks] = await Promise.all([
+            getPlayersFromCacheOrFetch(watchlist),
+            getDraftPicks(draftId)
+        ]);
+        const takenIds = new Set((picks || []).map(pick => pick.player_id));
+
+        const lines = watchlist.map(playerId => {
+            const player = players[playerId] || { full_name: `Player ${playerId}`, position: '?' };
+            return takenIds.has(playerId)
+                ? `• ~${player.full_name}~ _drafted_`
+                : `• ${formatWatchedPlayer(player)}`;
+        });
+        await reply(`:eyes: *Your watchlist for draft \`${draftId}\`:*\n${lines.join('\n')}`);
+    } catch (error) {
+        await handleCommandError('my watchlist', error, reply);
+    }
+};
+
+module.exports = {
+    handleWatchCommand,
+    handleUnwatchCommand,
+    handleMyWatchlistCommand
+};
@@ -1,5 +1,6 @@
 const { App } = require('@slack/bolt');
 const { checkDraftForUpdates } = require('./services/draftMonitor.js');
+const { updateLiveScoreboards } = require('./services/scoreboard.js');
 const logger = require('./shared/logger.js');
 
 // Initialize the app for sending messages
@@ -10,7 +11,8 @@ const app = new App({
 
 /**
  * AWS Lambda handler for draft monitoring
- * This function is triggered by EventBridge (CloudWatch Events) on a schedule
+ * This function is triggered by EventBridge (CloudWatch Events) on a schedule.
+ * Live league scoreboards ride along, since they need the same once-a-minute cadence.
  */
 exports.handler = async (event, context) => {
   if (process.env.NODE_ENV === 'development') {
@@ -20,6 +22,13 @@ exports.handler = async (event, context) => {
   try {
     // Check for draft updates
     await checkDraftForUpdates(app);
+
+    // A scoreboard that can't update shouldn't fail the draft checks
+    try {
+      await updateLiveScoreboards(app);
+    } catch (error) {
+      logger.error('Live scoreboard update failed', { error });
+    }
     
     return {
       statusCode: 200,
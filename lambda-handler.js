@@ -2,6 +2,7 @@ const { App, AwsLambdaReceiver } = require('@slack/bolt');
 const { handleAppMention, handleDirectMessage } = require('./shared/commandPatterns.js');
 const { handleRegisterPlayerCommand } = require('./handlers/registerPlayer.js');
 const { handleRegisterDraftCommand } = require('./handlers/registerDraft.js');
+const { handleDraftDashboardAction } = require('./handlers/listDrafts.js');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
 
@@ -99,6 +100,9 @@ app.action('open_register_draft_modal', async ({ ack, body, client, logger }) =>
   }
 });
 
+// Handle the buttons on the `list drafts` dashboard
+app.action(/^draft_dashboard_/, handleDraftDashboardAction);
+
 // Handle submission of the register player modal
 app.view('register_player_modal', async ({ ack, body, view, client, logger }) => {
   try {
@@ -0,0 +1,53 @@
+const { App } = require('@slack/bolt');
+const { checkLeagueDrafts } = require('./services/leagueDrafts.js');
+const { checkPickTrades } = require('./services/pickLedger.js');
+const { checkLeagueTransactions } = require('./services/transactionMonitor.js');
+const logger = require('./shared/logger.js');
+
+// Initialize the app for sending messages
+const app = new App({
+  token: process.env.SLACK_BOT_TOKEN,
+  signingSecret: process.env.SLACK_SIGNING_SECRET,
+});
+
+/**
+ * AWS Lambda handler for league monitoring
+ * Triggered hourly by EventBridge: registers new drafts for leagues registered
+ * `with drafts`, follows them when they roll over to a new season, and posts
+ * trades, waiver claims, free agent moves and future draft picks that changed hands
+ */
+exports.handler = async (event, context) => {
+  if (process.env.NODE_ENV === 'development') {
+    console.log('League monitor Lambda triggered:', JSON.stringify(event, null, 2));
+  }
+
+  try {
+    const { rolledOver, draftsRegistered } = await checkLeagueDrafts(app);
+    // Transactions go first, so picks already shown on a trade card aren't posted twice
+    const transactions = await checkLeagueTransactions(app);
+    const pickTrades = await checkPickTrades(app, transactions);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: 'League monitoring completed successfully',
+        rolledOver,
+        draftsRegistered,
+        transactions: transactions.length,
+        pickTrades,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    logger.error('League monitoring failed', { error });
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: 'League monitoring failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -1,5 +1,7 @@
 const { getAllChannelsWithLeagues } = require('./services/datastore.js');
 const { analyzeLeagueRosters, formatAnalysisMessage } = require('./services/rosterAnalyzer.js');
+const { getRecapWeek, loadWeeklyRecap, formatRecapMessage } = require('./services/weeklyRecap.js');
+const { getNflState } = require('./services/sleeper.js');
 const { WebClient } = require('@slack/web-api');
 
 // Initialize Slack client
@@ -7,9 +9,14 @@ const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
 
 /**
  * Lambda handler for scheduled roster checking
- * Automatically runs roster analysis on all registered leagues
+ * Automatically runs roster analysis on all registered leagues.
+ * The Tuesday schedule passes `{ "job": "recap" }` to post the weekly recap instead.
  */
 exports.handler = async (event) => {
+    if (event?.job === 'recap') {
+        return runWeeklyRecap();
+    }
+
     console.log('Starting scheduled roster check...', JSON.stringify(event, null, 2));
     
     try {
@@ -52,6 +59,66 @@ exports.handler = async (event) => {
     }
 };
 
+/**
+ * Posts last week's recap to every channel with registered leagues
+ */
+async function runWeeklyRecap() {
+    console.log('Starting weekly recap...');
+
+    try {
+        const channelsWithLeagues = await getAllChannelsWithLeagues();
+        if (channelsWithLeagues.length === 0) {
+            console.log('No channels with registered leagues found');
+            return {
+                statusCode: 200,
+                body: JSON.stringify({ message: 'No channels with leagues to recap' })
+            };
+        }
+
+        const week = await getRecapWeek(await getNflState());
+        if (week < 1) {
+            console.log('No completed NFL week to recap');
+            return {
+                statusCode: 200,
+                body: JSON.stringify({ message: 'No completed week to recap' })
+            };
+        }
+
+        for (const { channelId, leagues } of channelsWithLeagues) {
+            for (const league of leagues) {
+                try {
+                    const recap = await loadWeeklyRecap(league.leagueId, week);
+                    if (!recap) {
+                        console.log(`No week ${week} games to recap for league ${league.leagueId}`);
+                        continue;
+                    }
+                    await slack.chat.postMessage({
+                        channel: channelId,
+                        ...formatRecapMessage(recap)
+                    });
+                } catch (error) {
+                    // Continue with other leagues even if one fails
+                    console.error(`Error posting week ${week} recap for league ${league.leagueId}:`, error);
+                }
+            }
+        }
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: `Week ${week} recap completed for ${channelsWithLeagues.length} channels`
+            })
+        };
+
+    } catch (error) {
+        console.error('Error in weekly recap:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: error.message })
+        };
+    }
+}
+
 /**
  * Process roster analysis for a specific channel
  */
@@ -0,0 +1,146 @@
+const { getDraft, getDraftPicks } = require('./sleeper.js');
+const { getAdp, saveAdp, getMockDrafts, deleteMockDraft } = require('./datastore.js');
+const { isAuctionDraft } = require('../shared/auctionDraft.js');
+const { isRookieDraft } = require('../shared/draftOrder.js');
+const logger = require('../shared/logger.js');
+
+const ADP_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+
+// How many times to rebuild the table when another draft saved it first
+const ADP_SAVE_ATTEMPTS = 3;
+
+// Mock drafts that are abandoned never complete, so stop polling them after this long
+const MOCK_DRAFT_MAX_AGE_DAYS = 14;
+
+/**
+ * Adds a completed draft's picks to an ADP table.
+ * Keepers are skipped, since their slot reflects the keeper rules rather than demand.
+ * @param {object|null} adp The existing table (`{ draftIds, players }`), or null to start one.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The draft's picks.
+ * @returns {object} The updated table. Each player is `{ name, position, team, count, total, min, max }`.
+ */
+function addDraftToAdp(adp, draft, picks) {
+    const players = { ...(adp?.players || {}) };
+    for (const pick of picks) {
+        if (!pick.player_id || pick.is_keeper) {
+            continue;
+        }
+        const { first_name: firstName = '', last_name: lastName = '', position = 'N/A', team = null } = pick.metadata || {};
+        const existing = players[pick.player_id];
+        players[pick.player_id] = {
+            name: `${firstName} ${lastName}`.trim(),
+            position,
+            team,
+            count: (existing?.count || 0) + 1,
+            total: (existing?.total || 0) + pick.pick_no,
+            min: Math.min(existing?.min ?? Infinity, pick.pick_no),
+            max: Math.max(existing?.max ?? -Infinity, pick.pick_no)
+        };
+    }
+    return { draftIds: [...(adp?.draftIds || []), draft.draft_id], players };
+}
+
+/**
+ * Records a completed draft in its season's ADP table.
+ * Auctions (their pick order is nomination order) and rookie drafts (their picks would
+ * sit at the top of the table next to veterans) are left out, and each draft is only
+ * counted once. If another draft saves the table first, it is read and rebuilt again.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The draft's picks.
+ * @returns {Promise<{recorded: boolean, season: string, draftCount?: number}>} Whether the draft was added.
+ * @throws {Error} if the table kept changing on every attempt.
+ */
+async function recordDraftAdp(draft, picks) {
+    const season = String(draft.season);
+    if (isAuctionDraft(draft) || isRookieDraft(draft) || !draft.season) {
+        return { recorded: false, season };
+    }
+
+    for (let attempt = 1; attempt <= ADP_SAVE_ATTEMPTS; attempt++) {
+        const adp = await getAdp(season);
+        if (adp?.draftIds.includes(draft.draft_id)) {
+            return { recorded: false, season };
+        }
+
+        const updated = addDraftToAdp(adp, draft, picks);
+        if (await saveAdp(season, { ...updated, version: adp?.version || 0 })) {
+            return { recorded: true, season, draftCount: updated.draftIds.length };
+        }
+    }
+    throw new Error(`The ${season} ADP table kept changing, so draft ${draft.draft_id} was not recorded`);
+}
+
+/**
+ * Polls the registered mock drafts and folds each completed one into the ADP table,
+ * then drops its registration. Drafts are handled one at a time because they all
+ * read and rewrite the same season's table. Mocks still unfinished after
+ * `MOCK_DRAFT_MAX_AGE_DAYS` are dropped without being recorded.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {Date} [now] The current time, used to expire old mocks.
+ * @returns {Promise<number>} How many mock drafts were added.
+ */
+async function recordCompletedMockDrafts(app, now = new Date()) {
+    const mockDrafts = await getMockDrafts();
+    const expiresBefore = now.getTime() - MOCK_DRAFT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    let added = 0;
+    for (const { draftId, slackChannelId, registeredAt } of mockDrafts) {
+        try {
+            const draft = await getDraft(draftId);
+            if (draft?.status !== 'complete') {
+                if (registeredAt && Date.parse(registeredAt) < expiresBefore) {
+                    await deleteMockDraft(draftId);
+                    if (slackChannelId) {
+                        const draftName = draft?.metadata?.name || `Draft ${draftId}`;
+                        await app.client.chat.postMessage({
+                            channel: slackChannelId,
+                            text: `:hourglass: Mock draft *${draftName}* still hasn't finished after ${MOCK_DRAFT_MAX_AGE_DAYS} days, so I've stopped watching it for ADP.`
+                        });
+                    }
+                }
+                continue;
+            }
+
+            const picks = await getDraftPicks(draftId) || [];
+            const { recorded, season, draftCount } = await recordDraftAdp(draft, picks);
+            await deleteMockDraft(draftId);
+            if (!recorded) {
+                continue;
+            }
+            added++;
+
+            if (slackChannelId) {
+                const draftName = draft.metadata?.name || `Draft ${draftId}`;
+                await app.client.chat.postMessage({
+                    channel: slackChannelId,
+                    text: `:bar_chart: Mock draft *${draftName}* is complete. Its picks are now in the ${season} ADP, built from ${draftCount} draft${draftCount === 1 ? '' : 's'}.`
+                });
+            }
+        } catch (error) {
+            logger.warn('ADP: could not record mock draft', { draftId, error });
+        }
+    }
+    return added;
+}
+
+/**
+ * Ranks the players in an ADP table by average pick.
+ * @param {object} adp The ADP table.
+ * @param {string} [position] Only include this position, e.g. 'RB'.
+ * @returns {object[]} Players with `playerId` and `average`, earliest first.
+ */
+function rankAdp(adp, position = null) {
+    return Object.entries(adp?.players || {})
+        .filter(([, player]) => !position || player.position === position)
+        .map(([playerId, player]) => ({ playerId, ...player, average: player.total / player.count }))
+        .sort((a, b) => a.average - b.average || b.count - a.count);
+}
+
+module.exports = {
+    ADP_POSITIONS,
+    MOCK_DRAFT_MAX_AGE_DAYS,
+    addDraftToAdp,
+    recordDraftAdp,
+    recordCompletedMockDrafts,
+    rankAdp
+};
@@ -1,5 +1,5 @@
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, ScanCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, ScanCommand, DeleteCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 
 // Initialize DynamoDB client
 const client = new DynamoDBClient({
@@ -9,6 +9,26 @@ const docClient = DynamoDBDocumentClient.from(client);
 
 const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME || 'UKFFBot';
 
+/**
+ * Maps a DRAFT item to the snake_case shape used throughout the app (as in the original JSON file).
+ * @param {object} item The DynamoDB DRAFT item.
+ * @returns {object} The draft data.
+ */
+function mapDraftItem(item) {
+    return {
+        slack_channel_id: item.slackChannelId,
+        last_known_pick_count: item.lastKnownPickCount,
+        last_pick: item.lastPick,
+        reminder_state: item.reminderState,
+        last_seen_status: item.lastSeenStatus,
+        countdowns_sent: item.countdownsSent,
+        autopick_counts: item.autopickCounts,
+        settings: item.settings,
+        thread_ts: item.threadTs,
+        board_ts: item.boardTs
+    };
+}
+
 /**
  * Reads and returns all data in the same format as the original JSON file.
  * @returns {Promise<object>} The data object with player_map and drafts.
@@ -38,10 +58,7 @@ async function getData() {
             } else if (item.PK === 'DRAFT' && item.SK.startsWith('DRAFT#')) {
                 // Extract draft ID from SK
                 const draftId = item.SK.replace('DRAFT#', '');
-                data.drafts[draftId] = {
-                    slack_channel_id: item.slackChannelId,
-                    last_known_pick_count: item.lastKnownPickCount
-                };
+                data.drafts[draftId] = mapDraftItem(item);
             }
         });
         
@@ -173,10 +190,7 @@ async function getDraft(draftId) {
         
         const response = await docClient.send(command);
         if (response.Item) {
-            return {
-                slack_channel_id: response.Item.slackChannelId,
-                last_known_pick_count: response.Item.lastKnownPickCount
-            };
+            return mapDraftItem(response.Item);
         }
         return null;
     } catch (error) {
@@ -190,13 +204,15 @@ async function getDraft(draftId) {
  * @param {string} draftId The draft ID.
  * @param {string} slackChannelId The slack channel ID.
  * @param {number} lastKnownPickCount The last known pick count.
+ * @param {object} [attributes] Extra draft state to store, e.g. `{ lastSeenStatus }`.
  * @returns {Promise<void>}
  */
-async function saveDraft(draftId, slackChannelId, lastKnownPickCount = 0) {
+async function saveDraft(draftId, slackChannelId, lastKnownPickCount = 0, attributes = {}) {
     try {
         const command = new PutCommand({
             TableName: TABLE_NAME,
             Item: {
+                ...attributes,
                 PK: 'DRAFT',
                 SK: `DRAFT#${draftId}`,
                 draftId: draftId,
@@ -212,6 +228,64 @@ async function saveDraft(draftId, slackChannelId, lastKnownPickCount = 0) {
     }
 }
 
+/**
+ * Removes a draft registration.
+ * @param {string} draftId The draft ID.
+ * @returns {Promise<void>}
+ * @throws {Error} if the draft cannot be deleted.
+ */
+async function deleteDraft(draftId) {
+    try {
+        const command = new DeleteCommand({
+            TableName: TABLE_NAME,
+            Key: { PK: 'DRAFT', SK: `DRAFT#${draftId}` }
+        });
+        await docClient.send(command);
+    } catch (error) {
+        console.error("Error deleting draft from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Updates individual attributes on a registered draft, leaving the rest of the item intact.
+ * Used by the draft monitor to persist per-draft state (pick count, reminders, ...)
+ * without clobbering fields written elsewhere. Drafts that were unregistered in the
+ * meantime are left deleted rather than recreated.
+ * @param {string} draftId The draft ID.
+ * @param {object} updates Attribute names (as stored in DynamoDB) mapped to their new values.
+ * @returns {Promise<void>}
+ */
+async function updateDraft(draftId, updates) {
+    const entries = Object.entries(updates);
+    if (entries.length === 0) {
+        return;
+    }
+
+    try {
+        const command = new UpdateCommand({
+            TableName: TABLE_NAME,
+            Key: {
+                PK: 'DRAFT',
+                SK: `DRAFT#${draftId}`
+            },
+            UpdateExpression: `SET ${entries.map((_, i) => `#f${i} = :v${i}`).join(', ')}`,
+            ExpressionAttributeNames: Object.fromEntries(entries.map(([name], i) => [`#f${i}`, name])),
+            ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], i) => [`:v${i}`, value])),
+            ConditionExpression: 'attribute_exists(PK)'
+        });
+
+        await docClient.send(command);
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            console.warn(`Draft ${draftId} is no longer registered, skipping update`);
+            return;
+        }
+        console.error("Error updating draft in DynamoDB:", error);
+        throw error;
+    }
+}
+
 /**
  * Gets all drafts for a specific slack channel.
  * @param {string} slackChannelId The slack channel ID.
@@ -235,8 +309,7 @@ async function getDraftsByChannel(slackChannelId) {
         const response = await docClient.send(command);
         return response.Items.map(item => ({
             draftId: item.draftId,
-            slack_channel_id: item.slackChannelId,
-            last_known_pick_count: item.lastKnownPickCount
+            ...mapDraftItem(item)
         }));
     } catch (error) {
         // If GSI doesn't exist, fall back to scan (less efficient)
@@ -264,8 +337,7 @@ async function getDraftsByChannelScan(slackChannelId) {
         const response = await docClient.send(command);
         return response.Items.map(item => ({
             draftId: item.draftId,
-            slack_channel_id: item.slackChannelId,
-            last_known_pick_count: item.lastKnownPickCount
+            ...mapDraftItem(item)
         }));
     } catch (error) {
         console.error("Error getting drafts by channel from DynamoDB:", error);
@@ -337,10 +409,13 @@ async function getAllPlayers() {
  * @param {string} leagueId The Sleeper league ID.
  * @param {string} channelId The Slack channel ID.
  * @param {object} leagueData Additional league data from Sleeper API.
+ * @param {object} [options]
+ * @param {boolean} [options.autoDrafts] Register the league's drafts to the channel
+ *   automatically, including the new season's draft once the league rolls over.
  * @returns {Promise<void>}
  * @throws {Error} if the league cannot be saved.
  */
-async function saveLeague(leagueId, channelId, leagueData) {
+async function saveLeague(leagueId, channelId, leagueData, options = {}) {
     try {
         const putCommand = new PutCommand({
             TableName: TABLE_NAME,
@@ -354,6 +429,7 @@ async function saveLeague(leagueId, channelId, leagueData) {
                 sport: leagueData.sport,
                 totalRosters: leagueData.total_rosters,
                 status: leagueData.status,
+                ...(options.autoDrafts && { autoDrafts: true }),
                 registeredAt: new Date().toISOString()
             }
         });
@@ -365,6 +441,567 @@ async function saveLeague(leagueId, channelId, leagueData) {
     }
 }
 
+/**
+ * Remembers drafts a league has already had registered, so the league monitor only
+ * registers drafts it has never seen and leaves alone any a channel unregistered.
+ * The IDs are added to the `seenDraftIds` set on the LEAGUE item.
+ * @param {string} leagueId The Sleeper league ID.
+ * @param {string[]} draftIds The draft IDs to add.
+ * @returns {Promise<void>}
+ * @throws {Error} if the league cannot be updated.
+ */
+async function addSeenLeagueDrafts(leagueId, draftIds) {
+    if (draftIds.length === 0) {
+        return;
+    }
+
+    try {
+        const command = new UpdateCommand({
+            TableName: TABLE_NAME,
+            Key: { PK: 'LEAGUE', SK: `LEAGUE#${leagueId}` },
+            UpdateExpression: 'ADD seenDraftIds :draftIds',
+            ExpressionAttributeValues: { ':draftIds': new Set(draftIds) },
+            ConditionExpression: 'attribute_exists(PK)'
+        });
+        await docClient.send(command);
+    } catch (error) {
+        // Drafts registered by league ID without the league itself have nowhere to be remembered
+        if (error.name === 'ConditionalCheckFailedException') {
+            return;
+        }
+        console.error("Error saving seen league drafts to DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Removes a league registration, e.g. once it has rolled over to a new season's league.
+ * @param {string} leagueId The Sleeper league ID.
+ * @returns {Promise<void>}
+ * @throws {Error} if the league cannot be deleted.
+ */
+async function deleteLeague(leagueId) {
+    try {
+        const command = new DeleteCommand({
+            TableName: TABLE_NAME,
+            Key: { PK: 'LEAGUE', SK: `LEAGUE#${leagueId}` }
+        });
+        await docClient.send(command);
+    } catch (error) {
+        console.error("Error deleting league from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Registers a mock draft to a channel. Mock drafts are kept apart from DRAFT items:
+ * they never post picks and are only polled until complete, to feed the ADP table.
+ * @param {string} draftId The Sleeper draft ID.
+ * @param {string} slackChannelId The channel that registered the mock.
+ * @returns {Promise<void>}
+ * @throws {Error} if the mock draft cannot be saved.
+ */
+async function saveMockDraft(draftId, slackChannelId) {
+    try {
+        const command = new PutCommand({
+            TableName: TABLE_NAME,
+            Item: {
+                PK: 'MOCK_DRAFT',
+                SK: `DRAFT#${draftId}`,
+                draftId: draftId,
+                slackChannelId: slackChannelId,
+                registeredAt: new Date().toISOString()
+            }
+        });
+        await docClient.send(command);
+    } catch (error) {
+        console.error("Error saving mock draft to DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Gets every registered mock draft that hasn't been added to the ADP table yet.
+ * @returns {Promise<object[]>} `{ draftId, slackChannelId, registeredAt }` for each mock draft.
+ * @throws {Error} if the mock drafts cannot be retrieved.
+ */
+async function getMockDrafts() {
+    try {
+        const command = new QueryCommand({
+            TableName: TABLE_NAME,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: {
+                ':pk': 'MOCK_DRAFT'
+            }
+        });
+
+        const response = await docClient.send(command);
+        return (response.Items || []).map(item => ({
+            draftId: item.draftId,
+            slackChannelId: item.slackChannelId,
+            registeredAt: item.registeredAt
+        }));
+    } catch (error) {
+        console.error("Error getting mock drafts from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Removes a mock draft registration.
+ * @param {string} draftId The Sleeper draft ID.
+ * @returns {Promise<void>}
+ * @throws {Error} if the mock draft cannot be deleted.
+ */
+async function deleteMockDraft(draftId) {
+    try {
+        const command = new DeleteCommand({
+            TableName: TABLE_NAME,
+            Key: {
+                PK: 'MOCK_DRAFT',
+                SK: `DRAFT#${draftId}`
+            }
+        });
+        await docClient.send(command);
+    } catch (error) {
+        console.error("Error deleting mock draft from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Gets the aggregated ADP table for a season.
+ * @param {string|number} season The season, e.g. 2026.
+ * @returns {Promise<object|null>} `{ season, draftIds, players, version }`, or null if no drafts have been recorded.
+ *   Pass `version` back to saveAdp unchanged.
+ * @throws {Error} if the ADP table cannot be retrieved.
+ */
+async function getAdp(season) {
+    try {
+        const command = new GetCommand({
+            TableName: TABLE_NAME,
+            Key: {
+                PK: 'ADP',
+                SK: `SEASON#${season}`
+            }
+        });
+
+        const response = await docClient.send(command);
+        if (!response.Item) {
+            return null;
+        }
+        const { draftIds = [], players = {}, version = 0 } = response.Item;
+        return { season: String(season), draftIds, players, version };
+    } catch (error) {
+        console.error("Error getting ADP from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Saves the aggregated ADP table for a season, unless it changed since it was read.
+ * Every completed draft in a season rewrites the same item, so the save only goes
+ * through if the stored `version` is still the one the table was built from.
+ * @param {string|number} season The season, e.g. 2026.
+ * @param {object} adp `{ draftIds, players, version }`, where `version` is the one getAdp
+ *   returned (0 for a new table).
+ * @returns {Promise<boolean>} False if another save got there first.
+ * @throws {Error} if the ADP table cannot be saved.
+ */
+async function saveAdp(season, adp) {
+    const version = adp.version || 0;
+    try {
+        const command = new PutCommand({
+            TableName: TABLE_NAME,
+            Item: {
+                PK: 'ADP',
+                SK: `SEASON#${season}`,
+                season: String(season),
+                draftIds: adp.draftIds,
+                players: adp.players,
+                version: version + 1,
+                updatedAt: new Date().toISOString()
+            },
+            ...(version === 0
+                ? { ConditionExpression: 'attribute_not_exists(version)' }
+                : { ConditionExpression: 'version = :version', ExpressionAttributeValues: { ':version': version } })
+        });
+        await docClient.send(command);
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        console.error("Error saving ADP to DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Gets the player rankings imported for a season, used to grade completed drafts.
+ * @param {string|number} season The season, e.g. 2026.
+ * @returns {Promise<object|null>} `{ season, players, importedAt }` where `players` maps
+ *   player_id -> rank, or null if no rankings have been imported.
+ * @throws {Error} if the rankings cannot be retrieved.
+ */
+async function getRankings(season) {
+    try {
+        const command = new GetCommand({
+            TableName: TABLE_NAME,
+            Key: {
+                PK: 'RANKINGS',
+                SK: `SEASON#${season}`
+            }
+        });
+
+        const response = await docClient.send(command);
+        if (!response.Item) {
+            return null;
+        }
+        const { players = {}, importedAt = null } = response.Item;
+        return { season: String(season), players, importedAt };
+    } catch (error) {
+        console.error("Error getting rankings from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Saves a season's imported player rankings, replacing any imported before.
+ * @param {string|number} season The season, e.g. 2026.
+ * @param {object} players Player_id -> rank.
+ * @returns {Promise<void>}
+ * @throws {Error} if the rankings cannot be saved.
+ */
+async function saveRankings(season, players) {
+    try {
+        const command = new PutCommand({
+            TableName: TABLE_NAME,
+            Item: {
+                PK: 'RANKINGS',
+                SK: `SEASON#${season}`,
+                season: String(season),
+                players,
+                importedAt: new Date().toISOString()
+            }
+        });
+        await docClient.send(command);
+    } catch (error) {
+        console.error("Error saving rankings to DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Saves the result of a draft order lottery so it can be audited later. Every run is
+ * kept, keyed by the league (or draft, when there is no league) and the time it ran.
+ * @param {object} lottery The lottery: `{ leagueId, draftId, season, drawNumber, seed, weighted, order, channelId, runBy }`.
+ * @returns {Promise<string>} The lottery's sort key.
+ * @throws {Error} if the lottery cannot be saved.
+ */
+async function saveLottery(lottery) {
+    const createdAt = new Date().toISOString();
+    const sortKey = `${lottery.leagueId ? `LEAGUE#${lottery.leagueId}` : `DRAFT#${lottery.draftId}`}#${createdAt}`;
+    try {
+        const command = new PutCommand({
+            TableName: TABLE_NAME,
+            Item: {
+                PK: 'LOTTERY',
+                SK: sortKey,
+                ...lottery,
+                createdAt
+            }
+        });
+        await docClient.send(command);
+        return sortKey;
+    } catch (error) {
+        console.error("Error saving lottery to DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Gets every lottery run for a league (or draft, when there is no league), oldest first.
+ * @param {object} target `{ leagueId, draftId }`, as passed to saveLottery.
+ * @returns {Promise<object[]>} The saved lotteries.
+ * @throws {Error} if the lotteries cannot be retrieved.
+ */
+async function getLotteries({ leagueId, draftId }) {
+    try {
+        const command = new QueryCommand({
+            TableName: TABLE_NAME,
+            KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
+            ExpressionAttributeValues: {
+                ':pk': 'LOTTERY',
+                ':prefix': `${leagueId ? `LEAGUE#${leagueId}` : `DRAFT#${draftId}`}#`
+            }
+        });
+
+        const response = await docClient.send(command);
+        return response.Items || [];
+    } catch (error) {
+        console.error("Error getting lotteries from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Gets the pick owners recorded the last time a league's traded picks were checked.
+ * @param {string} leagueId The Sleeper league ID.
+ * @returns {Promise<object|null>} Pick key (`season:round:rosterId`) -> owning roster ID,
+ *   or null if the league hasn't been checked yet.
+ * @throws {Error} if the snapshot cannot be retrieved.
+ */
+async function getPickOwners(leagueId) {
+    try {
+        const command = new GetCommand({
+            TableName: TABLE_NAME,
+            Key: { PK: 'PICK_LEDGER', SK: `LEAGUE#${leagueId}` }
+        });
+        const response = await docClient.send(command);
+        return response.Item ? response.Item.owners : null;
+    } catch (error) {
+        console.error("Error getting pick owners from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Records who owns each of a league's future picks, to spot trades on the next check.
+ * @param {string} leagueId The Sleeper league ID.
+ * @param {object} owners Pick key (`season:round:rosterId`) -> owning roster ID.
+ * @returns {Promise<void>}
+ * @throws {Error} if the snapshot cannot be saved.
+ */
+async function savePickOwners(leagueId, owners) {
+    try {
+        const command = new PutCommand({
+            TableName: TABLE_NAME,
+            Item: {
+                PK: 'PICK_LEDGER',
+                SK: `LEAGUE#${leagueId}`,
+                leagueId,
+                owners,
+                updatedAt: new Date().toISOString()
+            }
+        });
+        await docClient.send(command);
+    } catch (error) {
+        console.error("Error saving pick owners to DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Gets how far a league's transaction feed has got.
+ * @param {string} leagueId The Sleeper league ID.
+ * @returns {Promise<number|null>} The `status_updated` time (ms) of the newest transaction posted, or null if the league hasn't been checked.
+ * @throws {Error} if the mark cannot be retrieved.
+ */
+async function getTransactionMark(leagueId) {
+    try {
+        const command = new GetCommand({
+            TableName: TABLE_NAME,
+            Key: { PK: 'TRANSACTION_FEED', SK: `LEAGUE#${leagueId}` }
+        });
+        const response = await docClient.send(command);
+        return response.Item ? response.Item.lastUpdated : null;
+    } catch (error) {
+        console.error("Error getting transaction mark from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Records how far a league's transaction feed has got, so each move is only posted once.
+ * @param {string} leagueId The Sleeper league ID.
+ * @param {number} lastUpdated The `status_updated` time (ms) of the newest transaction posted.
+ * @returns {Promise<void>}
+ * @throws {Error} if the mark cannot be saved.
+ */
+async function saveTransactionMark(leagueId, lastUpdated) {
+    try {
+        const command = new PutCommand({
+            TableName: TABLE_NAME,
+            Item: {
+                PK: 'TRANSACTION_FEED',
+                SK: `LEAGUE#${leagueId}`,
+                leagueId,
+                lastUpdated,
+                updatedAt: new Date().toISOString()
+            }
+        });
+        await docClient.send(command);
+    } catch (error) {
+        console.error("Error saving transaction mark to DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Records a live scoreboard message so it can be edited as scores change.
+ * A league has one live scoreboard; a new one replaces it.
+ * @param {object} scoreboard `{ leagueId, channelId, ts, season, week, finalGames }`.
+ * @returns {Promise<void>}
+ * @throws {Error} if the scoreboard cannot be saved.
+ */
+async function saveLiveScoreboard(scoreboard) {
+    try {
+        const command = new PutCommand({
+            TableName: TABLE_NAME,
+            Item: {
+                PK: 'LIVE_SCOREBOARD',
+                SK: `LEAGUE#${scoreboard.leagueId}`,
+                ...scoreboard,
+                updatedAt: new Date().toISOString(),
+                // A week's games are over within a week; expire anything left behind
+                ttl: Math.floor((Date.now() + 7 * 24 * 60 * 60 * 1000) / 1000)
+            }
+        });
+        await docClient.send(command);
+    } catch (error) {
+        console.error("Error saving live scoreboard to DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Gets every live scoreboard still being updated.
+ * @returns {Promise<object[]>} `{ leagueId, channelId, ts, season, week, finalGames }` for each.
+ * @throws {Error} if the scoreboards cannot be retrieved.
+ */
+async function getLiveScoreboards() {
+    try {
+        const command = new QueryCommand({
+            TableName: TABLE_NAME,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: {
+                ':pk': 'LIVE_SCOREBOARD'
+            }
+        });
+        const response = await docClient.send(command);
+        return (response.Items || []).map(item => ({
+            leagueId: item.leagueId,
+            channelId: item.channelId,
+            ts: item.ts,
+            season: item.season,
+            week: item.week,
+            finalGames: item.finalGames || 0
+        }));
+    } catch (error) {
+        console.error("Error getting live scoreboards from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Stops updating a league's live scoreboard.
+ * @param {string} leagueId The Sleeper league ID.
+ * @returns {Promise<void>}
+ * @throws {Error} if the scoreboard cannot be deleted.
+ */
+async function deleteLiveScoreboard(leagueId) {
+    try {
+        const command = new DeleteCommand({
+            TableName: TABLE_NAME,
+            Key: { PK: 'LIVE_SCOREBOARD', SK: `LEAGUE#${leagueId}` }
+        });
+        await docClient.send(command);
+    } catch (error) {
+        console.error("Error deleting live scoreboard from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Gets a Slack user's watchlist for a draft.
+ * @param {string} draftId The Sleeper draft ID.
+ * @param {string} slackUserId The Slack user ID.
+ * @returns {Promise<string[]>} The watched Sleeper player IDs, in the order they were added.
+ * @throws {Error} if the watchlist cannot be retrieved.
+ */
+async function getWatchlist(draftId, slackUserId) {
+    try {
+        const command = new GetCommand({
+            TableName: TABLE_NAME,
+            Key: {
+                PK: 'WATCHLIST',
+                SK: `DRAFT#${draftId}#USER#${slackUserId}`
+            }
+        });
+
+        const response = await docClient.send(command);
+        return response.Item?.playerIds || [];
+    } catch (error) {
+        console.error("Error getting watchlist from DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Saves a Slack user's watchlist for a draft. An empty list removes the item.
+ * @param {string} draftId The Sleeper draft ID.
+ * @param {string} slackUserId The Slack user ID.
+ * @param {string[]} playerIds The watched Sleeper player IDs.
+ * @returns {Promise<void>}
+ * @throws {Error} if the watchlist cannot be saved.
+ */
+async function saveWatchlist(draftId, slackUserId, playerIds) {
+    const key = {
+        PK: 'WATCHLIST',
+        SK: `DRAFT#${draftId}#USER#${slackUserId}`
+    };
+    try {
+        if (playerIds.length === 0) {
+            await docClient.send(new DeleteCommand({ TableName: TABLE_NAME, Key: key }));
+            return;
+        }
+
+        const command = new PutCommand({
+            TableName: TABLE_NAME,
+            Item: {
+                ...key,
+                draftId: draftId,
+                slackUserId: slackUserId,
+                playerIds: playerIds,
+                updatedAt: new Date().toISOString()
+            }
+        });
+        await docClient.send(command);
+    } catch (error) {
+        console.error("Error saving watchlist to DynamoDB:", error);
+        throw error;
+    }
+}
+
+/**
+ * Gets every watchlist for a draft.
+ * @param {string} draftId The Sleeper draft ID.
+ * @returns {Promise<object[]>} `{ slackUserId, playerIds }` for each user watching players in the draft.
+ * @throws {Error} if the watchlists cannot be retrieved.
+ */
+async function getWatchlistsForDraft(draftId) {
+    try {
+        const command = new QueryCommand({
+            TableName: TABLE_NAME,
+            KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
+            ExpressionAttributeValues: {
+                ':pk': 'WATCHLIST',
+                ':prefix': `DRAFT#${draftId}#USER#`
+            }
+        });
+
+        const response = await docClient.send(command);
+        return (response.Items || []).map(item => ({
+            slackUserId: item.slackUserId,
+            playerIds: item.playerIds || []
+        }));
+    } catch (error) {
+        console.error("Error getting watchlists for draft from DynamoDB:", error);
+        throw error;
+    }
+}
+
 /**
  * Get a league by league ID from DynamoDB.
  * @param {string} leagueId The Sleeper league ID.
@@ -772,10 +1409,33 @@ module.exports = {
     savePlayer,
     getDraft,
     saveDraft,
+    deleteDraft,
+    updateDraft,
     getDraftsByChannel,
+    getPickOwners,
+    savePickOwners,
+    getTransactionMark,
+    saveTransactionMark,
+    saveLiveScoreboard,
+    getLiveScoreboards,
+    deleteLiveScoreboard,
+    getWatchlist,
+    saveWatchlist,
+    getWatchlistsForDraft,
+    saveMockDraft,
+    getMockDrafts,
+    deleteMockDraft,
+    getAdp,
+    saveAdp,
+    getRankings,
+    saveRankings,
+    saveLottery,
+    getLotteries,
     updatePlayerSlackName,
     getAllPlayers,
     saveLeague,
+    addSeenLeagueDrafts,
+    deleteLeague,
     getLeague,
     getLeaguesByChannel,
     getAllChannelsWithLeagues,
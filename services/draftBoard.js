@@ -0,0 +1,132 @@
+const { resolvePickerName } = require('../handlers/lastpick.js');
+const { getTotalTeams, getTotalPicks, getUserForSlot } = require('../shared/draftOrder.js');
+const { isAuctionDraft, getPickAmount, getPickSlot } = require('../shared/auctionDraft.js');
+const logger = require('../shared/logger.js');
+
+// Colour-coded positions, matching the usual draft board colours as closely as Slack emoji allow.
+const POSITION_EMOJI = {
+    QB: ':red_circle:',
+    RB: ':large_green_circle:',
+    WR: ':large_blue_circle:',
+    TE: ':large_orange_circle:',
+    K: ':large_purple_circle:',
+    DEF: ':black_circle:'
+};
+const OTHER_POSITION_EMOJI = ':white_circle:';
+const EMPTY_CELL = ':heavy_minus_sign:';
+
+/**
+ * Formats a pick as a compact board cell, e.g. ":large_green_circle: B. Robinson".
+ * @param {object} pick A pick object from the Sleeper API.
+ * @param {boolean} auction Whether to show the winning bid.
+ * @returns {string} The cell text.
+ */
+function formatBoardCell(pick, auction) {
+    const { first_name: firstName = '', last_name: lastName = '', position, team } = pick.metadata || {};
+    const emoji = POSITION_EMOJI[position] || OTHER_POSITION_EMOJI;
+    const name = position === 'DEF'
+        ? `${team || lastName} DEF`
+        : `${firstName ? `${firstName[0]}. ` : ''}${lastName}`.trim();
+    return `${emoji} ${name}${auction ? ` $${getPickAmount(pick)}` : ''}`;
+}
+
+/**
+ * Lays the picks out as a grid of draft slots x rounds. Snake drafts key each cell
+ * by the pick's original slot, so traded picks stay where they sit on the board.
+ * Auctions have no rounds, so each team's row lists its players in the order won.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The picks made so far.
+ * @returns {Map<number, Array<object|undefined>>} Slot -> picks indexed by round - 1.
+ */
+function buildBoardGrid(draft, picks) {
+    const auction = isAuctionDraft(draft);
+    const grid = new Map();
+    for (let slot = 1; slot <= getTotalTeams(draft); slot++) {
+        grid.set(slot, new Array(draft.settings.rounds).fill(undefined));
+    }
+
+    for (const pick of [...picks].sort((a, b) => a.pick_no - b.pick_no)) {
+        const row = grid.get(auction ? getPickSlot(draft, pick) : Number(pick.draft_slot));
+        if (!row) {
+            continue;
+        }
+        const column = auction ? row.findIndex(cell => cell === undefined) : Number(pick.round) - 1;
+        if (column >= 0 && column < row.length) {
+            row[column] = pick;
+        }
+    }
+    return grid;
+}
+
+/**
+ * Builds the draft board message: one row per team with a colour-coded cell per round.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The picks made so far.
+ * @param {object} data The application's configuration data (from datastore).
+ * @returns {Promise<object>} A Slack message payload with `text` and `blocks`.
+ */
+async function buildDraftBoardPayload(draft, picks, data) {
+    const auction = isAuctionDraft(draft);
+    const draftName = draft.metadata?.name || `Draft ${draft.draft_id}`;
+    const totalPicks = getTotalPicks(draft);
+    const grid = buildBoardGrid(draft, picks);
+
+    const rows = [];
+    for (const [slot, cells] of grid) {
+        const userId = getUserForSlot(slot, draft.draft_order);
+        const teamName = userId ? await resolvePickerName(userId, data) : `Slot ${slot}`;
+        const cellText = cells
+            .map((pick, index) => `\`${index + 1}\` ${pick ? formatBoardCell(pick, auction) : EMPTY_CELL}`)
+            .join('  ');
+        rows.push({
+            "type": "section",
+            "text": { "type": "mrkdwn", "text": `*${slot}. ${teamName}*\n${cellText}` }
+        });
+    }
+
+    const legend = Object.entries(POSITION_EMOJI).map(([position, emoji]) => `${emoji} ${position}`).join('  ');
+    return {
+        text: `${draftName} draft board: ${picks.length} of ${totalPicks} picks made.`,
+        blocks: [
+            {
+                "type": "header",
+                "text": { "type": "plain_text", "text": `:clipboard: ${draftName} Draft Board`, "emoji": true }
+            },
+            {
+                "type": "context",
+                "elements": [{ "type": "mrkdwn", "text": `${picks.length} of ${totalPicks} picks made  |  ${legend}` }]
+            },
+            { "type": "divider" },
+            ...rows
+        ]
+    };
+}
+
+/**
+ * Refreshes a channel's draft board message in place.
+ * Failures are logged rather than thrown: a stale board shouldn't stop pick alerts.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {string} channelId The channel the board was posted in.
+ * @param {string} boardTs The board message's `ts`.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The picks made so far.
+ * @param {object} data The application's configuration data (from datastore).
+ */
+async function updateDraftBoard(app, channelId, boardTs, draft, picks, data) {
+    try {
+        await app.client.chat.update({
+            channel: channelId,
+            ts: boardTs,
+            ...await buildDraftBoardPayload(draft, picks, data)
+        });
+    } catch (error) {
+        logger.warn('Draft board: could not update the board', { draftId: draft.draft_id, error });
+    }
+}
+
+module.exports = {
+    POSITION_EMOJI,
+    buildBoardGrid,
+    buildDraftBoardPayload,
+    updateDraftBoard
+};
@@ -0,0 +1,212 @@
+const { getRankings, saveRankings } = require('./datastore.js');
+const { findPlayersByNames } = require('./nflDataCache.js');
+const { buildPickRows, scorePicks, loadRankings } = require('./draftRecap.js');
+const { getDraftName } = require('./draftLifecycle.js');
+const { getTotalTeams } = require('../shared/draftOrder.js');
+const { isAuctionDraft } = require('../shared/auctionDraft.js');
+
+// Letter grades by average picks of value per pick, measured in rounds (picks / teams).
+// A team whose picks went a full round later than their rank on average gets an A+.
+const GRADE_SCALE = [
+    { min: 1, grade: 'A+' },
+    { min: 0.5, grade: 'A' },
+    { min: 0.25, grade: 'A-' },
+    { min: 0.1, grade: 'B+' },
+    { min: -0.1, grade: 'B' },
+    { min: -0.25, grade: 'B-' },
+    { min: -0.5, grade: 'C+' },
+    { min: -0.75, grade: 'C' },
+    { min: -1, grade: 'D' },
+    { min: -Infinity, grade: 'F' }
+];
+
+// Positions recognised in a rankings line, including IDP ones
+const POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF', 'DL', 'LB', 'DB'];
+
+/**
+ * Parses pasted rankings, one player per line. Each line is a player name, optionally
+ * preceded by its rank and followed by its position, separated by commas or tabs:
+ * "1, Bijan Robinson, RB" or just "Bijan Robinson" (ranked by line order).
+ * Code fences and a header row are ignored.
+ * @param {string} text The pasted rankings.
+ * @returns {{rank: number, name: string, position: string|null}[]} One entry per player.
+ */
+function parseRankingsCsv(text) {
+    const entries = [];
+    const lines = String(text || '').replace(/```/g, '\n').split(/\r?\n/);
+    for (const line of lines) {
+        const fields = line.split(/[,\t]/).map(field => field.trim().replace(/^"|"$/g, '')).filter(Boolean);
+        if (fields.length === 0 || fields.some(field => /^(player|name)$/i.test(field))) {
+            continue;
+        }
+        const rank = /^\d+(\.\d+)?$/.test(fields[0]) ? Number(fields.shift()) : entries.length + 1;
+        const position = fields.find(field => POSITIONS.includes(field.toUpperCase())) || null;
+        const name = fields.find(field => field !== position);
+        if (name) {
+            entries.push({ rank, name, position: position && position.toUpperCase() });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Matches pasted rankings to Sleeper players and saves them as the season's ranking
+ * source for draft grades, replacing any rankings imported before.
+ * @param {string} season The season, e.g. "2026".
+ * @param {string} text The pasted rankings (see parseRankingsCsv).
+ * @returns {Promise<{imported: number, unmatched: string[]}>} How many players were saved, and
+ *   the names that couldn't be matched.
+ */
+async function importRankings(season, text) {
+    const entries = parseRankingsCsv(text);
+    if (entries.length === 0) {
+        return { imported: 0, unmatched: [] };
+    }
+
+    const matches = await findPlayersByNames([...new Set(entries.map(entry => entry.name))]);
+    const players = {};
+    const unmatched = [];
+    for (const { rank, name, position } of entries) {
+        const candidates = matches.get(name) || [];
+        const player = candidates.find(candidate => !position || candidate.position === position);
+        if (!player) {
+            unmatched.push(name);
+        } else if (!(player.player_id in players)) {
+            players[player.player_id] = rank;
+        }
+    }
+
+    if (Object.keys(players).length > 0) {
+        await saveRankings(season, players);
+    }
+    return { imported: Object.keys(players).length, unmatched };
+}
+
+/**
+ * Picks the rankings to grade a draft against: the season's imported rankings if there
+ * are any, otherwise Sleeper's search rank from the cached player data.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} rows Pick rows from buildPickRows.
+ * @returns {Promise<{rankings: object, source: string}>} Player_id -> rank, and a label for the source.
+ */
+async function loadGradeRankings(draft, rows) {
+    const imported = draft.season ? await getRankings(draft.season) : null;
+    if (imported && Object.keys(imported.players).length > 0) {
+        return { rankings: imported.players, source: `the imported ${draft.season} rankings` };
+    }
+    return { rankings: await loadRankings(rows), source: "Sleeper's player rankings" };
+}
+
+/**
+ * Grades each team on how much value its picks got against the rankings.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} rows Pick rows from buildPickRows.
+ * @param {object} rankings Player_id -> rank.
+ * @returns {object[]} `{ userId, name, grade, value, graded, bestValue, biggestReach }` per team,
+ *   best first. `value` is the average picks of value per graded pick; `bestValue` and
+ *   `biggestReach` are scored rows (the reach only when a pick went earlier than its rank).
+ */
+function gradeTeams(draft, rows, rankings) {
+    const teams = new Map();
+    for (const row of scorePicks(rows, rankings)) {
+        if (!teams.has(row.user_id)) {
+            teams.set(row.user_id, { userId: row.user_id, name: row.team, picks: [] });
+        }
+        teams.get(row.user_id).picks.push(row);
+    }
+
+    const teamCount = getTotalTeams(draft) || 1;
+    return [...teams.values()]
+        .map(({ picks, ...team }) => {
+            const value = picks.reduce((total, row) => total + row.delta, 0) / picks.length;
+            const byDelta = [...picks].sort((a, b) => b.delta - a.delta || a.pick_no - b.pick_no);
+            const reach = byDelta[byDelta.length - 1];
+            return {
+                ...team,
+                grade: GRADE_SCALE.find(({ min }) => value / teamCount >= min).grade,
+                value,
+                graded: picks.length,
+                bestValue: byDelta[0],
+                biggestReach: reach.delta < 0 ? reach : null
+            };
+        })
+        .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Formats a scored pick, e.g. "Bijan Robinson (RB) at 2.03, ranked to go around pick 8".
+ * @param {object} row A row from scorePicks.
+ * @returns {string} The formatted pick.
+ */
+function formatGradedPick(row) {
+    return `${row.player} (${row.position}) at ${row.pick}, ranked to go around pick ${row.expected}`;
+}
+
+/**
+ * Builds the report card message: every team ranked by grade, with its best value and
+ * biggest reach.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} grades The result of gradeTeams.
+ * @param {string} source Where the rankings came from.
+ * @returns {object} A Slack message payload with `text` and `blocks`.
+ */
+function buildReportCard(draft, grades, source) {
+    const draftName = getDraftName(draft);
+    const teamBlocks = grades.map((team, index) => {
+        const sign = team.value >= 0 ? '+' : '';
+        const lines = [
+            `*${index + 1}. ${team.name}* - *${team.grade}* (${sign}${team.value.toFixed(1)} picks of value per pick)`,
+            `:moneybag: Best value: ${formatGradedPick(team.bestValue)}`,
+            team.biggestReach
+                ? `:fishing_pole_and_fish: Biggest reach: ${formatGradedPick(team.biggestReach)}`
+                : ':fishing_pole_and_fish: Biggest reach: _none_'
+        ];
+        return { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } };
+    });
+
+    return {
+        text: `${draftName} report card: ${grades.map(team => `${team.name} ${team.grade}`).join(', ')}`,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: `:mortar_board: ${draftName} Report Card`, emoji: true } },
+            {
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: `Graded against ${source}: a player taken later than their rank is value, earlier is a reach. Keepers aren't graded.` }]
+            },
+            ...teamBlocks
+        ]
+    };
+}
+
+/**
+ * Grades a completed draft and posts the report card. Auctions aren't graded, since
+ * pick order there is nomination order, and nothing is posted when no pick is ranked.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {string} channelId The channel the draft is registered to.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks Every pick in the draft.
+ * @param {object} data The application's configuration data (from datastore).
+ * @returns {Promise<boolean>} Whether a report card was posted.
+ */
+async function postDraftGrades(app, channelId, draft, picks, data) {
+    if (isAuctionDraft(draft)) {
+        return false;
+    }
+    const rows = await buildPickRows(draft, picks, data);
+    const { rankings, source } = await loadGradeRankings(draft, rows);
+    const grades = gradeTeams(draft, rows, rankings);
+    if (grades.length === 0) {
+        return false;
+    }
+
+    await app.client.chat.postMessage({ channel: channelId, ...buildReportCard(draft, grades, source) });
+    return true;
+}
+
+module.exports = {
+    parseRankingsCsv,
+    importRankings,
+    loadGradeRankings,
+    gradeTeams,
+    buildReportCard,
+    postDraftGrades
+};
@@ -0,0 +1,157 @@
+const { resolvePickerName } = require('../handlers/lastpick.js');
+const { getTotalTeams, getUserForSlot } = require('../shared/draftOrder.js');
+const logger = require('../shared/logger.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Countdowns posted ahead of a scheduled draft, furthest out first.
+const COUNTDOWNS = [
+    { key: '24h', leadMs: 24 * HOUR_MS, label: '24 hours' },
+    { key: '1h', leadMs: HOUR_MS, label: '1 hour' }
+];
+
+/**
+ * Formats a timestamp with Slack's date syntax so every reader sees their own time zone.
+ * @param {number} timestampMs The time in milliseconds.
+ * @returns {string} Slack mrkdwn, e.g. "<!date^1735689600^{date_long_pretty} at {time}|2025-01-01T00:00:00.000Z>".
+ */
+function formatSlackDate(timestampMs) {
+    const seconds = Math.floor(timestampMs / 1000);
+    return `<!date^${seconds}^{date_long_pretty} at {time}|${new Date(timestampMs).toISOString()}>`;
+}
+
+/**
+ * Gets a readable name for a draft.
+ * @param {object} draft The Sleeper draft object.
+ * @returns {string} The draft's name, or its ID.
+ */
+function getDraftName(draft) {
+    return draft.metadata?.name || `Draft ${draft.draft_id}`;
+}
+
+/**
+ * Lists the draft order, mentioning each registered user so they get a heads-up.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} data The application's configuration data (from datastore).
+ * @returns {Promise<string>} One line per slot, or a note that the order isn't set.
+ */
+async function formatDraftOrder(draft, data) {
+    if (!draft.draft_order || Object.keys(draft.draft_order).length === 0) {
+        return '_The draft order has not been set yet._';
+    }
+    const lines = [];
+    for (let slot = 1; slot <= getTotalTeams(draft); slot++) {
+        const userId = getUserForSlot(slot, draft.draft_order);
+        const name = userId ? await resolvePickerName(userId, data, true) : '_Open slot_';
+        lines.push(`${slot}. ${name}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Builds the message for a status change, or null if the change isn't worth announcing.
+ * @param {string} previousStatus The status seen on the last check.
+ * @param {object} draft The Sleeper draft object (with the new status).
+ * @returns {string|null} The announcement text.
+ */
+function buildStatusMessage(previousStatus, draft) {
+    const name = getDraftName(draft);
+    switch (draft.status) {
+        case 'drafting':
+            return previousStatus === 'paused'
+                ? `:arrow_forward: *${name}* has resumed. Picks are back on!`
+                : `:rotating_light: *${name}* is live! Good luck everyone.`;
+        case 'paused':
+            return `:double_vertical_bar: *${name}* has been paused.`;
+        case 'complete':
+            return `:checkered_flag: *${name}* is complete! Thanks for drafting.`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Works out which countdown, if any, is due for a scheduled draft.
+ * Only the closest countdown reached is posted, so registering a draft 30 minutes
+ * out doesn't also fire the 24 hour one.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} [countdownsSent] The persisted `{ start_time, sent }` state.
+ * @param {number} now Current time in ms.
+ * @returns {{countdown: object, sent: string[]}|null} The countdown to post and the new sent list.
+ */
+function getDueCountdown(draft, countdownsSent, now) {
+    const startTime = Number(draft.start_time);
+    if (draft.status !== 'pre_draft' || !startTime || startTime <= now) {
+        return null;
+    }
+
+    const due = COUNTDOWNS.filter(({ leadMs }) => startTime - now <= leadMs);
+    if (due.length === 0) {
+        return null;
+    }
+
+    // A rescheduled draft starts its countdowns over.
+    const alreadySent = countdownsSent?.start_time === startTime ? countdownsSent.sent || [] : [];
+    const countdown = due[due.length - 1];
+    if (alreadySent.includes(countdown.key)) {
+        return null;
+    }
+
+    return { countdown, sent: [...new Set([...alreadySent, ...due.map(({ key }) => key)])] };
+}
+
+/**
+ * Posts lifecycle announcements for a registered draft: countdowns 24 hours and
+ * 1 hour before a scheduled start (the latter with the draft order), and the draft
+ * going live, pausing, resuming and completing.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {object} draftInfo The registered draft from the datastore.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} data The application's configuration data (from datastore).
+ * @param {object} [options]
+ * @param {number} [options.now] Current time in ms (for testing).
+ * @returns {Promise<object>} Draft attributes to persist (`lastSeenStatus`, `countdownsSent`); empty if unchanged.
+ */
+async function postLifecycleAnnouncements(app, draftInfo, draft, data, { now = Date.now() } = {}) {
+    const updates = {};
+    const channel = draftInfo.slack_channel_id;
+    const previousStatus = draftInfo.last_seen_status;
+    // A failed announcement is logged and not retried, so it can't hold up pick alerts.
+    const post = async (text) => {
+        try {
+            await app.client.chat.postMessage({ channel, text });
+        } catch (error) {
+            logger.warn('Draft lifecycle: could not post announcement', { draftId: draft.draft_id, error });
+        }
+    };
+
+    if (draft.status && draft.status !== previousStatus) {
+        // Drafts registered before status tracking existed are recorded without an announcement.
+        const text = previousStatus ? buildStatusMessage(previousStatus, draft) : null;
+        if (text) {
+            await post(text);
+        }
+        updates.lastSeenStatus = draft.status;
+    }
+
+    const due = getDueCountdown(draft, draftInfo.countdowns_sent, now);
+    if (due) {
+        const startTime = Number(draft.start_time);
+        let text = `:calendar: *${getDraftName(draft)}* starts within ${due.countdown.label}: ${formatSlackDate(startTime)}.`;
+        if (due.countdown.key === '1h') {
+            text = `:alarm_clock: *${getDraftName(draft)}* starts within ${due.countdown.label} (${formatSlackDate(startTime)})! Here's the draft order:\n${await formatDraftOrder(draft, data)}`;
+        }
+        await post(text);
+        updates.countdownsSent = { start_time: startTime, sent: due.sent };
+    }
+
+    return updates;
+}
+
+module.exports = {
+    COUNTDOWNS,
+    formatSlackDate,
+    getDraftName,
+    getDueCountdown,
+    postLifecycleAnnouncements
+};
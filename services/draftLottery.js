@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { getLeague, getLeagueRosters, getLeagueUsers } = require('./sleeper.js');
+const { getTeamName } = require('./pickLedger.js');
+const { resolvePickerName } = require('../handlers/lastpick.js');
+
+// The whole reveal has to fit comfortably inside the Slack bot's 30 second Lambda timeout
+const REVEAL_DURATION_MS = 15000;
+const MAX_REVEAL_DELAY_MS = 2000;
+
+/**
+ * Makes a random seed to publish with a lottery.
+ * @returns {string} 16 hex characters.
+ */
+function createSeed() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * The lottery's random number generator: the nth number for a seed is the first four
+ * bytes of SHA-256("seed:n") read as a fraction of 2^32, so anyone with the seed can
+ * repeat the draw.
+ * @param {string} seed The published seed.
+ * @param {number} n Which number to generate, from 0.
+ * @returns {number} A number in [0, 1).
+ */
+function seededRandom(seed, n) {
+    return crypto.createHash('sha256').update(`${seed}:${n}`).digest().readUInt32BE(0) / 2 ** 32;
+}
+
+/**
+ * Draws the draft order. Each draw picks one of the remaining teams with probability
+ * proportional to its weight, walking the teams in the order given.
+ * @param {object[]} entrants Teams with a `weight`, in a fixed order (roster ID).
+ * @param {string} seed The published seed.
+ * @returns {object[]} The entrants in draft order, first pick first.
+ */
+function drawOrder(entrants, seed) {
+    const remaining = [...entrants];
+    const order = [];
+    for (let n = 0; remaining.length > 0; n++) {
+        const total = remaining.reduce((sum, entrant) => sum + entrant.weight, 0);
+        let target = seededRandom(seed, n) * total;
+        let index = remaining.findIndex(entrant => (target -= entrant.weight) < 0);
+        if (index === -1) {
+            // Only reachable through floating point rounding on the last team
+            index = remaining.length - 1;
+        }
+        order.push(remaining.splice(index, 1)[0]);
+    }
+    return order;
+}
+
+/**
+ * Weights teams by last season's standings: the worst team gets one ball per team in
+ * the league, the next worst one fewer, down to one ball for the champion of the
+ * regular season. Roster IDs carry over when a league rolls over, so teams are matched
+ * on those.
+ * @param {object[]} entrants The teams, with `rosterId`.
+ * @param {object[]} previousRosters Last season's rosters.
+ * @returns {object[]} The entrants with `weight` and `record` set, or null if a team has no record.
+ */
+function weightByStandings(entrants, previousRosters) {
+    const previous = new Map((previousRosters || []).map(roster => [roster.roster_id, roster.settings || {}]));
+    if (entrants.some(entrant => !previous.has(entrant.rosterId))) {
+        return null;
+    }
+
+    const points = (settings) => (settings.fpts || 0) + (settings.fpts_decimal || 0) / 100;
+    const worstFirst = [...entrants].sort((a, b) => {
+        const aSettings = previous.get(a.rosterId);
+        const bSettings = previous.get(b.rosterId);
+        return (aSettings.wins || 0) - (bSettings.wins || 0) ||
+            (bSettings.losses || 0) - (aSettings.losses || 0) ||
+            points(aSettings) - points(bSettings);
+    });
+    const weights = new Map(worstFirst.map((entrant, index) => [entrant.rosterId, entrants.length - index]));
+    return entrants.map(entrant => {
+        const settings = previous.get(entrant.rosterId);
+        return {
+            ...entrant,
+            weight: weights.get(entrant.rosterId),
+            record: `${settings.wins || 0}-${settings.losses || 0}${settings.ties ? `-${settings.ties}` : ''}`
+        };
+    });
+}
+
+/**
+ * Loads a league's teams as lottery entrants, in roster order.
+ * @param {string} leagueId The Sleeper league ID.
+ * @returns {Promise<{league: object, entrants: object[]}|null>} The league and its teams, or null if it doesn't exist.
+ */
+async function loadLeagueEntrants(leagueId) {
+    const [league, rosters, users] = await Promise.all([
+        getLeague(leagueId),
+        getLeagueRosters(leagueId),
+        getLeagueUsers(leagueId)
+    ]);
+    if (!league || !rosters) {
+        return null;
+    }
+    const usersById = new Map((users || []).map(user => [user.user_id, user]));
+    const entrants = [...rosters]
+        .sort((a, b) => a.roster_id - b.roster_id)
+        .map(roster => ({
+            rosterId: roster.roster_id,
+            userId: roster.owner_id || null,
+            name: getTeamName(roster, usersById.get(roster.owner_id)),
+            weight: 1
+        }));
+    return { league, entrants };
+}
+
+/**
+ * Loads a draft's teams as lottery entrants, for drafts without a league (e.g. mocks).
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} data The application's configuration data (from datastore).
+ * @returns {Promise<object[]>} The teams in their current slot order.
+ */
+async function loadDraftEntrants(draft, data) {
+    const slots = Object.entries(draft.draft_order || {}).sort(([, a], [, b]) => a - b);
+    const entrants = [];
+    for (const [userId, slot] of slots) {
+        entrants.push({ rosterId: slot, userId, name: await resolvePickerName(userId, data), weight: 1 });
+    }
+    return entrants;
+}
+
+/**
+ * Describes how to check a lottery, for the published message.
+ * @param {string} seed The published seed.
+ * @param {boolean} weighted Whether teams were weighted.
+ * @returns {string} The explanation.
+ */
+function describeVerification(seed, weighted) {
+    return `Seed: \`${seed}\`. To check the draw, take the teams in the order listed; for draw n (from 0), ` +
+        `read the first 4 bytes of SHA-256("${seed}:n") as a fraction of 2^32 and multiply by the remaining ` +
+        `${weighted ? 'balls' : 'teams'}, then count through the remaining teams${weighted ? ' by their balls' : ''} to find the pick.`;
+}
+
+/**
+ * Posts the lottery: the entrants and seed, then each pick from last to first with a
+ * pause between them, then the final order.
+ * @param {function} say The function to send a message.
+ * @param {object} lottery `{ title, entrants, order, seed, weighted }`.
+ * @param {object} [options]
+ * @param {number} [options.delayMs] The pause between picks; defaults to fit the whole reveal in 15 seconds.
+ */
+async function postLotteryReveal(say, lottery, { delayMs } = {}) {
+    const { title, entrants, order, seed, weighted } = lottery;
+    const pause = delayMs ?? Math.min(MAX_REVEAL_DELAY_MS, Math.floor(REVEAL_DURATION_MS / Math.max(order.length, 1)));
+    const sleep = () => (pause > 0 ? new Promise(resolve => setTimeout(resolve, pause)) : Promise.resolve());
+
+    const entrantLines = entrants.map(entrant => (weighted
+        ? `• ${entrant.name} (${entrant.record}): ${entrant.weight} ball${entrant.weight === 1 ? '' : 's'}`
+        : `• ${entrant.name}`));
+    await say({
+        text: `${title}: the lottery is starting`,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: `🎲 ${title}`, emoji: true } },
+            { type: 'section', text: { type: 'mrkdwn', text: `*${weighted ? 'Weighted by last season\'s standings' : 'Every team has an equal chance'}*\n${entrantLines.join('\n')}` } },
+            { type: 'context', elements: [{ type: 'mrkdwn', text: describeVerification(seed, weighted) }] }
+        ]
+    });
+
+    for (let position = order.length; position >= 1; position--) {
+        await sleep();
+        const team = order[position - 1];
+        const drumroll = position === 1 ? ':rotating_light: And the *first overall pick* goes to...' : `:drum_with_drumsticks: Pick *${position}* goes to...`;
+        await say(`${drumroll} *${team.name}*${position === 1 ? '! :tada:' : ''}`);
+    }
+
+    await sleep();
+    const finalOrder = order.map((team, index) => `${index + 1}. ${team.name}`).join('\n');
+    await say(`:trophy: *Final draft order*\n${finalOrder}\n_The commissioner can now set this order in Sleeper. Seed \`${seed}\`._`);
+}
+
+module.exports = {
+    createSeed,
+    seededRandom,
+    drawOrder,
+    weightByStandings,
+    loadLeagueEntrants,
+    loadDraftEntrants,
+    postLotteryReveal
+};
@@ -1,12 +1,34 @@
 const { getDraftPicks, getDraft } = require('./sleeper.js');
-const { generatePickMessagePayload } = require('../handlers/lastpick.js');
-const { getData, saveDraft } = require('./datastore.js');
+const { generatePickMessagePayload, generateBatchPickMessagePayload, loadTradedPicks, loadRosterPositions } = require('../handlers/lastpick.js');
+const { getData, updateDraft, getWatchlistsForDraft } = require('./datastore.js');
+const { sendPickTimerReminders, sendOnTheClockDm } = require('./pickTimer.js');
+const { postDraftRecap } = require('./draftRecap.js');
+const { postDraftGrades } = require('./draftGrades.js');
+const { postLifecycleAnnouncements } = require('./draftLifecycle.js');
+const { startDraftThread, updateDraftThread } = require('./draftThread.js');
+const { updateDraftBoard } = require('./draftBoard.js');
+const { notifyWatchers } = require('./watchlist.js');
+const { recordDraftAdp, recordCompletedMockDrafts } = require('./adp.js');
+const { findRevertedPicks, postRevertNotice, getLastPickState } = require('./pickCounter.js');
+const { getPlayersFromCacheOrFetch } = require('./nflDataCache.js');
+const { getDraftSetting, shouldPostPickAlert } = require('../shared/draftSettings.js');
+const { getTotalPicks, getPickType, getMadePickOwner, isRookieDraft } = require('../shared/draftOrder.js');
 const logger = require('../shared/logger.js');
 
 
 /**
  * Checks the registered draft for new picks.
  * If a new pick is found, it posts an update to the registered Slack channel.
+ * It also DMs whoever is on the clock as their pick timer runs down, posts
+ * a recap and a report card grading each team once the final pick is in, and announces
+ * countdowns and status changes.
+ * Drafts with the `threaded` setting get their picks as replies to one live summary,
+ * and bursts of `batchThreshold` or more new picks are collapsed into one message.
+ * The `skipKDef` and `highlightsOnly` settings hold back some pick alerts (whoever a held
+ * back pick puts on the clock gets a DM instead of a channel mention), and rookie drafts
+ * get each player's college and experience unless `rookieDetails` is off.
+ * Completed drafts, including registered mock drafts, are added to the season's ADP table.
+ * Picks a commissioner undoes are announced, and any picks made in their place are posted again.
  * @param {object} app The Slack Bolt app instance.
  */
 async function checkDraftForUpdates(app) {
@@ -18,14 +40,13 @@ async function checkDraftForUpdates(app) {
         return;
     }
 
-    const draftsToMonitor = data.drafts;
-    if (!draftsToMonitor || Object.keys(draftsToMonitor).length === 0) {
-        // No draft is registered, so there's nothing to monitor.
-        return;
-    }
+    const draftsToMonitor = data.drafts || {};
 
-    // Track which drafts need to be updated
+    // Track which drafts need to be updated, and with which attributes
     const draftsToUpdate = [];
+    // Drafts that just finished; their ADP is recorded after the concurrent checks,
+    // since every draft in a season rewrites the same table
+    const completedDrafts = [];
 
     // Use Promise.all to check all registered drafts concurrently.
     await Promise.all(Object.keys(draftsToMonitor).map(async (draftId) => {
@@ -38,42 +59,194 @@ async function checkDraftForUpdates(app) {
 
             if (!picks || !draft) return;
 
+            const updates = {};
             const currentPickCount = picks.length;
-            const lastKnownPickCount = draftInfo.last_known_pick_count || 0;
+
+            // Undone picks rewind the counter so whatever replaced them gets posted
+            const revert = findRevertedPicks(draftInfo, picks);
+            const lastKnownPickCount = revert ? revert.resumeIndex : (draftInfo.last_known_pick_count || 0);
+            if (revert) {
+                try {
+                    await postRevertNotice(app.client, draftInfo, draft, picks, revert, data);
+                } catch (error) {
+                    logger.error('Draft monitor: could not post pick revert notice', { draftId, error });
+                }
+                updates.lastKnownPickCount = currentPickCount;
+            }
 
             if (currentPickCount > lastKnownPickCount) {
                 if (process.env.NODE_ENV === 'development') {
                     console.log(`Draft Monitor: New pick detected in draft ${draftId}! Pick count changed from ${lastKnownPickCount} to ${currentPickCount}.`);
                 }
 
-                // Send all the picks since the last one sent
+                // Traded picks only change between picks, so load them once per check
+                const tradedPicks = await loadTradedPicks(draft);
+
+                // In threaded mode picks are replies to a single "Draft Live" message
+                let threadTs = null;
+                if (getDraftSetting(draftInfo, 'threaded')) {
+                    threadTs = draftInfo.thread_ts;
+                    if (!threadTs) {
+                        try {
+                            threadTs = await startDraftThread(app, draftInfo.slack_channel_id, draft, picks, data, tradedPicks);
+                            updates.threadTs = threadTs;
+                        } catch (error) {
+                            // Post this run's picks to the channel instead; the thread is tried again next run
+                            logger.error('Draft monitor: could not start draft thread', { draftId, error });
+                            threadTs = null;
+                        }
+                    }
+                }
+
+                // Keep a running tally of autopicks per team for `draft stats`
+                const autopickCounts = { ...(draftInfo.autopick_counts || {}) };
+                let autopicksSeen = false;
                 for (let i = lastKnownPickCount; i < currentPickCount; i++) {
-                    const partialPicks = picks.slice(0, i + 1);
-                    const shouldNotify = (i === currentPickCount - 1);
-                    const messagePayload = await generatePickMessagePayload(draft, partialPicks, data, shouldNotify);
-                    // Post the message to the registered channel
-                    await app.client.chat.postMessage({
-                        channel: draftInfo.slack_channel_id,
-                        ...messagePayload
-                    });
+                    if (getPickType(draft, picks[i]) === 'autopick') {
+                        const team = getMadePickOwner(draft, picks[i]).userId || `slot_${picks[i].draft_slot}`;
+                        autopickCounts[team] = (autopickCounts[team] || 0) + 1;
+                        autopicksSeen = true;
+                    }
                 }
 
-                // Add to the list of drafts to update
-                draftsToUpdate.push({
-                    draftId,
-                    slackChannelId: draftInfo.slack_channel_id,
-                    pickCount: currentPickCount
+                const postPickMessage = (messagePayload) => app.client.chat.postMessage({
+                    channel: draftInfo.slack_channel_id,
+                    ...(threadTs && { thread_ts: threadTs }),
+                    ...messagePayload
                 });
+
+                // Some channels only want some of the picks posted
+                const watchedPlayerIds = getDraftSetting(draftInfo, 'highlightsOnly')
+                    ? new Set((await getWatchlistsForDraft(draftId)).flatMap(({ playerIds }) => playerIds))
+                    : undefined;
+                const postsAlert = (pick) => shouldPostPickAlert(draftInfo, draft, pick, watchedPlayerIds);
+                const alertIndexes = [];
+                for (let i = lastKnownPickCount; i < currentPickCount; i++) {
+                    if (postsAlert(picks[i])) {
+                        alertIndexes.push(i);
+                    }
+                }
+
+                const batchThreshold = getDraftSetting(draftInfo, 'batchThreshold');
+                if (batchThreshold > 0 && alertIndexes.length >= batchThreshold) {
+                    // Catching up on a burst of picks: one compact message instead of one per pick
+                    await postPickMessage(await generateBatchPickMessagePayload(draft, picks, lastKnownPickCount, data, true, { tradedPicks, filter: postsAlert }));
+                } else {
+                    if (alertIndexes.length > 0) {
+                        // Send each pick since the last one sent, loading the league's lineup once for the needs line
+                        const rosterPositions = await loadRosterPositions(draft);
+                        let players;
+                        if (getDraftSetting(draftInfo, 'rookieDetails') && isRookieDraft(draft)) {
+                            try {
+                                players = await getPlayersFromCacheOrFetch(alertIndexes.map(i => picks[i].player_id));
+                            } catch (error) {
+                                logger.warn('Draft monitor: could not load rookie details', { draftId, error });
+                            }
+                        }
+                        for (const i of alertIndexes) {
+                            const partialPicks = picks.slice(0, i + 1);
+                            // Only the latest pick knows who is on the clock now
+                            const shouldNotify = (i === currentPickCount - 1);
+                            await postPickMessage(await generatePickMessagePayload(draft, partialPicks, data, shouldNotify, { tradedPicks, rosterPositions, players }));
+                        }
+                    }
+
+                    // The latest pick was held back, so whoever is on the clock hears it privately
+                    // rather than the channel getting a message for every skipped pick
+                    if (alertIndexes[alertIndexes.length - 1] !== currentPickCount - 1) {
+                        await sendOnTheClockDm(app, draft, picks, tradedPicks);
+                    }
+                }
+
+                // A brand new parent already shows the latest picks
+                if (threadTs && !updates.threadTs) {
+                    await updateDraftThread(app, draftInfo.slack_channel_id, threadTs, draft, picks, data, tradedPicks);
+                }
+
+                if (draftInfo.board_ts) {
+                    await updateDraftBoard(app, draftInfo.slack_channel_id, draftInfo.board_ts, draft, picks, data);
+                }
+
+                // DM anyone whose watched player was just taken
+                try {
+                    await notifyWatchers(app, draftId, draft, picks, picks.slice(lastKnownPickCount), data);
+                } catch (error) {
+                    logger.error('Draft monitor: could not send watchlist alerts', { draftId, error });
+                }
+
+                // The last pick just came in, so wrap the draft up with a recap
+                if (currentPickCount >= getTotalPicks(draft)) {
+                    try {
+                        await postDraftRecap(app, draftInfo.slack_channel_id, draft, picks, data);
+                    } catch (error) {
+                        // Still record the pick count, or every pick would be re-posted next run
+                        logger.error('Draft monitor: could not post draft recap', { draftId, error });
+                    }
+                    try {
+                        await postDraftGrades(app, draftInfo.slack_channel_id, draft, picks, data);
+                    } catch (error) {
+                        logger.error('Draft monitor: could not post draft grades', { draftId, error });
+                    }
+                    completedDrafts.push({ draft, picks });
+                }
+
+                updates.lastKnownPickCount = currentPickCount;
+                if (autopicksSeen) {
+                    updates.autopickCounts = autopickCounts;
+                }
+            } else if (revert) {
+                // Nothing new to post, but the live thread and board still show the undone picks
+                if (getDraftSetting(draftInfo, 'threaded') && draftInfo.thread_ts) {
+                    await updateDraftThread(app, draftInfo.slack_channel_id, draftInfo.thread_ts, draft, picks, data, await loadTradedPicks(draft));
+                }
+                if (draftInfo.board_ts) {
+                    await updateDraftBoard(app, draftInfo.slack_channel_id, draftInfo.board_ts, draft, picks, data);
+                }
+            }
+
+            if (updates.lastKnownPickCount !== undefined) {
+                const lastPick = getLastPickState(picks);
+                if (lastPick) {
+                    updates.lastPick = lastPick;
+                }
+            }
+
+            // Countdowns and status changes (live, paused, resumed, complete)
+            Object.assign(updates, await postLifecycleAnnouncements(app, draftInfo, draft, data));
+
+            // Reminder state lives next to the pick count so Lambda runs don't repeat reminders
+            const reminderState = await sendPickTimerReminders(app, draft, picks, draftInfo.reminder_state);
+            if (reminderState) {
+                updates.reminderState = reminderState;
+            }
+
+            if (Object.keys(updates).length > 0) {
+                draftsToUpdate.push({ draftId, updates });
             }
         } catch (error) {
             logger.error('Draft monitor: error checking draft', { draftId, error });
         }
     }));
 
-    // Update all drafts that had new picks
-    for (const { draftId, slackChannelId, pickCount } of draftsToUpdate) {
-        await saveDraft(draftId, slackChannelId, pickCount);
+    // Persist the new state of every draft that changed
+    for (const { draftId, updates } of draftsToUpdate) {
+        await updateDraft(draftId, updates);
+    }
+
+    for (const { draft, picks } of completedDrafts) {
+        try {
+            await recordDraftAdp(draft, picks);
+        } catch (error) {
+            logger.error('Draft monitor: could not record ADP', { draftId: draft.draft_id, error });
+        }
+    }
+
+    // Mock drafts only feed the ADP table and never post picks, so they wait until the real drafts are done
+    try {
+        await recordCompletedMockDrafts(app);
+    } catch (error) {
+        logger.error('Draft monitor: could not check mock drafts', { error });
     }
 }
 
-module.exports = { checkDraftForUpdates };
\ No newline at end of file
+module.exports = { checkDraftForUpdates };
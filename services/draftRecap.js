@@ -0,0 +1,372 @@
+const { getPlayersFromCacheOrFetch } = require('./nflDataCache.js');
+const { resolvePickerName } = require('../handlers/lastpick.js');
+const { getTotalTeams, getSlotForPick, getMadePickOwner } = require('../shared/draftOrder.js');
+const { isAuctionDraft, getPickAmount, getPickSlot } = require('../shared/auctionDraft.js');
+const logger = require('../shared/logger.js');
+
+// Positions in the order a team's picks are listed; anything else goes last.
+const POSITION_ORDER = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+
+// How many reaches and steals to call out.
+const NOTABLE_PICK_LIMIT = 3;
+
+// Sleeper gives unranked players a huge placeholder search_rank.
+const UNRANKED_SEARCH_RANK = 9999999;
+
+// Slack rejects messages with more than 50 blocks.
+const MAX_BLOCKS_PER_MESSAGE = 50;
+
+/**
+ * Formats a pick as round.pick, e.g. 1.01 or 4.12.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} pick A pick object from the Sleeper API.
+ * @returns {string} The formatted pick.
+ */
+function formatPickLabel(draft, pick) {
+    const { round, pickInRound } = getSlotForPick(draft, pick.pick_no);
+    return `${round}.${String(pickInRound).padStart(2, '0')}`;
+}
+
+/**
+ * Builds the player's display name from the pick metadata.
+ * @param {object} pick A pick object from the Sleeper API.
+ * @returns {string} The player's name.
+ */
+function getPickPlayerName(pick) {
+    const { first_name: firstName = '', last_name: lastName = '' } = pick.metadata || {};
+    return `${firstName} ${lastName}`.trim() || `Player ${pick.player_id}`;
+}
+
+/**
+ * Flattens the picks into export rows with the owning team resolved.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The picks made in the draft.
+ * @param {object} data The application's configuration data (from datastore).
+ * @returns {Promise<object[]>} One row per pick, in pick order.
+ */
+async function buildPickRows(draft, picks, data) {
+    const auction = isAuctionDraft(draft);
+    const teamNames = new Map();
+    const teamName = async (userId) => {
+        if (!teamNames.has(userId)) {
+            teamNames.set(userId, await resolvePickerName(userId, data));
+        }
+        return teamNames.get(userId);
+    };
+
+    const rows = [];
+    for (const pick of [...picks].sort((a, b) => a.pick_no - b.pick_no)) {
+        const { userId } = getMadePickOwner(draft, pick);
+        const row = {
+            pick_no: pick.pick_no,
+            round: pick.round,
+            pick: formatPickLabel(draft, pick),
+            slot: auction ? getPickSlot(draft, pick) : Number(pick.draft_slot),
+            user_id: userId,
+            team: await teamName(userId),
+            player_id: pick.player_id,
+            player: getPickPlayerName(pick),
+            position: pick.metadata?.position || 'N/A',
+            nfl_team: pick.metadata?.team || 'FA',
+            is_keeper: Boolean(pick.is_keeper)
+        };
+        if (auction) {
+            row.amount = getPickAmount(pick);
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Compares each ranked pick with where the rankings had it going. A pick's expected
+ * spot is where it would have gone had the ranked players been taken strictly in
+ * rank order. Keepers and unranked players are left out.
+ * @param {object[]} rows Pick rows from buildPickRows.
+ * @param {object} rankings Map of player_id -> rank.
+ * @returns {object[]} The ranked rows with `expected` and `delta` (picks of value; negative for a reach) added.
+ */
+function scorePicks(rows, rankings) {
+    const ranked = rows.filter(row =>
+        !row.is_keeper &&
+        Number.isFinite(rankings[row.player_id]) &&
+        rankings[row.player_id] < UNRANKED_SEARCH_RANK
+    );
+
+    const pickNumbers = ranked.map(row => row.pick_no).sort((a, b) => a - b);
+    const byRank = [...ranked].sort((a, b) => rankings[a.player_id] - rankings[b.player_id]);
+    return byRank.map((row, index) => ({
+        ...row,
+        expected: pickNumbers[index],
+        delta: row.pick_no - pickNumbers[index]
+    }));
+}
+
+/**
+ * Finds the picks that went furthest from where Sleeper's rankings had them.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} rows Pick rows from buildPickRows.
+ * @param {object} rankings Map of player_id -> search rank.
+ * @returns {{reaches: object[], steals: object[]}} Rows from scorePicks, most extreme first.
+ *   Only picks at least a round away from their rank are included.
+ */
+function findReachesAndSteals(draft, rows, rankings) {
+    const scored = scorePicks(rows, rankings);
+    if (scored.length === 0) {
+        return { reaches: [], steals: [] };
+    }
+
+    const threshold = getTotalTeams(draft);
+    return {
+        reaches: scored
+            .filter(row => row.delta <= -threshold)
+            .sort((a, b) => a.delta - b.delta)
+            .slice(0, NOTABLE_PICK_LIMIT),
+        steals: scored
+            .filter(row => row.delta >= threshold)
+            .sort((a, b) => b.delta - a.delta)
+            .slice(0, NOTABLE_PICK_LIMIT)
+    };
+}
+
+/**
+ * Loads Sleeper's search rank for every drafted player.
+ * @param {object[]} rows Pick rows from buildPickRows.
+ * @returns {Promise<object>} Map of player_id -> search rank (empty if unavailable).
+ */
+async function loadRankings(rows) {
+    try {
+        const players = await getPlayersFromCacheOrFetch(rows.map(row => row.player_id).filter(Boolean));
+        const rankings = {};
+        for (const [playerId, player] of Object.entries(players || {})) {
+            if (Number.isFinite(player.search_rank)) {
+                rankings[playerId] = player.search_rank;
+            }
+        }
+        return rankings;
+    } catch (error) {
+        logger.warn('Draft recap: could not load player rankings', { error });
+        return {};
+    }
+}
+
+/**
+ * Formats a single pick row for the recap.
+ * @param {object} row A pick row.
+ * @param {boolean} auction Whether the draft is an auction.
+ * @returns {string} e.g. "1.01 Bijan Robinson (RB - ATL)".
+ */
+function formatRow(row, auction) {
+    const price = auction ? ` $${row.amount}` : '';
+    const keeper = row.is_keeper ? ' (K)' : '';
+    return `${row.pick} ${row.player} (${row.position} - ${row.nfl_team})${price}${keeper}`;
+}
+
+/**
+ * Builds the team-by-team recap blocks, with each team's picks grouped by position.
+ * @param {object[]} rows Pick rows from buildPickRows.
+ * @param {boolean} auction Whether the draft is an auction.
+ * @returns {object[]} One section block per team, in draft slot order.
+ */
+function buildTeamBlocks(rows, auction) {
+    const teams = new Map();
+    for (const row of rows) {
+        if (!teams.has(row.user_id)) {
+            teams.set(row.user_id, { name: row.team, slot: row.slot, rows: [] });
+        }
+        teams.get(row.user_id).rows.push(row);
+    }
+
+    const positionIndex = (position) => {
+        const index = POSITION_ORDER.indexOf(position);
+        return index === -1 ? POSITION_ORDER.length : index;
+    };
+
+    return [...teams.values()]
+        .sort((a, b) => (a.slot || 0) - (b.slot || 0))
+        .map(team => {
+            const byPosition = new Map();
+            for (const row of team.rows) {
+                if (!byPosition.has(row.position)) {
+                    byPosition.set(row.position, []);
+                }
+                byPosition.get(row.position).push(row);
+            }
+            const lines = [...byPosition.entries()]
+                .sort(([a], [b]) => positionIndex(a) - positionIndex(b) || a.localeCompare(b))
+                .map(([position, positionRows]) =>
+                    `*${position}:* ${positionRows.map(row => `${row.player} (${row.pick}${auction ? `, $${row.amount}` : ''})`).join(', ')}`
+                );
+            const spent = auction ? ` - $${team.rows.reduce((total, row) => total + row.amount, 0)} spent` : '';
+            return {
+                type: 'section',
+                text: { type: 'mrkdwn', text: `*${team.name}*${spent}\n${lines.join('\n')}` }
+            };
+        });
+}
+
+/**
+ * Builds the round-by-round board, one section per round.
+ * @param {object[]} rows Pick rows from buildPickRows.
+ * @param {boolean} auction Whether the draft is an auction.
+ * @returns {object[]} Section blocks in round order.
+ */
+function buildRoundBlocks(rows, auction) {
+    const rounds = new Map();
+    for (const row of rows) {
+        if (!rounds.has(row.round)) {
+            rounds.set(row.round, []);
+        }
+        rounds.get(row.round).push(`${formatRow(row, auction)} - ${row.team}`);
+    }
+    return [...rounds.entries()].map(([round, lines]) => ({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*Round ${round}*\n${lines.join('\n')}` }
+    }));
+}
+
+/**
+ * Builds the reaches and steals section.
+ * @param {{reaches: object[], steals: object[]}} notable Output of findReachesAndSteals.
+ * @returns {object[]} The blocks, or an empty array when nothing stood out.
+ */
+function buildNotableBlocks({ reaches, steals }) {
+    if (reaches.length === 0 && steals.length === 0) {
+        return [];
+    }
+    const describe = (row) => `• ${row.player} (${row.position}) to ${row.team} at ${row.pick} - ranked to go around pick ${row.expected}`;
+    const fields = [];
+    if (steals.length > 0) {
+        fields.push({ type: 'mrkdwn', text: `*:moneybag: Steals*\n${steals.map(describe).join('\n')}` });
+    }
+    if (reaches.length > 0) {
+        fields.push({ type: 'mrkdwn', text: `*:fishing_pole_and_fish: Reaches*\n${reaches.map(describe).join('\n')}` });
+    }
+    return [{ type: 'section', fields }];
+}
+
+/**
+ * Builds the Slack messages for a completed draft's recap.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} rows Pick rows from buildPickRows.
+ * @param {object} rankings Map of player_id -> search rank.
+ * @returns {object[]} Message payloads (`text` and `blocks`) to post in order.
+ */
+function buildRecapMessages(draft, rows, rankings) {
+    const auction = isAuctionDraft(draft);
+    const draftName = draft.metadata?.name || `Draft ${draft.draft_id}`;
+    // Rank order says nothing about value in an auction, so skip reaches and steals there.
+    const notable = auction ? { reaches: [], steals: [] } : findReachesAndSteals(draft, rows, rankings);
+
+    const summaryBlocks = [
+        { type: 'header', text: { type: 'plain_text', text: `:trophy: ${draftName} Recap`, emoji: true } },
+        ...buildNotableBlocks(notable),
+        { type: 'divider' },
+        ...buildTeamBlocks(rows, auction)
+    ];
+    const boardBlocks = [
+        { type: 'header', text: { type: 'plain_text', text: ':clipboard: Draft Board', emoji: true } },
+        ...buildRoundBlocks(rows, auction)
+    ];
+
+    const messages = [];
+    const addChunks = (blocks, text) => {
+        for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_MESSAGE) {
+            messages.push({ text, blocks: blocks.slice(i, i + MAX_BLOCKS_PER_MESSAGE) });
+        }
+    };
+    addChunks(summaryBlocks, `${draftName} recap: ${rows.length} picks by ${new Set(rows.map(row => row.user_id)).size} teams`);
+    addChunks(boardBlocks, `${draftName} draft board`);
+    return messages;
+}
+
+/**
+ * Quotes a value for CSV output.
+ * @param {*} value The cell value.
+ * @returns {string} The escaped cell.
+ */
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises the pick rows as CSV.
+ * @param {object[]} rows Pick rows from buildPickRows.
+ * @param {boolean} auction Whether to include the winning bid column.
+ * @returns {string} CSV with a header row.
+ */
+function buildPicksCsv(rows, auction) {
+    const columns = ['pick_no', 'round', 'pick', 'team', 'user_id', 'player', 'player_id', 'position', 'nfl_team', 'is_keeper'];
+    if (auction) {
+        columns.push('amount');
+    }
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvCell(row[column])).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Serialises the draft and its picks as JSON.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} rows Pick rows from buildPickRows.
+ * @returns {string} Pretty-printed JSON.
+ */
+function buildPicksJson(draft, rows) {
+    return JSON.stringify({
+        draft_id: draft.draft_id,
+        name: draft.metadata?.name || null,
+        season: draft.season || null,
+        type: draft.type,
+        picks: rows.map(({ slot, ...row }) => row)
+    }, null, 2);
+}
+
+/**
+ * Posts the recap for a completed draft: teams by position, reaches and steals,
+ * the round-by-round board, and CSV/JSON exports of every pick.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {string} channelId The channel the draft is registered to.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks Every pick in the draft.
+ * @param {object} data The application's configuration data (from datastore).
+ */
+async function postDraftRecap(app, channelId, draft, picks, data) {
+    const rows = await buildPickRows(draft, picks, data);
+    if (rows.length === 0) {
+        return;
+    }
+    const rankings = isAuctionDraft(draft) ? {} : await loadRankings(rows);
+
+    for (const message of buildRecapMessages(draft, rows, rankings)) {
+        await app.client.chat.postMessage({ channel: channelId, ...message });
+    }
+
+    // Exports are a nice-to-have; a missing files:write scope shouldn't lose the recap.
+    const baseName = `draft-${draft.draft_id}`;
+    try {
+        await app.client.files.uploadV2({
+            channel_id: channelId,
+            initial_comment: ':floppy_disk: Every pick from the draft, for your spreadsheets:',
+            file_uploads: [
+                { filename: `${baseName}.csv`, title: `${baseName}.csv`, content: buildPicksCsv(rows, isAuctionDraft(draft)) },
+                { filename: `${baseName}.json`, title: `${baseName}.json`, content: buildPicksJson(draft, rows) }
+            ]
+        });
+    } catch (error) {
+        logger.warn('Draft recap: could not upload the pick export', { draftId: draft.draft_id, error });
+    }
+}
+
+module.exports = {
+    buildPickRows,
+    scorePicks,
+    findReachesAndSteals,
+    loadRankings,
+    buildRecapMessages,
+    buildPicksCsv,
+    buildPicksJson,
+    postDraftRecap
+};
@@ -0,0 +1,101 @@
+const { resolvePickerName, getNextPicker } = require('../handlers/lastpick.js');
+const { getTotalPicks, getSlotForPick } = require('../shared/draftOrder.js');
+const logger = require('../shared/logger.js');
+
+/**
+ * Builds the parent message for a threaded draft: the current round, how far
+ * through the draft we are, the latest pick and who is on the clock.
+ * Names are never @-mentions, since the message is edited after every pick.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The picks made so far.
+ * @param {object} data The application's configuration data (from datastore).
+ * @param {object[]} [tradedPicks] Traded picks for the draft.
+ * @returns {Promise<object>} A Slack message payload with `text` and `blocks`.
+ */
+async function buildDraftThreadSummary(draft, picks, data, tradedPicks = []) {
+    const draftName = draft.metadata?.name || `Draft ${draft.draft_id}`;
+    const totalPicks = getTotalPicks(draft);
+    const complete = picks.length >= totalPicks;
+
+    const nextPicker = complete ? null : getNextPicker(draft, picks, tradedPicks);
+    const currentRound = nextPicker?.round || getSlotForPick(draft, Math.max(picks.length, 1)).round;
+    let onTheClock = complete ? 'The draft is complete!' : 'Unknown';
+    if (nextPicker?.userId) {
+        onTheClock = await resolvePickerName(nextPicker.userId, data);
+        if (nextPicker.originalUserId) {
+            onTheClock += ` (via ${await resolvePickerName(nextPicker.originalUserId, data)})`;
+        }
+    }
+
+    const lastPick = picks[picks.length - 1];
+    const lastPickText = lastPick
+        ? `${lastPick.metadata?.first_name || ''} ${lastPick.metadata?.last_name || ''} (${lastPick.metadata?.position || 'N/A'})`.trim()
+        : 'None yet';
+
+    const title = complete ? `:checkered_flag: *DRAFT COMPLETE:* ${draftName}` : `:rotating_light: *DRAFT LIVE:* ${draftName}`;
+    return {
+        text: complete
+            ? `${draftName} is complete. Every pick is in the thread.`
+            : `${draftName} is live: round ${currentRound}, ${onTheClock} is on the clock. Picks are posted in the thread.`,
+        blocks: [
+            { "type": "section", "text": { "type": "mrkdwn", "text": title } },
+            {
+                "type": "section",
+                "fields": [
+                    { "type": "mrkdwn", "text": `*Round:* \`${currentRound} of ${draft.settings.rounds}\`` },
+                    { "type": "mrkdwn", "text": `*Picks Made:* \`${picks.length} / ${totalPicks}\`` },
+                    { "type": "mrkdwn", "text": `*Latest Pick:* ${lastPickText}` },
+                    { "type": "mrkdwn", "text": `*On The Clock:* ${onTheClock}` }
+                ]
+            },
+            { "type": "context", "elements": [{ "type": "mrkdwn", "text": ':thread: Every pick is posted as a reply in this thread.' }] }
+        ]
+    };
+}
+
+/**
+ * Posts the parent "Draft Live" message that a threaded draft's picks are replies to.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {string} channelId The channel the draft is registered to.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The picks made so far.
+ * @param {object} data The application's configuration data (from datastore).
+ * @param {object[]} [tradedPicks] Traded picks for the draft.
+ * @returns {Promise<string>} The parent message's `ts`.
+ */
+async function startDraftThread(app, channelId, draft, picks, data, tradedPicks = []) {
+    const result = await app.client.chat.postMessage({
+        channel: channelId,
+        ...await buildDraftThreadSummary(draft, picks, data, tradedPicks)
+    });
+    return result.ts;
+}
+
+/**
+ * Refreshes the parent message of a threaded draft with the latest summary.
+ * Failures are logged rather than thrown: a stale summary shouldn't stop pick alerts.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {string} channelId The channel the draft is registered to.
+ * @param {string} threadTs The parent message's `ts`.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The picks made so far.
+ * @param {object} data The application's configuration data (from datastore).
+ * @param {object[]} [tradedPicks] Traded picks for the draft.
+ */
+async function updateDraftThread(app, channelId, threadTs, draft, picks, data, tradedPicks = []) {
+    try {
+        await app.client.chat.update({
+            channel: channelId,
+            ts: threadTs,
+            ...await buildDraftThreadSummary(draft, picks, data, tradedPicks)
+        });
+    } catch (error) {
+        logger.warn('Draft thread: could not update the live summary', { draftId: draft.draft_id, error });
+    }
+}
+
+module.exports = {
+    buildDraftThreadSummary,
+    startDraftThread,
+    updateDraftThread
+};
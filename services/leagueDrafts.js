@@ -0,0 +1,156 @@
+const { getLeagueDrafts, getLeagueUsers, getUserLeagues, getNflState } = require('./sleeper.js');
+const { getData, saveDraft, deleteDraft, saveLeague, addSeenLeagueDrafts, deleteLeague, getAllChannelsWithLeagues } = require('./datastore.js');
+const { getDraftName } = require('./draftLifecycle.js');
+const logger = require('../shared/logger.js');
+
+// Draft statuses that still have picks to come
+const CURRENT_DRAFT_STATUSES = ['pre_draft', 'drafting', 'paused'];
+
+/**
+ * Finds a league's drafts that haven't finished yet.
+ * @param {string} leagueId The Sleeper league ID.
+ * @returns {Promise<object[]>} The league's upcoming or in-progress drafts.
+ */
+async function getCurrentLeagueDrafts(leagueId) {
+    const drafts = await getLeagueDrafts(leagueId) || [];
+    return drafts.filter(draft => CURRENT_DRAFT_STATUSES.includes(draft.status));
+}
+
+/**
+ * Registers a league's current draft(s) to a channel, skipping any already registered,
+ * and remembers every draft it saw on the league.
+ * @param {string} leagueId The Sleeper league ID.
+ * @param {string} channelId The Slack channel ID.
+ * @param {object} [options]
+ * @param {Iterable<string>} [options.seenDraftIds] Drafts seen on earlier checks. These are
+ *   not registered again, so a draft a channel unregistered stays unregistered.
+ * @returns {Promise<{registered: object[], existing: object[]}>} The drafts registered now,
+ *   and the ones that were already registered, each with the `slackChannelId` it posts to.
+ */
+async function registerLeagueDrafts(leagueId, channelId, options = {}) {
+    const [drafts, data] = await Promise.all([getCurrentLeagueDrafts(leagueId), getData()]);
+    const seen = new Set(options.seenDraftIds || []);
+    const registered = [];
+    const existing = [];
+    for (const draft of drafts) {
+        const registration = data.drafts?.[draft.draft_id];
+        if (registration) {
+            existing.push({ ...draft, slackChannelId: registration.slack_channel_id });
+            continue;
+        }
+        if (seen.has(draft.draft_id)) {
+            continue;
+        }
+        await saveDraft(draft.draft_id, channelId, 0, { lastSeenStatus: draft.status });
+        registered.push(draft);
+    }
+    await addSeenLeagueDrafts(leagueId, drafts.map(draft => draft.draft_id).filter(draftId => !seen.has(draftId)));
+    return { registered, existing };
+}
+
+/**
+ * Looks for the league that replaced a league when it rolled over to a new season.
+ * Sleeper gives the new league a new ID and points its `previous_league_id` back at the
+ * old one, so the new league is found among a member's leagues for that season.
+ * @param {string} leagueId The registered (old) league ID.
+ * @param {string} season The season to look in.
+ * @returns {Promise<object|null>} The new season's league, or null if it doesn't exist yet.
+ */
+async function findRolledOverLeague(leagueId, season) {
+    const users = await getLeagueUsers(leagueId) || [];
+    for (const user of users) {
+        const leagues = await getUserLeagues(user.user_id, 'nfl', season) || [];
+        const next = leagues.find(league => league.previous_league_id === leagueId);
+        // A member who left during the offseason won't have it, so keep looking
+        if (next) {
+            return next;
+        }
+    }
+    return null;
+}
+
+/**
+ * Moves a channel's league registration to the new season's league and registers its drafts.
+ * Last season's drafts are unregistered, so the monitor stops polling them and the
+ * channel's draft commands find the new draft.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {object} league The registered league item from the datastore.
+ * @param {object} nextLeague The new season's league from Sleeper.
+ */
+async function rollOverLeague(app, league, nextLeague) {
+    await saveLeague(nextLeague.league_id, league.slackChannelId, nextLeague, { autoDrafts: true });
+    await deleteLeague(league.leagueId);
+
+    const [previousDrafts, data] = await Promise.all([getLeagueDrafts(league.leagueId), getData()]);
+    const unregistered = (previousDrafts || []).filter(draft => data.drafts?.[draft.draft_id]);
+    for (const draft of unregistered) {
+        await deleteDraft(draft.draft_id);
+    }
+
+    const { registered } = await registerLeagueDrafts(nextLeague.league_id, league.slackChannelId);
+
+    const draftNote = registered.length > 0
+        ? `I've registered its draft${registered.length === 1 ? '' : 's'} (${registered.map(draft => `*${getDraftName(draft)}* \`${draft.draft_id}\``).join(', ')}) to this channel.`
+        : "I'll register its draft here as soon as Sleeper creates it.";
+    const previousNote = unregistered.length > 0
+        ? ` Last season's draft${unregistered.length === 1 ? ' is' : 's are'} no longer registered.`
+        : '';
+    await app.client.chat.postMessage({
+        channel: league.slackChannelId,
+        text: `:arrows_counterclockwise: *${nextLeague.name}* has rolled over to the ${nextLeague.season} season. ${draftNote}${previousNote}`
+    });
+}
+
+/**
+ * Keeps leagues registered with `with drafts` pointed at their current draft.
+ * Leagues from a past season are moved to the new season's league once it exists, and
+ * current leagues have any newly created drafts registered to their channel. Drafts the
+ * league has had before are left alone, even if a channel has since unregistered them.
+ * @param {object} app The Slack Bolt app instance.
+ * @returns {Promise<{rolledOver: number, draftsRegistered: number}>} What changed.
+ */
+async function checkLeagueDrafts(app) {
+    const channels = await getAllChannelsWithLeagues();
+    const leagues = channels.flatMap(channel => channel.leagues).filter(league => league.autoDrafts);
+    if (leagues.length === 0) {
+        return { rolledOver: 0, draftsRegistered: 0 };
+    }
+
+    const nflState = await getNflState();
+    const currentSeason = String(nflState?.league_season || nflState?.season || new Date().getFullYear());
+    let rolledOver = 0;
+    let draftsRegistered = 0;
+
+    // One league at a time: a rollover rewrites the channel's registrations
+    for (const league of leagues) {
+        try {
+            if (String(league.season) < currentSeason) {
+                const nextLeague = await findRolledOverLeague(league.leagueId, currentSeason);
+                if (nextLeague) {
+                    await rollOverLeague(app, league, nextLeague);
+                    rolledOver++;
+                }
+                continue;
+            }
+
+            const { registered } = await registerLeagueDrafts(league.leagueId, league.slackChannelId, { seenDraftIds: league.seenDraftIds });
+            for (const draft of registered) {
+                await app.client.chat.postMessage({
+                    channel: league.slackChannelId,
+                    text: `:white_check_mark: *${league.leagueName}* has a new draft, *${getDraftName(draft)}* (\`${draft.draft_id}\`). I've registered it to this channel.`
+                });
+            }
+            draftsRegistered += registered.length;
+        } catch (error) {
+            logger.warn('League monitor: could not check league drafts', { leagueId: league.leagueId, error });
+        }
+    }
+    return { rolledOver, draftsRegistered };
+}
+
+module.exports = {
+    getCurrentLeagueDrafts,
+    registerLeagueDrafts,
+    findRolledOverLeague,
+    checkLeagueDrafts
+};
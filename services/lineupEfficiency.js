@@ -0,0 +1,168 @@
+const { getLeagueMatchups } = require('./sleeper.js');
+const { getPlayersFromCacheOrFetch } = require('./nflDataCache.js');
+const { loadLeagueTeams, getLastCompletedWeek, buildTable } = require('./standings.js');
+const { buildOptimalLineup } = require('../shared/rosterSlots.js');
+
+/**
+ * Formats a lineup efficiency as a percentage, e.g. "92.4%".
+ * @param {number} efficiency 0 to 1.
+ * @returns {string} The percentage.
+ */
+function formatEfficiency(efficiency) {
+    return `${(efficiency * 100).toFixed(1)}%`;
+}
+
+/**
+ * Compares the lineup a team started with the best one it could have started, using
+ * the week's actual player points. Players on IR or the taxi squad couldn't have
+ * started, so they aren't considered unless they were in the lineup.
+ * @param {object} matchup The team's Sleeper matchup entry for the week.
+ * @param {object|undefined} roster The team's Sleeper roster.
+ * @param {string[]} rosterPositions The league's `roster_positions`.
+ * @param {object} players Cached players by ID, for positions.
+ * @returns {{actual: number, optimal: number, efficiency: number, pointsLeft: number}} The team's week.
+ */
+function analyzeLineup(matchup, roster, rosterPositions, players) {
+    const pointsFor = matchup.players_points || {};
+    const starters = (matchup.starters || []).filter(id => id && id !== '0');
+    const unavailable = new Set([...(roster?.reserve || []), ...(roster?.taxi || [])].filter(id => !starters.includes(id)));
+    const candidates = (matchup.players || Object.keys(pointsFor))
+        .filter(id => !unavailable.has(id))
+        .map(id => {
+            const player = players[id];
+            return {
+                playerId: id,
+                positions: player ? (player.fantasy_positions || [player.position]) : [],
+                points: pointsFor[id] || 0
+            };
+        });
+
+    const actual = Array.isArray(matchup.starters_points)
+        ? matchup.starters_points.reduce((total, points) => total + (points || 0), 0)
+        : starters.reduce((total, id) => total + (pointsFor[id] || 0), 0);
+    // A starter missing from the player cache can't be placed, so never rate a lineup above 100%
+    const optimal = Math.max(buildOptimalLineup(rosterPositions, candidates).points, actual);
+    return {
+        actual,
+        optimal,
+        efficiency: optimal > 0 ? actual / optimal : 1,
+        pointsLeft: optimal - actual
+    };
+}
+
+/**
+ * Loads the players who appear in a set of matchups.
+ * @param {object[][]} weeks Each week's Sleeper matchup entries.
+ * @returns {Promise<object>} Cached players by ID.
+ */
+async function loadMatchupPlayers(weeks) {
+    const playerIds = new Set();
+    for (const matchups of weeks) {
+        for (const matchup of matchups || []) {
+            (matchup.players || Object.keys(matchup.players_points || {})).forEach(id => playerIds.add(id));
+        }
+    }
+    return (await getPlayersFromCacheOrFetch([...playerIds])) || {};
+}
+
+/**
+ * Works out every team's lineup efficiency over a set of weeks.
+ * @param {object} league The Sleeper league object.
+ * @param {object[]} rosters The league's rosters.
+ * @param {object[][]} weeks Each week's Sleeper matchup entries.
+ * @param {object} players Cached players by ID.
+ * @param {function} nameFor Roster ID -> team name.
+ * @returns {object[]} Teams from most to least efficient, with `actual`, `optimal`, `efficiency`, `pointsLeft` and `perfectWeeks`.
+ */
+function summarizeLineups(league, rosters, weeks, players, nameFor) {
+    const rostersById = new Map((rosters || []).map(roster => [roster.roster_id, roster]));
+    const teams = new Map();
+    for (const matchups of weeks) {
+        for (const matchup of matchups || []) {
+            if (!teams.has(matchup.roster_id)) {
+                teams.set(matchup.roster_id, { rosterId: matchup.roster_id, name: nameFor(matchup.roster_id), actual: 0, optimal: 0, perfectWeeks: 0 });
+            }
+            const team = teams.get(matchup.roster_id);
+            const week = analyzeLineup(matchup, rostersById.get(matchup.roster_id), league.roster_positions, players);
+            team.actual += week.actual;
+            team.optimal += week.optimal;
+            if (week.optimal > 0 && week.pointsLeft < 0.005) {
+                team.perfectWeeks++;
+            }
+        }
+    }
+
+    return [...teams.values()]
+        .map(team => ({
+            ...team,
+            efficiency: team.optimal > 0 ? team.actual / team.optimal : 1,
+            pointsLeft: team.optimal - team.actual
+        }))
+        .sort((a, b) => b.efficiency - a.efficiency || b.actual - a.actual || a.rosterId - b.rosterId);
+}
+
+/**
+ * Loads the season's lineup efficiency leaderboard from every completed regular season week.
+ * @param {string} leagueId The Sleeper league ID.
+ * @param {object} state The NFL state from `getNflState`.
+ * @returns {Promise<{league: object, week: number, teams: object[]}|null>} Null if the league doesn't exist. `week` is 0 before any games.
+ */
+async function loadLineupEfficiency(leagueId, state) {
+    const loaded = await loadLeagueTeams(leagueId);
+    if (!loaded) {
+        return null;
+    }
+    const { league, rosters, nameFor } = loaded;
+    const week = getLastCompletedWeek(league, state);
+    if (week === 0) {
+        return { league, week, teams: [] };
+    }
+
+    const weekNumbers = Array.from({ length: week }, (_, index) => index + 1);
+    const weeks = await Promise.all(weekNumbers.map(number => getLeagueMatchups(leagueId, number)));
+    const players = await loadMatchupPlayers(weeks);
+    return { league, week, teams: summarizeLineups(league, rosters, weeks, players, nameFor) };
+}
+
+/**
+ * Builds the lineup efficiency leaderboard message.
+ * @param {object} leaderboard The result of loadLineupEfficiency.
+ * @returns {object} A Slack message payload with `text` and `blocks`.
+ */
+function buildLineupEfficiencyPayload({ league, week, teams }) {
+    const rows = teams.map((team, index) => [
+        index + 1,
+        team.name,
+        formatEfficiency(team.efficiency),
+        team.actual.toFixed(2),
+        team.optimal.toFixed(2),
+        team.pointsLeft.toFixed(2),
+        team.perfectWeeks
+    ]);
+
+    const title = `${league.name} Lineup Efficiency · Through Week ${week}`;
+    return {
+        text: title,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: `🧮 ${title}`, emoji: true } },
+            {
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: 'Points started as a share of the best lineup each team could have set from its own roster, using the points every player actually scored.' }]
+            },
+            buildTable(
+                ['#', 'Team', 'Efficiency', 'Started', 'Optimal', 'Left on Bench', 'Perfect Weeks'],
+                rows,
+                ['right', 'left', 'right', 'right', 'right', 'right', 'right']
+            )
+        ]
+    };
+}
+
+module.exports = {
+    formatEfficiency,
+    analyzeLineup,
+    loadMatchupPlayers,
+    summarizeLineups,
+    loadLineupEfficiency,
+    buildLineupEfficiencyPayload
+};
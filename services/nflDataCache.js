@@ -13,6 +13,14 @@ const { getAllPlayers: sleeperGetAllPlayers, getNflState } = require('./sleeper.
 const { fetchNflByeWeeks } = require('./espn.js');
 const { mapSleeperToEspnTeam } = require('../shared/teamMappings.js');
 
+// Players with fewer seasons than this keep their college and experience in the cache
+const MAX_DETAILED_YEARS_EXP = 2;
+
+// How long a full player list downloaded for a name search is reused, so names
+// Sleeper doesn't know (typos included) don't download it again on every command
+const FULL_PLAYER_LIST_TTL_MS = 60 * 60 * 1000;
+const fullPlayerLists = new Map();
+
 /**
  * NFL teams and their bye weeks for 2025 season
  * Data sourced from ESPN API: https://sports.core.api.espn.com/v2/sports/football/leagues/nfl/seasons/2025/types/2/weeks/{week}
@@ -138,7 +146,10 @@ function expandMinimalPlayerData(minimalPlayers) {
             fantasy_positions: [player.p] || ['UNKNOWN'],
             injury_status: player.i || null,
             active: true, // Essential data only includes active players
-            position: player.p || 'UNKNOWN'
+            position: player.p || 'UNKNOWN',
+            ...(player.r !== undefined && { search_rank: player.r }),
+            ...(player.c && { college: player.c }),
+            ...(player.y !== undefined && { years_exp: player.y })
         };
     });
     
@@ -190,7 +201,15 @@ function extractEssentialPlayerData(players) {
                 t: player.team || null,    // team
                 p: displayPosition,        // position
                 // For test compatibility, include injury status if it exists
-                ...(player.injury_status && { i: player.injury_status })
+                ...(player.injury_status && { i: player.injury_status }),
+                // Sleeper's overall rank, used to spot draft reaches and steals
+                ...(Number.isFinite(player.search_rank) && { r: player.search_rank }),
+                // College and experience for rookie draft alerts. Only kept for players in
+                // their first two seasons, who are the ones rookie drafts take.
+                ...(player.years_exp < MAX_DETAILED_YEARS_EXP && {
+                    ...(player.college && { c: player.college }),
+                    y: player.years_exp
+                })
             };
         }
     });
@@ -533,6 +552,162 @@ async function getPlayersFromCacheOrFetch(playerIds, sport = 'nfl') {
     }
 }
 
+/**
+ * Normalizes a player name for matching: lower case, no punctuation, single spaces.
+ * 
+ * @param {string} name The player name
+ * @returns {string} The normalized name
+ */
+function normalizePlayerName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Match ultra-minimal cached players against a name.
+ * Exact name matches win; otherwise every word typed must start a word of the name
+ * (so "ja chase" finds Ja'Marr Chase). Matches are ordered by Sleeper's search rank.
+ * 
+ * @param {object} minimalPlayers Ultra-minimal player data keyed by player ID
+ * @param {string} query The name typed by the user
+ * @returns {string[]} Matching player IDs, best ranked first
+ */
+function matchPlayersByName(minimalPlayers, query) {
+    const target = normalizePlayerName(query);
+    if (!target) {
+        return [];
+    }
+    const queryWords = target.split(' ');
+
+    const exact = [];
+    const partial = [];
+    Object.entries(minimalPlayers).forEach(([playerId, player]) => {
+        const name = normalizePlayerName(player.n);
+        if (!name) {
+            return;
+        }
+        if (name === target) {
+            exact.push(playerId);
+        } else {
+            const nameWords = name.split(' ');
+            if (queryWords.every(word => nameWords.some(nameWord => nameWord.startsWith(word)))) {
+                partial.push(playerId);
+            }
+        }
+    });
+
+    const rank = (playerId) => minimalPlayers[playerId].r ?? Infinity;
+    return (exact.length > 0 ? exact : partial).sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Picks which players from a full-list search are worth adding to the players cache:
+ * exact name matches, or the only match. A loose query like "jo" would otherwise fill
+ * the cache with every player it happens to match.
+ * 
+ * @param {object} minimalPlayers Ultra-minimal player data keyed by player ID
+ * @param {string} query The name typed by the user
+ * @param {string[]} matchedIds The result of matchPlayersByName
+ * @returns {object} The players to cache, keyed by player ID
+ */
+function selectPlayersToCache(minimalPlayers, query, matchedIds) {
+    const target = normalizePlayerName(query);
+    const selected = matchedIds.length === 1
+        ? matchedIds
+        : matchedIds.filter(playerId => normalizePlayerName(minimalPlayers[playerId].n) === target);
+    return Object.fromEntries(selected.map(playerId => [playerId, minimalPlayers[playerId]]));
+}
+
+/**
+ * Gets the full Sleeper player list in essential format for name searches.
+ * The list is kept in memory for FULL_PLAYER_LIST_TTL_MS.
+ * 
+ * @param {string} sport The sport
+ * @returns {Promise<object>} Essential player data keyed by player ID
+ */
+async function getFullPlayerList(sport) {
+    const cached = fullPlayerLists.get(sport);
+    if (cached && Date.now() - cached.fetchedAt < FULL_PLAYER_LIST_TTL_MS) {
+        return cached.players;
+    }
+    console.log(`[CACHE] Downloading the full ${sport} player list from Sleeper API`);
+    const players = extractEssentialPlayerData(await sleeperGetAllPlayers(sport) || {});
+    fullPlayerLists.set(sport, { players, fetchedAt: Date.now() });
+    return players;
+}
+
+/**
+ * Find players by name.
+ * Searches the players cache first. Because the cache only holds rostered players,
+ * a miss falls back to the full Sleeper player list and caches the exact (or only) match.
+ * The full list is only downloaded once an hour.
+ * 
+ * @param {string} query The name typed by the user
+ * @param {string} sport The sport (default: 'nfl')
+ * @returns {Promise<object[]>} Matching players in expanded format, best ranked first
+ */
+async function findPlayersByName(query, sport = 'nfl') {
+    const cachedMinimalPlayers = await getNflPlayers(sport) || {};
+    let minimalPlayers = cachedMinimalPlayers;
+    let matchedIds = matchPlayersByName(cachedMinimalPlayers, query);
+
+    if (matchedIds.length === 0) {
+        console.log(`[CACHE] No cached player matches "${query}", searching the full player list`);
+        minimalPlayers = await getFullPlayerList(sport);
+        matchedIds = matchPlayersByName(minimalPlayers, query);
+
+        const playersToCache = selectPlayersToCache(minimalPlayers, query, matchedIds);
+        if (Object.keys(playersToCache).length > 0) {
+            await saveNflPlayers(sport, { ...cachedMinimalPlayers, ...playersToCache });
+        }
+    }
+
+    const expandedPlayers = expandMinimalPlayerData(
+        Object.fromEntries(matchedIds.map(playerId => [playerId, minimalPlayers[playerId]]))
+    );
+    return matchedIds.map(playerId => expandedPlayers[playerId]);
+}
+
+/**
+ * Find players for many names at once, e.g. a pasted rankings list.
+ * Works like findPlayersByName, but the full Sleeper player list is fetched at most
+ * once for all of the names the cache doesn't know.
+ * 
+ * @param {string[]} queries The names to look up
+ * @param {string} sport The sport (default: 'nfl')
+ * @returns {Promise<Map<string, object[]>>} Each name -> its matching players, best ranked first
+ */
+async function findPlayersByNames(queries, sport = 'nfl') {
+    const cachedMinimalPlayers = await getNflPlayers(sport) || {};
+    let minimalPlayers = cachedMinimalPlayers;
+    const matchedIds = new Map(queries.map(query => [query, matchPlayersByName(cachedMinimalPlayers, query)]));
+
+    const misses = queries.filter(query => matchedIds.get(query).length === 0);
+    if (misses.length > 0) {
+        console.log(`[CACHE] ${misses.length} player names not cached, searching the full player list`);
+        const allPlayers = await getFullPlayerList(sport);
+        const found = {};
+        const playersToCache = {};
+        for (const query of misses) {
+            const ids = matchPlayersByName(allPlayers, query);
+            matchedIds.set(query, ids);
+            ids.forEach(playerId => { found[playerId] = allPlayers[playerId]; });
+            Object.assign(playersToCache, selectPlayersToCache(allPlayers, query, ids));
+        }
+
+        minimalPlayers = { ...cachedMinimalPlayers, ...found };
+        if (Object.keys(playersToCache).length > 0) {
+            await saveNflPlayers(sport, { ...cachedMinimalPlayers, ...playersToCache });
+        }
+    }
+
+    const results = new Map();
+    for (const [query, ids] of matchedIds) {
+        const expandedPlayers = expandMinimalPlayerData(Object.fromEntries(ids.map(playerId => [playerId, minimalPlayers[playerId]])));
+        results.set(query, ids.map(playerId => expandedPlayers[playerId]));
+    }
+    return results;
+}
+
 /**
  * Clear the NFL players cache to start fresh with roster-based caching.
  * This removes all cached player data, forcing the next roster analysis to build a new cache.
@@ -559,6 +734,8 @@ async function clearNflPlayersCache(sport = 'nfl') {
 module.exports = {
     getNflByeWeeksWithCache,
     getPlayersFromCacheOrFetch,
+    findPlayersByName,
+    findPlayersByNames,
     fetchAndCacheRosterPlayers,
     getNflScheduleWithCache,
     hasTeamPlayedThisWeek,
@@ -0,0 +1,120 @@
+const { getDraft, getDraftPicks } = require('./sleeper.js');
+const { updateDraft } = require('./datastore.js');
+const { getDraftName } = require('./draftLifecycle.js');
+const { generatePickMessagePayload, generateBatchPickMessagePayload, getNextPicker, loadTradedPicks, resolvePickerName } = require('../handlers/lastpick.js');
+
+/**
+ * Records the latest pick so the next check can tell if it was undone and made again,
+ * which leaves the pick count unchanged.
+ * @param {object[]} picks Every pick made so far.
+ * @returns {object|null} `{ pickNo, playerId, playerName }`, or null if there's nothing to record.
+ */
+function getLastPickState(picks) {
+    const pick = picks[picks.length - 1];
+    if (!pick?.player_id) {
+        return null;
+    }
+    const { first_name: firstName = '', last_name: lastName = '' } = pick.metadata || {};
+    return {
+        pickNo: picks.length,
+        playerId: pick.player_id,
+        playerName: `${firstName} ${lastName}`.trim() || null
+    };
+}
+
+/**
+ * Works out whether a commissioner undid picks since the last check: either the pick
+ * count went down, or the last pick we posted now holds a different player.
+ * @param {object} draftInfo The draft's registration (from datastore).
+ * @param {object[]} picks Every pick made so far.
+ * @returns {object|null} `{ fromPickNo, toPickNo, resumeIndex, playerName }` where `resumeIndex`
+ *   is the index of the first pick to post again, or null if nothing was undone.
+ */
+function findRevertedPicks(draftInfo, picks) {
+    const lastKnownPickCount = draftInfo.last_known_pick_count || 0;
+    const lastPick = draftInfo.last_pick;
+    let revert = null;
+
+    if (picks.length < lastKnownPickCount) {
+        revert = { fromPickNo: picks.length + 1, toPickNo: lastKnownPickCount, resumeIndex: picks.length };
+    } else if (lastPick?.pickNo === lastKnownPickCount && lastKnownPickCount > 0 &&
+        picks[lastKnownPickCount - 1].player_id !== lastPick.playerId) {
+        revert = { fromPickNo: lastKnownPickCount, toPickNo: lastKnownPickCount, resumeIndex: lastKnownPickCount - 1 };
+    }
+
+    if (revert) {
+        // Only the last pick's player is remembered
+        revert.playerName = lastPick?.pickNo === revert.toPickNo ? lastPick.playerName : null;
+    }
+    return revert;
+}
+
+/**
+ * Posts a notice that picks were undone. When no new picks have been made since, the
+ * team back on the clock is mentioned; otherwise the pick alerts that follow cover it.
+ * @param {object} client The Slack Web API client.
+ * @param {object} draftInfo The draft's registration (from datastore).
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks Every pick made so far.
+ * @param {object} revert The result of findRevertedPicks.
+ * @param {object} data The application's configuration data (from datastore).
+ */
+async function postRevertNotice(client, draftInfo, draft, picks, revert, data) {
+    const single = revert.fromPickNo === revert.toPickNo;
+    let text = single
+        ? `:rewind: *Pick #${revert.fromPickNo} was undone* in *${getDraftName(draft)}*`
+        : `:rewind: *Picks #${revert.fromPickNo}-#${revert.toPickNo} were undone* in *${getDraftName(draft)}*`;
+    if (revert.playerName) {
+        text += ` (${revert.playerName} is back on the board)`;
+    }
+    text += '.';
+
+    if (revert.resumeIndex === picks.length) {
+        const next = getNextPicker(draft, picks, await loadTradedPicks(draft));
+        if (next) {
+            text += ` ${await resolvePickerName(next.userId, data, true)} is back on the clock.`;
+        }
+    }
+
+    await client.chat.postMessage({ channel: draftInfo.slack_channel_id, text });
+}
+
+/**
+ * Resets a draft's pick counter to Sleeper's pick count, optionally posting the picks
+ * that were missed first as one catch-up message in the draft's channel.
+ * @param {object} client The Slack Web API client.
+ * @param {string} draftId The draft ID.
+ * @param {object} draftInfo The draft's registration (from datastore).
+ * @param {object} data The application's configuration data (from datastore).
+ * @param {object} [options]
+ * @param {boolean} [options.replay] Whether to post the missed picks.
+ * @returns {Promise<{previousCount: number, currentCount: number, replayed: number}>} The counter before
+ *   and after, and how many picks were posted.
+ */
+async function resyncDraft(client, draftId, draftInfo, data, { replay = false } = {}) {
+    const [draft, picks] = await Promise.all([getDraft(draftId), getDraftPicks(draftId)]);
+    const currentPicks = picks || [];
+    const previousCount = draftInfo.last_known_pick_count || 0;
+    const currentCount = currentPicks.length;
+
+    let replayed = 0;
+    if (replay && draft && currentCount > previousCount) {
+        const payload = currentCount - previousCount === 1
+            ? await generatePickMessagePayload(draft, currentPicks, data, false)
+            : await generateBatchPickMessagePayload(draft, currentPicks, previousCount, data, false);
+        await client.chat.postMessage({ channel: draftInfo.slack_channel_id, ...payload });
+        replayed = currentCount - previousCount;
+    }
+
+    const lastPick = getLastPickState(currentPicks);
+    await updateDraft(draftId, { lastKnownPickCount: currentCount, ...(lastPick && { lastPick }) });
+    draftInfo.last_known_pick_count = currentCount;
+    return { previousCount, currentCount, replayed };
+}
+
+module.exports = {
+    getLastPickState,
+    findRevertedPicks,
+    postRevertNotice,
+    resyncDraft
+};
@@ -0,0 +1,243 @@
+const { getLeague, getLeagueRosters, getLeagueUsers, getLeagueTradedPicks } = require('./sleeper.js');
+const { getPickOwners, savePickOwners, getAllChannelsWithLeagues } = require('./datastore.js');
+const logger = require('../shared/logger.js');
+
+// How many seasons of future picks the ledger covers
+const LEDGER_SEASONS = 3;
+
+// Rookie drafts are usually short; used when the league doesn't say
+const DEFAULT_DRAFT_ROUNDS = 4;
+
+// League statuses whose own season's draft is still to come
+const PRE_DRAFT_STATUSES = ['pre_draft', 'drafting'];
+
+/**
+ * Formats a round as an ordinal, e.g. 1 -> "1st", 2 -> "2nd", 11 -> "11th".
+ * @param {number} round The draft round.
+ * @returns {string} The ordinal.
+ */
+function formatRound(round) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const lastTwo = round % 100;
+    const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : (suffixes[round % 10] || 'th');
+    return `${round}${suffix}`;
+}
+
+/**
+ * Works out which seasons' picks the ledger shows. Once a league's draft for its
+ * season has happened, its picks are spent and the ledger starts at the next season.
+ * @param {object} league The Sleeper league object.
+ * @returns {string[]} The seasons, earliest first.
+ */
+function getLedgerSeasons(league) {
+    const first = Number(league.season) + (PRE_DRAFT_STATUSES.includes(league.status) ? 0 : 1);
+    return Array.from({ length: LEDGER_SEASONS }, (_, i) => String(first + i));
+}
+
+/**
+ * Gets a roster's team name: the Sleeper team name when set, otherwise the owner's display name.
+ * @param {object} roster The Sleeper roster object.
+ * @param {object|undefined} user The roster owner's Sleeper user object.
+ * @returns {string} The team name.
+ */
+function getTeamName(roster, user) {
+    return user?.metadata?.team_name || user?.display_name || user?.username || `Team ${roster.roster_id}`;
+}
+
+/**
+ * Builds a league's future pick ledger: who owns every pick for the next few seasons.
+ * Sleeper only lists picks that have been traded (`roster_id` is the original owner,
+ * `owner_id` the current one); every other pick still belongs to its original roster.
+ * @param {object} league The Sleeper league object.
+ * @param {object[]} rosters The league's rosters.
+ * @param {object[]} users The league's users.
+ * @param {object[]} tradedPicks The league's traded picks.
+ * @returns {object} `{ seasons, rounds, teams, owners }` where each team is
+ *   `{ rosterId, userId, name, picks, tradedAway }`, picks are `{ season, round, originalRosterId }`
+ *   and `owners` maps `season:round:rosterId` to the owning roster ID.
+ */
+function buildPickLedger(league, rosters, users, tradedPicks) {
+    const seasons = getLedgerSeasons(league);
+    const rounds = Number(league.settings?.draft_rounds) || DEFAULT_DRAFT_ROUNDS;
+    const usersById = new Map((users || []).map(user => [user.user_id, user]));
+    const teams = [...rosters]
+        .sort((a, b) => a.roster_id - b.roster_id)
+        .map(roster => ({
+            rosterId: roster.roster_id,
+            userId: roster.owner_id,
+            name: getTeamName(roster, usersById.get(roster.owner_id)),
+            picks: [],
+            tradedAway: []
+        }));
+    const teamsById = new Map(teams.map(team => [team.rosterId, team]));
+
+    const tradedOwners = new Map();
+    for (const pick of tradedPicks || []) {
+        tradedOwners.set(`${pick.season}:${pick.round}:${pick.roster_id}`, Number(pick.owner_id));
+    }
+
+    const owners = {};
+    for (const season of seasons) {
+        for (let round = 1; round <= rounds; round++) {
+            for (const team of teams) {
+                const key = `${season}:${round}:${team.rosterId}`;
+                const ownerId = tradedOwners.get(key) ?? team.rosterId;
+                owners[key] = ownerId;
+                teamsById.get(ownerId)?.picks.push({ season, round, originalRosterId: team.rosterId });
+                if (ownerId !== team.rosterId) {
+                    team.tradedAway.push({ season, round, ownerRosterId: ownerId });
+                }
+            }
+        }
+    }
+
+    return { seasons, rounds, teams, owners };
+}
+
+/**
+ * Formats one team's picks, one line per season, e.g.
+ * "*2027:* 1st · 1st (via Team B) · 3rd  _traded away: 2nd to Team C_".
+ * @param {object} ledger The result of buildPickLedger.
+ * @param {object} team A team from the ledger.
+ * @returns {string} The formatted lines.
+ */
+function formatTeamPicks(ledger, team) {
+    const nameFor = (rosterId) => ledger.teams.find(t => t.rosterId === rosterId)?.name || `Team ${rosterId}`;
+    return ledger.seasons.map(season => {
+        const owned = team.picks
+            .filter(pick => pick.season === season)
+            // Own pick first within a round, then acquired ones
+            .sort((a, b) => a.round - b.round || (b.originalRosterId === team.rosterId) - (a.originalRosterId === team.rosterId))
+            .map(pick => (pick.originalRosterId === team.rosterId
+                ? formatRound(pick.round)
+                : `${formatRound(pick.round)} (via ${nameFor(pick.originalRosterId)})`));
+        const away = team.tradedAway
+            .filter(pick => pick.season === season)
+            .map(pick => `${formatRound(pick.round)} to ${nameFor(pick.ownerRosterId)}`);
+        let line = `*${season}:* ${owned.length > 0 ? owned.join(' · ') : '_No picks_'}`;
+        if (away.length > 0) {
+            line += `  _traded away: ${away.join(', ')}_`;
+        }
+        return line;
+    }).join('\n');
+}
+
+/**
+ * Compares two snapshots of pick owners and lists the picks that changed hands.
+ * Picks missing from the earlier snapshot (a season that just came into range) are ignored.
+ * @param {object} previous The earlier `owners` map.
+ * @param {object} current The current `owners` map.
+ * @returns {object[]} `{ season, round, originalRosterId, fromRosterId, toRosterId }` for each move.
+ */
+function findPickChanges(previous, current) {
+    const changes = [];
+    for (const [key, ownerId] of Object.entries(current)) {
+        const previousOwner = previous[key];
+        if (previousOwner === undefined || Number(previousOwner) === ownerId) {
+            continue;
+        }
+        const [season, round, originalRosterId] = key.split(':');
+        changes.push({
+            season,
+            round: Number(round),
+            originalRosterId: Number(originalRosterId),
+            fromRosterId: Number(previousOwner),
+            toRosterId: ownerId
+        });
+    }
+    return changes.sort((a, b) => a.season.localeCompare(b.season) || a.round - b.round);
+}
+
+/**
+ * Checks whether two snapshots of pick owners hold the same picks with the same owners.
+ * The seasons in range shift when a league moves on a year, so the keys are compared
+ * as well as the owners.
+ * @param {object} previous The earlier `owners` map.
+ * @param {object} current The current `owners` map.
+ * @returns {boolean} True if nothing differs.
+ */
+function isSameSnapshot(previous, current) {
+    const keys = Object.keys(current);
+    return keys.length === Object.keys(previous).length
+        && keys.every(key => previous[key] !== undefined && Number(previous[key]) === current[key]);
+}
+
+/**
+ * Loads a league's pick ledger from Sleeper.
+ * @param {string} leagueId The Sleeper league ID.
+ * @returns {Promise<object|null>} The ledger plus the `league`, or null if the league doesn't exist.
+ */
+async function loadPickLedger(leagueId) {
+    const [league, rosters, users, tradedPicks] = await Promise.all([
+        getLeague(leagueId),
+        getLeagueRosters(leagueId),
+        getLeagueUsers(leagueId),
+        getLeagueTradedPicks(leagueId)
+    ]);
+    if (!league || !rosters) {
+        return null;
+    }
+    return { league, ...buildPickLedger(league, rosters, users, tradedPicks) };
+}
+
+/**
+ * Posts any future picks that changed hands since the last check to each league's
+ * channel. The first check of a league only records the current owners.
+ * Picks already shown on a posted trade card are left out.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {object[]} [postedTransactions] Transactions just posted by the transaction feed, each with its `leagueId`.
+ * @returns {Promise<number>} How many pick moves were posted.
+ */
+async function checkPickTrades(app, postedTransactions = []) {
+    const alreadyPosted = new Set(postedTransactions.flatMap(transaction => (transaction.draft_picks || [])
+        .map(pick => `${transaction.leagueId}|${pick.season}:${pick.round}:${pick.roster_id}|${pick.owner_id}`)));
+    const channels = await getAllChannelsWithLeagues();
+    let posted = 0;
+    for (const { leagues } of channels) {
+        for (const registered of leagues) {
+            try {
+                const ledger = await loadPickLedger(registered.leagueId);
+                if (!ledger) {
+                    continue;
+                }
+                const previous = await getPickOwners(registered.leagueId);
+                const allChanges = previous ? findPickChanges(previous, ledger.owners) : [];
+                if (!previous || !isSameSnapshot(previous, ledger.owners)) {
+                    await savePickOwners(registered.leagueId, ledger.owners);
+                }
+                const changes = allChanges.filter(change => !alreadyPosted.has(
+                    `${registered.leagueId}|${change.season}:${change.round}:${change.originalRosterId}|${change.toRosterId}`));
+                if (changes.length === 0) {
+                    continue;
+                }
+
+                const nameFor = (rosterId) => ledger.teams.find(team => team.rosterId === rosterId)?.name || `Team ${rosterId}`;
+                const lines = changes.map(change => {
+                    const pick = `*${nameFor(change.originalRosterId)}*'s ${change.season} ${formatRound(change.round)}`;
+                    return change.fromRosterId === change.originalRosterId
+                        ? `• *${nameFor(change.toRosterId)}* acquired ${pick}`
+                        : `• *${nameFor(change.toRosterId)}* acquired ${pick} from *${nameFor(change.fromRosterId)}*`;
+                });
+                await app.client.chat.postMessage({
+                    channel: registered.slackChannelId,
+                    text: `:handshake: *Draft pick${changes.length === 1 ? '' : 's'} traded in ${ledger.league.name}*\n${lines.join('\n')}`
+                });
+                posted += changes.length;
+            } catch (error) {
+                logger.warn('League monitor: could not check traded picks', { leagueId: registered.leagueId, error });
+            }
+        }
+    }
+    return posted;
+}
+
+module.exports = {
+    formatRound,
+    getLedgerSeasons,
+    getTeamName,
+    buildPickLedger,
+    formatTeamPicks,
+    findPickChanges,
+    loadPickLedger,
+    checkPickTrades
+};
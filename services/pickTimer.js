@@ -0,0 +1,186 @@
+const { getPlayer } = require('./datastore.js');
+const { getNextPicker, loadTradedPicks } = require('../handlers/lastpick.js');
+const { getSlotForPick } = require('../shared/draftOrder.js');
+const { isAuctionDraft } = require('../shared/auctionDraft.js');
+const logger = require('../shared/logger.js');
+
+/**
+ * Escalating "you're on the clock" reminders, keyed by how much of the pick timer
+ * has elapsed. Only the highest stage reached is sent, so a slow monitor run never
+ * fires several reminders at once.
+ */
+const REMINDER_STAGES = [
+    { stage: 1, elapsedFraction: 0 },
+    { stage: 2, elapsedFraction: 0.5 },
+    { stage: 3, elapsedFraction: 0.9 }
+];
+
+/**
+ * Formats a duration for a reminder message, e.g. "1h 5m", "12m", "40s".
+ * @param {number} ms Duration in milliseconds.
+ * @returns {string} A short human-readable duration.
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    if (hours > 0) {
+        return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+    }
+    if (minutes > 0) {
+        return `${minutes}m`;
+    }
+    return `${totalSeconds}s`;
+}
+
+/**
+ * Works out the highest reminder stage reached for the current pick.
+ * @param {number} elapsedMs Time since the pick started.
+ * @param {number} timerMs The draft's pick timer.
+ * @returns {number} The stage reached (0 once the timer has expired).
+ */
+function getReminderStage(elapsedMs, timerMs) {
+    if (elapsedMs >= timerMs) {
+        // Sleeper autopicks on expiry; a reminder now would only confuse things.
+        return 0;
+    }
+    let reached = 0;
+    for (const { stage, elapsedFraction } of REMINDER_STAGES) {
+        if (elapsedMs >= timerMs * elapsedFraction) {
+            reached = stage;
+        }
+    }
+    return reached;
+}
+
+/**
+ * Describes the pick on the clock for a DM, e.g. "pick 3.04".
+ * @param {object} draft The Sleeper draft object.
+ * @param {number} pickNo The pick on the clock.
+ * @returns {string} The pick label, or "your nomination" in an auction.
+ */
+function formatPickLabel(draft, pickNo) {
+    if (isAuctionDraft(draft)) {
+        return 'your nomination';
+    }
+    const { round, pickInRound } = getSlotForPick(draft, pickNo);
+    return `pick ${round}.${String(pickInRound).padStart(2, '0')}`;
+}
+
+/**
+ * Builds the DM text for a reminder stage.
+ * @param {number} stage The reminder stage.
+ * @param {object} draft The Sleeper draft object.
+ * @param {number} pickNo The pick on the clock.
+ * @param {number} remainingMs Time left on the pick timer.
+ * @returns {string} The message text.
+ */
+function buildReminderText(stage, draft, pickNo, remainingMs) {
+    const draftName = draft.metadata?.name || `draft ${draft.draft_id}`;
+    const pickLabel = formatPickLabel(draft, pickNo);
+    const remaining = formatDuration(remainingMs);
+
+    if (stage === 1) {
+        return `:alarm_clock: You're on the clock in *${draftName}*! You have ${remaining} to make ${pickLabel}.`;
+    }
+    if (stage === 2) {
+        return `:hourglass_flowing_sand: Halfway there: about ${remaining} left to make ${pickLabel} in *${draftName}*.`;
+    }
+    return `:rotating_light: Final reminder: only about ${remaining} left to make ${pickLabel} in *${draftName}* before the timer runs out!`;
+}
+
+/**
+ * Sends the registered Slack user on the clock a DM reminder when their pick starts,
+ * at 50% of the pick timer and again near expiry.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The picks made so far.
+ * @param {object} [reminderState] The persisted `{ pick_no, stage }` of the last reminder sent.
+ * @param {object} [options]
+ * @param {number} [options.now] Current time in ms (for testing).
+ * @returns {Promise<object|null>} The new reminder state to persist, or null if nothing changed.
+ */
+async function sendPickTimerReminders(app, draft, picks, reminderState, { now = Date.now() } = {}) {
+    const timerSeconds = Number(draft.settings?.pick_timer);
+    if (draft.status !== 'drafting' || !timerSeconds) {
+        return null;
+    }
+
+    const pickNo = picks.length + 1;
+    const timerMs = timerSeconds * 1000;
+    // Sleeper stamps the draft with the time of the last pick; the first pick starts with the draft.
+    const pickStartedAt = Number(draft.last_picked || draft.start_time) || now;
+    const elapsedMs = now - pickStartedAt;
+
+    const stageSent = reminderState?.pick_no === pickNo ? reminderState.stage : 0;
+    const stage = getReminderStage(elapsedMs, timerMs);
+    if (stage <= stageSent) {
+        return null;
+    }
+
+    const tradedPicks = await loadTradedPicks(draft);
+    const nextPicker = getNextPicker(draft, picks, tradedPicks);
+    if (!nextPicker) {
+        return null;
+    }
+
+    try {
+        const player = await getPlayer(nextPicker.userId);
+        if (player?.slackMemberId) {
+            await app.client.chat.postMessage({
+                channel: player.slackMemberId,
+                text: buildReminderText(stage, draft, pickNo, timerMs - elapsedMs)
+            });
+        }
+    } catch (error) {
+        // Record the stage anyway so a failing DM isn't retried every minute.
+        logger.warn('Pick timer: could not send reminder', { draftId: draft.draft_id, pickNo, stage, error });
+    }
+
+    return { pick_no: pickNo, stage };
+}
+
+/**
+ * DMs the registered Slack user on the clock in a draft without a pick timer. Used when
+ * the channel's alert settings held back the pick that put them on the clock; timed
+ * drafts already get this DM from the first reminder stage.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The picks made so far.
+ * @param {object[]} [tradedPicks] Traded picks for the draft; fetched when omitted.
+ * @returns {Promise<boolean>} Whether a DM was sent.
+ */
+async function sendOnTheClockDm(app, draft, picks, tradedPicks) {
+    if (draft.status !== 'drafting' || Number(draft.settings?.pick_timer)) {
+        return false;
+    }
+
+    const nextPicker = getNextPicker(draft, picks, tradedPicks || await loadTradedPicks(draft));
+    if (!nextPicker) {
+        return false;
+    }
+
+    try {
+        const player = await getPlayer(nextPicker.userId);
+        if (!player?.slackMemberId) {
+            return false;
+        }
+        const draftName = draft.metadata?.name || `draft ${draft.draft_id}`;
+        await app.client.chat.postMessage({
+            channel: player.slackMemberId,
+            text: `:alarm_clock: You're on the clock in *${draftName}*! It's time to make ${formatPickLabel(draft, picks.length + 1)}.`
+        });
+        return true;
+    } catch (error) {
+        logger.warn('Pick timer: could not send on the clock DM', { draftId: draft.draft_id, error });
+        return false;
+    }
+}
+
+module.exports = {
+    REMINDER_STAGES,
+    formatDuration,
+    getReminderStage,
+    sendPickTimerReminders,
+    sendOnTheClockDm
+};
@@ -0,0 +1,194 @@
+const { getLeague, getLeagueRosters, getLeagueUsers, getLeagueMatchups, getNflSchedule } = require('./sleeper.js');
+const { getLiveScoreboards, saveLiveScoreboard, deleteLiveScoreboard } = require('./datastore.js');
+const { getTeamName } = require('./pickLedger.js');
+const logger = require('../shared/logger.js');
+
+/**
+ * Reads a roster's score for the week. Commissioners can override scores with
+ * `custom_points`, which Sleeper shows instead of the calculated points.
+ * @param {object} matchup A Sleeper matchup entry.
+ * @returns {number} The team's points.
+ */
+function getMatchupPoints(matchup) {
+    return Number(matchup.custom_points ?? matchup.points ?? 0);
+}
+
+/**
+ * Pairs a week's matchup entries into head-to-head games. Rosters without a
+ * `matchup_id` (byes, or a league median) are returned separately.
+ * @param {object[]} matchups The week's Sleeper matchup entries.
+ * @param {function} nameFor Roster ID -> team name.
+ * @returns {{games: object[], unpaired: object[]}} Games are `{ matchupId, teams }`, highest score first within each.
+ */
+function pairMatchups(matchups, nameFor) {
+    const byMatchup = new Map();
+    const unpaired = [];
+    for (const matchup of matchups || []) {
+        const team = { rosterId: matchup.roster_id, name: nameFor(matchup.roster_id), points: getMatchupPoints(matchup) };
+        if (matchup.matchup_id === null || matchup.matchup_id === undefined) {
+            unpaired.push(team);
+            continue;
+        }
+        if (!byMatchup.has(matchup.matchup_id)) {
+            byMatchup.set(matchup.matchup_id, []);
+        }
+        byMatchup.get(matchup.matchup_id).push(team);
+    }
+    const games = [...byMatchup.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([matchupId, teams]) => ({ matchupId, teams: teams.sort((a, b) => b.points - a.points) }));
+    return { games, unpaired };
+}
+
+/**
+ * Loads a league's matchups for a week with team names.
+ * @param {string} leagueId The Sleeper league ID.
+ * @param {number} week The week.
+ * @returns {Promise<object|null>} `{ leagueId, leagueName, week, games, unpaired }`, or null if the league doesn't exist.
+ */
+async function loadScoreboard(leagueId, week) {
+    const [league, matchups, rosters, users] = await Promise.all([
+        getLeague(leagueId),
+        getLeagueMatchups(leagueId, week),
+        getLeagueRosters(leagueId),
+        getLeagueUsers(leagueId)
+    ]);
+    if (!league) {
+        return null;
+    }
+    const usersById = new Map((users || []).map(user => [user.user_id, user]));
+    const teamNames = new Map((rosters || []).map(roster => [roster.roster_id, getTeamName(roster, usersById.get(roster.owner_id))]));
+    const nameFor = (rosterId) => teamNames.get(rosterId) || `Team ${rosterId}`;
+    return { leagueId, leagueName: league.name, week, ...pairMatchups(matchups, nameFor) };
+}
+
+/**
+ * Counts where the week's NFL games are, from the ESPN statuses parsed by `getNflSchedule`.
+ * @param {object[]} games The week's NFL games.
+ * @returns {{total: number, inProgress: number, final: number}} Game counts.
+ */
+function summarizeNflGames(games) {
+    return {
+        total: games.length,
+        inProgress: games.filter(game => game.status === 'in_progress').length,
+        final: games.filter(game => game.status === 'final').length
+    };
+}
+
+/**
+ * Builds the scoreboard message.
+ * @param {object} scoreboard The result of loadScoreboard.
+ * @param {object} [options]
+ * @param {object|null} [options.nflGames] The result of summarizeNflGames, if the NFL schedule loaded.
+ * @param {boolean} [options.live] Whether the message is kept up to date.
+ * @param {number} [options.now] The time of the update in milliseconds, for the live footer.
+ * @returns {object} A Slack message payload with `text` and `blocks`.
+ */
+function buildScoreboardPayload(scoreboard, { nflGames = null, live = false, now = Date.now() } = {}) {
+    const formatTeam = (team, leading) => `\`${team.points.toFixed(2)}\`  ${leading ? `*${team.name}*` : team.name}`;
+    const gameBlocks = scoreboard.games.map(({ teams }) => ({
+        type: 'section',
+        text: {
+            type: 'mrkdwn',
+            text: teams.map(team => formatTeam(team, teams.length > 1 && team.points === teams[0].points)).join('\n')
+        }
+    }));
+
+    const context = [];
+    if (scoreboard.unpaired.length > 0) {
+        context.push(`No matchup: ${scoreboard.unpaired.map(team => `${team.name} (${team.points.toFixed(2)})`).join(', ')}`);
+    }
+    if (nflGames) {
+        if (nflGames.total > 0 && nflGames.final === nflGames.total) {
+            context.push(':checkered_flag: Final: every NFL game this week is over');
+        } else if (live) {
+            const seconds = Math.floor(now / 1000);
+            context.push(`:red_circle: Live: ${nflGames.inProgress} NFL game${nflGames.inProgress === 1 ? '' : 's'} in progress, ${nflGames.final} of ${nflGames.total} final · updated <!date^${seconds}^{time}|${new Date(now).toISOString()}>`);
+        } else {
+            context.push(`${nflGames.final} of ${nflGames.total} NFL games final`);
+        }
+    }
+
+    const title = `${scoreboard.leagueName} · Week ${scoreboard.week} Scoreboard`;
+    return {
+        text: title,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: `🏈 ${title}`, emoji: true } },
+            ...(gameBlocks.length > 0 ? gameBlocks : [{ type: 'section', text: { type: 'mrkdwn', text: '_No matchups this week._' } }]),
+            ...(context.length > 0 ? [{ type: 'context', elements: context.map(text => ({ type: 'mrkdwn', text })) }] : [])
+        ]
+    };
+}
+
+/**
+ * Edits every live scoreboard with the latest points. Scoreboards are only touched while
+ * NFL games are in progress or when a game has gone final since the last update, and stop
+ * updating once every game of their week is over. Called by the draft monitor each minute.
+ * @param {object} app The Slack Bolt app instance.
+ * @returns {Promise<number>} How many scoreboards were updated.
+ */
+async function updateLiveScoreboards(app) {
+    const scoreboards = await getLiveScoreboards();
+    if (scoreboards.length === 0) {
+        return 0;
+    }
+
+    // Leagues following the same week share one schedule fetch
+    const schedules = new Map();
+    const loadNflGames = (season, week) => {
+        const key = `${season}:${week}`;
+        if (!schedules.has(key)) {
+            schedules.set(key, getNflSchedule(season, week).then(summarizeNflGames));
+        }
+        return schedules.get(key);
+    };
+
+    let updated = 0;
+    for (const live of scoreboards) {
+        try {
+            const nflGames = await loadNflGames(live.season, live.week);
+            if (nflGames.inProgress === 0 && nflGames.final === live.finalGames) {
+                continue;
+            }
+
+            const scoreboard = await loadScoreboard(live.leagueId, live.week);
+            if (!scoreboard) {
+                await deleteLiveScoreboard(live.leagueId);
+                continue;
+            }
+            try {
+                await app.client.chat.update({
+                    channel: live.channelId,
+                    ts: live.ts,
+                    ...buildScoreboardPayload(scoreboard, { nflGames, live: true })
+                });
+            } catch (error) {
+                if (error.data?.error === 'message_not_found') {
+                    // Someone deleted the scoreboard, so stop following it
+                    await deleteLiveScoreboard(live.leagueId);
+                    continue;
+                }
+                throw error;
+            }
+            updated++;
+
+            if (nflGames.final === nflGames.total) {
+                await deleteLiveScoreboard(live.leagueId);
+            } else if (nflGames.final !== live.finalGames) {
+                await saveLiveScoreboard({ ...live, finalGames: nflGames.final });
+            }
+        } catch (error) {
+            logger.warn('Scoreboard: could not update live scoreboard', { leagueId: live.leagueId, error });
+        }
+    }
+    return updated;
+}
+
+module.exports = {
+    getMatchupPoints,
+    pairMatchups,
+    loadScoreboard,
+    summarizeNflGames,
+    buildScoreboardPayload,
+    updateLiveScoreboards
+};
@@ -158,6 +158,60 @@ const getLeague = (leagueId) => {
     return sleeperRequest(`/league/${leagueId}`);
 };
 
+/**
+ * Get all drafts for a league, most recent first.
+ * See: https://docs.sleeper.com/#get-all-drafts-for-a-league
+ * @param {string} leagueId The ID of the league.
+ * @returns {Promise<object[]>} An array of draft objects.
+ */
+const getLeagueDrafts = (leagueId) => {
+    return sleeperRequest(`/league/${leagueId}/drafts`);
+};
+
+/**
+ * Get every traded pick in a league, including future seasons' picks.
+ * See: https://docs.sleeper.com/#get-all-traded-picks-in-a-league
+ * @param {string} leagueId The ID of the league.
+ * @returns {Promise<object[]>} An array of traded pick objects.
+ */
+const getLeagueTradedPicks = (leagueId) => {
+    return sleeperRequest(`/league/${leagueId}/traded_picks`);
+};
+
+/**
+ * Get a league's transactions (trades, waiver claims and free agent moves) for one week.
+ * See: https://docs.sleeper.com/#get-transactions
+ * @param {string} leagueId The ID of the league.
+ * @param {number} week The week (Sleeper calls it the round) to fetch.
+ * @returns {Promise<object[]>} An array of transaction objects.
+ */
+const getLeagueTransactions = (leagueId, week) => {
+    return sleeperRequest(`/league/${leagueId}/transactions/${week}`);
+};
+
+/**
+ * Get a league's matchups for one week, one entry per roster.
+ * See: https://docs.sleeper.com/#getting-matchups-in-a-league
+ * @param {string} leagueId The ID of the league.
+ * @param {number} week The week to fetch.
+ * @returns {Promise<object[]>} An array of matchup objects; rosters facing each other share a `matchup_id`.
+ */
+const getLeagueMatchups = (leagueId, week) => {
+    return sleeperRequest(`/league/${leagueId}/matchups/${week}`);
+};
+
+/**
+ * Get all leagues for a user in a given sport and season.
+ * See: https://docs.sleeper.com/#get-all-leagues-for-user
+ * @param {string} userId The ID of the user.
+ * @param {string} sport The sport (e.g., 'nfl').
+ * @param {string} season The season year (e.g., '2025').
+ * @returns {Promise<object[]>} An array of league objects.
+ */
+const getUserLeagues = (userId, sport, season) => {
+    return sleeperRequest(`/user/${userId}/leagues/${sport}/${season}`);
+};
+
 /**
  * Get all users in a league.
  * See: https://docs.sleeper.com/#get-users-in-a-league
@@ -261,6 +315,11 @@ module.exports = {
     getUserDrafts,
     getUserByUsername,
     getLeague,
+    getLeagueDrafts,
+    getLeagueTradedPicks,
+    getLeagueTransactions,
+    getLeagueMatchups,
+    getUserLeagues,
     getLeagueUsers,
     getLeagueRosters,
     getAllPlayers,
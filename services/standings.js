@@ -0,0 +1,348 @@
+const { getLeague, getLeagueRosters, getLeagueUsers, getLeagueMatchups } = require('./sleeper.js');
+const { getTeamName } = require('./pickLedger.js');
+const { getMatchupPoints } = require('./scoreboard.js');
+
+// How much each part counts towards a team's power score
+const POWER_WEIGHTS = { pointsFor: 0.4, allPlay: 0.4, recentForm: 0.2 };
+// Weeks counted as "recent form"
+const RECENT_WEEKS = 3;
+// Sleeper's default when a league hasn't set its playoff start
+const DEFAULT_PLAYOFF_WEEK_START = 15;
+
+/**
+ * Formats a win-loss(-tie) record, leaving the ties off when there are none.
+ * @param {number} wins Wins.
+ * @param {number} losses Losses.
+ * @param {number} [ties] Ties.
+ * @returns {string} e.g. "9-4" or "8-4-1".
+ */
+function formatRecord(wins, losses, ties = 0) {
+    return `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+}
+
+/**
+ * Win percentage with ties counted as half a win.
+ * @param {object} team A team with `wins`, `losses` and `ties`.
+ * @returns {number} 0 to 1, or 0 before any games.
+ */
+function winPercentage(team) {
+    const games = team.wins + team.losses + team.ties;
+    return games === 0 ? 0 : (team.wins + team.ties / 2) / games;
+}
+
+/**
+ * Orders teams by win percentage, then points for. Points for is the only tiebreaker:
+ * the league's own tiebreaker settings aren't applied, so where they differ (head to
+ * head, say) the order can differ from Sleeper's.
+ * @param {object} a A team.
+ * @param {object} b A team.
+ * @returns {number} A sort comparison.
+ */
+function compareStandings(a, b) {
+    return winPercentage(b) - winPercentage(a) || b.pointsFor - a.pointsFor || a.rosterId - b.rosterId;
+}
+
+/**
+ * Reads a team's season totals from its roster's `settings`. Sleeper splits points
+ * into whole points and hundredths (`fpts` and `fpts_decimal`).
+ * @param {object} roster The Sleeper roster object.
+ * @param {string} name The team name.
+ * @returns {object} `{ rosterId, name, wins, losses, ties, pointsFor, pointsAgainst, division }`.
+ */
+function buildTeamRecord(roster, name) {
+    const settings = roster.settings || {};
+    return {
+        rosterId: roster.roster_id,
+        name,
+        wins: settings.wins || 0,
+        losses: settings.losses || 0,
+        ties: settings.ties || 0,
+        pointsFor: (settings.fpts || 0) + (settings.fpts_decimal || 0) / 100,
+        pointsAgainst: (settings.fpts_against || 0) + (settings.fpts_against_decimal || 0) / 100,
+        division: settings.division || null
+    };
+}
+
+/**
+ * Ranks a league's teams and seeds the playoffs. In leagues with divisions, each
+ * division's leader is seeded ahead of the wild cards, as on Sleeper.
+ * @param {object} league The Sleeper league object.
+ * @param {object[]} teams The teams from buildTeamRecord.
+ * @returns {object[]} The teams in seed order, with `seed`, `playoffs` and `divisionName` set.
+ */
+function rankStandings(league, teams) {
+    const settings = league.settings || {};
+    const divisionCount = settings.divisions || 0;
+    const playoffTeams = settings.playoff_teams || 0;
+    const divisionName = (division) => league.metadata?.[`division_${division}`] || `Division ${division}`;
+
+    const ordered = [...teams].sort(compareStandings);
+    let seeded = ordered;
+    if (divisionCount > 1) {
+        const leaders = [];
+        for (const team of ordered) {
+            if (team.division && !leaders.some(leader => leader.division === team.division)) {
+                leaders.push(team);
+            }
+        }
+        seeded = [...leaders, ...ordered.filter(team => !leaders.includes(team))];
+    }
+
+    return seeded.map((team, index) => ({
+        ...team,
+        seed: index + 1,
+        playoffs: index < playoffTeams,
+        divisionName: divisionCount > 1 && team.division ? divisionName(team.division) : null
+    }));
+}
+
+/**
+ * Loads a league's teams with names.
+ * @param {string} leagueId The Sleeper league ID.
+ * @returns {Promise<{league: object, rosters: object[], nameFor: function}|null>} Null if the league doesn't exist.
+ */
+async function loadLeagueTeams(leagueId) {
+    const [league, rosters, users] = await Promise.all([
+        getLeague(leagueId),
+        getLeagueRosters(leagueId),
+        getLeagueUsers(leagueId)
+    ]);
+    if (!league || !rosters) {
+        return null;
+    }
+    const usersById = new Map((users || []).map(user => [user.user_id, user]));
+    const teamNames = new Map(rosters.map(roster => [roster.roster_id, getTeamName(roster, usersById.get(roster.owner_id))]));
+    return { league, rosters, nameFor: (rosterId) => teamNames.get(rosterId) || `Team ${rosterId}` };
+}
+
+/**
+ * Loads a league's standings.
+ * @param {string} leagueId The Sleeper league ID.
+ * @returns {Promise<{league: object, teams: object[]}|null>} The league and its ranked teams, or null if it doesn't exist.
+ */
+async function loadStandings(leagueId) {
+    const loaded = await loadLeagueTeams(leagueId);
+    if (!loaded) {
+        return null;
+    }
+    const { league, rosters, nameFor } = loaded;
+    const teams = rosters.map(roster => buildTeamRecord(roster, nameFor(roster.roster_id)));
+    return { league, teams: rankStandings(league, teams) };
+}
+
+/**
+ * The last week of a league's regular season.
+ * @param {object} league The Sleeper league object.
+ * @returns {number} The week before the playoffs start.
+ */
+function getLastRegularWeek(league) {
+    return (league.settings?.playoff_week_start || DEFAULT_PLAYOFF_WEEK_START) - 1;
+}
+
+/**
+ * Works out the last regular season week with final scores.
+ * @param {object} league The Sleeper league object.
+ * @param {object} state The NFL state from `getNflState`.
+ * @returns {number} The week, or 0 if no games have been played.
+ */
+function getLastCompletedWeek(league, state) {
+    const lastRegularWeek = getLastRegularWeek(league);
+    if (league.status === 'complete') {
+        return lastRegularWeek;
+    }
+    if (league.status !== 'in_season' || String(state?.season) !== String(league.season)) {
+        return 0;
+    }
+    return Math.max(0, Math.min((Number(state.week) || 0) - 1, lastRegularWeek));
+}
+
+/**
+ * Computes power rankings from weekly scores. Each team's power score blends its share
+ * of the top points for, its all-play win percentage (its record had it played every
+ * team every week) and its average over the last few weeks against the best recent
+ * average, weighted by POWER_WEIGHTS and scaled to 100.
+ * @param {object[][]} weeks Each week's Sleeper matchup entries, oldest first.
+ * @param {object[]} teams The teams from buildTeamRecord, for names and records.
+ * @returns {object[]} Teams ranked by power score, with `rank`, `score`, `allPlay`, `seasonPoints` and `recentAverage`.
+ */
+function computePowerRankings(weeks, teams) {
+    const stats = new Map(teams.map(team => [team.rosterId, {
+        ...team,
+        weeklyPoints: [],
+        allPlay: { wins: 0, losses: 0, ties: 0 }
+    }]));
+
+    for (const matchups of weeks) {
+        const scores = (matchups || [])
+            .filter(matchup => stats.has(matchup.roster_id))
+            .map(matchup => ({ rosterId: matchup.roster_id, points: getMatchupPoints(matchup) }));
+        for (const score of scores) {
+            const team = stats.get(score.rosterId);
+            team.weeklyPoints.push(score.points);
+            for (const other of scores) {
+                if (other === score) continue;
+                if (score.points > other.points) team.allPlay.wins++;
+                else if (score.points < other.points) team.allPlay.losses++;
+                else team.allPlay.ties++;
+            }
+        }
+    }
+
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const ranked = [...stats.values()].map(team => {
+        const recent = team.weeklyPoints.slice(-RECENT_WEEKS);
+        return {
+            ...team,
+            seasonPoints: sum(team.weeklyPoints),
+            recentAverage: recent.length > 0 ? sum(recent) / recent.length : 0,
+            allPlayPercentage: winPercentage(team.allPlay)
+        };
+    });
+
+    const topPoints = Math.max(...ranked.map(team => team.seasonPoints), 0);
+    const topRecent = Math.max(...ranked.map(team => team.recentAverage), 0);
+    return ranked
+        .map(team => ({
+            ...team,
+            score: 100 * (
+                POWER_WEIGHTS.pointsFor * (topPoints > 0 ? team.seasonPoints / topPoints : 0) +
+                POWER_WEIGHTS.allPlay * team.allPlayPercentage +
+                POWER_WEIGHTS.recentForm * (topRecent > 0 ? team.recentAverage / topRecent : 0)
+            )
+        }))
+        .sort((a, b) => b.score - a.score || b.allPlayPercentage - a.allPlayPercentage || b.seasonPoints - a.seasonPoints || a.rosterId - b.rosterId)
+        .map((team, index) => ({ ...team, rank: index + 1 }));
+}
+
+/**
+ * Loads a league's power rankings from every completed regular season week.
+ * @param {string} leagueId The Sleeper league ID.
+ * @param {object} state The NFL state from `getNflState`.
+ * @returns {Promise<{league: object, week: number, teams: object[]}|null>} Null if the league doesn't exist. `week` is 0 before any games.
+ */
+async function loadPowerRankings(leagueId, state) {
+    const loaded = await loadLeagueTeams(leagueId);
+    if (!loaded) {
+        return null;
+    }
+    const { league, rosters, nameFor } = loaded;
+    const week = getLastCompletedWeek(league, state);
+    if (week === 0) {
+        return { league, week, teams: [] };
+    }
+
+    const weekNumbers = Array.from({ length: week }, (_, index) => index + 1);
+    const weeks = await Promise.all(weekNumbers.map(number => getLeagueMatchups(leagueId, number)));
+    const teams = rosters.map(roster => buildTeamRecord(roster, nameFor(roster.roster_id)));
+    return { league, week, teams: computePowerRankings(weeks, teams) };
+}
+
+/**
+ * Builds a Block Kit table. Slack allows one table per message.
+ * @param {string[]} headers The column headers.
+ * @param {string[][]} rows The rows, as text.
+ * @param {string[]} [align] Per-column alignment ('left', 'center' or 'right').
+ * @returns {object} A table block.
+ */
+function buildTable(headers, rows, align = []) {
+    const toCells = (values) => values.map(value => ({ type: 'raw_text', text: String(value) }));
+    return {
+        type: 'table',
+        column_settings: headers.map((_, index) => ({ align: align[index] || 'left' })),
+        rows: [toCells(headers), ...rows.map(toCells)]
+    };
+}
+
+/**
+ * Builds the standings message.
+ * @param {object} standings The result of loadStandings.
+ * @returns {object} A Slack message payload with `text` and `blocks`.
+ */
+function buildStandingsPayload({ league, teams }) {
+    const hasDivisions = teams.some(team => team.divisionName);
+    const headers = ['#', 'Team', ...(hasDivisions ? ['Division'] : []), 'W-L-T', 'PF', 'PA'];
+    const rows = teams.map(team => [
+        team.playoffs ? `${team.seed}*` : team.seed,
+        team.name,
+        ...(hasDivisions ? [team.divisionName || ''] : []),
+        formatRecord(team.wins, team.losses, team.ties),
+        team.pointsFor.toFixed(2),
+        team.pointsAgainst.toFixed(2)
+    ]);
+    const align = ['right', 'left', ...(hasDivisions ? ['left'] : []), 'center', 'right', 'right'];
+
+    const notes = ['Teams level on record are separated by points for only, so the order may differ from Sleeper\'s tiebreakers.'];
+    const playoffTeams = teams.filter(team => team.playoffs).length;
+    if (playoffTeams > 0) {
+        notes.unshift(`* In playoff position: the top ${playoffTeams} make the playoffs.`);
+    }
+    if (hasDivisions) {
+        notes.push('Division leaders are seeded first.');
+    }
+
+    const title = `${league.name} Standings`;
+    return {
+        text: title,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: `🏆 ${title}`, emoji: true } },
+            { type: 'context', elements: [{ type: 'mrkdwn', text: notes.join(' ') }] },
+            buildTable(headers, rows, align)
+        ]
+    };
+}
+
+/**
+ * Builds the power rankings message.
+ * @param {object} powerRankings The result of loadPowerRankings.
+ * @returns {object} A Slack message payload with `text` and `blocks`.
+ */
+function buildPowerRankingsPayload({ league, week, teams }) {
+    const rows = teams.map(team => [
+        team.rank,
+        team.name,
+        team.score.toFixed(1),
+        formatRecord(team.allPlay.wins, team.allPlay.losses, team.allPlay.ties),
+        team.seasonPoints.toFixed(2),
+        team.recentAverage.toFixed(2),
+        formatRecord(team.wins, team.losses, team.ties)
+    ]);
+
+    const percent = (weight) => `${Math.round(weight * 100)}%`;
+    const title = `${league.name} Power Rankings · Through Week ${week}`;
+    return {
+        text: title,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: `⚡ ${title}`, emoji: true } },
+            {
+                type: 'context',
+                elements: [{
+                    type: 'mrkdwn',
+                    text: `Score blends points for (${percent(POWER_WEIGHTS.pointsFor)}), all-play record (${percent(POWER_WEIGHTS.allPlay)}: every team against every other team, every week) ` +
+                        `and average points over the last ${RECENT_WEEKS} weeks (${percent(POWER_WEIGHTS.recentForm)}).`
+                }]
+            },
+            buildTable(
+                ['#', 'Team', 'Score', 'All-Play', 'PF', `Last ${RECENT_WEEKS}`, 'Record'],
+                rows,
+                ['right', 'left', 'right', 'center', 'right', 'right', 'center']
+            )
+        ]
+    };
+}
+
+module.exports = {
+    POWER_WEIGHTS,
+    formatRecord,
+    winPercentage,
+    buildTeamRecord,
+    rankStandings,
+    loadLeagueTeams,
+    loadStandings,
+    getLastRegularWeek,
+    getLastCompletedWeek,
+    computePowerRankings,
+    loadPowerRankings,
+    buildTable,
+    buildStandingsPayload,
+    buildPowerRankingsPayload
+};
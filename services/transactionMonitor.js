@@ -0,0 +1,204 @@
+const { getLeague, getLeagueRosters, getLeagueUsers, getLeagueTransactions, getNflState } = require('./sleeper.js');
+const { getAllChannelsWithLeagues, getTransactionMark, saveTransactionMark } = require('./datastore.js');
+const { getPlayersFromCacheOrFetch } = require('./nflDataCache.js');
+const { formatRound, getTeamName } = require('./pickLedger.js');
+const logger = require('../shared/logger.js');
+
+/**
+ * Formats a player for a transaction card, e.g. "Bijan Robinson (RB - ATL)".
+ * @param {string} playerId The Sleeper player ID.
+ * @param {object} players Cached players by ID.
+ * @returns {string} The player's name, or their ID if they aren't in the cache.
+ */
+function formatPlayer(playerId, players) {
+    const player = players[playerId];
+    if (!player) {
+        return `Player ${playerId}`;
+    }
+    return `${player.full_name} (${player.position} - ${player.team || 'FA'})`;
+}
+
+/**
+ * Lists what each team got in a trade: players, draft picks and FAAB.
+ * @param {object} transaction The Sleeper trade.
+ * @param {function} nameFor Roster ID -> team name.
+ * @param {object} players Cached players by ID.
+ * @returns {string[]} One mrkdwn section per team, in roster order.
+ */
+function describeTradeSides(transaction, nameFor, players) {
+    return [...transaction.roster_ids].sort((a, b) => a - b).map(rosterId => {
+        const received = [
+            ...Object.entries(transaction.adds || {})
+                .filter(([, toRosterId]) => toRosterId === rosterId)
+                .map(([playerId]) => formatPlayer(playerId, players)),
+            ...(transaction.draft_picks || [])
+                .filter(pick => pick.owner_id === rosterId)
+                .map(pick => `${pick.season} ${formatRound(pick.round)}${pick.roster_id === pick.previous_owner_id ? '' : ` (${nameFor(pick.roster_id)}'s)`}`),
+            ...(transaction.waiver_budget || [])
+                .filter(budget => budget.receiver === rosterId)
+                .map(budget => `$${budget.amount} FAAB`)
+        ];
+        const lines = received.length > 0 ? received.map(item => `• ${item}`) : ['• Nothing'];
+        return `*${nameFor(rosterId)}* receives:\n${lines.join('\n')}`;
+    });
+}
+
+/**
+ * Builds the card posted for a completed transaction.
+ * @param {object} transaction The Sleeper transaction.
+ * @param {string} leagueName The league's name.
+ * @param {function} nameFor Roster ID -> team name.
+ * @param {object} players Cached players by ID.
+ * @returns {object} A Slack message payload with `text` and `blocks`.
+ */
+function buildTransactionCard(transaction, leagueName, nameFor, players) {
+    if (transaction.type === 'trade') {
+        const teams = [...transaction.roster_ids].sort((a, b) => a - b).map(nameFor);
+        const sides = describeTradeSides(transaction, nameFor, players);
+        return {
+            text: `Trade in ${leagueName}: ${teams.join(' and ')}`,
+            blocks: [
+                { type: 'section', text: { type: 'mrkdwn', text: `:handshake: *TRADE ALERT!* ${leagueName}` } },
+                { type: 'section', fields: sides.map(side => ({ type: 'mrkdwn', text: side })) }
+            ]
+        };
+    }
+
+    // Waiver claims and free agent moves involve one team
+    const rosterId = transaction.roster_ids[0];
+    const team = nameFor(rosterId);
+    const adds = Object.keys(transaction.adds || {}).map(playerId => formatPlayer(playerId, players));
+    const drops = Object.keys(transaction.drops || {}).map(playerId => formatPlayer(playerId, players));
+    const lines = [
+        ...adds.map(player => `:heavy_plus_sign: ${player}`),
+        ...drops.map(player => `:heavy_minus_sign: ${player}`)
+    ];
+
+    let heading;
+    let action;
+    if (transaction.type === 'waiver') {
+        const bid = transaction.settings?.waiver_bid;
+        heading = `:inbox_tray: *WAIVER CLAIM* ${leagueName}`;
+        action = `claimed ${adds.join(', ') || 'a player'}${bid !== undefined ? ` for $${bid} FAAB` : ''}`;
+    } else {
+        heading = `:arrows_counterclockwise: *FREE AGENT MOVE* ${leagueName}`;
+        action = adds.length > 0 ? `added ${adds.join(', ')}` : `dropped ${drops.join(', ')}`;
+    }
+
+    return {
+        text: `${team} ${action} in ${leagueName}`,
+        blocks: [
+            { type: 'section', text: { type: 'mrkdwn', text: heading } },
+            { type: 'section', text: { type: 'mrkdwn', text: `*${team}* ${action}\n${lines.join('\n')}` } }
+        ]
+    };
+}
+
+/**
+ * Works out which weeks' transactions to poll: the current week and the one before,
+ * so moves processed just before the week rolled over aren't missed. Sleeper files
+ * off-season moves under week 1.
+ * @returns {Promise<number[]>} The weeks to poll.
+ */
+async function getTransactionWeeks() {
+    const state = await getNflState();
+    const week = Math.max(Number(state?.week) || 0, 1);
+    return week > 1 ? [week - 1, week] : [week];
+}
+
+/**
+ * Posts a registered league's completed transactions since its last check, oldest first.
+ * The first check of a league only records where the feed starts.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {object} registered The registered league (`leagueId`, `slackChannelId`).
+ * @param {number[]} weeks The weeks to poll.
+ * @returns {Promise<object[]>} The transactions that were posted.
+ */
+async function postLeagueTransactions(app, registered, weeks) {
+    const { leagueId } = registered;
+    const [previousMark, ...weekTransactions] = await Promise.all([
+        getTransactionMark(leagueId),
+        ...weeks.map(week => getLeagueTransactions(leagueId, week))
+    ]);
+    // The mark keeps overlapping weeks from posting twice, but one week's list can repeat another's
+    const transactions = new Map(weekTransactions.flatMap(list => list || []).map(transaction => [transaction.transaction_id, transaction]));
+    const completed = [...transactions.values()]
+        .filter(transaction => transaction.status === 'complete')
+        .sort((a, b) => a.status_updated - b.status_updated);
+
+    if (previousMark === null) {
+        const newest = completed.length > 0 ? completed[completed.length - 1].status_updated : Date.now();
+        await saveTransactionMark(leagueId, newest);
+        return [];
+    }
+
+    const fresh = completed.filter(transaction => transaction.status_updated > previousMark);
+    if (fresh.length === 0) {
+        return [];
+    }
+
+    const [league, rosters, users] = await Promise.all([
+        getLeague(leagueId),
+        getLeagueRosters(leagueId),
+        getLeagueUsers(leagueId)
+    ]);
+    const usersById = new Map((users || []).map(user => [user.user_id, user]));
+    const teamNames = new Map((rosters || []).map(roster => [roster.roster_id, getTeamName(roster, usersById.get(roster.owner_id))]));
+    const nameFor = (rosterId) => teamNames.get(rosterId) || `Team ${rosterId}`;
+    const playerIds = [...new Set(fresh.flatMap(transaction => [...Object.keys(transaction.adds || {}), ...Object.keys(transaction.drops || {})]))];
+    const players = playerIds.length > 0 ? await getPlayersFromCacheOrFetch(playerIds) : {};
+    const leagueName = league?.name || `League ${leagueId}`;
+
+    // Move the mark forward as each card goes out, so a failed post doesn't repeat the earlier ones
+    const posted = [];
+    let mark = previousMark;
+    try {
+        for (const transaction of fresh) {
+            await app.client.chat.postMessage({
+                channel: registered.slackChannelId,
+                ...buildTransactionCard(transaction, leagueName, nameFor, players)
+            });
+            posted.push(transaction);
+            mark = transaction.status_updated;
+        }
+    } finally {
+        if (mark !== previousMark) {
+            await saveTransactionMark(leagueId, mark);
+        }
+    }
+    return posted;
+}
+
+/**
+ * Checks every registered league for new trades, waiver claims and free agent moves
+ * in the current and previous week, and posts each one to the league's channel.
+ * @param {object} app The Slack Bolt app instance.
+ * @returns {Promise<object[]>} The posted transactions, each with its `leagueId`.
+ */
+async function checkLeagueTransactions(app) {
+    const channels = await getAllChannelsWithLeagues();
+    if (channels.length === 0) {
+        return [];
+    }
+
+    const weeks = await getTransactionWeeks();
+    const posted = [];
+    for (const { leagues } of channels) {
+        for (const registered of leagues) {
+            try {
+                const transactions = await postLeagueTransactions(app, registered, weeks);
+                posted.push(...transactions.map(transaction => ({ ...transaction, leagueId: registered.leagueId })));
+            } catch (error) {
+                logger.warn('League monitor: could not check transactions', { leagueId: registered.leagueId, error });
+            }
+        }
+    }
+    return posted;
+}
+
+module.exports = {
+    formatPlayer,
+    buildTransactionCard,
+    postLeagueTransactions,
+    checkLeagueTransactions
+};
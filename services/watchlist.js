@@ -0,0 +1,86 @@
+const { getWatchlistsForDraft } = require('./datastore.js');
+const { getPlayersFromCacheOrFetch } = require('./nflDataCache.js');
+const { resolvePickerName } = require('../handlers/lastpick.js');
+const { getMadePickOwner, getSlotForPick } = require('../shared/draftOrder.js');
+const { isAuctionDraft } = require('../shared/auctionDraft.js');
+const logger = require('../shared/logger.js');
+
+/**
+ * Builds the DM telling a watcher that one of their players has been taken.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} pick The pick that took the watched player.
+ * @param {string} teamName The name of the team that made the pick.
+ * @param {object|undefined} nextBest The best-ranked watched player still available, if any.
+ * @returns {string} The message text.
+ */
+function buildWatchlistAlert(draft, pick, teamName, nextBest) {
+    const draftName = draft.metadata?.name || `Draft ${draft.draft_id}`;
+    const { first_name: firstName = '', last_name: lastName = '', position = 'N/A', team } = pick.metadata || {};
+
+    let pickLabel = `pick #${pick.pick_no}`;
+    if (!isAuctionDraft(draft)) {
+        const { round, pickInRound } = getSlotForPick(draft, pick.pick_no);
+        pickLabel = `pick ${round}.${String(pickInRound).padStart(2, '0')}`;
+    }
+
+    const taken = `:rotating_light: *${`${firstName} ${lastName}`.trim()}* (${position} - ${team || 'FA'}) is gone: ${teamName} took them with ${pickLabel} in ${draftName}.`;
+    const suggestion = nextBest
+        ? `Next best on your watchlist: *${nextBest.full_name}* (${nextBest.position} - ${nextBest.team || 'FA'}).`
+        : 'That was the last player on your watchlist who was still available.';
+    return `${taken}\n${suggestion}`;
+}
+
+/**
+ * DMs each user whose watched player was taken in the new picks, suggesting the
+ * best-ranked player from their watchlist who is still available.
+ * A failed DM is logged and doesn't stop the others.
+ * @param {object} app The Slack Bolt app instance.
+ * @param {string} draftId The Sleeper draft ID.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks All picks made so far.
+ * @param {object[]} newPicks The picks made since the last check.
+ * @param {object} data The application's configuration data (from datastore).
+ * @returns {Promise<number>} How many alerts were sent.
+ */
+async function notifyWatchers(app, draftId, draft, picks, newPicks, data) {
+    const newPicksByPlayer = new Map(newPicks.map(pick => [pick.player_id, pick]));
+    const watchlists = (await getWatchlistsForDraft(draftId))
+        .filter(({ playerIds }) => playerIds.some(playerId => newPicksByPlayer.has(playerId)));
+    if (watchlists.length === 0) {
+        return 0;
+    }
+
+    const takenIds = new Set(picks.map(pick => pick.player_id));
+    const watchedIds = [...new Set(watchlists.flatMap(({ playerIds }) => playerIds))];
+    const players = await getPlayersFromCacheOrFetch(watchedIds);
+    const rank = (playerId) => players[playerId]?.search_rank ?? Infinity;
+
+    let sent = 0;
+    for (const { slackUserId, playerIds } of watchlists) {
+        // Rank first, then the order the user added them
+        const nextBest = playerIds
+            .filter(playerId => !takenIds.has(playerId) && players[playerId])
+            .sort((a, b) => rank(a) - rank(b))[0];
+
+        for (const playerId of playerIds.filter(id => newPicksByPlayer.has(id))) {
+            const pick = newPicksByPlayer.get(playerId);
+            try {
+                const { userId } = getMadePickOwner(draft, pick);
+                const teamName = userId ? await resolvePickerName(userId, data) : 'Another team';
+                await app.client.chat.postMessage({
+                    channel: slackUserId,
+                    text: buildWatchlistAlert(draft, pick, teamName, nextBest && players[nextBest])
+                });
+                sent++;
+            } catch (error) {
+                logger.warn('Watchlist: could not DM watcher', { draftId, slackUserId, playerId, error });
+            }
+        }
+    }
+    return sent;
+}
+
+module.exports = {
+    buildWatchlistAlert,
+    notifyWatchers
+};
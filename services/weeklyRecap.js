@@ -0,0 +1,253 @@
+const { getLeague, getLeagueRosters, getLeagueUsers, getLeagueMatchups, getNflSchedule } = require('./sleeper.js');
+const { getTeamName } = require('./pickLedger.js');
+const { getMatchupPoints, pairMatchups, summarizeNflGames } = require('./scoreboard.js');
+const { formatRecord, rankStandings, getLastRegularWeek } = require('./standings.js');
+const { formatPlayer } = require('./transactionMonitor.js');
+const { loadMatchupPlayers, summarizeLineups, formatEfficiency } = require('./lineupEfficiency.js');
+
+/**
+ * Works out which week to recap. Sleeper's NFL state can still point at the week that
+ * just finished on a Tuesday, or may already have moved on, so the week is only
+ * recapped once every one of its NFL games is final.
+ * @param {object} state The NFL state from `getNflState`.
+ * @returns {Promise<number>} The week to recap, or 0 if there isn't one.
+ */
+async function getRecapWeek(state) {
+    const week = Number(state?.week) || 0;
+    if (week < 1 || state.season_type === 'off' || state.season_type === 'pre') {
+        return 0;
+    }
+    const nflGames = summarizeNflGames(await getNflSchedule(state.season, week));
+    return nflGames.total > 0 && nflGames.final === nflGames.total ? week : week - 1;
+}
+
+/**
+ * Sums the points a team left on its bench, and finds its best benched player.
+ * @param {object} matchup A Sleeper matchup entry with `starters` and `players_points`.
+ * @returns {{points: number, playerId: string|null, playerPoints: number}} Bench totals.
+ */
+function getBenchPoints(matchup) {
+    const starters = new Set(matchup.starters || []);
+    let points = 0;
+    let playerId = null;
+    let playerPoints = 0;
+    for (const [id, scored] of Object.entries(matchup.players_points || {})) {
+        if (starters.has(id)) continue;
+        points += scored;
+        if (playerId === null || scored > playerPoints) {
+            playerId = id;
+            playerPoints = scored;
+        }
+    }
+    return { points, playerId, playerPoints };
+}
+
+/**
+ * Builds each team's record from weekly matchups. In leagues with a median game
+ * (`league_average_match`), teams also win or lose against the week's median score.
+ * @param {object[][]} weeks Each week's Sleeper matchup entries.
+ * @param {boolean} medianGame Whether the league plays the median each week.
+ * @returns {Map<number, object>} Roster ID -> `{ wins, losses, ties, pointsFor, pointsAgainst }`.
+ */
+function buildRecords(weeks, medianGame) {
+    const records = new Map();
+    const recordFor = (rosterId) => {
+        if (!records.has(rosterId)) {
+            records.set(rosterId, { wins: 0, losses: 0, ties: 0, pointsFor: 0, pointsAgainst: 0 });
+        }
+        return records.get(rosterId);
+    };
+    const score = (record, points, opponentPoints) => {
+        if (points > opponentPoints) record.wins++;
+        else if (points < opponentPoints) record.losses++;
+        else record.ties++;
+    };
+
+    for (const matchups of weeks) {
+        const { games } = pairMatchups(matchups, () => null);
+        for (const { teams } of games) {
+            if (teams.length !== 2) continue;
+            const [first, second] = teams;
+            score(recordFor(first.rosterId), first.points, second.points);
+            score(recordFor(second.rosterId), second.points, first.points);
+            recordFor(first.rosterId).pointsAgainst += second.points;
+            recordFor(second.rosterId).pointsAgainst += first.points;
+        }
+        const points = (matchups || []).map(matchup => ({ rosterId: matchup.roster_id, points: getMatchupPoints(matchup) }));
+        for (const team of points) {
+            recordFor(team.rosterId).pointsFor += team.points;
+        }
+        if (medianGame && points.length > 1) {
+            const sorted = points.map(team => team.points).sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+            for (const team of points) {
+                score(recordFor(team.rosterId), team.points, median);
+            }
+        }
+    }
+    return records;
+}
+
+/**
+ * Ranks the league after the recapped week and compares each team's seed with the week before.
+ * @param {object} league The Sleeper league object.
+ * @param {object[]} rosters The league's rosters.
+ * @param {object[][]} weeks Every week's matchups up to and including the recapped week.
+ * @param {function} nameFor Roster ID -> team name.
+ * @returns {object[]} Teams in seed order with `movement` (positive is up), which is null
+ *   in week 1 as there is no week before to compare with.
+ */
+function buildStandingsMovement(league, rosters, weeks, nameFor) {
+    const medianGame = Boolean(league.settings?.league_average_match);
+    const rank = (records) => rankStandings(league, rosters.map(roster => ({
+        rosterId: roster.roster_id,
+        name: nameFor(roster.roster_id),
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        ...records.get(roster.roster_id),
+        division: roster.settings?.division || null
+    })));
+
+    const after = rank(buildRecords(weeks, medianGame));
+    if (weeks.length < 2) {
+        return after.map(team => ({ ...team, movement: null }));
+    }
+    const before = new Map(rank(buildRecords(weeks.slice(0, -1), medianGame)).map(team => [team.rosterId, team.seed]));
+    return after.map(team => ({ ...team, movement: before.get(team.rosterId) - team.seed }));
+}
+
+/**
+ * Loads everything the weekly recap shows for a league.
+ * @param {string} leagueId The Sleeper league ID.
+ * @param {number} week The week to recap.
+ * @returns {Promise<object|null>} The recap, or null if the league doesn't exist or didn't play that week.
+ */
+async function loadWeeklyRecap(leagueId, week) {
+    const [league, rosters, users] = await Promise.all([
+        getLeague(leagueId),
+        getLeagueRosters(leagueId),
+        getLeagueUsers(leagueId)
+    ]);
+    if (!league || !rosters) {
+        return null;
+    }
+
+    const inRegularSeason = week <= getLastRegularWeek(league);
+    const weekNumbers = inRegularSeason ? Array.from({ length: week }, (_, index) => index + 1) : [week];
+    const weeks = await Promise.all(weekNumbers.map(number => getLeagueMatchups(leagueId, number)));
+    const matchups = weeks[weeks.length - 1] || [];
+    if (!matchups.some(matchup => getMatchupPoints(matchup) > 0)) {
+        return null;
+    }
+
+    const usersById = new Map((users || []).map(user => [user.user_id, user]));
+    const teamNames = new Map(rosters.map(roster => [roster.roster_id, getTeamName(roster, usersById.get(roster.owner_id))]));
+    const nameFor = (rosterId) => teamNames.get(rosterId) || `Team ${rosterId}`;
+
+    const { games, unpaired } = pairMatchups(matchups, nameFor);
+    const scores = matchups
+        .map(matchup => ({ rosterId: matchup.roster_id, name: nameFor(matchup.roster_id), points: getMatchupPoints(matchup) }))
+        .sort((a, b) => b.points - a.points);
+    const decided = games
+        .filter(game => game.teams.length === 2)
+        .map(game => ({ ...game, margin: game.teams[0].points - game.teams[1].points }))
+        .sort((a, b) => b.margin - a.margin);
+
+    const players = await loadMatchupPlayers([matchups]);
+    const benches = matchups
+        .map(matchup => ({ rosterId: matchup.roster_id, name: nameFor(matchup.roster_id), ...getBenchPoints(matchup) }))
+        .sort((a, b) => b.points - a.points);
+    let bench = benches[0].points > 0 ? benches[0] : null;
+    if (bench?.playerId) {
+        bench = { ...bench, playerName: formatPlayer(bench.playerId, players) };
+    }
+
+    return {
+        league,
+        week,
+        games,
+        unpaired,
+        highScorer: scores[0],
+        lowScorer: scores[scores.length - 1],
+        blowout: decided.length > 0 ? decided[0] : null,
+        closest: decided.length > 1 ? decided[decided.length - 1] : null,
+        bench,
+        lineups: summarizeLineups(league, rosters, [matchups], players, nameFor),
+        standings: inRegularSeason ? buildStandingsMovement(league, rosters, weeks, nameFor) : null
+    };
+}
+
+/**
+ * Formats the weekly recap into a Slack message.
+ * @param {object} recap The result of loadWeeklyRecap.
+ * @returns {object} Slack message payload with blocks and fallback text.
+ */
+function formatRecapMessage(recap) {
+    const points = (value) => value.toFixed(2);
+    const describeGame = ({ teams }) => `*${teams[0].name}* ${points(teams[0].points)} - ${points(teams[1].points)} ${teams[1].name}`;
+
+    const results = recap.games.map(game => (game.teams.length === 2
+        ? describeGame(game)
+        : `*${game.teams[0].name}* ${points(game.teams[0].points)}`));
+    for (const team of recap.unpaired) {
+        results.push(`${team.name} ${points(team.points)} _(no matchup)_`);
+    }
+
+    const awards = [
+        `:fire: *High score:* ${recap.highScorer.name} (${points(recap.highScorer.points)})`,
+        `:ice_cube: *Low score:* ${recap.lowScorer.name} (${points(recap.lowScorer.points)})`
+    ];
+    if (recap.blowout) {
+        awards.push(`:boom: *Biggest blowout:* ${describeGame(recap.blowout)} (by ${points(recap.blowout.margin)})`);
+    }
+    if (recap.closest) {
+        awards.push(`:sweat_smile: *Closest game:* ${describeGame(recap.closest)} (by ${points(recap.closest.margin)})`);
+    }
+    if (recap.bench) {
+        const star = recap.bench.playerName ? `, led by ${recap.bench.playerName} with ${points(recap.bench.playerPoints)}` : '';
+        awards.push(`:chair: *Most points on the bench:* ${recap.bench.name} left ${points(recap.bench.points)} on the bench${star}`);
+    }
+
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: `📰 ${recap.league.name} · Week ${recap.week} Recap`, emoji: true } },
+        { type: 'section', text: { type: 'mrkdwn', text: `*Final Scores*\n${results.join('\n')}` } },
+        { type: 'section', text: { type: 'mrkdwn', text: awards.join('\n') } }
+    ];
+
+    if (recap.lineups?.length > 0) {
+        const lines = recap.lineups.map(team => {
+            const summary = `${team.name} ${formatEfficiency(team.efficiency)} (${points(team.actual)} of ${points(team.optimal)}`;
+            return team.pointsLeft >= 0.005 ? `${summary}, left ${points(team.pointsLeft)})` : `${summary}) :dart:`;
+        });
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Lineup Efficiency*\n${lines.join('\n')}` } });
+    }
+
+    if (recap.standings) {
+        const movement = (team) => {
+            if (team.movement > 0) return ` :arrow_up_small:${team.movement}`;
+            if (team.movement < 0) return ` :arrow_down_small:${-team.movement}`;
+            return '';
+        };
+        const lines = recap.standings.map(team => `${team.seed}. ${team.name} (${formatRecord(team.wins, team.losses, team.ties)})${movement(team)}`);
+        blocks.push({ type: 'divider' });
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Standings*\n${lines.join('\n')}` } });
+    }
+
+    return {
+        text: `${recap.league.name} Week ${recap.week} recap: ${recap.highScorer.name} had the high score with ${points(recap.highScorer.points)}`,
+        blocks
+    };
+}
+
+module.exports = {
+    getRecapWeek,
+    getBenchPoints,
+    buildRecords,
+    buildStandingsMovement,
+    loadWeeklyRecap,
+    formatRecapMessage
+};
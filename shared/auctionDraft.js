@@ -0,0 +1,113 @@
+/**
+ * Pure helpers for Sleeper auction drafts.
+ *
+ * In an auction every "pick" is a won nomination: `picked_by`/`draft_slot` identify
+ * the winning team and `metadata.amount` holds the winning bid. Nominations rotate
+ * through the draft slots in order, skipping teams whose rosters are already full.
+ */
+
+const { getTotalTeams, getUserForSlot } = require('./draftOrder.js');
+
+// Sleeper's default auction budget when the draft doesn't specify one.
+const DEFAULT_AUCTION_BUDGET = 200;
+
+/**
+ * Checks whether a draft is an auction draft.
+ * @param {object} draft The Sleeper draft object.
+ * @returns {boolean} True for auction drafts.
+ */
+function isAuctionDraft(draft) {
+    return draft?.type === 'auction';
+}
+
+/**
+ * Reads the winning bid from an auction pick.
+ * @param {object} pick A pick object from the Sleeper API.
+ * @returns {number} The winning bid (0 if missing).
+ */
+function getPickAmount(pick) {
+    const amount = Number(pick.metadata?.amount);
+    return Number.isFinite(amount) ? amount : 0;
+}
+
+/**
+ * Works out which slot won an auction pick.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} pick A pick object from the Sleeper API.
+ * @returns {number|null} The winning team's draft slot.
+ */
+function getPickSlot(draft, pick) {
+    if (pick.draft_slot) {
+        return Number(pick.draft_slot);
+    }
+    const slot = draft.draft_order?.[pick.picked_by];
+    return slot ? Number(slot) : null;
+}
+
+/**
+ * Replays an auction to derive each team's budget and roster state and the nomination order.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} picks The picks made so far, in order.
+ * @returns {object} `{ budget, teams, nominatorSlots, nextNominatorSlot }` where `teams`
+ *   is ordered by slot and each entry has `{ slot, userId, spent, remaining, spotsLeft }`,
+ *   `nominatorSlots[i]` is the slot that nominated picks[i], and `nextNominatorSlot` is
+ *   null once every roster is full.
+ */
+function getAuctionState(draft, picks) {
+    const totalTeams = getTotalTeams(draft);
+    const budget = Number(draft.settings.budget) || DEFAULT_AUCTION_BUDGET;
+    const rosterSpots = draft.settings.rounds;
+
+    const teams = [];
+    for (let slot = 1; slot <= totalTeams; slot++) {
+        teams.push({
+            slot,
+            userId: getUserForSlot(slot, draft.draft_order),
+            spent: 0,
+            remaining: budget,
+            spotsLeft: rosterSpots
+        });
+    }
+
+    // Nominations go round the slots in order, skipping teams with no spots left.
+    const nextOpenSlot = (fromSlot) => {
+        for (let offset = 0; offset < totalTeams; offset++) {
+            const slot = ((fromSlot - 1 + offset) % totalTeams) + 1;
+            if (teams[slot - 1].spotsLeft > 0) {
+                return slot;
+            }
+        }
+        return null;
+    };
+
+    const nominatorSlots = [];
+    let pointer = 1;
+    for (const pick of picks) {
+        const nominator = nextOpenSlot(pointer);
+        nominatorSlots.push(nominator);
+        pointer = nominator ? (nominator % totalTeams) + 1 : pointer;
+
+        const team = teams[getPickSlot(draft, pick) - 1];
+        if (team) {
+            const amount = getPickAmount(pick);
+            team.spent += amount;
+            team.remaining -= amount;
+            team.spotsLeft -= 1;
+        }
+    }
+
+    return {
+        budget,
+        teams,
+        nominatorSlots,
+        nextNominatorSlot: nextOpenSlot(pointer)
+    };
+}
+
+module.exports = {
+    DEFAULT_AUCTION_BUDGET,
+    isAuctionDraft,
+    getPickAmount,
+    getPickSlot,
+    getAuctionState
+};
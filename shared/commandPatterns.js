@@ -5,16 +5,30 @@ const { handleRegisterLeagueCommand } = require('../handlers/registerLeague.js')
 const { handleUsageCommand } = require('../handlers/handleUsageCommand.js');
 const { handleUnregisterDraftCommand } = require('../handlers/unregisterDraft.js');
 const { handleListDraftsCommand } = require('../handlers/listDrafts.js');
+const { handleResyncDraftCommand } = require('../handlers/resyncDraft.js');
 const { handleListLeaguesCommand } = require('../handlers/listLeagues.js');
 const { handleUpdatePlayersCommand } = require('../handlers/updatePlayers.js');
 const { handleCheckRostersCommand, handleCheckLeagueRostersCommand } = require('../handlers/checkRosters.js');
 const { handleCacheStatusCommand, handleCacheRefreshCommand } = require('../handlers/cacheManagement.js');
+const { handleDraftStatsCommand } = require('../handlers/draftStats.js');
+const { handleDraftSettingsCommand } = require('../handlers/draftSettings.js');
+const { handleDraftBoardCommand } = require('../handlers/draftBoard.js');
+const { handleDraftLotteryCommand } = require('../handlers/draftLottery.js');
+const { handleKeepersCommand } = require('../handlers/keepers.js');
+const { handleRegisterMocksCommand, handleAdpCommand } = require('../handlers/adp.js');
+const { handleImportRankingsCommand } = require('../handlers/rankings.js');
+const { handlePicksCommand, handlePickLedgerCommand } = require('../handlers/pickLedger.js');
+const { handleScoresCommand } = require('../handlers/scores.js');
+const { handleStandingsCommand, handlePowerRankingsCommand } = require('../handlers/standings.js');
+const { handleLineupEfficiencyCommand } = require('../handlers/lineupEfficiency.js');
+const { handleWatchCommand, handleUnwatchCommand, handleMyWatchlistCommand } = require('../handlers/watchlist.js');
 
 /**
- * Creates a command payload object for consistency across handlers
+ * Creates a command payload object for consistency across handlers.
+ * `user_id` is only included for per-user commands like `watch`.
  */
-function createCommandPayload(remainingText, channelId, ts = null) {
-  return { text: remainingText, channel_id: channelId, ts: ts };
+function createCommandPayload(remainingText, channelId, ts = null, userId = null) {
+  return { text: remainingText, channel_id: channelId, ts: ts, ...(userId && { user_id: userId }) };
 }
 
 /**
@@ -29,6 +43,81 @@ function createCommandPatterns(event, say, client = null) {
         return handleLastPickCommand({ command: commandPayload, say });
       }
     },
+    { 
+      pattern: /^draft\s+stats$/i, 
+      handler: () => {
+        const commandPayload = createCommandPayload('', event.channel);
+        return handleDraftStatsCommand({ command: commandPayload, say });
+      }
+    },
+    { 
+      pattern: /^draft\s+board$/i, 
+      handler: () => {
+        const commandPayload = createCommandPayload('', event.channel);
+        return handleDraftBoardCommand({ command: commandPayload, say, client });
+      }
+    },
+    { 
+      pattern: /^draft\s+lottery(.*)$/i, 
+      handler: (remainingText) => {
+        const commandPayload = createCommandPayload(remainingText, event.channel, null, event.user);
+        return handleDraftLotteryCommand({ command: commandPayload, say });
+      }
+    },
+    { 
+      pattern: /^draft\s+settings(.*)$/i, 
+      handler: (remainingText) => {
+        const commandPayload = createCommandPayload(remainingText, event.channel);
+        return handleDraftSettingsCommand({ command: commandPayload, say });
+      }
+    },
+    { 
+      pattern: /^keepers(\s+remind)?$/i, 
+      handler: (remainingText) => {
+        const commandPayload = createCommandPayload(remainingText, event.channel);
+        return handleKeepersCommand({ command: commandPayload, say, client });
+      }
+    },
+    { 
+      pattern: /^watch(\s.*)?$/i, 
+      handler: (remainingText) => {
+        const commandPayload = createCommandPayload(remainingText, event.channel, null, event.user);
+        return handleWatchCommand({ command: commandPayload, say, client });
+      }
+    },
+    { 
+      pattern: /^unwatch(\s.*)?$/i, 
+      handler: (remainingText) => {
+        const commandPayload = createCommandPayload(remainingText, event.channel, null, event.user);
+        return handleUnwatchCommand({ command: commandPayload, say, client });
+      }
+    },
+    { 
+      pattern: /^my\s+watchlist$/i, 
+      handler: () => {
+        const commandPayload = createCommandPayload('', event.channel, null, event.user);
+        return handleMyWatchlistCommand({ command: commandPayload, say, client });
+      }
+    },
+    { 
+      pattern: /^adp(\s.*)?$/i, 
+      handler: (remainingText) => {
+        const commandPayload = createCommandPayload(remainingText, event.channel);
+        return handleAdpCommand({ command: commandPayload, say });
+      }
+    },
+    { 
+      // Overwrites the rankings every league's report cards are graded against
+      pattern: /^import\s+rankings\b/i, 
+      handler: () => say("For security, the `import rankings` command can only be used in a direct message with me.")
+    },
+    { 
+      pattern: /^register\s+mocks?(\s.*)?$/i, 
+      handler: (remainingText) => {
+        const commandPayload = createCommandPayload(remainingText, event.channel);
+        return handleRegisterMocksCommand({ command: commandPayload, say });
+      }
+    },
     { 
       pattern: /^register\sdraft(.+)$/i, 
       handler: (remainingText) => {
@@ -72,6 +161,10 @@ function createCommandPatterns(event, say, client = null) {
       pattern: /^list\sdrafts$/i, 
       handler: () => say("For security, the `list drafts` command can only be used in a direct message with me.")
     },
+    { 
+      pattern: /^resync\s+draft\b/i, 
+      handler: () => say("For security, the `resync draft` command can only be used in a direct message with me.")
+    },
     { 
       pattern: /^list\sleagues$/i, 
       handler: () => {
@@ -79,6 +172,48 @@ function createCommandPatterns(event, say, client = null) {
         return handleListLeaguesCommand({ command: commandPayload, say });
       }
     },
+    { 
+      pattern: /^picks(\s.*)?$/i, 
+      handler: (remainingText) => {
+        const commandPayload = createCommandPayload(remainingText, event.channel);
+        return handlePicksCommand({ command: commandPayload, say });
+      }
+    },
+    { 
+      pattern: /^pick\s+ledger$/i, 
+      handler: () => {
+        const commandPayload = createCommandPayload('', event.channel);
+        return handlePickLedgerCommand({ command: commandPayload, say });
+      }
+    },
+    { 
+      pattern: /^scores(\s+live)?$/i, 
+      handler: (remainingText) => {
+        const commandPayload = createCommandPayload(remainingText, event.channel);
+        return handleScoresCommand({ command: commandPayload, say, client });
+      }
+    },
+    { 
+      pattern: /^standings$/i, 
+      handler: () => {
+        const commandPayload = createCommandPayload('', event.channel);
+        return handleStandingsCommand({ command: commandPayload, say });
+      }
+    },
+    { 
+      pattern: /^power\s+rankings$/i, 
+      handler: () => {
+        const commandPayload = createCommandPayload('', event.channel);
+        return handlePowerRankingsCommand({ command: commandPayload, say });
+      }
+    },
+    { 
+      pattern: /^lineup\s+efficiency$/i, 
+      handler: () => {
+        const commandPayload = createCommandPayload('', event.channel);
+        return handleLineupEfficiencyCommand({ command: commandPayload, say });
+      }
+    },
     { 
       pattern: /^check\srosters$/i, 
       handler: () => {
@@ -172,9 +307,16 @@ async function handleAppMention({ event, say, logger, client }) {
 async function handleDirectMessage({ message, say, logger, client }) {
   // Only respond to direct messages or if bot is mentioned
   if (message.channel_type === 'im') {
-    if (/list\s+drafts/i.test(message.text)) {
+    // The rankings are pasted on the lines below the command
+    if (/^\s*import\s+rankings\b/i.test(message.text)) {
+      const commandPayload = createCommandPayload(message.text.replace(/^\s*import\s+rankings\b/i, '').trim(), message.channel);
+      await handleImportRankingsCommand({ command: commandPayload, say });
+    } else if (/list\s+drafts/i.test(message.text)) {
       const commandPayload = createCommandPayload('', message.channel);
       await handleListDraftsCommand({ command: commandPayload, say });
+    } else if (/resync\s+draft\b/i.test(message.text)) {
+      const commandPayload = createCommandPayload(message.text.replace(/^.*?resync\s+draft\b/i, '').trim(), message.channel);
+      await handleResyncDraftCommand({ command: commandPayload, say, client });
     } else if (/update\s+players/i.test(message.text)) {
       await handleUpdatePlayersCommand({ say, client });
     }
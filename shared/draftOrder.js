@@ -0,0 +1,223 @@
+/**
+ * Pure helpers for working out which team owns a pick in a Sleeper draft.
+ *
+ * Sleeper describes a draft with three lookups:
+ * - `draft_order` maps user_id -> draft slot
+ * - `slot_to_roster_id` maps draft slot -> roster_id
+ * - traded picks (`/draft/{id}/traded_picks`) map an original roster's pick in a
+ *   round to the roster that currently owns it (`roster_id` -> `owner_id`)
+ */
+
+/**
+ * Number of teams in the draft.
+ * Prefers settings.teams (always correct). draft_order only lists real users, so in
+ * a mock draft it holds just the single human, which breaks team-count math.
+ * @param {object} draft The Sleeper draft object.
+ * @returns {number} The number of teams.
+ */
+function getTotalTeams(draft) {
+    return draft.settings.teams || Object.keys(draft.draft_order || {}).length;
+}
+
+/**
+ * Total number of picks in the draft (rounds x teams).
+ * @param {object} draft The Sleeper draft object.
+ * @returns {number} The total number of picks.
+ */
+function getTotalPicks(draft) {
+    return draft.settings.rounds * getTotalTeams(draft);
+}
+
+/**
+ * Whether the draft is limited to rookies (Sleeper's "rookies only" player pool).
+ * @param {object} draft The Sleeper draft object.
+ * @returns {boolean} True for rookie drafts.
+ */
+function isRookieDraft(draft) {
+    return draft.settings?.player_type === 1;
+}
+
+/**
+ * Finds the user ID for a given draft slot from the draft_order object.
+ * @param {number} slot The draft slot to find (e.g., 1, 2, 3...).
+ * @param {object} draftOrder The draft_order object from the Sleeper draft details, mapping user_id to slot.
+ * @returns {string|null} The user ID for the slot, or null if not found.
+ */
+function getUserForSlot(slot, draftOrder) {
+    // Iterate over the draft order to find the user ID whose value matches the slot.
+    for (const userId in draftOrder) {
+        if (Object.prototype.hasOwnProperty.call(draftOrder, userId) && draftOrder[userId] === slot) {
+            return userId;
+        }
+    }
+    return null; // Should not happen in a valid draft
+}
+
+/**
+ * Works out the round and draft slot for a pick number, honouring snake and
+ * 3rd-round-reversal (3RR) ordering.
+ * @param {object} draft The Sleeper draft object.
+ * @param {number} pickNo The 1-based overall pick number.
+ * @returns {{round: number, pickInRound: number, slot: number}} Where the pick falls.
+ */
+function getSlotForPick(draft, pickNo) {
+    const totalTeams = getTotalTeams(draft);
+    const round = Math.floor((pickNo - 1) / totalTeams) + 1;
+    const pickInRound = ((pickNo - 1) % totalTeams) + 1;
+
+    let slot = pickInRound;
+    // Determine the slot for the pick based on draft type (e.g., snake, 3RR)
+    if (draft.type === 'snake') {
+        // A reversal_round value indicates a draft like "3rd Round Reversal".
+        const reversalRound = draft.settings.reversal_round || 0;
+
+        // Standard snake behavior: even rounds are reversed.
+        let isReversed = (round % 2 === 0);
+
+        // For 3RR (or NRR), flip the snake pattern at and after the reversal round.
+        if (reversalRound > 0 && round >= reversalRound) {
+            isReversed = !isReversed;
+        }
+
+        if (isReversed) {
+            // Calculate the slot for a reversed (snaking) round.
+            slot = totalTeams - pickInRound + 1;
+        }
+    }
+
+    return { round, pickInRound, slot };
+}
+
+/**
+ * Looks up the roster that originally owns a draft slot.
+ * @param {object} draft The Sleeper draft object.
+ * @param {number} slot The draft slot.
+ * @returns {number|null} The roster ID, or null if the draft has no slot mapping.
+ */
+function getRosterIdForSlot(draft, slot) {
+    const rosterId = draft.slot_to_roster_id?.[slot];
+    return rosterId === undefined || rosterId === null ? null : Number(rosterId);
+}
+
+/**
+ * Finds the user who holds a roster in the draft, by way of the roster's slot.
+ * @param {object} draft The Sleeper draft object.
+ * @param {number} rosterId The roster ID.
+ * @returns {string|null} The user ID, or null if it cannot be resolved.
+ */
+function getUserForRosterId(draft, rosterId) {
+    const slotToRoster = draft.slot_to_roster_id || {};
+    const slot = Object.keys(slotToRoster).find(s => Number(slotToRoster[s]) === Number(rosterId));
+    return slot ? getUserForSlot(Number(slot), draft.draft_order) : null;
+}
+
+/**
+ * Finds the traded-pick record for an original roster's pick in a round.
+ * Records for other seasons are ignored so dynasty leagues' future picks don't leak in.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object[]} tradedPicks Traded pick records from the Sleeper API.
+ * @param {number} round The draft round.
+ * @param {number} rosterId The roster that originally held the pick.
+ * @returns {object|null} The traded pick record, or null if the pick was not traded.
+ */
+function findTradedPick(draft, tradedPicks, round, rosterId) {
+    if (!Array.isArray(tradedPicks) || rosterId === null) {
+        return null;
+    }
+    return tradedPicks.find(tp =>
+        Number(tp.round) === round &&
+        Number(tp.roster_id) === rosterId &&
+        (!draft.season || !tp.season || String(tp.season) === String(draft.season)) &&
+        Number(tp.owner_id) !== Number(tp.roster_id)
+    ) || null;
+}
+
+/**
+ * Resolves who owns an upcoming pick, taking traded picks into account.
+ * @param {object} draft The Sleeper draft object.
+ * @param {number} pickNo The 1-based overall pick number.
+ * @param {object[]} [tradedPicks] Traded pick records from the Sleeper API.
+ * @returns {object} `{ round, slot, userId, originalUserId, rosterId }` where
+ *   `originalUserId` is only set when the pick has changed hands.
+ */
+function getPickOwner(draft, pickNo, tradedPicks = []) {
+    const { round, slot } = getSlotForPick(draft, pickNo);
+    const slotUserId = getUserForSlot(slot, draft.draft_order);
+    const originalRosterId = getRosterIdForSlot(draft, slot);
+
+    const tradedPick = findTradedPick(draft, tradedPicks, round, originalRosterId);
+    if (tradedPick) {
+        const ownerRosterId = Number(tradedPick.owner_id);
+        return {
+            round,
+            slot,
+            userId: getUserForRosterId(draft, ownerRosterId),
+            originalUserId: slotUserId,
+            rosterId: ownerRosterId
+        };
+    }
+
+    return { round, slot, userId: slotUserId, originalUserId: null, rosterId: originalRosterId };
+}
+
+/**
+ * Resolves who made a completed pick and, if the pick was traded, who it came from.
+ * Sleeper stamps each pick with the owning `roster_id` and the original `draft_slot`;
+ * `picked_by` is whoever actually made the pick.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} pick A pick object from the Sleeper API.
+ * @returns {{userId: string, originalUserId: string|null}} The owner and original owner.
+ */
+function getMadePickOwner(draft, pick) {
+    const originalRosterId = getRosterIdForSlot(draft, pick.draft_slot);
+    const traded = pick.roster_id !== undefined && pick.roster_id !== null &&
+        originalRosterId !== null && Number(pick.roster_id) !== originalRosterId;
+
+    if (!traded) {
+        // Credit the slot owner rather than picked_by, which is empty for autopicks and
+        // holds the commissioner's ID when they pick for a team.
+        return { userId: getUserForSlot(Number(pick.draft_slot), draft.draft_order) || pick.picked_by, originalUserId: null };
+    }
+
+    return {
+        userId: getUserForRosterId(draft, pick.roster_id) || pick.picked_by,
+        originalUserId: getUserForSlot(pick.draft_slot, draft.draft_order)
+    };
+}
+
+/**
+ * Works out how a completed pick was made.
+ * Sleeper leaves `picked_by` empty when it picks for a team itself (autodraft, or the
+ * pick timer running out), and records the commissioner's user ID when they pick on
+ * behalf of another team.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} pick A pick object from the Sleeper API.
+ * @returns {'keeper'|'autopick'|'commissioner'|null} The kind of pick, or null for a normal pick.
+ */
+function getPickType(draft, pick) {
+    if (pick.is_keeper) {
+        return 'keeper';
+    }
+    if (!pick.picked_by) {
+        return 'autopick';
+    }
+    const { userId } = getMadePickOwner(draft, pick);
+    if (userId && userId !== pick.picked_by) {
+        return 'commissioner';
+    }
+    return null;
+}
+
+module.exports = {
+    getTotalTeams,
+    getTotalPicks,
+    isRookieDraft,
+    getUserForSlot,
+    getSlotForPick,
+    getRosterIdForSlot,
+    getUserForRosterId,
+    findTradedPick,
+    getPickOwner,
+    getMadePickOwner,
+    getPickType
+};
@@ -0,0 +1,134 @@
+/**
+ * Per-draft options that a channel can change with `draft settings`.
+ *
+ * Values are stored in the `settings` map on the DRAFT item; anything not set
+ * falls back to the default here.
+ */
+
+const { getTotalTeams } = require('./draftOrder.js');
+
+const DRAFT_SETTINGS = {
+    threaded: {
+        type: 'boolean',
+        default: false,
+        description: 'Post pick alerts as replies in one "Draft Live" thread, with a live summary in the parent message.'
+    },
+    batchThreshold: {
+        type: 'number',
+        default: 0,
+        min: 0,
+        max: 100,
+        description: 'Post one catch-up message instead of separate alerts when at least this many new picks arrive at once (0 turns it off).'
+    },
+    rookieDetails: {
+        type: 'boolean',
+        default: true,
+        description: 'In rookie-only drafts, add each player\'s college and years of experience to pick alerts.'
+    },
+    skipKDef: {
+        type: 'boolean',
+        default: false,
+        description: 'Don\'t post alerts for kicker (K) and team defense (DEF) picks.'
+    },
+    highlightsOnly: {
+        type: 'boolean',
+        default: false,
+        description: 'Only post the first pick of each round, plus any pick of a player on someone\'s watchlist.'
+    }
+};
+
+// Positions muted by `skipKDef`
+const KICKER_DEFENSE_POSITIONS = ['K', 'DEF'];
+
+const TRUE_VALUES = ['on', 'true', 'yes', 'enable', 'enabled'];
+const FALSE_VALUES = ['off', 'false', 'no', 'disable', 'disabled'];
+
+/**
+ * Reads a setting for a registered draft.
+ * @param {object} draftInfo The registered draft from the datastore.
+ * @param {string} key The setting name.
+ * @returns {*} The stored value, or the setting's default.
+ */
+function getDraftSetting(draftInfo, key) {
+    const value = draftInfo?.settings?.[key];
+    return value === undefined ? DRAFT_SETTINGS[key]?.default : value;
+}
+
+/**
+ * Parses user input for a setting.
+ * @param {string} key The setting name.
+ * @param {string} input The raw value typed by the user.
+ * @returns {{isValid: boolean, value?: *, errorMessage?: string}} The parsed value or why it was rejected.
+ */
+function parseDraftSetting(key, input) {
+    const definition = DRAFT_SETTINGS[key];
+    if (!definition) {
+        return {
+            isValid: false,
+            errorMessage: `Unknown setting \`${key}\`. Available settings: ${Object.keys(DRAFT_SETTINGS).map(name => `\`${name}\``).join(', ')}.`
+        };
+    }
+
+    const normalized = String(input || '').trim().toLowerCase();
+    if (definition.type === 'boolean') {
+        if (TRUE_VALUES.includes(normalized)) {
+            return { isValid: true, value: true };
+        }
+        if (FALSE_VALUES.includes(normalized)) {
+            return { isValid: true, value: false };
+        }
+        return { isValid: false, errorMessage: `\`${key}\` must be \`on\` or \`off\`.` };
+    }
+
+    if (definition.type === 'number') {
+        const value = Number(normalized);
+        if (normalized === '' || !Number.isInteger(value) || value < definition.min || value > definition.max) {
+            return { isValid: false, errorMessage: `\`${key}\` must be a whole number from ${definition.min} to ${definition.max}.` };
+        }
+        return { isValid: true, value };
+    }
+
+    return { isValid: false, errorMessage: `\`${key}\` cannot be changed from Slack.` };
+}
+
+/**
+ * Formats a setting value for display.
+ * @param {string} key The setting name.
+ * @param {*} value The value.
+ * @returns {string} e.g. "on" / "off".
+ */
+function formatDraftSetting(key, value) {
+    if (DRAFT_SETTINGS[key]?.type === 'boolean') {
+        return value ? 'on' : 'off';
+    }
+    return String(value);
+}
+
+/**
+ * Decides whether a pick gets its own alert under the draft's `skipKDef` and
+ * `highlightsOnly` settings. The draft board, thread summary and watchlist DMs
+ * still see every pick.
+ * @param {object} draftInfo The registered draft from the datastore.
+ * @param {object} draft The Sleeper draft object.
+ * @param {object} pick A pick object from the Sleeper API.
+ * @param {Set<string>} [watchedPlayerIds] Players on any watchlist for the draft.
+ * @returns {boolean} True if the pick should be posted.
+ */
+function shouldPostPickAlert(draftInfo, draft, pick, watchedPlayerIds = new Set()) {
+    if (getDraftSetting(draftInfo, 'skipKDef') && KICKER_DEFENSE_POSITIONS.includes(pick.metadata?.position)) {
+        return false;
+    }
+    if (getDraftSetting(draftInfo, 'highlightsOnly')) {
+        const firstOfRound = (pick.pick_no - 1) % getTotalTeams(draft) === 0;
+        return firstOfRound || watchedPlayerIds.has(pick.player_id);
+    }
+    return true;
+}
+
+module.exports = {
+    DRAFT_SETTINGS,
+    getDraftSetting,
+    shouldPostPickAlert,
+    parseDraftSetting,
+    formatDraftSetting
+};
@@ -0,0 +1,181 @@
+/**
+ * Pure helpers for comparing a team's players against a league's starting lineup.
+ *
+ * Sleeper lists a league's lineup in `league.roster_positions`, one entry per slot,
+ * e.g. `['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX', 'K', 'DEF', 'BN', 'BN']`.
+ * Flex slots accept several positions; bench, IR and taxi slots never need filling.
+ */
+
+// Positions each flex slot accepts
+const FLEX_POSITIONS = {
+    FLEX: ['RB', 'WR', 'TE'],
+    WRRB_FLEX: ['RB', 'WR'],
+    REC_FLEX: ['WR', 'TE'],
+    SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+    IDP_FLEX: ['DL', 'LB', 'DB']
+};
+
+const NON_STARTING_SLOTS = ['BN', 'IR', 'TAXI'];
+
+// Display order for positional counts; anything else (IDP etc.) follows alphabetically
+const POSITION_ORDER = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+
+/**
+ * Counts the players at each position among a team's picks.
+ * @param {object[]} picks The team's picks.
+ * @returns {object} Position -> number of players, e.g. `{ RB: 2, WR: 1 }`.
+ */
+function countPositions(picks) {
+    const counts = {};
+    for (const pick of picks) {
+        const position = pick.metadata?.position;
+        if (position) {
+            counts[position] = (counts[position] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Works out which starting slots a team still has to fill.
+ * Players fill their own position's slots first; whoever is left over then fills the
+ * flex slots, the most restrictive ones first.
+ * @param {string[]} rosterPositions The league's `roster_positions`.
+ * @param {object[]} picks The team's picks so far.
+ * @returns {{position: string, count: number}[]} Unfilled slots in lineup order.
+ */
+function getPositionalNeeds(rosterPositions, picks) {
+    const remaining = countPositions(picks);
+    const starters = (rosterPositions || []).filter(slot => !NON_STARTING_SLOTS.includes(slot));
+    const needs = new Map(starters.map(slot => [slot, 0]));
+
+    for (const slot of starters.filter(s => !FLEX_POSITIONS[s])) {
+        if (remaining[slot] > 0) {
+            remaining[slot]--;
+        } else {
+            needs.set(slot, needs.get(slot) + 1);
+        }
+    }
+
+    const flexSlots = starters.filter(s => FLEX_POSITIONS[s])
+        .sort((a, b) => FLEX_POSITIONS[a].length - FLEX_POSITIONS[b].length);
+    for (const slot of flexSlots) {
+        const position = FLEX_POSITIONS[slot].find(pos => remaining[pos] > 0);
+        if (position) {
+            remaining[position]--;
+        } else {
+            needs.set(slot, needs.get(slot) + 1);
+        }
+    }
+
+    return [...needs].filter(([, count]) => count > 0).map(([position, count]) => ({ position, count }));
+}
+
+/**
+ * Picks the highest-scoring lineup a team could have started.
+ * Filling slots greedily can go wrong when flex slots overlap without nesting (a WR
+ * taking WRRB_FLEX leaves only a TE for REC_FLEX) or a player has several positions,
+ * so this tries every way of placing the players. Slots of the same kind are
+ * interchangeable, which keeps that to one state per count of each kind filled.
+ * @param {string[]} rosterPositions The league's `roster_positions`.
+ * @param {{playerId: string, positions: string[], points: number}[]} players The players who could start.
+ * @returns {{points: number, lineup: {slot: string, playerId: string|null, points: number}[]}} The lineup in slot order.
+ */
+function buildOptimalLineup(rosterPositions, players) {
+    const starters = (rosterPositions || []).filter(slot => !NON_STARTING_SLOTS.includes(slot));
+    const available = [...players].sort((a, b) => b.points - a.points);
+
+    // A state counts how many of each kind of slot are filled, packed into one number
+    const kinds = [...new Set(starters)];
+    const capacity = kinds.map(kind => starters.filter(slot => slot === kind).length);
+    const stride = [];
+    let stateCount = 1;
+    for (const count of capacity) {
+        stride.push(stateCount);
+        stateCount *= count + 1;
+    }
+    const filled = (state, k) => Math.floor(state / stride[k]) % (capacity[k] + 1);
+
+    // best[state] is the most points the players so far can score filling exactly those slots;
+    // placed[i][state] is the kind of slot player i took to get there (-1 if benched)
+    let best = new Array(stateCount).fill(-Infinity);
+    best[0] = 0;
+    const placed = available.map(player => {
+        const eligibleKinds = kinds.map((kind, k) => k)
+            .filter(k => (FLEX_POSITIONS[kinds[k]] || [kinds[k]]).some(position => player.positions.includes(position)));
+        const next = [...best];
+        const choice = new Array(stateCount).fill(-1);
+        for (let state = 0; state < stateCount; state++) {
+            if (best[state] === -Infinity) {
+                continue;
+            }
+            for (const k of eligibleKinds) {
+                const target = state + stride[k];
+                if (filled(state, k) < capacity[k] && best[state] + player.points > next[target]) {
+                    next[target] = best[state] + player.points;
+                    choice[target] = k;
+                }
+            }
+        }
+        best = next;
+        return choice;
+    });
+
+    // Walk back from the best final state to see where each player went
+    let state = best.reduce((top, points, candidate) => (points > best[top] ? candidate : top), 0);
+    const slotOf = new Array(available.length).fill(-1);
+    for (let i = available.length - 1; i >= 0; i--) {
+        slotOf[i] = placed[i][state];
+        if (slotOf[i] !== -1) {
+            state -= stride[slotOf[i]];
+        }
+    }
+
+    const lineup = starters.map(slot => ({ slot, playerId: null, points: 0 }));
+    available.forEach((player, i) => {
+        if (slotOf[i] !== -1) {
+            const entry = lineup.find(candidate => candidate.slot === kinds[slotOf[i]] && candidate.playerId === null);
+            entry.playerId = player.playerId;
+            entry.points = player.points;
+        }
+    });
+
+    return { points: lineup.reduce((total, entry) => total + entry.points, 0), lineup };
+}
+
+/**
+ * Formats positional needs for a pick alert, e.g. "TE, K, 2×WR".
+ * @param {{position: string, count: number}[]} needs The result of getPositionalNeeds.
+ * @returns {string} The formatted needs, or a note that every starting slot is filled.
+ */
+function formatNeeds(needs) {
+    if (needs.length === 0) {
+        return 'Starting lineup filled';
+    }
+    return needs.map(({ position, count }) => (count > 1 ? `${count}×${position}` : position)).join(', ');
+}
+
+/**
+ * Formats a team's positional counts, e.g. "QB 1 · RB 2 · WR 1".
+ * @param {object} counts The result of countPositions.
+ * @returns {string} The formatted counts (empty when there are none).
+ */
+function formatPositionCounts(counts) {
+    const rank = (position) => {
+        const index = POSITION_ORDER.indexOf(position);
+        return index === -1 ? POSITION_ORDER.length : index;
+    };
+    return Object.keys(counts)
+        .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+        .map(position => `${position} ${counts[position]}`)
+        .join(' · ');
+}
+
+module.exports = {
+    FLEX_POSITIONS,
+    countPositions,
+    getPositionalNeeds,
+    buildOptimalLineup,
+    formatNeeds,
+    formatPositionCounts
+};